@@ -1,12 +1,19 @@
 <?php
 
 return [
-    // Currency configurations
+    // Currency configurations. The frontend registry loads the public fields
+    // through the getCurrencies action, so a new coin is added here and gets
+    // a chain adapter in src/Services.
     'currencies' => [
         'NIM' => [
             'name' => 'Nimiq',
-            'decimals' => 4, // 1e4 decimal places
+            'icon' => 'https://api.nimiq.com/identicon/NIM.png',
+            'type' => 'native',
+            'network' => 'nimiq', // sent from the browser node
+            'uri_scheme' => 'nimiq',
+            'decimals' => 5, // 1 NIM = 1e5 luna
             'min_confirmations' => 2, // PoS requires 2 blocks
+            'testnet_confirmations' => 1,
             'rpc_endpoint' => 'https://rpc.nimiq.com',
             'explorer_tx_url' => 'https://explorer.nimiq.com/transaction/%s',
             'validation' => [
@@ -27,10 +34,16 @@ return [
         ],
         'BTC' => [
             'name' => 'Bitcoin',
+            'icon' => 'img/btc-icon.png',
+            'type' => 'native',
+            'network' => 'bitcoin',
+            'uri_scheme' => 'bitcoin',
             'decimals' => 8, // 1e8 satoshis
             'min_confirmations' => 3, // More confirmations for higher value
+            'testnet_confirmations' => 1,
             'rpc_endpoint' => 'https://btc-rpc.example.com',
             'explorer_tx_url' => 'https://blockstream.info/tx/%s',
+            'esplora_url' => 'https://blockstream.info/api', // Per-invoice address payments are read from here
             'validation' => [
                 'address_regex' => '/^(bc1|[13])[a-zA-HJ-NP-Z0-9]{25,39}$/',
                 'min_amount' => 0.00001,
@@ -49,11 +62,19 @@ return [
         ],
         'USDC' => [
             'name' => 'USD Coin',
+            'icon' => 'img/usdc-icon.png',
+            'type' => 'erc20',
+            'network' => 'ethereum',
+            'uri_scheme' => 'ethereum',
             'decimals' => 6,
             'min_confirmations' => 12, // Ethereum confirmations
+            'testnet_confirmations' => 5,
             'rpc_endpoint' => 'https://mainnet.infura.io/v3/YOUR-PROJECT-ID',
             'explorer_tx_url' => 'https://etherscan.io/tx/%s',
             'contract_address' => '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', // USDC contract
+            'chain_id' => 1, // Ethereum mainnet, for EIP-681 payment URIs
+            'gasless' => 'eip3009', // Customers sign a transferWithAuthorization, the relayer pays the gas
+            'eip712_domain' => ['name' => 'USD Coin', 'version' => '2'],
             'validation' => [
                 'address_regex' => '/^0x[a-fA-F0-9]{40}$/', // Ethereum address format
                 'min_amount' => 1,
@@ -76,8 +97,13 @@ return [
         ],
         'UST' => [
             'name' => 'TerraUSD',
+            'icon' => 'img/ust-icon.png',
+            'type' => 'terra',
+            'network' => 'terra',
+            'uri_scheme' => 'terra',
             'decimals' => 6,
             'min_confirmations' => 15, // Terra blockchain confirmations
+            'testnet_confirmations' => 5,
             'rpc_endpoint' => 'https://terra-rpc.example.com',
             'explorer_tx_url' => 'https://finder.terra.money/tx/%s',
             'validation' => [
@@ -104,7 +130,8 @@ return [
         'max_price_deviation' => 0.05, // Maximum 5% price deviation between APIs
         'default_currency' => 'NIM',
         'exchange_rate_timeout' => 30, // Rates older than 30 seconds require refresh
-        'max_payment_window' => 3600 // 1 hour to complete payment
+        'max_payment_window' => 3600, // 1 hour to complete payment
+        'quote_lifetime' => 900 // Quoted rates are locked for 15 minutes
     ],
 
     // Error messages
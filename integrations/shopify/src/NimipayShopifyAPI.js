@@ -1,3 +1,42 @@
+const { loadCore } = require('./core');
+
+// Currency registry with the default currencies, created on first use
+let currencies = null;
+
+// Currency details the synchronous API uses until the registry is loaded
+const CURRENCY_DETAILS = {
+    BTC: {
+        name: 'Bitcoin',
+        decimals: 8,
+        minAmount: 0.00001,
+        maxAmount: 100,
+        confirmations: {
+            mainnet: 2,
+            testnet: 1
+        }
+    },
+    USDC: {
+        name: 'USD Coin',
+        decimals: 6,
+        minAmount: 1,
+        maxAmount: 1000000,
+        confirmations: {
+            mainnet: 12,
+            testnet: 5
+        }
+    },
+    UST: {
+        name: 'Terra USD',
+        decimals: 6,
+        minAmount: 1,
+        maxAmount: 1000000,
+        confirmations: {
+            mainnet: 15,
+            testnet: 5
+        }
+    }
+};
+
 /**
  * NimiPay Shopify Integration API Handler
  */
@@ -13,6 +52,7 @@ class NimipayShopifyAPI {
         this.apiKey = config.apiKey;
         this.shopifyAccessToken = config.shopifyAccessToken;
         this.testmode = config.testmode || false;
+        this.network = this.testmode ? 'test' : 'main';
         this.apiUrl = this.testmode
             ? 'https://testnet-api.nimipay.com/v1'
             : 'https://api.nimipay.com/v1';
@@ -24,11 +64,15 @@ class NimipayShopifyAPI {
      * @returns {Promise<void>}
      */
     async initialize() {
+        const { NimipayError } = await loadCore();
         try {
             await this.validateCredentials();
             await this.registerWebhooks();
         } catch (error) {
-            throw new Error(`Failed to initialize NimiPay: ${error.message}`);
+            throw new NimipayError(
+                `Failed to initialize NimiPay: ${error.message}`,
+                error.code || 'CONFIGURATION_ERROR'
+            );
         }
     }
 
@@ -95,18 +139,27 @@ class NimipayShopifyAPI {
             config.body = JSON.stringify(data);
         }
 
+        const { NimipayError } = await loadCore();
         try {
             const response = await fetch(url, config);
             const responseData = await response.json();
 
             if (!response.ok) {
-                throw new Error(responseData.message || 'API request failed');
+                throw new NimipayError(
+                    responseData.message || 'API request failed',
+                    responseData.code || this.getStatusErrorCode(response.status),
+                    { status: response.status }
+                );
             }
 
             return responseData;
         } catch (error) {
             this.logError('API Request Error', error);
-            throw error;
+            if (error instanceof NimipayError) {
+                throw error;
+            }
+            // fetch itself failed or the response was not JSON
+            throw new NimipayError(error.message, 'NETWORK_ERROR');
         }
     }
 
@@ -132,11 +185,16 @@ class NimipayShopifyAPI {
             config.body = JSON.stringify(data);
         }
 
+        const { NimipayError } = await loadCore();
         const response = await fetch(url, config);
         const responseData = await response.json();
 
         if (!response.ok) {
-            throw new Error(responseData.errors || 'Shopify API request failed');
+            throw new NimipayError(
+                responseData.errors || 'Shopify API request failed',
+                this.getStatusErrorCode(response.status),
+                { status: response.status }
+            );
         }
 
         return responseData;
@@ -180,74 +238,69 @@ class NimipayShopifyAPI {
      * @private
      */
     async validateCredentials() {
+        const { NimipayError } = await loadCore();
         try {
             await this.getSupportedCurrencies();
             await this.shopifyRequest('GET', '/shop.json');
         } catch (error) {
-            throw new Error('Invalid API credentials');
+            throw new NimipayError('Invalid API credentials', 'CONFIGURATION_ERROR');
         }
     }
 
     /**
-     * Format amount based on currency
-     * @param {number} amount Amount to format
+     * Format amount based on currency. Uses the shared currency registry once
+     * it is loaded, e.g. by formatAmountAsync, and built-in details before.
+     * @param {number|string} amount Amount to format
      * @param {string} currency Currency code
-     * @returns {number} Formatted amount
+     * @returns {number} Amount in the currency's smallest unit
      */
     formatAmount(amount, currency) {
-        const currencyDetails = this.getCurrencyDetails(currency);
-        return Math.round(amount * Math.pow(10, currencyDetails.decimals));
+        return toUnits(amount, this.getCurrencyDetails(currency).decimals);
     }
 
     /**
-     * Get currency details
+     * Format amount based on currency, with the decimals of the shared
+     * currency registry
+     * @param {number|string} amount Amount to format
+     * @param {string} currency Currency code
+     * @returns {Promise<number>} Amount in the currency's smallest unit
+     */
+    async formatAmountAsync(amount, currency) {
+        const { Money, ROUNDING } = await loadCore();
+        const { decimals } = await this.getCurrencyDetailsAsync(currency);
+        return Number(Money.parse(amount, currency, { decimals, rounding: ROUNDING.HALF_UP }).units);
+    }
+
+    /**
+     * Supported crypto currencies, from the shared currency registry
+     * @returns {Promise<Object>} Currency details keyed by currency code
+     */
+    static async getSupportedCurrencies() {
+        const { CurrencyRegistry } = await loadCore();
+        currencies = currencies || CurrencyRegistry.fromConfig();
+        return registryDetails();
+    }
+
+    /**
+     * Get currency details. Uses the shared currency registry once it is
+     * loaded, e.g. by getCurrencyDetailsAsync, and built-in details before.
      * @param {string} currency Currency code
      * @returns {Object} Currency details
      */
     getCurrencyDetails(currency) {
-        const currencies = {
-            BTC: {
-                name: 'Bitcoin',
-                decimals: 8,
-                minAmount: 0.00001,
-                maxAmount: 100,
-                confirmations: {
-                    mainnet: 2,
-                    testnet: 1
-                }
-            },
-            USDC: {
-                name: 'USD Coin',
-                decimals: 6,
-                minAmount: 1,
-                maxAmount: 1000000,
-                confirmations: {
-                    mainnet: 12,
-                    testnet: 5
-                }
-            },
-            UST: {
-                name: 'Terra USD',
-                decimals: 6,
-                minAmount: 1,
-                maxAmount: 1000000,
-                confirmations: {
-                    mainnet: 15,
-                    testnet: 5
-                }
-            }
-        };
+        const supported = currencies ? registryDetails() : CURRENCY_DETAILS;
+        return supported[currency] || shopCurrencyDetails(currency, isoDecimals(currency));
+    }
 
-        return currencies[currency] || {
-            name: currency,
-            decimals: 2,
-            minAmount: 0.01,
-            maxAmount: 1000000,
-            confirmations: {
-                mainnet: 1,
-                testnet: 1
-            }
-        };
+    /**
+     * Get currency details from the shared currency registry
+     * @param {string} currency Currency code
+     * @returns {Promise<Object>} Currency details
+     */
+    async getCurrencyDetailsAsync(currency) {
+        const { Money } = await loadCore();
+        const supported = await NimipayShopifyAPI.getSupportedCurrencies();
+        return supported[currency] || shopCurrencyDetails(currency, Money.getDecimals(currency));
     }
 
     /**
@@ -261,6 +314,20 @@ class NimipayShopifyAPI {
         return process.env.SHOPIFY_SHOP_DOMAIN;
     }
 
+    /**
+     * Map an HTTP status to an error code; server errors are worth retrying
+     * @private
+     */
+    getStatusErrorCode(status) {
+        if (status >= 500 || status === 429) {
+            return 'NETWORK_ERROR';
+        }
+        if (status === 400 || status === 422) {
+            return 'VALIDATION_ERROR';
+        }
+        return 'PAYMENT_FAILED';
+    }
+
     /**
      * Log error to console and monitoring service
      * @private
@@ -302,4 +369,72 @@ class NimipayShopifyAPI {
     }
 }
 
+/**
+ * Details of the loaded registry's currencies, keyed by currency code
+ * @private
+ */
+function registryDetails() {
+    return Object.fromEntries(currencies.list().map((adapter) => [adapter.currency, {
+        name: adapter.name,
+        decimals: adapter.decimals,
+        minAmount: adapter.config.minAmount,
+        maxAmount: adapter.config.maxAmount,
+        confirmations: {
+            mainnet: adapter.getRequiredConfirmations(false),
+            testnet: adapter.getRequiredConfirmations(true)
+        }
+    }]));
+}
+
+/**
+ * Details of a shop currency, e.g. USD or JPY
+ * @private
+ */
+function shopCurrencyDetails(currency, decimals) {
+    return {
+        name: currency,
+        decimals,
+        minAmount: 0.01,
+        maxAmount: 1000000,
+        confirmations: {
+            mainnet: 1,
+            testnet: 1
+        }
+    };
+}
+
+/**
+ * ISO 4217 decimals of a shop currency, e.g. 0 for JPY; 2 for unknown codes
+ * @private
+ */
+function isoDecimals(currency) {
+    try {
+        return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions()
+            .maximumFractionDigits;
+    } catch (error) {
+        return 2;
+    }
+}
+
+/**
+ * Scale a decimal amount to smallest units without floating-point math,
+ * rounding half up
+ * @private
+ */
+function toUnits(amount, decimals) {
+    let text = String(amount).trim();
+    if (/e/i.test(text)) {
+        text = Number(text).toFixed(Math.min(decimals + 1, 100));
+    }
+    const match = /^(-?)(\d*)(?:\.(\d*))?$/.exec(text);
+    if (!match || (match[2] === '' && !match[3])) {
+        throw new TypeError(`Invalid amount: ${amount}`);
+    }
+
+    const [, sign, whole, fraction = ''] = match;
+    const scaled = BigInt((whole || '0') + fraction.padEnd(decimals + 1, '0').slice(0, decimals + 1));
+    const units = Number((scaled + 5n) / 10n);
+    return sign && units !== 0 ? -units : units;
+}
+
 module.exports = NimipayShopifyAPI;
@@ -0,0 +1,39 @@
+/**
+ * Loader for the NimiPay core services (src/Services). They are ES modules,
+ * which CommonJS can only load asynchronously through import(); the first
+ * call starts loading and later calls share the result.
+ */
+let loading = null;
+
+/**
+ * Load the core services
+ * @returns {Promise<Object>} NimipayError, Money, ROUNDING, CurrencyRegistry,
+ *   PaymentFlowService, StateManager and Environment
+ */
+function loadCore() {
+    if (!loading) {
+        loading = Promise.all([
+            import('../../../src/Services/errors.js'),
+            import('../../../src/Services/Money.js'),
+            import('../../../src/Services/CurrencyRegistry.js'),
+            import('../../../src/Services/PaymentFlowService.js'),
+            import('../../../src/Services/StateManager.js'),
+            import('../../../src/Services/Environment.js')
+        ]).then(([errors, money, registry, paymentFlow, stateManager, environment]) => ({
+            NimipayError: errors.NimipayError,
+            Money: money.default,
+            ROUNDING: money.ROUNDING,
+            CurrencyRegistry: registry.default,
+            PaymentFlowService: paymentFlow.default,
+            StateManager: stateManager.default,
+            Environment: environment.default
+        }));
+        // A failed load may be retried
+        loading.catch(() => {
+            loading = null;
+        });
+    }
+    return loading;
+}
+
+module.exports = { loadCore };
@@ -37,6 +37,7 @@ export const initializeNimiPay = async (config: NimipayConfig) => {
 export const createPaymentProcessor = async (config: {
     api: typeof NimipayShopifyAPI;
     auth: typeof ShopifyAuth;
+    environment?: any;
 }) => {
     const processor = new ShopifyPaymentProcessorImpl(config);
     await processor.initialize();
@@ -53,6 +54,10 @@ export const NIMIPAY_EVENTS = {
 } as const;
 
 // Currency utilities
+/**
+ * @deprecated Fixed details of the first supported currencies; use
+ * getSupportedCurrencies(), which follows the shared currency registry
+ */
 export const SUPPORTED_CURRENCIES = {
     BTC: {
         name: 'Bitcoin',
@@ -86,6 +91,9 @@ export const SUPPORTED_CURRENCIES = {
     }
 } as const;
 
+// Supported currencies from the shared currency registry (loaded on first use)
+export const getSupportedCurrencies = () => NimipayShopifyAPIImpl.getSupportedCurrencies();
+
 // Error types
 export class NimipayError extends Error {
     constructor(
@@ -1,5 +1,4 @@
-const { PaymentFlowService } = require('../../../src/services/PaymentFlowService');
-const { StateManager } = require('../../../src/services/StateManager');
+const { loadCore } = require('../core');
 
 /**
  * Shopify Payment Processor
@@ -11,12 +10,17 @@ class ShopifyPaymentProcessor {
      * @param {Object} config Configuration object
      * @param {NimipayShopifyAPI} config.api NimiPay Shopify API instance
      * @param {ShopifyAuth} config.auth Shopify Auth instance
+     * @param {Environment} [config.environment] Storage and configuration of
+     *   the core services, e.g. a FileStorageBackend and `npBackendUrl`;
+     *   defaults to one kept in memory
      */
     constructor(config) {
         this.api = config.api;
         this.auth = config.auth;
-        this.paymentFlow = new PaymentFlowService();
-        this.stateManager = new StateManager();
+        this.environment = config.environment || null;
+        // Created by initialize() once the core services are loaded
+        this.paymentFlow = null;
+        this.stateManager = null;
     }
 
     /**
@@ -24,6 +28,15 @@ class ShopifyPaymentProcessor {
      * @returns {Promise<void>}
      */
     async initialize() {
+        const { PaymentFlowService, StateManager, Environment } = await loadCore();
+        // A server has no window or IndexedDB to fall back to
+        this.environment = this.environment || Environment.memory();
+        // Run the browser node on the same network as the API
+        this.paymentFlow = new PaymentFlowService({
+            nimiq: { network: this.api.network },
+            environment: this.environment
+        });
+        this.stateManager = new StateManager({ environment: this.environment });
         await this.paymentFlow.initialize();
         await this.setupEventListeners();
     }
@@ -34,15 +47,16 @@ class ShopifyPaymentProcessor {
      * @returns {Promise<Object>} Payment result
      */
     async processPayment(order) {
+        const { NimipayError } = await loadCore();
         try {
             // Validate order
             if (!this.validateOrder(order)) {
-                throw new Error('Invalid order data');
+                throw new NimipayError('Invalid order data', 'VALIDATION_ERROR');
             }
 
             // Create payment in NimiPay
             const payment = await this.api.createPayment({
-                amount: this.formatAmount(order.total_price),
+                amount: await this.formatAmount(order.total_price, order.currency),
                 currency: order.currency,
                 order_id: order.id,
                 customer: {
@@ -82,7 +96,7 @@ class ShopifyPaymentProcessor {
      * @private
      */
     async setupEventListeners() {
-        window.addEventListener('nimipay:payment', async (event) => {
+        this.environment.addEventListener('nimipay:payment', async (event) => {
             const { type, data } = event.detail;
 
             switch (type) {
@@ -99,11 +113,11 @@ class ShopifyPaymentProcessor {
         });
 
         // Handle offline mode
-        window.addEventListener('offline', () => {
+        this.environment.addEventListener('offline', () => {
             this.handleOfflineMode();
         });
 
-        window.addEventListener('online', async () => {
+        this.environment.addEventListener('online', async () => {
             await this.handleOnlineRecovery();
         });
     }
@@ -113,11 +127,12 @@ class ShopifyPaymentProcessor {
      * @private
      */
     async handlePaymentSuccess(data) {
+        const { NimipayError } = await loadCore();
         try {
             // Get stored transaction data
             const txData = await this.stateManager.getTransaction(data.paymentId);
             if (!txData || txData.type !== 'shopify_order') {
-                throw new Error('Invalid transaction data');
+                throw new NimipayError('Invalid transaction data', 'VALIDATION_ERROR');
             }
 
             // Update Shopify order
@@ -159,10 +174,11 @@ class ShopifyPaymentProcessor {
      * @private
      */
     async handlePaymentFailure(data) {
+        const { NimipayError } = await loadCore();
         try {
             const txData = await this.stateManager.getTransaction(data.paymentId);
             if (!txData || txData.type !== 'shopify_order') {
-                throw new Error('Invalid transaction data');
+                throw new NimipayError('Invalid transaction data', 'VALIDATION_ERROR');
             }
 
             // Update Shopify order
@@ -202,10 +218,11 @@ class ShopifyPaymentProcessor {
      * @private
      */
     async handlePaymentPending(data) {
+        const { NimipayError } = await loadCore();
         try {
             const txData = await this.stateManager.getTransaction(data.paymentId);
             if (!txData || txData.type !== 'shopify_order') {
-                throw new Error('Invalid transaction data');
+                throw new NimipayError('Invalid transaction data', 'VALIDATION_ERROR');
             }
 
             // Update transaction state
@@ -275,8 +292,8 @@ class ShopifyPaymentProcessor {
      * Format amount based on currency
      * @private
      */
-    formatAmount(amount) {
-        return this.api.formatAmount(parseFloat(amount));
+    formatAmount(amount, currency) {
+        return this.api.formatAmountAsync(amount, currency);
     }
 
     /**
@@ -287,7 +304,7 @@ class ShopifyPaymentProcessor {
         const event = new CustomEvent('nimipay:callback', {
             detail: { type, data }
         });
-        window.dispatchEvent(event);
+        this.environment.dispatchEvent(event);
     }
 
     /**
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { Button, Banner, Spinner, Text } from '@shopify/polaris';
+import type { NimipayErrorCode } from '../types';
 
 export interface ShopifyOrder {
   id: string;
@@ -9,7 +10,7 @@ export interface ShopifyOrder {
 }
 
 export interface PaymentError {
-  code: string;
+  code: NimipayErrorCode;
   message: string;
 }
 
@@ -61,18 +62,21 @@ export const ShopifyPaymentProcessor: React.FC<ShopifyPaymentProcessorProps> = (
       const result = await response.json();
 
       if (!response.ok) {
-        throw new Error(result.error?.message || 'Payment processing failed');
+        // Keep the gateway's error code so callers see the same codes as the core services
+        throw Object.assign(new Error(result.error?.message || 'Payment processing failed'), {
+          code: result.error?.code || 'PAYMENT_FAILED',
+        });
       }
 
       setIsComplete(true);
       onSuccess(result);
     } catch (err) {
-      const error = err as Error;
+      const error = err as Error & { code?: NimipayErrorCode };
       const isNetworkError = error.message.toLowerCase().includes('network');
       
       setError(error.message);
       onError({
-        code: isNetworkError ? 'NETWORK_ERROR' : 'PAYMENT_FAILED',
+        code: error.code || (isNetworkError ? 'NETWORK_ERROR' : 'PAYMENT_FAILED'),
         message: error.message,
       });
     } finally {
@@ -0,0 +1,116 @@
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+// Load the CommonJS modules in a plain Node process, as a server does, so a
+// wrong path to the core services or a require() of an ES module fails here
+const runNode = (script: string): string =>
+    execFileSync(process.execPath, ['-e', script], {
+        cwd: path.join(__dirname, '../../..'),
+        encoding: 'utf8'
+    });
+
+describe('NimipayShopifyAPI module', () => {
+    it('should load and use the core services', () => {
+        const output = runNode(`
+            const NimipayShopifyAPI = require('./src/NimipayShopifyAPI');
+            const api = new NimipayShopifyAPI({ apiKey: 'key', shopifyAccessToken: 'token' });
+            Promise.all([
+                api.formatAmountAsync('0.12345678', 'BTC'),
+                api.formatAmountAsync('1500', 'JPY'),
+                NimipayShopifyAPI.getSupportedCurrencies()
+            ]).then(([btc, jpy, currencies]) => {
+                console.log(JSON.stringify({ btc, jpy, codes: Object.keys(currencies) }));
+            });
+        `);
+
+        expect(JSON.parse(output)).toEqual({
+            btc: 12345678,
+            jpy: 1500,
+            codes: expect.arrayContaining(['NIM', 'BTC', 'USDC'])
+        });
+    });
+
+    it('should format amounts synchronously without floating-point errors', () => {
+        const output = runNode(`
+            const NimipayShopifyAPI = require('./src/NimipayShopifyAPI');
+            const api = new NimipayShopifyAPI({ apiKey: 'key', shopifyAccessToken: 'token' });
+            const before = [api.formatAmount('0.12345678', 'BTC'), api.formatAmount(1.005, 'USD'), api.formatAmount('1500', 'JPY')];
+            api.formatAmountAsync('1', 'NIM').then(() => {
+                console.log(JSON.stringify({ before, nim: api.formatAmount('1.5', 'NIM') }));
+            });
+        `);
+
+        expect(JSON.parse(output)).toEqual({ before: [12345678, 101, 1500], nim: 150000 });
+    });
+
+    it('should load the payment processor', () => {
+        const output = runNode(`
+            const ShopifyPaymentProcessor = require('./src/payment/ShopifyPaymentProcessor');
+            console.log(typeof ShopifyPaymentProcessor);
+        `);
+
+        expect(output.trim()).toBe('function');
+    });
+
+    it('should initialize the payment processor with a Node environment', () => {
+        const output = runNode(`
+            const os = require('os');
+            const fs = require('fs');
+            const path = require('path');
+            // The browser node's library; the processor only needs it to connect
+            const emitter = () => ({ on() {}, off() {} });
+            globalThis.Nimiq = {
+                GenesisConfig: { main() {}, test() {} },
+                Consensus: {
+                    light: async () => ({
+                        ...emitter(),
+                        blockchain: { ...emitter(), height: 1 },
+                        mempool: emitter(),
+                        network: { ...emitter(), connect: async () => {}, peerCount: 1 }
+                    })
+                }
+            };
+            const ShopifyPaymentProcessor = require('./src/payment/ShopifyPaymentProcessor');
+            const NimipayShopifyAPI = require('./src/NimipayShopifyAPI');
+            const { loadCore } = require('./src/core');
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nimipay-'));
+            Promise.all([loadCore(), import('../../src/Services/FileStorageBackend.js')]).then(async ([{ Environment }, { default: FileStorageBackend }]) => {
+                const environment = new Environment({
+                    storage: new FileStorageBackend(directory),
+                    config: { npBackendUrl: 'https://shop.example/nimipay.php' }
+                });
+                const processor = new ShopifyPaymentProcessor({
+                    api: new NimipayShopifyAPI({ apiKey: 'key', shopifyAccessToken: 'token' }),
+                    environment
+                });
+                await processor.initialize();
+                console.log(JSON.stringify({
+                    initialized: processor.paymentFlow.initialized,
+                    shared: processor.paymentFlow.env === environment && processor.stateManager.env === environment,
+                    backendUrl: processor.paymentFlow.env.backendUrl
+                }));
+                fs.rmSync(directory, { recursive: true, force: true });
+            });
+        `);
+
+        expect(JSON.parse(output)).toEqual({
+            initialized: true,
+            shared: true,
+            backendUrl: 'https://shop.example/nimipay.php'
+        });
+    });
+
+    it('should declare every core error code', () => {
+        const output = runNode(`
+            import('../../src/Services/errors.js').then(({ ERROR_CODES }) => {
+                console.log(JSON.stringify(Object.keys(ERROR_CODES)));
+            });
+        `);
+        const types = fs.readFileSync(path.join(__dirname, '../../types.ts'), 'utf8');
+        const union = types.match(/export type NimipayErrorCode =([^;]*);/)![1];
+        const declared = Array.from(union.matchAll(/'([A-Z_]+)'/g), match => match[1]);
+
+        expect(declared.sort()).toEqual(JSON.parse(output).sort());
+    });
+});
@@ -3,6 +3,7 @@ export interface NimipayShopifyAPI {
     apiKey: string;
     shopifyAccessToken: string;
     testmode: boolean;
+    network: NimiqNetwork;
     apiUrl: string;
     shopifyApiVersion: string;
 
@@ -12,6 +13,7 @@ export interface NimipayShopifyAPI {
     getSupportedCurrencies(): Promise<string[]>;
     getExchangeRates(baseCurrency?: string): Promise<ExchangeRates>;
     formatAmount(amount: number | string, currency: string): number;
+    formatAmountAsync(amount: number | string, currency: string): Promise<number>;
     validateAmount(amount: number, currency: string): boolean;
     getShopDomain(): string;
 }
@@ -39,6 +41,7 @@ export interface ShopifyPaymentProcessor {
     auth: ShopifyAuth;
     paymentFlow: any;
     stateManager: any;
+    environment: any;
 
     initialize(): Promise<void>;
     processPayment(order: OrderData): Promise<PaymentResult>;
@@ -67,7 +70,7 @@ export interface PaymentResult {
     amount: number;
     currency: string;
     error?: {
-        code: string;
+        code: NimipayErrorCode;
         message: string;
     };
 }
@@ -110,13 +113,49 @@ export interface PaymentEvent {
 }
 
 // Error Types
+
+// Stable error codes shared with the core services, one per key of ERROR_CODES
+// in src/Services/errors.js
+export type NimipayErrorCode =
+    | 'NETWORK_ERROR'
+    | 'NODE_NOT_READY'
+    | 'TRANSACTION_FAILED'
+    | 'TRANSACTION_DROPPED'
+    | 'TIMEOUT'
+    | 'PAYMENT_IN_FLIGHT'
+    | 'STORAGE_LOCKED'
+    | 'VALIDATION_ERROR'
+    | 'VALIDITY_WINDOW'
+    | 'FEE_TOO_LOW'
+    | 'TRANSACTION_REJECTED'
+    | 'TRANSACTION_NOT_FOUND'
+    | 'DUPLICATE_PAYMENT'
+    | 'QUOTE_EXPIRED'
+    | 'WRONG_NETWORK'
+    | 'ADDRESS_IN_USE'
+    | 'ADDRESS_GAP_LIMIT'
+    | 'REQUEST_CANCELED'
+    | 'AUTH_FAILED'
+    | 'SYNC_CONFLICT'
+    | 'INSUFFICIENT_FUNDS'
+    | 'PAYMENT_FAILED'
+    | 'NOT_INITIALIZED'
+    | 'NO_SIGNER'
+    | 'CONFIGURATION_ERROR'
+    | 'UNSUPPORTED_CURRENCY'
+    | 'UNKNOWN_TRANSACTION_TYPE'
+    | 'DECRYPTION_FAILED'
+    | 'INTERNAL_ERROR';
+
 export interface NimipayErrorData {
-    code: string;
+    code: NimipayErrorCode;
     message: string;
     data?: any;
 }
 
 // Configuration Types
+export type NimiqNetwork = 'main' | 'test' | 'dev';
+
 export interface NimipayConfig {
     apiKey: string;
     shopifyAccessToken: string;
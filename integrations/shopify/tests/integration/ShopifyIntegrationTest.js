@@ -214,7 +214,8 @@ describe('Shopify Integration Tests', () => {
             const testCases = [
                 { amount: '100.00', currency: 'USD', expected: 10000 },
                 { amount: '0.12345678', currency: 'BTC', expected: 12345678 },
-                { amount: '50.123456', currency: 'USDC', expected: 50123456 }
+                { amount: '50.123456', currency: 'USDC', expected: 50123456 },
+                { amount: '1500', currency: 'JPY', expected: 1500 }
             ];
 
             for (const { amount, currency, expected } of testCases) {
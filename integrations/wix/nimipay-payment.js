@@ -3,6 +3,8 @@
 import wixWindow from 'wix-window';
 import wixLocation from 'wix-location';
 import { currentCart } from 'wix-stores';
+import Money, { ROUNDING } from '../../src/Services/Money.js';
+import CurrencyRegistry from '../../src/Services/CurrencyRegistry.js';
 
 // NimiPay API configuration
 const NIMIPAY_CONFIG = {
@@ -13,40 +15,15 @@ const NIMIPAY_CONFIG = {
     }
 };
 
-// Supported cryptocurrencies
-const SUPPORTED_CURRENCIES = {
-    BTC: {
-        name: 'Bitcoin',
-        icon: 'btc-icon.svg',
-        confirmations: {
-            mainnet: 2,
-            testnet: 1
-        }
-    },
-    USDC: {
-        name: 'USD Coin',
-        icon: 'usdc-icon.svg',
-        confirmations: {
-            mainnet: 12,
-            testnet: 5
-        }
-    },
-    UST: {
-        name: 'Terra USD',
-        icon: 'ust-icon.svg',
-        confirmations: {
-            mainnet: 15,
-            testnet: 5
-        }
-    }
-};
+// Supported cryptocurrencies, from the shared currency registry
+const currencies = CurrencyRegistry.fromConfig();
 
 /**
  * Initialize payment form
  */
 export function initPaymentForm() {
-    // Get cart total
-    const total = currentCart.total;
+    // Get cart total; Wix reports it as a float
+    const total = Money.parse(currentCart.total, 'USD', { rounding: ROUNDING.HALF_UP });
     
     // Create payment form HTML
     const formHtml = `
@@ -55,9 +32,9 @@ export function initPaymentForm() {
                 <label>Select Payment Currency</label>
                 <select id="nimipay-currency">
                     <option value="">Choose cryptocurrency...</option>
-                    ${Object.entries(SUPPORTED_CURRENCIES).map(([code, currency]) => `
-                        <option value="${code}">
-                            ${currency.name} (${code})
+                    ${currencies.list().map((adapter) => `
+                        <option value="${adapter.currency}">
+                            ${adapter.name} (${adapter.currency})
                         </option>
                     `).join('')}
                 </select>
@@ -65,7 +42,7 @@ export function initPaymentForm() {
             
             <div class="payment-details">
                 <div class="amount-display">
-                    <span class="fiat-amount">$${total.toFixed(2)} USD</span>
+                    <span class="fiat-amount">$${total.format()} USD</span>
                     <span class="equals">=</span>
                     <span class="crypto-amount"></span>
                 </div>
@@ -116,14 +93,16 @@ async function updatePaymentDetails(currency) {
         const rate = await getExchangeRate(currency);
         
         // Calculate crypto amount
-        const fiatAmount = currentCart.total;
-        const cryptoAmount = fiatAmount * rate;
+        const fiatAmount = Money.parse(currentCart.total, 'USD', { rounding: ROUNDING.HALF_UP });
+        const cryptoAmount = fiatAmount.convert(currency, rate, {
+            decimals: currencies.get(currency).decimals
+        });
         
         // Update display
-        $w('.crypto-amount').text = formatCryptoAmount(cryptoAmount, currency);
+        $w('.crypto-amount').text = cryptoAmount.format({ withCurrency: true });
         
         // Update confirmation details
-        const confirmations = SUPPORTED_CURRENCIES[currency].confirmations;
+        const confirmations = currencies.get(currency).getRequiredConfirmations(NIMIPAY_CONFIG.testMode);
         const networkDetails = currency === 'USDC' 
             ? 'Gas fees covered by service'
             : 'Network fees apply';
@@ -132,7 +111,7 @@ async function updatePaymentDetails(currency) {
             <div class="confirmation-info">
                 <h4>Transaction Details:</h4>
                 <ul>
-                    <li>Required confirmations: ${confirmations[NIMIPAY_CONFIG.testMode ? 'testnet' : 'mainnet']}</li>
+                    <li>Required confirmations: ${confirmations}</li>
                     <li>${networkDetails}</li>
                 </ul>
             </div>
@@ -212,21 +191,6 @@ async function getExchangeRate(currency) {
     return data.rate;
 }
 
-/**
- * Format crypto amount with appropriate decimals
- */
-function formatCryptoAmount(amount, currency) {
-    switch (currency) {
-        case 'BTC':
-            return amount.toFixed(8) + ' BTC';
-        case 'USDC':
-        case 'UST':
-            return amount.toFixed(6) + ' ' + currency;
-        default:
-            return amount.toFixed(2) + ' ' + currency;
-    }
-}
-
 /**
  * Show error message
  */
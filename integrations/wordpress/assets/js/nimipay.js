@@ -1,4 +1,4 @@
-/* global nimipayParams */
+/* global nimipayParams, NimipayPaymentRequest */
 (function($) {
     'use strict';
 
@@ -121,11 +121,12 @@
         },
 
         showPaymentDetails: function(data) {
+            const paymentUri = this.getPaymentUri(data);
             const detailsHtml = `
                 <div class="wc-nimipay-payment-details">
-                    <div class="wc-nimipay-qr-code">
-                        <img src="${data.qr_code_url}" alt="Payment QR Code">
-                    </div>
+                    <a class="wc-nimipay-qr-code" href="${paymentUri}" title="Open in wallet">
+                        ${NimipayPaymentRequest.parse(paymentUri).toQrCode().toSvg()}
+                    </a>
                     <div class="wc-nimipay-address">
                         ${data.payment_address}
                     </div>
@@ -145,13 +146,29 @@
             `;
 
             this.paymentBox.html(detailsHtml);
-            this.startPaymentTimer();
+            this.startPaymentTimer(data.expires_at);
+        },
+
+        getPaymentUri: function(data) {
+            // Prefer the backend's payment URI, it knows the currency's scheme
+            if (data.payment_uri) {
+                return data.payment_uri;
+            }
+
+            return NimipayPaymentRequest.create({
+                currency: this.selectedMethod.toUpperCase(),
+                address: data.payment_address,
+                amount: data.amount,
+                label: `Order #${$('input[name="order_id"]').val()}`
+            }).toUri();
         },
 
-        startPaymentTimer: function() {
-            let timeLeft = 15 * 60; // 15 minutes
+        startPaymentTimer: function(expiresAt) {
+            // Count down to the quote expiry, or 15 minutes without one
+            const deadline = expiresAt ? expiresAt * 1000 : Date.now() + 15 * 60 * 1000;
+            let timeLeft;
             this.paymentTimer = setInterval(() => {
-                timeLeft--;
+                timeLeft = Math.round((deadline - Date.now()) / 1000);
                 if (timeLeft <= 0) {
                     clearInterval(this.paymentTimer);
                     this.handlePaymentTimeout();
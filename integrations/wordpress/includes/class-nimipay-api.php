@@ -8,6 +8,45 @@ if (!defined('ABSPATH')) {
  * NimiPay API Handler
  */
 class NimiPay_API {
+    /**
+     * Currencies used until the API's currency list is loaded. Same fields
+     * as the backend's getCurrencies action.
+     */
+    const DEFAULT_CURRENCIES = array(
+        'NIM' => array(
+            'name' => 'Nimiq',
+            'decimals' => 5,
+            'min_amount' => 0.00001,
+            'max_amount' => 1000000,
+            'min_confirmations' => 2,
+            'testnet_confirmations' => 1
+        ),
+        'BTC' => array(
+            'name' => 'Bitcoin',
+            'decimals' => 8,
+            'min_amount' => 0.00001,
+            'max_amount' => 100,
+            'min_confirmations' => 3,
+            'testnet_confirmations' => 1
+        ),
+        'USDC' => array(
+            'name' => 'USD Coin',
+            'decimals' => 6,
+            'min_amount' => 1,
+            'max_amount' => 1000000,
+            'min_confirmations' => 12,
+            'testnet_confirmations' => 5
+        ),
+        'UST' => array(
+            'name' => 'TerraUSD',
+            'decimals' => 6,
+            'min_amount' => 1,
+            'max_amount' => 1000000,
+            'min_confirmations' => 15,
+            'testnet_confirmations' => 5
+        )
+    );
+
     private $api_key;
     private $testmode;
     private $api_url;
@@ -38,10 +77,31 @@ class NimiPay_API {
     }
     
     /**
-     * Get supported currencies
+     * Get supported currencies, cached for an hour
      */
     public function get_currencies() {
-        return $this->request('GET', '/currencies');
+        $cached = get_transient('nimipay_currencies');
+        if ($cached !== false) {
+            return $cached;
+        }
+        
+        try {
+            $response = $this->request('GET', '/currencies');
+            $currencies = isset($response['currencies']) ? $response['currencies'] : $response;
+            set_transient('nimipay_currencies', $currencies, HOUR_IN_SECONDS);
+            return $currencies;
+        } catch (Exception $e) {
+            $this->log('Failed to load currencies: ' . $e->getMessage(), 'warning');
+            return self::DEFAULT_CURRENCIES;
+        }
+    }
+    
+    /**
+     * Get the last loaded currencies without calling the API
+     */
+    public static function get_cached_currencies() {
+        $cached = get_transient('nimipay_currencies');
+        return $cached !== false ? $cached : self::DEFAULT_CURRENCIES;
     }
     
     /**
@@ -107,72 +167,29 @@ class NimiPay_API {
      * Format amount
      */
     public function format_amount($amount, $currency) {
-        switch ($currency) {
-            case 'BTC':
-                return (int) ($amount * 100000000); // 8 decimals
-                
-            case 'USDC':
-            case 'UST':
-                return (int) ($amount * 1000000); // 6 decimals
-                
-            default:
-                return (int) ($amount * 100); // 2 decimals
-        }
+        return (int) round($amount * pow(10, $this->get_decimals($currency)));
     }
     
     /**
      * Format display amount
      */
     public function format_display_amount($amount, $currency) {
-        switch ($currency) {
-            case 'BTC':
-                return $amount / 100000000; // 8 decimals
-                
-            case 'USDC':
-            case 'UST':
-                return $amount / 1000000; // 6 decimals
-                
-            default:
-                return $amount / 100; // 2 decimals
-        }
+        return $amount / pow(10, $this->get_decimals($currency));
+    }
+    
+    /**
+     * Get currency decimals, 2 for shop currencies
+     */
+    private function get_decimals($currency) {
+        $details = $this->get_currency_details($currency);
+        return $details ? (int) $details['decimals'] : 2;
     }
     
     /**
      * Get currency details
      */
     public function get_currency_details($currency) {
-        $currencies = array(
-            'BTC' => array(
-                'name' => 'Bitcoin',
-                'decimals' => 8,
-                'min_amount' => 0.00001,
-                'max_amount' => 100,
-                'confirmations' => array(
-                    'mainnet' => 2,
-                    'testnet' => 1
-                )
-            ),
-            'USDC' => array(
-                'name' => 'USD Coin',
-                'decimals' => 6,
-                'min_amount' => 1,
-                'max_amount' => 1000000,
-                'confirmations' => array(
-                    'mainnet' => 12,
-                    'testnet' => 5
-                )
-            ),
-            'UST' => array(
-                'name' => 'Terra USD',
-                'decimals' => 6,
-                'min_amount' => 1,
-                'max_amount' => 1000000,
-                'confirmations' => array(
-                    'mainnet' => 15,
-                    'testnet' => 5
-                )
-            )
-        );
+        $currencies = $this->get_currencies();
         
         return isset($currencies[$currency]) ? $currencies[$currency] : null;
     }
@@ -200,7 +217,9 @@ class NimiPay_API {
             return 1;
         }
         
-        return $details['confirmations'][$this->testmode ? 'testnet' : 'mainnet'];
+        return $this->testmode && isset($details['testnet_confirmations'])
+            ? $details['testnet_confirmations']
+            : $details['min_confirmations'];
     }
     
     /**
@@ -59,7 +59,8 @@ add_filter('plugin_action_links_' . plugin_basename(__FILE__), 'nimipay_plugin_l
  */
 function nimipay_enqueue_scripts() {
     wp_enqueue_style('nimipay-styles', NIMIPAY_PLUGIN_URL . 'assets/css/nimipay.css', array(), NIMIPAY_VERSION);
-    wp_enqueue_script('nimipay-scripts', NIMIPAY_PLUGIN_URL . 'assets/js/nimipay.js', array('jquery'), NIMIPAY_VERSION, true);
+    wp_enqueue_script('nimipay-payment-request', NIMIPAY_PLUGIN_URL . 'assets/js/payment-request.js', array(), NIMIPAY_VERSION, true);
+    wp_enqueue_script('nimipay-scripts', NIMIPAY_PLUGIN_URL . 'assets/js/nimipay.js', array('jquery', 'nimipay-payment-request'), NIMIPAY_VERSION, true);
     
     wp_localize_script('nimipay-scripts', 'nimipayParams', array(
         'ajaxUrl' => admin_url('admin-ajax.php'),
@@ -146,15 +147,23 @@ class WC_NimiPay_Gateway extends WC_Payment_Gateway {
                 'type' => 'multiselect',
                 'description' => __('Select which cryptocurrencies to accept.', 'nimipay-gateway'),
                 'default' => array('BTC', 'USDC', 'UST'),
-                'options' => array(
-                    'BTC' => __('Bitcoin (BTC)', 'nimipay-gateway'),
-                    'USDC' => __('USD Coin (USDC)', 'nimipay-gateway'),
-                    'UST' => __('Terra USD (UST)', 'nimipay-gateway')
-                )
+                'options' => $this->get_currency_options()
             )
         );
     }
     
+    /**
+     * Currency choices, from the API's currency list
+     */
+    private function get_currency_options() {
+        $options = array();
+        foreach (NimiPay_API::get_cached_currencies() as $code => $currency) {
+            /* translators: 1: currency name, 2: currency code */
+            $options[$code] = sprintf(__('%1$s (%2$s)', 'nimipay-gateway'), $currency['name'], $code);
+        }
+        return $options;
+    }
+    
     /**
      * Process payment
      */
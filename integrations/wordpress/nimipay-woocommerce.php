@@ -98,7 +98,9 @@ register_deactivation_hook(__FILE__, 'wc_nimipay_deactivate');
 function wc_nimipay_enqueue_scripts() {
     if (is_checkout()) {
         wp_enqueue_style('nimipay-checkout', plugins_url('assets/css/nimipay.css', __FILE__));
-        wp_enqueue_script('nimipay-checkout', plugins_url('assets/js/nimipay.js', __FILE__), array('jquery'), '1.0.0', true);
+        // Payment URIs and QR codes, built from src/Services/PaymentRequest.js
+        wp_enqueue_script('nimipay-payment-request', plugins_url('assets/js/payment-request.js', __FILE__), array(), '1.0.0', true);
+        wp_enqueue_script('nimipay-checkout', plugins_url('assets/js/nimipay.js', __FILE__), array('jquery', 'nimipay-payment-request'), '1.0.0', true);
         
         wp_localize_script('nimipay-checkout', 'nimipayParams', array(
             'ajaxUrl' => admin_url('admin-ajax.php'),
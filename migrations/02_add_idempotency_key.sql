@@ -0,0 +1,6 @@
+-- Track the payment attempt that last updated an invoice
+ALTER TABLE `nimipay_invoices`
+ADD COLUMN `idempotency_key` varchar(120) COLLATE utf8_bin DEFAULT NULL AFTER `tx`;
+
+ALTER TABLE `nimipay_invoices`
+ADD INDEX `idx_idempotency_key` (`idempotency_key`);
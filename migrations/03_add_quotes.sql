@@ -0,0 +1,4 @@
+-- Track the quote that locked an invoice's exchange rate
+ALTER TABLE `nimipay_invoices`
+ADD COLUMN `quote_id` varchar(32) COLLATE utf8_bin DEFAULT NULL AFTER `exchange_timestamp`,
+ADD COLUMN `quote_expires_at` timestamp NULL DEFAULT NULL AFTER `quote_id`;
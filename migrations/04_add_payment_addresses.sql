@@ -0,0 +1,7 @@
+-- Per-invoice receive addresses derived from the merchant's xpub
+ALTER TABLE `nimipay_invoices`
+ADD COLUMN `payment_address` varchar(100) COLLATE utf8_bin DEFAULT NULL AFTER `address`,
+ADD COLUMN `derivation_index` int(11) unsigned DEFAULT NULL AFTER `payment_address`;
+
+ALTER TABLE `nimipay_invoices`
+ADD UNIQUE INDEX `idx_derivation_index` (`currency`, `derivation_index`);
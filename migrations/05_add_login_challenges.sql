@@ -0,0 +1,9 @@
+-- One-time challenges customers sign in the Nimiq Hub to log in
+CREATE TABLE IF NOT EXISTS `nimipay_login_challenges` (
+  `nonce` varchar(32) COLLATE utf8_bin NOT NULL,
+  `address` varchar(100) COLLATE utf8_bin NOT NULL,
+  `challenge` varchar(500) COLLATE utf8_bin NOT NULL,
+  `expires_at` timestamp NOT NULL,
+  PRIMARY KEY (`nonce`),
+  KEY `idx_expires_at` (`expires_at`)
+) ENGINE=MyISAM DEFAULT CHARSET=utf8 COLLATE=utf8_bin;
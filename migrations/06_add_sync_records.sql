@@ -0,0 +1,14 @@
+-- Records the PoS terminals sync through syncPush and syncPull
+CREATE TABLE IF NOT EXISTS `nimipay_sync_records` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `type` varchar(20) COLLATE utf8_bin NOT NULL,
+  `record_id` varchar(100) COLLATE utf8_bin NOT NULL,
+  `data` mediumtext COLLATE utf8_bin NOT NULL,
+  `version` int(11) unsigned NOT NULL,
+  `device_id` varchar(100) COLLATE utf8_bin NOT NULL,
+  `device_version` int(11) unsigned DEFAULT NULL,
+  `updated_at` bigint(20) unsigned NOT NULL, -- milliseconds
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `idx_record` (`type`, `record_id`),
+  KEY `idx_updated_at` (`updated_at`)
+) ENGINE=MyISAM DEFAULT CHARSET=utf8 COLLATE=utf8_bin;
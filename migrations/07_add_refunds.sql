@@ -0,0 +1,14 @@
+-- Refunds requested through the refund action, sent by the merchant
+CREATE TABLE IF NOT EXISTS `nimipay_refunds` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `id_invoice` varchar(100) COLLATE utf8_bin NOT NULL,
+  `original_tx_id` varchar(120) COLLATE utf8_bin NOT NULL,
+  `original_tx` varchar(100) COLLATE utf8_bin NOT NULL,
+  `currency` varchar(10) COLLATE utf8_bin NOT NULL,
+  `amount` decimal(30,18) NOT NULL,
+  `reason` varchar(255) COLLATE utf8_bin DEFAULT NULL,
+  `status` varchar(20) COLLATE utf8_bin NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_invoice` (`id_invoice`)
+) ENGINE=MyISAM DEFAULT CHARSET=utf8 COLLATE=utf8_bin;
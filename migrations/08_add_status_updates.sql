@@ -0,0 +1,12 @@
+-- Invoice status changes reported through the updateStatus action
+CREATE TABLE IF NOT EXISTS `nimipay_status_updates` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `id_invoice` varchar(100) COLLATE utf8_bin NOT NULL,
+  `idempotency_key` varchar(120) COLLATE utf8_bin DEFAULT NULL,
+  `status` varchar(20) COLLATE utf8_bin NOT NULL,
+  `tx_id` varchar(120) COLLATE utf8_bin NOT NULL,
+  `metadata` text COLLATE utf8_bin,
+  `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_invoice` (`id_invoice`)
+) ENGINE=MyISAM DEFAULT CHARSET=utf8 COLLATE=utf8_bin;
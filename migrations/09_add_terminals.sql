@@ -0,0 +1,14 @@
+-- PoS terminals allowed to call the backend's terminal actions. A terminal
+-- sends its device ID and API key in the X-Nimipay-Device and X-Nimipay-Key
+-- headers; only the key's SHA-256 is stored. Register one with e.g.
+--   INSERT INTO nimipay_terminals (device_id, api_key_hash, role)
+--   VALUES ('pos-1', SHA2('<random key>', 256), 'terminal');
+-- Terminals with the `merchant` role may also refund.
+CREATE TABLE IF NOT EXISTS `nimipay_terminals` (
+  `device_id` varchar(100) COLLATE utf8_bin NOT NULL,
+  `api_key_hash` char(64) COLLATE utf8_bin NOT NULL,
+  `role` varchar(20) COLLATE utf8_bin NOT NULL DEFAULT 'terminal',
+  `name` varchar(100) COLLATE utf8_bin DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`device_id`)
+) ENGINE=MyISAM DEFAULT CHARSET=utf8 COLLATE=utf8_bin;
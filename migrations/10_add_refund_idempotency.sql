@@ -0,0 +1,14 @@
+-- One row per refund request: a retried request carries the same key
+ALTER TABLE `nimipay_refunds`
+ADD COLUMN `idempotency_key` varchar(120) COLLATE utf8_bin DEFAULT NULL AFTER `id_invoice`;
+
+ALTER TABLE `nimipay_refunds`
+ADD UNIQUE KEY `idx_idempotency_key` (`idempotency_key`);
+
+-- The refund action locks the invoice row (SELECT ... FOR UPDATE) while it
+-- checks the refunded total, which needs transactions
+ALTER TABLE `nimipay_refunds` ENGINE=InnoDB;
+ALTER TABLE `nimipay_invoices` ENGINE=InnoDB;
+
+ALTER TABLE `nimipay_invoices`
+ADD INDEX `idx_id_invoice` (`id_invoice`);
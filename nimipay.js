@@ -1,13 +1,13 @@
 // Initialize the Nimiq Hub API
 const hubApi = new HubApi('https://wallet.nimiq.com');
 
-// Currency configurations
-const CURRENCY_CONFIG = {
+// Currency configurations, replaced by the backend's once npLoadCurrencies() answers
+let CURRENCY_CONFIG = {
     NIM: {
         name: 'Nimiq',
         symbol: 'NIM',
         icon: 'https://api.nimiq.com/identicon/NIM.png',
-        decimals: 4,
+        decimals: 5, // 1 NIM = 100000 luna
         minConfirmations: 2,
         type: 'native'
     },
@@ -17,7 +17,9 @@ const CURRENCY_CONFIG = {
         icon: 'img/btc-icon.png',
         decimals: 8,
         minConfirmations: 3,
-        type: 'native'
+        type: 'native',
+        network: 'bitcoin',
+        esploraUrl: 'https://blockstream.info/api'
     },
     USDC: {
         name: 'USD Coin',
@@ -26,7 +28,10 @@ const CURRENCY_CONFIG = {
         decimals: 6,
         minConfirmations: 12,
         type: 'erc20',
-        network: 'ethereum'
+        network: 'ethereum',
+        contractAddress: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+        chainId: 1,
+        eip712Domain: { name: 'USD Coin', version: '2' }
     },
     UST: {
         name: 'TerraUSD',
@@ -113,7 +118,9 @@ function getCurrencyDisplay(props) {
         display += `Balance: ${formatAmount(balance, currency.decimals)} ${currency.symbol} ($${usdValue.toFixed(2)})`;
         
         // Show gas fee estimate for ERC20 tokens
-        if (currency.type === 'erc20' && props.gasFee !== null) {
+        if (currency.type === 'erc20' && props.gasFee === 0) {
+            display += '<br>Gas fees covered by service';
+        } else if (currency.type === 'erc20' && props.gasFee !== null) {
             display += `<br>Estimated Gas Fee: ${props.gasFee} ETH`;
         }
     } else {
@@ -176,9 +183,8 @@ async function npSelectCurrency(currency) {
     // Get gas fee estimate for ERC20 tokens
     if (CURRENCY_CONFIG[currency].type === 'erc20') {
         try {
-            const response = await fetch(`${npBackendUrl}?action=estimateGasFee&currency=${currency}`);
-            const data = await response.json();
-            np.data.gasFee = data.fee;
+            const { fee } = await npErc20Adapter(currency).estimateFee({ recipient: npEthAddress });
+            np.data.gasFee = fee.toNumber();
         } catch (error) {
             console.error('Failed to estimate gas fee:', error);
         }
@@ -204,7 +210,8 @@ async function npGetBalance(currency) {
                 break;
                 
             case 'erc20':
-                // Get USDC balance through Web3
+                // Balance of the account connected in the browser wallet
+                balance = await npErc20Adapter(currency).getBalance();
                 break;
                 
             case 'terra':
@@ -298,19 +305,76 @@ async function processNimPayment(invoice, amount) {
 }
 
 async function processBtcPayment(invoice, amount) {
-    // Implement BTC payment flow
-    const btcAddress = await getBtcPaymentAddress();
-    showBtcPaymentInfo(invoice.id_invoice, btcAddress, amount);
+    // A fresh address per invoice, derived from npBtcXpub
+    const result = await npBtcAdapter().sendPayment({
+        invoice: invoice,
+        amount: amount
+    });
+    showBtcPaymentInfo(invoice.id_invoice, result.address, amount);
 }
 
+// Per-invoice Bitcoin addresses, from dist/bitcoin-adapter.js. One adapter
+// keeps watching the handed out addresses across checkouts.
+let npBtcAdapterInstance = null;
+function npBtcAdapter() {
+    if (!npBtcAdapterInstance) {
+        npBtcAdapterInstance = new NimipayBitcoinChainAdapter(CURRENCY_CONFIG.BTC, {
+            xpub: npBtcXpub,
+            request: npBackendAction,
+            store: {
+                getItem: async (key) => JSON.parse(localStorage.getItem('np_' + key)),
+                setItem: async (key, value) => localStorage.setItem('np_' + key, JSON.stringify(value))
+            }
+        });
+    }
+    return npBtcAdapterInstance;
+}
+
+// Payments to an invoice's address, credited by the Bitcoin adapter
+window.addEventListener('nimipay:incoming', (event) => {
+    const { type, data } = event.detail;
+    if (type === 'incoming:matched' && data.currency === 'BTC') {
+        handlePaymentResponse(data.invoiceId, data.hash, 'BTC');
+    }
+});
+
 async function processUSDCPayment(invoice, amount) {
-    // Show gas fee warning
-    if (!confirm(`This transaction requires ETH for gas (estimated: ${np.data.gasFee} ETH). Continue?`)) {
+    const adapter = npErc20Adapter('USDC');
+
+    // Show gas fee warning, unless the relayer pays the gas
+    if (!adapter.gasless && !confirm(`This transaction requires ETH for gas (estimated: ${np.data.gasFee} ETH). Continue?`)) {
         return;
     }
     
-    // Implement USDC payment through Web3
     showERC20PaymentInfo(invoice.id_invoice, amount);
+    const result = await adapter.sendPayment({
+        invoice: invoice,
+        amount: amount,
+        recipient: npEthAddress
+    });
+    await handlePaymentResponse(invoice.id_invoice, result.hash, 'USDC');
+}
+
+// ERC-20 payments through the browser wallet, from dist/erc20-adapter.js;
+// gasless currencies hand the signed payment to the backend's relayer
+function npErc20Adapter(currency) {
+    return new NimipayErc20ChainAdapter(CURRENCY_CONFIG[currency], {
+        relay: npBackendAction
+    });
+}
+
+// Post a JSON action to the backend, for the chain adapters
+async function npBackendAction(action, body) {
+    const response = await fetch(`${npBackendUrl}?action=${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const result = await response.json();
+    if (!response.ok) {
+        throw Object.assign(new Error(result.error || `Backend action ${action} failed`), { code: result.code });
+    }
+    return result;
 }
 
 async function processUSTPayment(invoice, amount) {
@@ -319,16 +383,21 @@ async function processUSTPayment(invoice, amount) {
 }
 
 function showBtcPaymentInfo(invoiceId, address, amount) {
+    // BIP21 request, from dist/payment-request.js
+    const request = NimipayPaymentRequest.create({
+        currency: 'BTC',
+        address: address,
+        amount: amount,
+        label: 'Invoice #'+invoiceId
+    });
+
     document.getElementById('np-invoice-'+invoiceId).innerHTML = 
         `<div class="btc-payment-info">
             <p>Send exactly ${amount} BTC to:</p>
             <div class="btc-address">${address}</div>
-            <div class="qr-code" id="qr-${invoiceId}"></div>
+            <a class="qr-code" id="qr-${invoiceId}" href="${request.toUri()}">${request.toQrCode().toSvg()}</a>
             <p>Waiting for payment...</p>
         </div>`;
-    
-    // Generate QR code
-    generateQRCode('qr-'+invoiceId, `bitcoin:${address}?amount=${amount}`);
 }
 
 function showERC20PaymentInfo(invoiceId, amount) {
@@ -336,7 +405,7 @@ function showERC20PaymentInfo(invoiceId, amount) {
         `<div class="erc20-payment-info">
             <p>Confirm the transaction in your Ethereum wallet</p>
             <p>Amount: ${amount} USDC</p>
-            <p>Estimated Gas: ${np.data.gasFee} ETH</p>
+            <p>${np.data.gasFee === 0 ? 'Gas fees covered by service' : `Estimated Gas: ${np.data.gasFee} ETH`}</p>
             <span class="np-loading np-line"></span>
         </div>`;
 }
@@ -362,6 +431,32 @@ async function handlePaymentResponse(id_invoice, txHash, currency) {
     await npTxBackendValidate(txHash, id_invoice, currency);
 }
 
+// Load the backend's currency config, the same one src/Services/CurrencyRegistry uses
+async function npLoadCurrencies() {
+    try {
+        const response = await fetch(`${npBackendUrl}?action=getCurrencies`);
+        const { currencies } = await response.json();
+        CURRENCY_CONFIG = Object.fromEntries(Object.entries(currencies).map(([symbol, config]) => [symbol, {
+            name: config.name,
+            symbol,
+            icon: config.icon,
+            decimals: config.decimals,
+            minConfirmations: config.min_confirmations,
+            type: config.type,
+            network: config.network,
+            contractAddress: config.contract_address,
+            chainId: config.chain_id,
+            gasless: config.gasless,
+            eip712Domain: config.eip712_domain,
+            relayerAddress: config.relayer_address,
+            esploraUrl: config.esplora_url
+        }]));
+        np.render();
+    } catch (error) {
+        console.error('Failed to load currencies, using defaults:', error);
+    }
+}
+
 function formatAmount(amount, decimals) {
     return Number(amount).toFixed(decimals);
 }
@@ -416,6 +511,7 @@ style.textContent = `
         border-radius: 4px;
     }
     .qr-code {
+        display: block;
         margin: 15px auto;
         width: 200px;
         height: 200px;
@@ -435,3 +531,5 @@ style.textContent = `
     }
 `;
 document.head.appendChild(style);
+
+npLoadCurrencies();
@@ -4,11 +4,16 @@ require_once 'meekrodb.2.3.class.php';
 require_once 'nimipay_auth.php';
 require_once __DIR__ . '/vendor/autoload.php';
 
+use Nimipay\Services\NimiqAuthService;
 use Nimipay\Services\PaymentProcessor;
 use Nimipay\Services\PriceService;
 
 $paymentProcessor = new PaymentProcessor();
-$priceService = new PriceService();
+$priceService = new PriceService($security_config['quote_secret'] ?? null);
+$nimiqAuth = new NimiqAuthService(
+    $merchant_config['merchant_name'],
+    $security_config['login_challenge_lifetime'] ?? 300
+);
 
 // get vars from the frontend calls
 $action = $_GET['action'];
@@ -27,52 +32,126 @@ if ($action == "getPrice") {
     exit();
 }
 
-// when user logs into a wallet
-if ($action == "sendUserAddress") {
-    $data = json_decode($data, true);
-    $address = $data["address"];
-    $label = $data["label"];
-    $date = date("Y-m-d H:i:s");
+// Currencies the frontend registers chain adapters for
+if ($action == "getCurrencies") {
+    // nimipay_auth.php can switch currencies off; unlisted ones stay enabled
+    $enabled = [];
+    foreach ($paymentProcessor->getCurrencies() as $code => $currency) {
+        if ($currency_config[$code]['enabled'] ?? true) {
+            $enabled[] = $code;
+        }
+    }
 
-    $row = DB::queryFirstRow("SELECT * FROM nimipay_users WHERE address=%s LIMIT 1", $address);
+    echo json_encode(['currencies' => $paymentProcessor->getCurrencies($enabled)]);
+    exit();
+}
 
-    // if user doesn't exist
-    if (!$row) {
-        // create new user
-        DB::insert('nimipay_users', array(
-            'address' => $address,
-            'label' => $label,
-            'login_first' => $date,
-            'login_last' => $date
-        ));
+// Lock the exchange rate for paying an invoice
+if ($action == "createQuote") {
+    $body = json_decode(file_get_contents('php://input'), true);
+    $id_invoice = $body['invoice_id'] ?? null;
+    $currency = $body['currency'] ?? 'NIM';
 
-        // create new invoice, write to db
-        $id_invoice = uniqid();
-        DB::insert('nimipay_invoices', array(
-            'id_invoice' => $id_invoice,
-            'type' => 'demo_invoice',
-            'value_usd' => '0.01',
-            'currency' => 'NIM',
-            'value' => '0.01',
-            'exchange_rate' => '1.0',
-            'address' => $address
+    try {
+        $invoice = DB::queryFirstRow("SELECT * FROM nimipay_invoices WHERE id_invoice=%s", $id_invoice);
+        if (!$invoice) {
+            throw new Exception("Invoice not found");
+        }
+
+        $quote = $priceService->createQuote($id_invoice, floatval($invoice['value_usd']), $currency);
+
+        // validateTx checks payments against the locked amount
+        DB::update('nimipay_invoices', array(
+            'currency' => $currency,
+            'value' => $quote['crypto_amount'],
+            'exchange_rate' => $quote['rate'],
+            'exchange_timestamp' => date("Y-m-d H:i:s", $quote['created_at']),
+            'quote_id' => $quote['quote_id'],
+            'quote_expires_at' => date("Y-m-d H:i:s", $quote['expires_at'])
+        ), "id_invoice=%s", $id_invoice);
+
+        echo json_encode($quote);
+    } catch (Exception $e) {
+        http_response_code(500);
+        echo json_encode(['error' => $e->getMessage()]);
+    }
+    exit();
+}
+
+// Challenge the customer signs in the Nimiq Hub to log in with an address
+if ($action == "loginChallenge") {
+    $body = json_decode(file_get_contents('php://input'), true);
+
+    try {
+        $challenge = $nimiqAuth->createChallenge($body['address'] ?? '');
+        DB::insert('nimipay_login_challenges', array(
+            'nonce' => $challenge['nonce'],
+            'address' => $nimiqAuth->formatAddress($body['address']),
+            'challenge' => $challenge['challenge'],
+            'expires_at' => date("Y-m-d H:i:s", $challenge['expires_at'])
         ));
 
-        $invoice = array(
-            'id_invoice' => $id_invoice,
-            'type' => 'demo_invoice',
-            'value_usd' => '0.01',
-            'currency' => 'NIM',
-            'value' => '0.01',
-            'address' => $address,
-            'status' => ''
-        );
-        
-        echo (json_encode([$invoice, 'initial']));
+        echo json_encode(['challenge' => $challenge['challenge'], 'expires_at' => $challenge['expires_at']]);
+    } catch (Exception $e) {
+        http_response_code(500);
+        echo json_encode(['error' => $e->getMessage()]);
+    }
+    exit();
+}
+
+// when user logs into a wallet: check the signed challenge, then load their invoices
+if ($action == "login") {
+    $body = json_decode(file_get_contents('php://input'), true);
+    $address = $nimiqAuth->formatAddress($body['address'] ?? '');
+    $label = $body['label'] ?? '';
+    $date = date("Y-m-d H:i:s");
+
+    // a challenge can be used once, by the address it was issued to
+    $challenge = DB::queryFirstRow(
+        "SELECT * FROM nimipay_login_challenges WHERE challenge=%s AND address=%s AND expires_at>%s",
+        $body['challenge'] ?? '', $address, $date
+    );
+    DB::delete('nimipay_login_challenges', "expires_at<=%s", $date);
+    if ($challenge) {
+        DB::delete('nimipay_login_challenges', "nonce=%s", $challenge['nonce']);
+    }
+    if (!$challenge || !$nimiqAuth->verifySignedMessage(
+        $address, $challenge['challenge'], $body['public_key'] ?? '', $body['signature'] ?? ''
+    )) {
+        http_response_code(401);
+        echo json_encode(['error' => 'Invalid login signature', 'code' => 'AUTH_FAILED']);
         exit();
     }
-    // if user exists
-    else {
+
+    try {
+        $row = DB::queryFirstRow("SELECT * FROM nimipay_users WHERE address=%s LIMIT 1", $address);
+
+        // if user doesn't exist
+        if (!$row) {
+            // create new user
+            DB::insert('nimipay_users', array(
+                'address' => $address,
+                'label' => $label,
+                'login_first' => $date,
+                'login_last' => $date
+            ));
+
+            // create new invoice, write to db
+            $invoice = array(
+                'id_invoice' => uniqid(),
+                'type' => 'demo_invoice',
+                'value_usd' => '0.01',
+                'currency' => 'NIM',
+                'value' => '0.01',
+                'exchange_rate' => '1.0',
+                'address' => $address
+            );
+            DB::insert('nimipay_invoices', $invoice);
+
+            echo json_encode(['invoices' => [$invoice + ['status' => '']], 'items' => []]);
+            exit();
+        }
+
         // update user metadata
         DB::update('nimipay_users', array(
             'label' => $label,
@@ -86,14 +165,112 @@ if ($action == "sendUserAddress") {
         $items = [];
         foreach ($invoices as $invoice) {
             if ($invoice['status'] == "confirmed") {
-                $item = DB::queryFirstRow("SELECT * FROM nimipay_items WHERE id_invoice=%s LIMIT 1", $invoice['id_invoice']);
-                $items[] = $item;
+                $items[] = DB::queryFirstRow("SELECT * FROM nimipay_items WHERE id_invoice=%s LIMIT 1", $invoice['id_invoice']);
             }
         }
-        
-        echo(json_encode([ $invoices, $items ]));
-        exit();
+
+        echo json_encode(['invoices' => $invoices, 'items' => $items]);
+    } catch (Exception $e) {
+        http_response_code(500);
+        echo json_encode(['error' => $e->getMessage()]);
     }
+    exit();
+}
+
+// Changes a PoS terminal made, each based on the record version it last saw
+if ($action == "syncPush") {
+    $deviceId = syncingDevice();
+    $body = json_decode(file_get_contents('php://input'), true);
+    $accepted = [];
+    $conflicts = [];
+
+    try {
+        if (!is_array($body['changes'] ?? null)) {
+            throw new Exception("Invalid sync request");
+        }
+
+        foreach ($body['changes'] as $change) {
+            $record = DB::queryFirstRow(
+                "SELECT * FROM nimipay_sync_records WHERE type=%s AND record_id=%s",
+                $change['type'], $change['id']
+            );
+
+            // the same change again, when the terminal missed our answer
+            if ($record && $record['device_id'] === $deviceId
+                && $record['device_version'] !== null && (int)$record['device_version'] === (int)$change['version']) {
+                $accepted[] = ['key' => $change['key'], 'version' => (int)$record['version']];
+                continue;
+            }
+
+            // another terminal changed the record since this one saw it
+            if ($record && (int)$record['version'] !== (int)($change['base_version'] ?? 0)) {
+                $conflicts[] = [
+                    'key' => $change['key'],
+                    'remote_data' => json_decode($record['data'], true),
+                    'remote_version' => (int)$record['version'],
+                    'remote_device_id' => $record['device_id']
+                ];
+                continue;
+            }
+
+            $version = $record ? (int)$record['version'] + 1 : 1;
+            DB::insertUpdate('nimipay_sync_records', array(
+                'type' => $change['type'],
+                'record_id' => $change['id'],
+                'data' => json_encode($change['data']),
+                'version' => $version,
+                'device_id' => $deviceId,
+                'device_version' => $change['version'],
+                'updated_at' => (int)round(microtime(true) * 1000)
+            ));
+            $accepted[] = ['key' => $change['key'], 'version' => $version];
+        }
+
+        echo json_encode(['accepted' => $accepted, 'conflicts' => $conflicts]);
+    } catch (Exception $e) {
+        http_response_code(500);
+        echo json_encode(['error' => $e->getMessage()]);
+    }
+    exit();
+}
+
+// Records other terminals changed since a terminal's last sync
+if ($action == "syncPull") {
+    $deviceId = syncingDevice();
+    $body = json_decode(file_get_contents('php://input'), true);
+    $limit = 500;
+
+    try {
+        // taken before the query, so nothing written meanwhile is skipped next time
+        $serverTime = (int)round(microtime(true) * 1000);
+        $records = DB::query(
+            "SELECT * FROM nimipay_sync_records WHERE updated_at>=%i AND device_id<>%s ORDER BY updated_at LIMIT %i",
+            (int)($body['since'] ?? 0), $deviceId, $limit + 1
+        );
+
+        $hasMore = count($records) > $limit;
+        $records = array_slice($records, 0, $limit);
+        $changes = array_map(function ($record) {
+            return [
+                'type' => $record['type'],
+                'id' => $record['record_id'],
+                'data' => json_decode($record['data'], true),
+                'version' => (int)$record['version'],
+                'device_id' => $record['device_id']
+            ];
+        }, $records);
+
+        echo json_encode([
+            'changes' => $changes,
+            // a partial page continues from its last record; changes are applied idempotently
+            'server_time' => $hasMore ? (int)end($records)['updated_at'] : $serverTime,
+            'has_more' => $hasMore
+        ]);
+    } catch (Exception $e) {
+        http_response_code(500);
+        echo json_encode(['error' => $e->getMessage()]);
+    }
+    exit();
 }
 
 // when user adds a new item
@@ -135,11 +312,22 @@ if ($action == 'sendTxHash') {
     $id_invoice = $data["invoice"];
     $tx = $data["tx"];
     $currency = $data["currency"] ?? 'NIM';
+    $idempotency_key = $data["idempotency_key"] ?? null;
+
+    // a retried request for the same payment attempt must not overwrite it
+    if ($idempotency_key) {
+        $invoice = DB::queryFirstRow("SELECT tx, idempotency_key FROM nimipay_invoices WHERE id_invoice=%s", $id_invoice);
+        if ($invoice && $invoice['idempotency_key'] === $idempotency_key && $invoice['tx'] !== '') {
+            echo('Invoice status updated');
+            exit();
+        }
+    }
 
     // update invoice db status
     DB::update('nimipay_invoices', array(
         'tx' => $tx,
         'currency' => $currency,
+        'idempotency_key' => $idempotency_key,
         'status' => 'pending'
     ), "id_invoice=%s", $id_invoice);
 
@@ -147,6 +335,318 @@ if ($action == 'sendTxHash') {
     exit();
 }
 
+// Record the receive address the frontend derived from the merchant xpub for an invoice
+if ($action == "assignAddress") {
+    $body = json_decode(file_get_contents('php://input'), true);
+    $id_invoice = $body['invoice_id'] ?? null;
+    $currency = $body['currency'] ?? 'BTC';
+    $address = $body['address'] ?? '';
+    $index = $body['derivation_index'] ?? null;
+
+    try {
+        $invoice = DB::queryFirstRow("SELECT * FROM nimipay_invoices WHERE id_invoice=%s", $id_invoice);
+        if (!$invoice) {
+            throw new Exception("Invoice not found");
+        }
+        if (!is_int($index) || $index < 0 || !$paymentProcessor->isValidAddress($currency, $address)) {
+            throw new Exception("Invalid payment address");
+        }
+
+        // an invoice keeps the address it was shown with
+        if ($invoice['payment_address'] && $invoice['payment_address'] !== $address) {
+            http_response_code(409);
+            echo json_encode(['error' => 'Invoice already has a payment address', 'code' => 'VALIDATION_ERROR']);
+            exit();
+        }
+
+        // a reused address moves over only from an invoice that was never paid
+        $holder = DB::queryFirstRow(
+            "SELECT id_invoice, tx FROM nimipay_invoices WHERE currency=%s AND derivation_index=%i AND id_invoice<>%s",
+            $currency, $index, $id_invoice
+        );
+        if ($holder && (empty($body['recycled']) || $holder['tx'] !== '')) {
+            http_response_code(409);
+            echo json_encode(['error' => 'Address already assigned', 'code' => 'ADDRESS_IN_USE']);
+            exit();
+        }
+        if ($holder) {
+            DB::update('nimipay_invoices', array(
+                'payment_address' => null,
+                'derivation_index' => null
+            ), "id_invoice=%s", $holder['id_invoice']);
+        }
+
+        DB::update('nimipay_invoices', array(
+            'currency' => $currency,
+            'payment_address' => $address,
+            'derivation_index' => $index
+        ), "id_invoice=%s", $id_invoice);
+
+        echo json_encode(['status' => 'success', 'address' => $address, 'derivation_index' => $index]);
+    } catch (Exception $e) {
+        http_response_code(500);
+        echo json_encode(['error' => $e->getMessage()]);
+    }
+    exit();
+}
+
+// Send a gasless payment the customer signed: the relayer account pays the gas
+if ($action == "relayPayment") {
+    $body = json_decode(file_get_contents('php://input'), true);
+    $id_invoice = $body['invoice_id'] ?? null;
+    $currency = $body['currency'] ?? 'USDC';
+
+    try {
+        $invoice = DB::queryFirstRow("SELECT * FROM nimipay_invoices WHERE id_invoice=%s", $id_invoice);
+        if (!$invoice) {
+            throw new Exception("Invoice not found");
+        }
+
+        $tx = $paymentProcessor->relayPayment(
+            $currency,
+            $body,
+            $currency_config[$currency]['eth_address'] ?? '',
+            floatval($invoice['value']),
+            $currency_config[$currency]['relayer_address'] ?? ''
+        );
+
+        // the relayed transaction pays the invoice, as if sent with sendTxHash
+        DB::update('nimipay_invoices', array(
+            'tx' => $tx,
+            'currency' => $currency,
+            'idempotency_key' => $body['idempotency_key'] ?? null,
+            'status' => 'pending'
+        ), "id_invoice=%s", $id_invoice);
+
+        echo json_encode(['tx_hash' => $tx]);
+    } catch (Exception $e) {
+        http_response_code(500);
+        echo json_encode(['error' => $e->getMessage()]);
+    }
+    exit();
+}
+
+// Payment instructions for currencies the browser cannot send itself: the
+// customer pays the returned address from their own wallet
+if ($action == "createPayment") {
+    $body = json_decode(file_get_contents('php://input'), true);
+    $id_invoice = $body['invoice_id'] ?? null;
+    $currency = $body['currency'] ?? 'BTC';
+    $idempotency_key = $body['idempotency_key'] ?? null;
+
+    try {
+        $invoice = DB::queryFirstRow("SELECT * FROM nimipay_invoices WHERE id_invoice=%s", $id_invoice);
+        if (!$invoice) {
+            throw new Exception("Invoice not found");
+        }
+
+        // a payment locked by a quote must be created while the quote is valid
+        if (!empty($body['quote_id'])) {
+            $expires = $invoice['quote_expires_at'] ? strtotime($invoice['quote_expires_at']) : 0;
+            if ($invoice['quote_id'] !== $body['quote_id'] || time() >= $expires) {
+                http_response_code(409);
+                echo json_encode(['error' => 'Quote expired', 'code' => 'QUOTE_EXPIRED']);
+                exit();
+            }
+        }
+
+        $address = $invoice['payment_address'] ?: merchantAddress($currency, $merchant_config, $currency_config);
+        if (!$address) {
+            throw new Exception("No receiving address configured for $currency");
+        }
+
+        // the invoice is priced in the currency it is paid in
+        $value = $invoice['value'];
+        if (($invoice['currency'] ?? 'NIM') !== $currency) {
+            $value = $priceService->convertAmount(floatval($invoice['value_usd']), $currency, true);
+        }
+
+        // a retried request for the same attempt gets the same instructions
+        DB::update('nimipay_invoices', array(
+            'currency' => $currency,
+            'value' => $value,
+            'idempotency_key' => $idempotency_key,
+            'status' => 'awaiting_payment'
+        ), "id_invoice=%s", $id_invoice);
+
+        echo json_encode([
+            'payment_id' => $idempotency_key ?: $id_invoice,
+            'address' => $address,
+            'amount' => $value,
+            'currency' => $currency,
+            'status' => 'pending'
+        ]);
+    } catch (Exception $e) {
+        http_response_code(500);
+        echo json_encode(['error' => $e->getMessage()]);
+    }
+    exit();
+}
+
+// Record a refund of a completed payment for the merchant to send. Each
+// refund request has its own idempotency key; a retried request answers
+// with the refund it recorded
+if ($action == "refund") {
+    requireTerminal('merchant');
+    $body = json_decode(file_get_contents('php://input'), true);
+    $id_invoice = $body['invoice_id'] ?? null;
+    $amount = floatval($body['amount'] ?? 0);
+    $idempotency_key = $body['idempotency_key'] ?? '';
+
+    if ($idempotency_key === '') {
+        http_response_code(422);
+        echo json_encode(['error' => 'Missing idempotency key', 'code' => 'VALIDATION_ERROR']);
+        exit();
+    }
+
+    try {
+        // the invoice row stays locked until commit, so concurrent refunds
+        // of an invoice check the refunded total one after another
+        DB::startTransaction();
+        $invoice = DB::queryFirstRow("SELECT * FROM nimipay_invoices WHERE id_invoice=%s FOR UPDATE", $id_invoice);
+        if (!$invoice) {
+            throw new Exception("Invoice not found");
+        }
+
+        $existing = DB::queryFirstRow("SELECT * FROM nimipay_refunds WHERE idempotency_key=%s", $idempotency_key);
+        if ($existing) {
+            DB::commit();
+            echo json_encode(['refund_id' => (int)$existing['id'], 'status' => $existing['status'], 'duplicate' => true]);
+            exit();
+        }
+
+        // refunds never exceed what the invoice was paid
+        $refunded = floatval(DB::queryFirstField(
+            "SELECT COALESCE(SUM(amount), 0) FROM nimipay_refunds WHERE id_invoice=%s",
+            $id_invoice
+        ));
+        if ($amount <= 0 || $refunded + $amount > floatval($invoice['value'])) {
+            DB::rollback();
+            http_response_code(422);
+            echo json_encode(['error' => 'Refund exceeds the amount paid', 'code' => 'VALIDATION_ERROR']);
+            exit();
+        }
+
+        DB::insert('nimipay_refunds', array(
+            'id_invoice' => $id_invoice,
+            'idempotency_key' => $idempotency_key,
+            'original_tx_id' => $body['original_tx_id'] ?? '',
+            'original_tx' => $body['original_hash'] ?? '',
+            'currency' => $body['currency'] ?? $invoice['currency'],
+            'amount' => $amount,
+            'reason' => $body['reason'] ?? null,
+            'status' => 'requested'
+        ));
+        $refund_id = DB::insertId();
+        DB::commit();
+
+        echo json_encode(['refund_id' => $refund_id, 'status' => 'requested', 'duplicate' => false]);
+    } catch (Exception $e) {
+        DB::rollback();
+        http_response_code(500);
+        echo json_encode(['error' => $e->getMessage()]);
+    }
+    exit();
+}
+
+// Status changes a terminal reports for an invoice. A report repeated by a
+// retried request, e.g. after the response was lost, is recorded only once
+if ($action == "updateStatus") {
+    requireTerminal();
+    $body = json_decode(file_get_contents('php://input'), true);
+    $id_invoice = $body['invoice_id'] ?? null;
+    $status = $body['status'] ?? '';
+    $tx_id = $body['tx_id'] ?? '';
+    $idempotency_key = $body['idempotency_key'] ?? null;
+
+    // progress a terminal may report; a paid invoice is only recorded once
+    // the backend checked its transaction, a refunded one only by a merchant
+    $reported_statuses = ['pending', 'seen', 'confirming', 'retrying', 'failed', 'unpaid', 'partially_paid', 'partially_refunded'];
+    $verified_statuses = ['confirmed', 'paid', 'overpaid'];
+
+    try {
+        $invoice = DB::queryFirstRow("SELECT * FROM nimipay_invoices WHERE id_invoice=%s", $id_invoice);
+        if (!$invoice) {
+            throw new Exception("Invoice not found");
+        }
+        if ($status === 'refunded') {
+            requireTerminal('merchant');
+        }
+        if (!in_array($status, array_merge($reported_statuses, $verified_statuses, ['refunded']), true)) {
+            http_response_code(422);
+            echo json_encode(['error' => 'Invalid status', 'code' => 'VALIDATION_ERROR']);
+            exit();
+        }
+        if (in_array($status, $verified_statuses, true)) {
+            $result = $paymentProcessor->validateTransaction(
+                $invoice['currency'] ?: 'NIM',
+                $tx_id,
+                $invoice['payment_address'] ?: $invoice['address'],
+                floatval($invoice['value'])
+            );
+            if ($result['status'] !== 'confirmed') {
+                http_response_code(409);
+                echo json_encode(['error' => 'Payment not confirmed', 'code' => 'VALIDATION_ERROR', 'status' => $result['status']]);
+                exit();
+            }
+        }
+
+        // only the same report as the last one is a repeat; a status may
+        // come back, e.g. confirmed again after a reorg
+        $last = DB::queryFirstRow(
+            "SELECT idempotency_key, status, tx_id FROM nimipay_status_updates WHERE id_invoice=%s ORDER BY id DESC LIMIT 1",
+            $id_invoice
+        );
+        if ($last && $last['idempotency_key'] === $idempotency_key && $last['status'] === $status && $last['tx_id'] === $tx_id) {
+            echo json_encode(['status' => $invoice['status'], 'duplicate' => true]);
+            exit();
+        }
+
+        DB::insert('nimipay_status_updates', array(
+            'id_invoice' => $id_invoice,
+            'idempotency_key' => $idempotency_key,
+            'status' => $status,
+            'tx_id' => $tx_id,
+            'metadata' => json_encode($body['metadata'] ?? new stdClass())
+        ));
+        $update = array('status' => $status);
+        if (in_array($status, $verified_statuses, true)) {
+            $update['tx'] = $tx_id;
+        }
+        DB::update('nimipay_invoices', $update, "id_invoice=%s", $id_invoice);
+
+        echo json_encode(['status' => $status, 'duplicate' => false]);
+    } catch (Exception $e) {
+        http_response_code(500);
+        echo json_encode(['error' => $e->getMessage()]);
+    }
+    exit();
+}
+
+// Check a transaction paying an invoice, for chain adapters that verify through the backend
+if ($action == "verifyPayment") {
+    $body = json_decode(file_get_contents('php://input'), true);
+
+    try {
+        $invoice = DB::queryFirstRow("SELECT * FROM nimipay_invoices WHERE id_invoice=%s", $body['invoice_id'] ?? null);
+        if (!$invoice) {
+            throw new Exception("Invoice not found");
+        }
+
+        // payments to a per-invoice address are checked against that address
+        echo json_encode($paymentProcessor->validateTransaction(
+            $body['currency'] ?? $invoice['currency'],
+            $body['tx'],
+            $invoice['payment_address'] ?: $invoice['address'],
+            floatval($invoice['value'])
+        ));
+    } catch (Exception $e) {
+        http_response_code(500);
+        echo json_encode(['error' => $e->getMessage()]);
+    }
+    exit();
+}
+
 // when user pings the backend that the tx was confirmed
 if ($action == 'validateTx') {
     $data = json_decode($data, true);
@@ -166,7 +666,7 @@ if ($action == 'validateTx') {
         $result = $paymentProcessor->validateTransaction(
             $currency,
             $tx,
-            $invoice['address'],
+            $invoice['payment_address'] ?: $invoice['address'],
             floatval($invoice['value'])
         );
 
@@ -220,6 +720,60 @@ if ($action == 'validateTx') {
     }
 }
 
+// The registered terminal a request comes from, by the device ID and API key
+// in its headers; null if they match none
+function authenticatedTerminal() {
+    $device_id = $_SERVER['HTTP_X_NIMIPAY_DEVICE'] ?? '';
+    $key = $_SERVER['HTTP_X_NIMIPAY_KEY'] ?? '';
+    if ($device_id === '' || $key === '') {
+        return null;
+    }
+
+    $terminal = DB::queryFirstRow("SELECT * FROM nimipay_terminals WHERE device_id=%s", $device_id);
+    if (!$terminal || !hash_equals($terminal['api_key_hash'], hash('sha256', $key))) {
+        return null;
+    }
+    return $terminal;
+}
+
+// Answer 401 and stop unless a registered terminal sent the request, or 403
+// unless it has the role; returns the terminal
+function requireTerminal($role = null) {
+    $terminal = authenticatedTerminal();
+    if (!$terminal) {
+        http_response_code(401);
+        echo json_encode(['error' => 'Unknown terminal', 'code' => 'AUTH_FAILED']);
+        exit();
+    }
+    if ($role !== null && $terminal['role'] !== $role) {
+        http_response_code(403);
+        echo json_encode(['error' => "Only a $role may do this", 'code' => 'AUTH_FAILED']);
+        exit();
+    }
+    return $terminal;
+}
+
+// The device ID a sync request may use: the authenticated terminal's. A body
+// naming another device is refused, so no terminal can write as another
+function syncingDevice() {
+    $terminal = requireTerminal();
+    $body = json_decode(file_get_contents('php://input'), true);
+    if (isset($body['device_id']) && $body['device_id'] !== $terminal['device_id']) {
+        http_response_code(403);
+        echo json_encode(['error' => 'Device ID does not match the terminal key', 'code' => 'AUTH_FAILED']);
+        exit();
+    }
+    return $terminal['device_id'];
+}
+
+// Merchant address receiving payments in a currency
+function merchantAddress($currency, $merchant_config, $currency_config) {
+    if ($currency === 'NIM') {
+        return $merchant_config['nim_address'] ?? '';
+    }
+    return $currency_config[$currency]['address'] ?? $currency_config[$currency]['eth_address'] ?? '';
+}
+
 function makeCookie() {
     // define cookie messages
     $nimiqookies = array(
@@ -26,15 +26,19 @@
             'enabled' => false,
             'lightning_endpoint' => '', // Your Lightning Network endpoint
             'macaroon_path' => '', // LND macaroon path
+            'address' => '', // Your BTC receiving address, when invoices get no per-invoice address
         ],
         'UST' => [
             'enabled' => false,
             'terra_endpoint' => '', // Terra blockchain endpoint
+            'address' => '', // Your UST receiving address
         ],
         'USDC' => [
             'enabled' => false,
             'eth_endpoint' => '', // Ethereum RPC endpoint
             'contract_address' => '', // USDC contract address
+            'eth_address' => '', // Your USDC receiving address
+            'relayer_address' => '', // Account on eth_endpoint that pays the gas of gasless payments
         ]
     ];
 
@@ -44,6 +48,8 @@
         'notify_email' => '', // Email for notifications
         'allowed_origins' => ['*'], // Restrict to specific domains
         'api_rate_limit' => 100, // Requests per minute
+        'quote_secret' => '', // Random secret used to sign exchange rate quotes
+        'login_challenge_lifetime' => 300, // Seconds to sign a Nimiq login challenge in the Hub
     ];
 
 ?>
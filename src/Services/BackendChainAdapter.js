@@ -0,0 +1,77 @@
+import ChainAdapter from "./ChainAdapter.js";
+import { defaultEnvironment } from "./Environment.js";
+
+// Backend balances are cached for five minutes
+const BALANCE_TTL = 5 * 60 * 1000;
+
+/**
+ * BackendChainAdapter leaves the chain to the backend: it creates payments,
+ * reports balances and verifies transactions for currencies the browser
+ * cannot send itself (BTC, USDC, UST).
+ */
+class BackendChainAdapter extends ChainAdapter {
+  /**
+   * @param {Object} config Currency config
+   * @param {Object} backend Backend access
+   * @param {Function} backend.request Posts an action: (action, body) => Promise<Object>
+   * @param {Object} [backend.store] localforage instance caching balances
+   * @param {Environment} [backend.environment] Environment giving the backend
+   *   URL, defaults to the browser's
+   */
+  constructor(config, { request, store, environment }) {
+    super(config);
+    this.request = request;
+    this.store = store;
+    this.env = environment || defaultEnvironment;
+  }
+
+  async getBalance(address) {
+    const key = `balance_${this.currency}_${address}`;
+    const cached = this.store && (await this.store.getItem(key));
+    if (cached && Date.now() - cached.timestamp < BALANCE_TTL) {
+      return cached.amount;
+    }
+
+    const response = await fetch(
+      `${this.env.backendUrl}?action=getBalance&currency=${this.currency}&address=${address}`
+    );
+    const data = await response.json();
+
+    if (this.store) {
+      await this.store.setItem(key, {
+        amount: data.balance,
+        timestamp: Date.now(),
+      });
+    }
+    return data.balance;
+  }
+
+  async sendPayment({ invoice, amount, idempotencyKey, quote }) {
+    const result = await this.request("createPayment", {
+      invoice_id: invoice.id_invoice,
+      currency: this.currency,
+      amount,
+      idempotency_key: idempotencyKey,
+      quote_id: quote?.id,
+      quote_signature: quote?.signature,
+    });
+
+    return {
+      type: this.type,
+      currency: this.currency,
+      amount,
+      status: "pending",
+      ...result,
+    };
+  }
+
+  async verifyPayment(hash, { invoiceId } = {}) {
+    return this.request("verifyPayment", {
+      invoice_id: invoiceId,
+      currency: this.currency,
+      tx: hash,
+    });
+  }
+}
+
+export default BackendChainAdapter;
@@ -0,0 +1,387 @@
+import ChainAdapter from "./ChainAdapter.js";
+import HdPublicKey from "./HdPublicKey.js";
+import Money from "./Money.js";
+import { NimipayError } from "./errors.js";
+import { defaultEnvironment } from "./Environment.js";
+
+// Addresses wallets scan past the last used one before they stop (BIP44)
+const DEFAULT_GAP_LIMIT = 20;
+
+/**
+ * BitcoinChainAdapter gives every invoice its own receive address, derived
+ * watch-only from the merchant's account xpub, ypub or zpub (m/0/i). No
+ * private key ever reaches the browser.
+ *
+ * The derivation index is recorded with the invoice through the backend's
+ * `assignAddress` action. At most `gapLimit` addresses are handed out past
+ * the last paid one, so the merchant's wallet still finds every payment;
+ * beyond that, addresses of invoices left unpaid for `addressTtl` are reused.
+ *
+ * Payments are read from an Esplora API (`config.esploraUrl`) and credited
+ * to the invoice owning the receiving address.
+ */
+class BitcoinChainAdapter extends ChainAdapter {
+  /**
+   * @param {Object} config Currency config, with `esploraUrl`
+   * @param {Object} backend Backend access and options
+   * @param {Function} backend.request Posts an action: (action, body) => Promise<Object>
+   * @param {Object} backend.store localforage instance keeping the assigned addresses
+   * @param {string} [backend.xpub] Account extended public key, defaults to
+   *   the environment's npBtcXpub
+   * @param {number} [backend.gapLimit=20] Unpaid addresses allowed past the last paid one
+   * @param {number} [backend.addressTtl=86400000] Milliseconds before an unpaid
+   *   invoice's address may be reused
+   * @param {number} [backend.pollInterval=30000] Milliseconds between checks
+   * @param {number} [backend.timeout=86400000] Milliseconds to wait for confirmations
+   * @param {Environment} [backend.environment] Configuration and events,
+   *   defaults to the browser's
+   */
+  constructor(config, { request, store, xpub, gapLimit, addressTtl, pollInterval, timeout, environment }) {
+    super(config);
+    this.request = request;
+    this.store = store;
+    this.env = environment || defaultEnvironment;
+    this.xpubOption = xpub;
+    this.gapLimit = gapLimit ?? DEFAULT_GAP_LIMIT;
+    this.addressTtl = addressTtl ?? 24 * 60 * 60 * 1000;
+    this.pollInterval = pollInterval ?? 30 * 1000;
+    this.timeout = timeout ?? 24 * 60 * 60 * 1000;
+    this.receiveChain = null;
+    this.watchTimer = null;
+  }
+
+  /**
+   * The receive chain (m/0) of the configured account
+   * @returns {HdPublicKey}
+   * @throws {NimipayError} CONFIGURATION_ERROR without an extended public key
+   */
+  get account() {
+    if (!this.receiveChain) {
+      const xpub = this.xpubOption || this.env.config.npBtcXpub;
+      if (!xpub) {
+        throw new NimipayError("No Bitcoin xpub configured", "CONFIGURATION_ERROR", {
+          currency: this.currency,
+        });
+      }
+      this.receiveChain = HdPublicKey.fromString(xpub).derive(0);
+    }
+    return this.receiveChain;
+  }
+
+  /**
+   * Receive address at a derivation index
+   * @param {number} index Derivation index
+   * @returns {string} Address
+   */
+  deriveAddress(index) {
+    return this.account.derive(index).toAddress();
+  }
+
+  /**
+   * Addresses handed out so far, by derivation index
+   * @returns {Promise<Object[]>} `index`, `address`, `invoiceId`, `amount`,
+   *   `assignedAt`, `paid` and the `hashes` paying it
+   */
+  async getAssignments() {
+    return (await this.store.getItem(this.storeKey)) || [];
+  }
+
+  /**
+   * Give an invoice its receive address; an invoice keeps its address
+   * @param {Object} invoice Invoice details
+   * @param {number|string} amount Expected amount in BTC
+   * @returns {Promise<Object>} The assignment
+   * @throws {NimipayError} ADDRESS_GAP_LIMIT when every address within the
+   *   gap limit belongs to a recent unpaid invoice
+   */
+  async assignAddress(invoice, amount) {
+    const assignments = await this.getAssignments();
+    const existing = assignments.find((entry) => entry.invoiceId === invoice.id_invoice);
+    if (existing) {
+      return existing;
+    }
+
+    for (;;) {
+      const { index, recycled } = this.nextIndex(assignments);
+      const assignment = {
+        index,
+        address: this.deriveAddress(index),
+        invoiceId: invoice.id_invoice,
+        amount: Number(amount),
+        assignedAt: Date.now(),
+        paid: false,
+        hashes: [],
+      };
+
+      try {
+        await this.request("assignAddress", {
+          invoice_id: invoice.id_invoice,
+          currency: this.currency,
+          address: assignment.address,
+          derivation_index: index,
+          recycled,
+        });
+      } catch (error) {
+        // Another terminal took the index first; skip it for good
+        if (error.code !== "ADDRESS_IN_USE") {
+          throw error;
+        }
+        replace(assignments, { ...assignment, invoiceId: null, external: true });
+        await this.store.setItem(this.storeKey, assignments);
+        continue;
+      }
+
+      replace(assignments, assignment);
+      await this.store.setItem(this.storeKey, assignments);
+      return assignment;
+    }
+  }
+
+  /**
+   * Show the invoice's own address; the customer pays from any wallet
+   * @param {Object} payment Queued payment
+   * @param {Object} payment.invoice Invoice details
+   * @param {number} payment.amount Amount in BTC
+   * @returns {Promise<Object>} Result with the `address` and `derivationIndex`
+   */
+  async sendPayment({ invoice, amount }) {
+    const assignment = await this.assignAddress(invoice, amount);
+    this.startWatching();
+
+    return {
+      type: "address",
+      currency: this.currency,
+      address: assignment.address,
+      amount,
+      derivationIndex: assignment.index,
+      status: "pending",
+    };
+  }
+
+  /**
+   * Check a transaction's outputs to the invoice's address
+   * @param {string} hash Transaction hash
+   * @param {Object} [context] Context
+   * @param {string} [context.invoiceId] Invoice the transaction pays
+   * @returns {Promise<Object>} `status` ("pending", "confirming" or "confirmed"),
+   *   `confirmations`, `required` and the `amount` received
+   */
+  async verifyPayment(hash, { invoiceId } = {}) {
+    const required = this.getRequiredConfirmations();
+    const tx = await this.esplora(`/tx/${hash}`);
+    const assignments = await this.getAssignments();
+    const assignment = assignments.find(
+      (entry) => entry.invoiceId === invoiceId || entry.hashes.includes(hash)
+    );
+    const value = assignment ? receivedValue(tx, assignment.address) : 0n;
+    const amount = Money.fromUnits(value, this.currency, { decimals: this.decimals }).toNumber();
+
+    if (!tx.status?.confirmed) {
+      return { hash, status: "pending", confirmations: 0, required, amount };
+    }
+
+    const tip = Number(await this.esplora("/blocks/tip/height"));
+    const confirmations = Math.max(0, tip - tx.status.block_height + 1);
+    return {
+      hash,
+      status: confirmations >= required ? "confirmed" : "confirming",
+      confirmations: Math.min(confirmations, required),
+      required,
+      amount,
+    };
+  }
+
+  /**
+   * Poll a transaction until it has `minConfirmations`
+   * @param {string} hash Transaction hash
+   * @param {Object} [options] Options
+   * @param {Function} [options.onUpdate] Called with the verification result
+   *   whenever the status or confirmations change
+   * @returns {Promise<Object>} Verification result once confirmed
+   * @throws {NimipayError} TIMEOUT if it is not confirmed in time
+   */
+  async waitForConfirmations(hash, { onUpdate } = {}) {
+    const deadline = Date.now() + this.timeout;
+    let last = null;
+
+    for (;;) {
+      const result = await this.verifyPayment(hash);
+      if (!last || last.status !== result.status || last.confirmations !== result.confirmations) {
+        last = result;
+        onUpdate?.(result);
+      }
+
+      if (result.status === "confirmed") {
+        return result;
+      }
+      if (Date.now() >= deadline) {
+        throw new NimipayError("Transaction not confirmed in time", "TIMEOUT", {
+          currency: this.currency,
+          hash,
+          confirmations: result.confirmations,
+        });
+      }
+      await new Promise((resolve) => setTimeout(resolve, this.pollInterval));
+    }
+  }
+
+  /**
+   * Look for payments to every unpaid address and credit them to their
+   * invoice with an `incoming:matched` event
+   * @returns {Promise<Object[]>} The matched payments
+   */
+  async checkIncoming() {
+    const assignments = await this.getAssignments();
+    const matched = [];
+
+    for (const assignment of assignments) {
+      if (assignment.paid || !assignment.invoiceId) {
+        continue;
+      }
+
+      const txs = await this.esplora(`/address/${assignment.address}/txs`);
+      for (const tx of txs) {
+        const value = receivedValue(tx, assignment.address);
+        if (value === 0n || assignment.hashes.includes(tx.txid)) {
+          continue;
+        }
+
+        assignment.hashes.push(tx.txid);
+        assignment.paid = true;
+        const payment = {
+          invoiceId: assignment.invoiceId,
+          hash: tx.txid,
+          currency: this.currency,
+          address: assignment.address,
+          derivationIndex: assignment.index,
+          value: Number(value),
+          amount: Money.fromUnits(value, this.currency, { decimals: this.decimals }).toNumber(),
+          expectedAmount: assignment.amount,
+          matchedBy: "address",
+        };
+        matched.push(payment);
+      }
+    }
+
+    if (matched.length > 0) {
+      await this.store.setItem(this.storeKey, assignments);
+      for (const payment of matched) {
+        emitIncoming(this.env, "incoming:matched", payment);
+      }
+    }
+    if (!assignments.some((entry) => entry.invoiceId && !entry.paid)) {
+      this.stopWatching();
+    }
+    return matched;
+  }
+
+  /**
+   * Check for incoming payments every pollInterval until every address is paid
+   */
+  startWatching() {
+    if (this.watchTimer) {
+      return;
+    }
+    this.watchTimer = setInterval(() => {
+      this.checkIncoming().catch((error) => console.error("Bitcoin payment check failed:", error));
+    }, this.pollInterval);
+  }
+
+  /**
+   * Stop checking for incoming payments
+   */
+  stopWatching() {
+    clearInterval(this.watchTimer);
+    this.watchTimer = null;
+  }
+
+  /**
+   * @private
+   */
+  get storeKey() {
+    return `addresses_${this.currency}`;
+  }
+
+  /**
+   * Next derivation index within the gap limit, or the index of the
+   * longest unpaid expired invoice
+   * @private
+   */
+  nextIndex(assignments) {
+    const lastPaid = Math.max(-1, ...assignments.filter((entry) => entry.paid).map((entry) => entry.index));
+    const next = Math.max(-1, ...assignments.map((entry) => entry.index)) + 1;
+    if (next - lastPaid - 1 < this.gapLimit) {
+      return { index: next, recycled: false };
+    }
+
+    const expired = assignments
+      .filter(
+        (entry) =>
+          !entry.paid && !entry.external && entry.hashes.length === 0 && Date.now() - entry.assignedAt >= this.addressTtl
+      )
+      .sort((a, b) => a.assignedAt - b.assignedAt);
+    if (expired.length === 0) {
+      throw new NimipayError("Too many unpaid Bitcoin addresses", "ADDRESS_GAP_LIMIT", {
+        currency: this.currency,
+        gapLimit: this.gapLimit,
+      });
+    }
+    return { index: expired[0].index, recycled: true };
+  }
+
+  /**
+   * GET from the Esplora API
+   * @private
+   */
+  async esplora(path) {
+    let response;
+    try {
+      response = await fetch(`${this.config.esploraUrl}${path}`);
+    } catch (error) {
+      throw new NimipayError(error.message, "NETWORK_ERROR", { currency: this.currency, path });
+    }
+
+    if (response.status === 404) {
+      throw new NimipayError("Transaction not found", "TRANSACTION_NOT_FOUND", { currency: this.currency, path });
+    }
+    if (!response.ok) {
+      throw new NimipayError(`Esplora request failed: ${response.status}`, "NETWORK_ERROR", {
+        currency: this.currency,
+        path,
+      });
+    }
+    return response.json();
+  }
+}
+
+/**
+ * Satoshis a transaction sends to an address
+ * @private
+ */
+function receivedValue(tx, address) {
+  return (tx.vout || [])
+    .filter((output) => output.scriptpubkey_address === address)
+    .reduce((sum, output) => sum + BigInt(output.value), 0n);
+}
+
+/**
+ * Put an assignment in place of the one with its index
+ * @private
+ */
+function replace(assignments, assignment) {
+  const position = assignments.findIndex((entry) => entry.index === assignment.index);
+  if (position >= 0) {
+    assignments[position] = assignment;
+  } else {
+    assignments.push(assignment);
+  }
+}
+
+/**
+ * @private
+ */
+function emitIncoming(env, type, data) {
+  env.dispatchEvent(new CustomEvent("nimipay:incoming", { detail: { type, data } }));
+}
+
+export default BitcoinChainAdapter;
@@ -0,0 +1,145 @@
+import { NimipayError } from "./errors.js";
+
+/**
+ * ChainAdapter connects one currency to its chain: balances, sending or
+ * creating payments, verification, explorer links, the payment URI scheme
+ * and the currency's decimals.
+ *
+ * The base class answers everything that follows from the currency config
+ * and refuses the chain operations, so a config-only adapter is enough for
+ * integrations that only need names, limits and decimals.
+ */
+class ChainAdapter {
+  /**
+   * @param {Object} config Currency config
+   * @param {string} config.symbol Currency code, e.g. "NIM"
+   * @param {string} config.name Display name
+   * @param {number} config.decimals Decimals of the smallest unit
+   * @param {string} [config.type] Payment type the widget shows, e.g. "native" or "erc20"
+   * @param {string} [config.network] Chain the currency lives on, e.g. "nimiq" or "ethereum"
+   * @param {string} [config.uriScheme] Payment URI scheme, defaults to the lowercase code
+   * @param {string} [config.explorerTxUrl] Explorer URL with %s for the transaction hash
+   * @param {number} [config.minConfirmations=1] Confirmations required on mainnet
+   * @param {number} [config.testnetConfirmations] Confirmations required on testnet
+   * @param {number} [config.minAmount] Smallest accepted payment
+   * @param {number} [config.maxAmount] Largest accepted payment
+   * @param {string} [config.icon] Icon URL
+   */
+  constructor(config) {
+    if (!config?.symbol || !Number.isInteger(config.decimals)) {
+      throw new NimipayError(
+        `Invalid currency config for ${config?.symbol}`,
+        "CONFIGURATION_ERROR",
+        { currency: config?.symbol }
+      );
+    }
+
+    this.config = Object.freeze({ minConfirmations: 1, ...config });
+  }
+
+  get currency() {
+    return this.config.symbol;
+  }
+
+  get name() {
+    return this.config.name;
+  }
+
+  get type() {
+    return this.config.type || "unknown";
+  }
+
+  get decimals() {
+    return this.config.decimals;
+  }
+
+  get uriScheme() {
+    return this.config.uriScheme || this.currency.toLowerCase();
+  }
+
+  /**
+   * Confirmations a payment needs before it counts
+   * @param {boolean} [testnet=false] Whether the chain is a test network
+   * @returns {number}
+   */
+  getRequiredConfirmations(testnet = false) {
+    const { minConfirmations, testnetConfirmations } = this.config;
+    return testnet && testnetConfirmations !== undefined ? testnetConfirmations : minConfirmations;
+  }
+
+  /**
+   * @param {string} hash Transaction hash
+   * @returns {string|null} Explorer URL, or null without an explorer
+   */
+  getExplorerUrl(hash) {
+    const template = this.config.explorerTxUrl;
+    return template ? template.replace("%s", encodeURIComponent(hash)) : null;
+  }
+
+  /**
+   * Get the balance of an address
+   * @param {string} address Wallet address
+   * @returns {Promise<number>} Balance
+   */
+  async getBalance(address) {
+    throw this.unsupported("getBalance", { address });
+  }
+
+  /**
+   * Send or create the payment of an invoice
+   * @param {Object} payment Queued payment
+   * @param {Object} payment.invoice Invoice details
+   * @param {number} payment.amount Amount to pay
+   * @param {string} [payment.recipient] Merchant address
+   * @param {string} [payment.idempotencyKey] Key of the payment attempt
+   * @param {Object} [payment.quote] Quote locking the amount
+   * @returns {Promise<Object>} Result with the payment `type`, and `hash` once broadcast
+   */
+  async sendPayment(payment) {
+    throw this.unsupported("sendPayment", { invoiceId: payment?.invoice?.id_invoice });
+  }
+
+  /**
+   * Check a transaction on the chain
+   * @param {string} hash Transaction hash
+   * @param {Object} [context] Chain-specific context, e.g. the invoice ID
+   * @returns {Promise<Object>} Verification result
+   */
+  async verifyPayment(hash, context = {}) {
+    throw this.unsupported("verifyPayment", { hash, ...context });
+  }
+
+  /**
+   * Estimate the network fee of a payment
+   * @param {Object} [payment] Payment to estimate, with `amount` and `recipient`
+   * @returns {Promise<Object>} Estimate with the `fee` as Money
+   */
+  async estimateFee(payment = {}) {
+    throw this.unsupported("estimateFee", { recipient: payment.recipient });
+  }
+
+  /**
+   * Wait until a transaction has the required confirmations
+   * @param {string} hash Transaction hash
+   * @param {Object} [options] Chain-specific options
+   * @param {Function} [options.onUpdate] Called with the verification result
+   *   whenever the confirmations change
+   * @returns {Promise<Object>} Verification result once confirmed
+   */
+  async waitForConfirmations(hash) {
+    throw this.unsupported("waitForConfirmations", { hash });
+  }
+
+  /**
+   * @private
+   */
+  unsupported(operation, data) {
+    return new NimipayError(
+      `${operation} is not supported for ${this.currency}`,
+      "UNSUPPORTED_CURRENCY",
+      { currency: this.currency, operation, ...data }
+    );
+  }
+}
+
+export default ChainAdapter;
@@ -0,0 +1,410 @@
+/* global Nimiq */
+import { NimipayError, TransactionDroppedError } from "./errors.js";
+import { defaultEnvironment } from "./Environment.js";
+import CurrencyRegistry from "./CurrencyRegistry.js";
+
+const TX_HASH = /^[0-9a-f]{64}$/i; // Nimiq transaction hashes: 32 bytes in hex
+
+/**
+ * ConfirmationMonitor tracks confirmations of watched transactions on every
+ * new head of the browser node. Watches are persisted, so monitoring resumes
+ * after a page reload even if nobody awaits the original promise anymore.
+ *
+ * Confirmed transactions are kept for `reorgDepth` blocks and re-checked
+ * whenever the chain rebranches.
+ */
+class ConfirmationMonitor {
+  /**
+   * @param {NimiqNodeService} nimiqNode Browser node to follow
+   * @param {Object} [options] Monitor options
+   * @param {number} [options.reorgDepth=30] Blocks to keep re-checking confirmed transactions
+   * @param {CurrencyRegistry} [options.currencies] Supported currencies,
+   *   giving the confirmations each one requires
+   * @param {Environment} [options.environment] Storage and events, defaults
+   *   to the browser's
+   */
+  constructor(nimiqNode, options = {}) {
+    this.nimiqNode = nimiqNode;
+    this.env = options.environment || defaultEnvironment;
+    this.reorgDepth = options.reorgDepth || 30;
+    this.currencies = options.currencies || CurrencyRegistry.fromConfig();
+    this.watches = new Map();
+    this.confirmed = new Map();
+    this.pending = new Map();
+    this.checking = false;
+    this.recheck = false;
+    this.rebranchPending = false;
+    this.store = this.env.createStore({
+      name: "nimipay-monitor",
+    });
+
+    this.handleHeadChanged = this.handleHeadChanged.bind(this);
+    this.nimiqNode.on("head-changed", this.handleHeadChanged);
+  }
+
+  /**
+   * Restore persisted watches and check them against the current head
+   * @returns {Promise<void>}
+   */
+  async restore() {
+    try {
+      const [stored, confirmed] = await Promise.all([
+        this.store.getItem("watches"),
+        this.store.getItem("confirmed"),
+      ]);
+      for (const watch of stored || []) {
+        this.watches.set(watch.hash, watch);
+      }
+      for (const watch of confirmed || []) {
+        this.confirmed.set(watch.hash, watch);
+      }
+    } catch (error) {
+      console.error("Failed to restore watches:", error);
+    }
+
+    if (this.watches.size > 0) {
+      await this.checkAll();
+    }
+  }
+
+  /**
+   * Watch a transaction until it reaches the required confirmations
+   * @param {string} hash Transaction hash
+   * @param {string} invoiceId Invoice the transaction pays
+   * @param {string} currency Currency code
+   * @param {string} [idempotencyKey] Key of the payment attempt that sent it,
+   *   reported with its events
+   * @returns {Promise<Object>} Resolves once confirmed, rejects when dropped
+   * @throws {NimipayError} VALIDATION_ERROR if the hash is not a transaction hash
+   */
+  async watch(hash, invoiceId, currency, idempotencyKey) {
+    if (typeof hash !== "string" || !TX_HASH.test(hash)) {
+      throw new NimipayError("Not a transaction hash", "VALIDATION_ERROR", { hash, invoiceId });
+    }
+    if (currency !== "NIM") {
+      throw new NimipayError(
+        `Confirmation monitoring not supported for ${currency}`,
+        "UNSUPPORTED_CURRENCY"
+      );
+    }
+
+    const existing = this.pending.get(hash);
+    if (existing) {
+      return existing.promise;
+    }
+
+    const { height } = this.nimiqNode.getState();
+    const watch = this.watches.get(hash) || {
+      hash,
+      invoiceId,
+      currency,
+      idempotencyKey,
+      required: this.getRequiredConfirmations(currency),
+      startHeight: height,
+      status: "pending",
+      confirmations: 0,
+      height: null,
+      createdAt: Date.now(),
+    };
+
+    const entry = {};
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    this.pending.set(hash, entry);
+
+    this.watches.set(hash, watch);
+    await this.persistWatches();
+    await this.checkAll();
+
+    return entry.promise;
+  }
+
+  /**
+   * Stop watching a transaction
+   * @param {string} hash Transaction hash
+   */
+  async unwatch(hash) {
+    this.watches.delete(hash);
+    this.pending.delete(hash);
+    await this.persistWatches();
+  }
+
+  /**
+   * Get the required confirmations for a currency on the node's network
+   * @private
+   */
+  getRequiredConfirmations(currency) {
+    const config = this.currencies.has(currency) ? this.currencies.get(currency).config : {};
+    return this.nimiqNode.getRequiredConfirmations(config.minConfirmations || 1);
+  }
+
+  /**
+   * Handle a new chain head
+   * @private
+   */
+  handleHeadChanged({ rebranched } = {}) {
+    if (rebranched && this.confirmed.size > 0) {
+      this.rebranchPending = true;
+    }
+    if (this.watches.size === 0 && !this.rebranchPending) {
+      this.pruneConfirmed();
+      return;
+    }
+    this.checkAll().catch((error) => console.error("Confirmation check failed:", error));
+  }
+
+  /**
+   * Re-check recently confirmed transactions after a rebranch. Transactions
+   * that lost their confirmations are watched again.
+   * @private
+   */
+  async recheckConfirmed() {
+    for (const watch of Array.from(this.confirmed.values())) {
+      let info;
+      try {
+        info = await this.nimiqNode.getTransactionInfo(watch.hash);
+      } catch (error) {
+        console.error(`Failed to re-check transaction ${watch.hash}:`, error);
+        continue;
+      }
+
+      if (info.state === "mined" && info.confirmations >= watch.required) {
+        watch.height = info.height;
+        continue;
+      }
+
+      const previousHeight = watch.height;
+      this.confirmed.delete(watch.hash);
+
+      if (info.state === "mined") {
+        watch.status = "confirming";
+        watch.confirmations = info.confirmations;
+        watch.height = info.height;
+      } else {
+        watch.status = info.state === "pending" ? "seen" : "pending";
+        watch.confirmations = 0;
+        watch.height = null;
+      }
+      this.watches.set(watch.hash, watch);
+
+      this.emitEvent("monitor:reorged", watch, {
+        previousHeight,
+        wasConfirmed: true,
+        status: info.state === "unknown" ? "reverted" : "confirming",
+      });
+    }
+  }
+
+  /**
+   * Forget confirmed transactions buried deeper than the reorg depth
+   * @private
+   */
+  pruneConfirmed() {
+    const { height } = this.nimiqNode.getState();
+    let pruned = false;
+
+    for (const watch of this.confirmed.values()) {
+      if (height - watch.height >= this.reorgDepth) {
+        this.confirmed.delete(watch.hash);
+        pruned = true;
+      }
+    }
+
+    if (pruned) {
+      this.persistWatches();
+    }
+  }
+
+  /**
+   * Check all watches, coalescing head changes that arrive mid-check
+   * @private
+   */
+  async checkAll() {
+    if (this.checking) {
+      this.recheck = true;
+      return;
+    }
+
+    this.checking = true;
+    try {
+      do {
+        this.recheck = false;
+        if (this.rebranchPending) {
+          this.rebranchPending = false;
+          await this.recheckConfirmed();
+        }
+        for (const watch of Array.from(this.watches.values())) {
+          await this.checkWatch(watch);
+        }
+        this.pruneConfirmed();
+        await this.persistWatches();
+      } while (this.recheck);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Update a single watch from the node's view of its transaction
+   * @private
+   */
+  async checkWatch(watch) {
+    let info;
+    try {
+      info = await this.nimiqNode.getTransactionInfo(watch.hash);
+    } catch (error) {
+      console.error(`Failed to check transaction ${watch.hash}:`, error);
+      return;
+    }
+
+    if (info.state === "mined") {
+      if (watch.height !== null && watch.height !== info.height) {
+        this.emitEvent("monitor:reorged", watch, {
+          previousHeight: watch.height,
+          wasConfirmed: false,
+          status: "confirming",
+        });
+      }
+      if (watch.status === "pending") {
+        this.emitEvent("monitor:seen", watch);
+      }
+
+      const confirmations = Math.min(info.confirmations, watch.required);
+      watch.height = info.height;
+      watch.status = "confirming";
+
+      if (confirmations !== watch.confirmations) {
+        watch.confirmations = confirmations;
+        this.emitEvent("monitor:confirmation", watch);
+      }
+
+      if (confirmations >= watch.required) {
+        this.complete(watch);
+      }
+      return;
+    }
+
+    if (watch.height !== null) {
+      // Previously mined, but no longer part of the main chain
+      this.emitEvent("monitor:reorged", watch, {
+        previousHeight: watch.height,
+        wasConfirmed: false,
+        status: info.state === "pending" ? "confirming" : "reverted",
+      });
+      watch.height = null;
+      watch.confirmations = 0;
+      watch.status = info.state === "pending" ? "seen" : "pending";
+      return;
+    }
+
+    if (info.state === "pending" && watch.status === "pending") {
+      watch.status = "seen";
+      this.emitEvent("monitor:seen", watch);
+      return;
+    }
+
+    const { height } = this.nimiqNode.getState();
+    if (height >= watch.startHeight + Nimiq.Policy.TRANSACTION_VALIDITY_WINDOW) {
+      this.drop(watch);
+    }
+  }
+
+  /**
+   * Finish a confirmed watch
+   * @private
+   */
+  complete(watch) {
+    watch.status = "confirmed";
+    this.watches.delete(watch.hash);
+    this.confirmed.set(watch.hash, watch);
+    this.emitEvent("monitor:confirmed", watch);
+
+    const entry = this.pending.get(watch.hash);
+    if (entry) {
+      this.pending.delete(watch.hash);
+      entry.resolve({
+        status: "confirmed",
+        hash: watch.hash,
+        invoiceId: watch.invoiceId,
+        confirmations: watch.confirmations,
+      });
+    }
+  }
+
+  /**
+   * Finish a watch whose transaction can no longer be mined
+   * @private
+   */
+  drop(watch) {
+    watch.status = "dropped";
+    this.watches.delete(watch.hash);
+    this.emitEvent("monitor:dropped", watch);
+
+    const entry = this.pending.get(watch.hash);
+    if (entry) {
+      this.pending.delete(watch.hash);
+      entry.reject(
+        new TransactionDroppedError("Transaction dropped", {
+          hash: watch.hash,
+          invoiceId: watch.invoiceId,
+        })
+      );
+    }
+  }
+
+  /**
+   * Get all active watches
+   * @returns {Array<Object>} Watches
+   */
+  getWatches() {
+    return Array.from(this.watches.values()).map((watch) => ({ ...watch }));
+  }
+
+  /**
+   * Persist watches to storage
+   * @private
+   */
+  async persistWatches() {
+    try {
+      await Promise.all([
+        this.store.setItem("watches", Array.from(this.watches.values())),
+        this.store.setItem("confirmed", Array.from(this.confirmed.values())),
+      ]);
+    } catch (error) {
+      console.error("Failed to persist watches:", error);
+    }
+  }
+
+  /**
+   * Emit monitor event
+   * @private
+   */
+  emitEvent(type, watch, extra = {}) {
+    const event = new CustomEvent("nimipay:monitor", {
+      detail: {
+        type,
+        data: {
+          hash: watch.hash,
+          invoiceId: watch.invoiceId,
+          currency: watch.currency,
+          confirmations: watch.confirmations,
+          required: watch.required,
+          idempotencyKey: watch.idempotencyKey,
+          ...extra,
+        },
+      },
+    });
+    this.env.dispatchEvent(event);
+  }
+
+  /**
+   * Stop following the node
+   */
+  destroy() {
+    this.nimiqNode.off("head-changed", this.handleHeadChanged);
+  }
+}
+
+export default ConfirmationMonitor;
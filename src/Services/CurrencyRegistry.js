@@ -0,0 +1,215 @@
+import ChainAdapter from "./ChainAdapter.js";
+import { NimipayError } from "./errors.js";
+
+/**
+ * Currencies known before the backend's config is loaded. The backend's
+ * config/currency_config.php is the source of truth; keep these in step.
+ */
+export const DEFAULT_CURRENCIES = {
+  NIM: {
+    symbol: "NIM",
+    name: "Nimiq",
+    icon: "https://api.nimiq.com/identicon/NIM.png",
+    decimals: 5, // 1 NIM = 100000 luna
+    type: "native",
+    network: "nimiq",
+    uriScheme: "nimiq",
+    explorerTxUrl: "https://explorer.nimiq.com/transaction/%s",
+    minConfirmations: 2,
+    testnetConfirmations: 1,
+    minAmount: 0.00001,
+    maxAmount: 1000000,
+  },
+  BTC: {
+    symbol: "BTC",
+    name: "Bitcoin",
+    icon: "img/btc-icon.png",
+    decimals: 8,
+    type: "native",
+    network: "bitcoin",
+    uriScheme: "bitcoin",
+    explorerTxUrl: "https://blockstream.info/tx/%s",
+    esploraUrl: "https://blockstream.info/api",
+    minConfirmations: 3,
+    testnetConfirmations: 1,
+    minAmount: 0.00001,
+    maxAmount: 100,
+  },
+  USDC: {
+    symbol: "USDC",
+    name: "USD Coin",
+    icon: "img/usdc-icon.png",
+    decimals: 6,
+    type: "erc20",
+    network: "ethereum",
+    uriScheme: "ethereum",
+    explorerTxUrl: "https://etherscan.io/tx/%s",
+    contractAddress: "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48",
+    chainId: 1,
+    eip712Domain: { name: "USD Coin", version: "2" },
+    minConfirmations: 12,
+    testnetConfirmations: 5,
+    minAmount: 1,
+    maxAmount: 1000000,
+  },
+  UST: {
+    symbol: "UST",
+    name: "TerraUSD",
+    icon: "img/ust-icon.png",
+    decimals: 6,
+    type: "terra",
+    network: "terra",
+    uriScheme: "terra",
+    explorerTxUrl: "https://finder.terra.money/tx/%s",
+    minConfirmations: 15,
+    testnetConfirmations: 5,
+    minAmount: 1,
+    maxAmount: 1000000,
+  },
+};
+
+/**
+ * CurrencyRegistry holds the chain adapter of every supported currency, in
+ * the order they were registered. Adding a coin means registering one
+ * adapter, or adding it to the backend's currency config.
+ */
+class CurrencyRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  /**
+   * Build a registry from currency configs
+   * @param {Object} [currencies=DEFAULT_CURRENCIES] Configs keyed by currency code
+   * @param {Function} [createAdapter] Creates the adapter of a config,
+   *   defaults to config-only adapters
+   * @returns {CurrencyRegistry}
+   */
+  static fromConfig(currencies = DEFAULT_CURRENCIES, createAdapter = (config) => new ChainAdapter(config)) {
+    const registry = new CurrencyRegistry();
+    for (const [symbol, config] of Object.entries(currencies)) {
+      registry.register(createAdapter({ ...config, symbol }));
+    }
+    return registry;
+  }
+
+  /**
+   * Convert a backend currency config to the adapter config shape
+   * @param {string} symbol Currency code
+   * @param {Object} data Config with snake_case keys, as returned by getCurrencies
+   * @returns {Object} Adapter config
+   */
+  static fromBackend(symbol, data) {
+    const config = {
+      symbol,
+      name: data.name,
+      icon: data.icon,
+      decimals: Number(data.decimals),
+      type: data.type,
+      network: data.network,
+      uriScheme: data.uri_scheme,
+      explorerTxUrl: data.explorer_tx_url,
+      contractAddress: data.contract_address,
+      chainId: data.chain_id,
+      gasless: data.gasless,
+      eip712Domain: data.eip712_domain,
+      relayerAddress: data.relayer_address,
+      esploraUrl: data.esplora_url,
+      minConfirmations: data.min_confirmations,
+      testnetConfirmations: data.testnet_confirmations,
+      minAmount: data.min_amount,
+      maxAmount: data.max_amount,
+    };
+
+    // Leave out what the backend did not send, so adapter defaults apply
+    return Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined && value !== null));
+  }
+
+  /**
+   * Register the adapter of a currency, replacing any previous one
+   * @param {ChainAdapter} adapter Chain adapter
+   * @returns {ChainAdapter} The adapter
+   */
+  register(adapter) {
+    if (!(adapter instanceof ChainAdapter)) {
+      throw new NimipayError("Currency adapters must extend ChainAdapter", "CONFIGURATION_ERROR");
+    }
+    this.adapters.set(adapter.currency, adapter);
+    return adapter;
+  }
+
+  /**
+   * @param {string} currency Currency code
+   * @returns {boolean}
+   */
+  has(currency) {
+    return this.adapters.has(currency);
+  }
+
+  /**
+   * Get the adapter of a currency
+   * @param {string} currency Currency code
+   * @returns {ChainAdapter}
+   * @throws {NimipayError} UNSUPPORTED_CURRENCY for unknown currencies
+   */
+  get(currency) {
+    const adapter = this.adapters.get(currency);
+    if (!adapter) {
+      throw new NimipayError(`Unsupported currency: ${currency}`, "UNSUPPORTED_CURRENCY", { currency });
+    }
+    return adapter;
+  }
+
+  /**
+   * @returns {ChainAdapter[]} Adapters in registration order
+   */
+  list() {
+    return [...this.adapters.values()];
+  }
+
+  /**
+   * @returns {string[]} Currency codes in registration order
+   */
+  codes() {
+    return [...this.adapters.keys()];
+  }
+
+  /**
+   * Configs keyed by currency code, the shape of window.CURRENCY_CONFIG
+   * @returns {Object}
+   */
+  toConfig() {
+    return Object.fromEntries(this.list().map((adapter) => [adapter.currency, adapter.config]));
+  }
+
+  /**
+   * Replace the registered currencies with the backend's currency config.
+   * Nothing changes if the request or any config fails.
+   * @param {string} backendUrl Backend URL
+   * @param {Function} [createAdapter] Creates the adapter of a config
+   * @returns {Promise<string[]>} Loaded currency codes
+   */
+  async load(backendUrl, createAdapter = (config) => new ChainAdapter(config)) {
+    let data;
+    try {
+      const response = await fetch(`${backendUrl}?action=getCurrencies`);
+      data = await response.json();
+    } catch (error) {
+      throw new NimipayError(error.message, "NETWORK_ERROR", { action: "getCurrencies" });
+    }
+    if (!data?.currencies || typeof data.currencies !== "object") {
+      throw new NimipayError(data?.error || "Invalid currency config", "CONFIGURATION_ERROR", {
+        action: "getCurrencies",
+      });
+    }
+
+    const loaded = new CurrencyRegistry();
+    for (const [symbol, config] of Object.entries(data.currencies)) {
+      loaded.register(createAdapter(CurrencyRegistry.fromBackend(symbol, config)));
+    }
+    this.adapters = loaded.adapters;
+    return this.codes();
+  }
+}
+
+export default CurrencyRegistry;
@@ -0,0 +1,197 @@
+import StorageVault, { storageVault } from "./StorageVault.js";
+import TabLeaderElection from "./TabLeaderElection.js";
+import { MemoryBackend, MemoryWebStorage } from "./StorageBackends.js";
+
+/**
+ * Environment is what the services need from their host: stores, a
+ * synchronous Web Storage, a target for `nimipay:*` and online/offline
+ * events, online status, the storage estimate, and configuration such as
+ * `npBackendUrl` and `nimAddress`.
+ *
+ * Whatever is not passed comes from the browser globals, resolved each
+ * time it is used: `window`, `navigator`, `localStorage` and IndexedDB
+ * through the shared storageVault. Pages therefore need no setup, and
+ * neither do Jest tests that replace those globals. Node servers pass
+ * their own, e.g. a FileStorageBackend and `config: { npBackendUrl }`.
+ */
+class Environment {
+  /**
+   * @param {Object} [options] Host services, each defaulting to the browser's
+   * @param {Object} [options.storage] Storage backend (see StorageBackends.js)
+   * @param {Storage} [options.localStorage] Synchronous Web Storage
+   * @param {EventTarget} [options.events] Event target
+   * @param {Object} [options.config] Configuration: npBackendUrl, npDeviceId,
+   *   npDeviceKey, nimAddress, nimAddressLabel, npEthAddress, npBtcXpub,
+   *   ethereum
+   * @param {boolean} [options.online] Online status; change it with setOnline
+   * @param {Function} [options.storageEstimate] Resolves with `usage` and
+   *   `quota` in bytes
+   * @param {boolean} [options.multiTab] Whether several tabs share the
+   *   stores and elect a leader, defaults to true in browsers
+   * @param {Crypto} [options.crypto] Web Crypto for the storage vault
+   * @param {StorageVault} [options.vault] Storage vault, defaults to one
+   *   over `storage`, or the shared storageVault without it
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.online = options.online;
+    this.fallback = {};
+
+    if (options.vault) {
+      this.vault = options.vault;
+    } else if (options.storage || options.localStorage || options.crypto) {
+      this.vault = new StorageVault({
+        backend: options.storage,
+        keyStorage: options.localStorage,
+        crypto: options.crypto,
+        environment: this,
+      });
+    } else {
+      this.vault = storageVault;
+    }
+  }
+
+  /**
+   * An environment that keeps everything in memory, for tests and for
+   * servers that only need the services' logic
+   * @param {Object} [options] Overrides, as for the constructor
+   * @returns {Environment}
+   */
+  static memory(options = {}) {
+    return new Environment({
+      storage: new MemoryBackend(),
+      localStorage: new MemoryWebStorage(),
+      events: new EventTarget(),
+      config: {},
+      online: true,
+      multiTab: false,
+      ...options,
+    });
+  }
+
+  /**
+   * @returns {Object} Configuration, the page's window by default
+   */
+  get config() {
+    return this.options.config || globalThis.window || (this.fallback.config ??= {});
+  }
+
+  /**
+   * @returns {string|undefined} URL of the backend's nimipay.php
+   */
+  get backendUrl() {
+    return this.config.npBackendUrl;
+  }
+
+  /**
+   * @returns {Object} Headers authenticating this terminal to the backend,
+   *   from `npDeviceId` and `npDeviceKey`; none if either is not configured
+   */
+  get terminalHeaders() {
+    const { npDeviceId, npDeviceKey } = this.config;
+    if (!npDeviceId || !npDeviceKey) {
+      return {};
+    }
+    return { "X-Nimipay-Device": npDeviceId, "X-Nimipay-Key": npDeviceKey };
+  }
+
+  /**
+   * @returns {EventTarget}
+   */
+  get events() {
+    return this.options.events || globalThis.window || (this.fallback.events ??= new EventTarget());
+  }
+
+  /**
+   * @returns {Storage}
+   */
+  get localStorage() {
+    return this.options.localStorage || globalThis.localStorage || (this.fallback.localStorage ??= new MemoryWebStorage());
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  get isOnline() {
+    return this.online ?? globalThis.navigator?.onLine ?? true;
+  }
+
+  /**
+   * @returns {Function|null} Storage estimate, or null if unsupported
+   */
+  get storageEstimate() {
+    if (this.options.storageEstimate) {
+      return this.options.storageEstimate;
+    }
+    const storage = globalThis.navigator?.storage;
+    return storage?.estimate ? () => storage.estimate() : null;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  get multiTab() {
+    return this.options.multiTab ?? typeof window !== "undefined";
+  }
+
+  /**
+   * Report a change of connectivity, e.g. from a server's health check;
+   * services react as to the browser's online and offline events
+   * @param {boolean} online Online status
+   */
+  setOnline(online) {
+    if (this.online === online) {
+      return;
+    }
+    this.online = online;
+    this.events.dispatchEvent(new Event(online ? "online" : "offline"));
+  }
+
+  /**
+   * Create a store, encrypted by the vault once it is enabled
+   * @param {Object} options localforage instance options (name, storeName)
+   * @returns {EncryptedStore}
+   */
+  createStore(options) {
+    return this.vault.createInstance(options);
+  }
+
+  /**
+   * Election deciding which tab drains a shared queue; outside browsers
+   * there is one process, which leads
+   * @param {string} name Channel and lock name
+   * @returns {TabLeaderElection}
+   */
+  createElection(name) {
+    return new TabLeaderElection(name, { standalone: !this.multiTab });
+  }
+
+  /**
+   * @param {string} type Event type
+   * @param {Function} listener Event listener
+   */
+  addEventListener(type, listener) {
+    this.events.addEventListener(type, listener);
+  }
+
+  /**
+   * @param {string} type Event type
+   * @param {Function} listener Event listener
+   */
+  removeEventListener(type, listener) {
+    this.events.removeEventListener(type, listener);
+  }
+
+  /**
+   * @param {Event} event Event to dispatch
+   */
+  dispatchEvent(event) {
+    this.events.dispatchEvent(event);
+  }
+}
+
+// Browser environment used when a service is given none
+export const defaultEnvironment = new Environment();
+storageVault.env = defaultEnvironment;
+
+export default Environment;
@@ -0,0 +1,524 @@
+import ChainAdapter from "./ChainAdapter.js";
+import Money from "./Money.js";
+import { NimipayError } from "./errors.js";
+import { defaultEnvironment } from "./Environment.js";
+
+// Function selectors of the ERC-20 ABI
+const BALANCE_OF = "0x70a08231"; // balanceOf(address)
+const TRANSFER = "0xa9059cbb"; // transfer(address,uint256)
+const NONCES = "0x7ecebe00"; // nonces(address), EIP-2612
+
+// Gas of a plain token transfer, used when there is no account to estimate from
+const DEFAULT_TRANSFER_GAS = 65000n;
+
+const ETH_DECIMALS = 18;
+const ADDRESS = /^0x[0-9a-f]{40}$/i;
+
+// EIP-712 messages a relayer can submit on the customer's behalf
+const EIP712_DOMAIN = [
+  { name: "name", type: "string" },
+  { name: "version", type: "string" },
+  { name: "chainId", type: "uint256" },
+  { name: "verifyingContract", type: "address" },
+];
+const AUTHORIZATIONS = {
+  // transferWithAuthorization: the relayer moves the tokens to the merchant
+  eip3009: {
+    primaryType: "TransferWithAuthorization",
+    fields: [
+      { name: "from", type: "address" },
+      { name: "to", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "validAfter", type: "uint256" },
+      { name: "validBefore", type: "uint256" },
+      { name: "nonce", type: "bytes32" },
+    ],
+  },
+  // permit: the relayer gets an allowance and calls transferFrom
+  eip2612: {
+    primaryType: "Permit",
+    fields: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  },
+};
+
+/**
+ * Erc20ChainAdapter pays ERC-20 tokens such as USDC from a browser wallet
+ * through any EIP-1193 provider, e.g. `window.ethereum`.
+ *
+ * Transfers carry the invoice reference as extra calldata after the
+ * `transfer` arguments. Token contracts ignore it, but it stays in the
+ * transaction input for the backend and explorers to read.
+ *
+ * With `config.gasless` and a relay, customers pay with the token alone: the
+ * wallet signs an EIP-3009 transfer authorization or an EIP-2612 permit, and
+ * the backend's relayer submits it and pays the gas.
+ */
+class Erc20ChainAdapter extends ChainAdapter {
+  /**
+   * @param {Object} config Currency config, with `contractAddress` and `chainId`
+   * @param {string} [config.gasless] Signature the relayer accepts, "eip3009" or "eip2612"
+   * @param {Object} [config.eip712Domain] Token's EIP-712 domain `name` and `version`
+   * @param {string} [config.relayerAddress] Spender of EIP-2612 permits
+   * @param {Object} [options] Adapter options
+   * @param {Object} [options.provider] EIP-1193 provider, defaults to the
+   *   environment's ethereum
+   * @param {Function} [options.relay] Posts a backend action for gasless payments:
+   *   (action, body) => Promise<Object>
+   * @param {number} [options.pollInterval=4000] Milliseconds between receipt checks
+   * @param {number} [options.timeout=3600000] Milliseconds to wait for confirmations
+   * @param {number} [options.signatureValidity=3600000] Milliseconds a signature
+   *   stays valid for the relayer
+   * @param {Environment} [options.environment] Configuration giving the
+   *   provider and the merchant's npEthAddress, defaults to the browser's
+   */
+  constructor(config, options = {}) {
+    super(config);
+    if (!ADDRESS.test(config.contractAddress || "")) {
+      throw new NimipayError(`Invalid token contract for ${config.symbol}`, "CONFIGURATION_ERROR", {
+        currency: config.symbol,
+      });
+    }
+
+    if (config.gasless && !AUTHORIZATIONS[config.gasless]) {
+      throw new NimipayError(`Unknown gasless standard ${config.gasless}`, "CONFIGURATION_ERROR", {
+        currency: config.symbol,
+      });
+    }
+
+    this.providerOption = options.provider;
+    this.env = options.environment || defaultEnvironment;
+    this.relay = options.relay;
+    this.pollInterval = options.pollInterval ?? 4000;
+    this.timeout = options.timeout ?? 60 * 60 * 1000;
+    this.signatureValidity = options.signatureValidity ?? 60 * 60 * 1000;
+  }
+
+  /**
+   * Whether payments are relayed, so the customer needs no ETH for gas
+   * @returns {boolean}
+   */
+  get gasless() {
+    return Boolean(this.config.gasless && this.relay);
+  }
+
+  /**
+   * The EIP-1193 provider; wallets may inject window.ethereum late
+   * @returns {Object|undefined}
+   */
+  get provider() {
+    return this.providerOption || this.env.config.ethereum;
+  }
+
+  /**
+   * Get the connected wallet account
+   * @param {Object} [options] Options
+   * @param {boolean} [options.connect=false] Ask the wallet to connect if it is not
+   * @returns {Promise<string>} Account address
+   * @throws {NimipayError} NO_SIGNER without a wallet or account
+   */
+  async getAccount({ connect = false } = {}) {
+    const accounts = await this.request(connect ? "eth_requestAccounts" : "eth_accounts");
+    if (!accounts || accounts.length === 0) {
+      throw new NimipayError("No Ethereum account connected", "NO_SIGNER", { currency: this.currency });
+    }
+    return accounts[0];
+  }
+
+  /**
+   * Check the wallet is on the configured chain
+   * @throws {NimipayError} WRONG_NETWORK on any other chain
+   */
+  async assertChain() {
+    const expected = this.config.chainId;
+    if (!expected) {
+      return;
+    }
+
+    const chainId = Number(toBigInt(await this.request("eth_chainId")));
+    if (chainId !== Number(expected)) {
+      throw new NimipayError(
+        `Switch your wallet to chain ${expected} to pay with ${this.currency}`,
+        "WRONG_NETWORK",
+        { currency: this.currency, expected: Number(expected), chainId }
+      );
+    }
+  }
+
+  /**
+   * Get the token balance of an address
+   * @param {string} [address] Owner, defaults to the connected account
+   * @returns {Promise<number>} Balance in tokens
+   */
+  async getBalance(address) {
+    const owner = address || (await this.getAccount());
+    return (await this.getTokenBalance(owner)).toNumber();
+  }
+
+  /**
+   * Estimate the gas fee of a transfer, from the connected account if any.
+   * Relayed payments cost the customer nothing.
+   * @param {Object} [payment] Payment to estimate
+   * @param {number|string} [payment.amount=0] Amount in tokens
+   * @param {string} [payment.recipient] Merchant address, defaults to the
+   *   environment's npEthAddress
+   * @returns {Promise<Object>} `gas` and `gasPrice` as BigInt, `fee` as Money in ETH,
+   *   and whether the payment is `relayed`
+   */
+  async estimateFee({ amount = 0, recipient = this.env.config.npEthAddress } = {}) {
+    if (this.gasless) {
+      return { gas: 0n, gasPrice: 0n, fee: Money.fromUnits(0n, "ETH", { decimals: ETH_DECIMALS }), relayed: true };
+    }
+
+    const gasPrice = toBigInt(await this.request("eth_gasPrice"));
+    const [from] = (await this.request("eth_accounts")) || [];
+
+    let gas = DEFAULT_TRANSFER_GAS;
+    if (from && ADDRESS.test(recipient || "")) {
+      const units = Money.parse(amount, this.currency, { decimals: this.decimals }).units;
+      gas = toBigInt(
+        await this.request("eth_estimateGas", [
+          { from, to: this.config.contractAddress, data: encodeTransfer(recipient, units) },
+        ])
+      );
+    }
+
+    return {
+      gas,
+      gasPrice,
+      fee: Money.fromUnits(gas * gasPrice, "ETH", { decimals: ETH_DECIMALS }),
+      relayed: false,
+    };
+  }
+
+  /**
+   * Send the token transfer of an invoice from the connected wallet, or have
+   * the relayer send it when the currency is gasless
+   * @param {Object} payment Queued payment
+   * @param {Object} payment.invoice Invoice details
+   * @param {number|string} payment.amount Amount in tokens
+   * @param {string} [payment.recipient] Merchant address, defaults to the
+   *   environment's npEthAddress
+   * @param {string} [payment.idempotencyKey] Key of the payment attempt
+   * @param {Object} [payment.quote] Quote locking the amount
+   * @returns {Promise<Object>} Result with the transaction `hash`, and whether
+   *   it was `relayed`
+   */
+  async sendPayment({ invoice, amount, recipient = this.env.config.npEthAddress, idempotencyKey, quote }) {
+    if (!ADDRESS.test(recipient || "")) {
+      throw new NimipayError(`No ${this.currency} recipient address configured`, "CONFIGURATION_ERROR", {
+        currency: this.currency,
+      });
+    }
+
+    const from = await this.getAccount({ connect: true });
+    await this.assertChain();
+
+    const value = Money.parse(amount, this.currency, { decimals: this.decimals });
+    const balance = await this.getTokenBalance(from);
+    if (balance.lessThan(value)) {
+      throw new NimipayError(`Insufficient ${this.currency} balance`, "INSUFFICIENT_FUNDS", {
+        currency: this.currency,
+        balance: balance.toNumber(),
+        amount: value.toNumber(),
+      });
+    }
+
+    if (this.gasless) {
+      return this.relayPayment({ invoice, from, recipient, value, idempotencyKey, quote });
+    }
+
+    const hash = await this.request("eth_sendTransaction", [
+      {
+        from,
+        to: this.config.contractAddress,
+        data: encodeTransfer(recipient, value.units, `Invoice #${invoice.id_invoice}`),
+      },
+    ]);
+
+    return {
+      type: this.type,
+      hash,
+      from,
+      status: "confirming",
+      relayed: false,
+    };
+  }
+
+  /**
+   * Build the EIP-712 message of a gasless payment
+   * @param {string} from Customer account
+   * @param {string} recipient Merchant address
+   * @param {bigint} units Amount in base units
+   * @returns {Promise<Object>} Typed data for eth_signTypedData_v4
+   */
+  async createAuthorization(from, recipient, units) {
+    const standard = this.config.gasless;
+    const { primaryType, fields } = AUTHORIZATIONS[standard];
+    const deadline = Math.floor((Date.now() + this.signatureValidity) / 1000);
+
+    let message;
+    if (standard === "eip3009") {
+      message = {
+        from,
+        to: recipient,
+        value: units.toString(),
+        validAfter: "0",
+        validBefore: String(deadline),
+        nonce: randomNonce(),
+      };
+    } else {
+      const spender = this.config.relayerAddress;
+      if (!ADDRESS.test(spender || "")) {
+        throw new NimipayError(`No relayer address configured for ${this.currency}`, "CONFIGURATION_ERROR", {
+          currency: this.currency,
+        });
+      }
+      const nonce = await this.request("eth_call", [
+        { to: this.config.contractAddress, data: NONCES + encodeAddress(from) },
+        "latest",
+      ]);
+      message = {
+        owner: from,
+        spender,
+        value: units.toString(),
+        nonce: toBigInt(nonce).toString(),
+        deadline: String(deadline),
+      };
+    }
+
+    const domain = this.config.eip712Domain || {};
+    return {
+      types: { EIP712Domain: EIP712_DOMAIN, [primaryType]: fields },
+      primaryType,
+      domain: {
+        name: domain.name || this.name,
+        version: domain.version || "1",
+        chainId: Number(toBigInt(await this.request("eth_chainId"))),
+        verifyingContract: this.config.contractAddress,
+      },
+      message,
+    };
+  }
+
+  /**
+   * Check the receipt of a transaction
+   * @param {string} hash Transaction hash
+   * @returns {Promise<Object>} `status` ("pending", "confirming", "confirmed" or
+   *   "failed"), `confirmations`, `required` and the receipt's `blockNumber`
+   */
+  async verifyPayment(hash) {
+    const required = this.getRequiredConfirmations();
+    const receipt = await this.request("eth_getTransactionReceipt", [hash]);
+    if (!receipt || !receipt.blockNumber) {
+      return { hash, status: "pending", confirmations: 0, required, blockNumber: null };
+    }
+
+    const blockNumber = Number(toBigInt(receipt.blockNumber));
+    if (receipt.status !== undefined && toBigInt(receipt.status) === 0n) {
+      return { hash, status: "failed", confirmations: 0, required, blockNumber };
+    }
+
+    const head = Number(toBigInt(await this.request("eth_blockNumber")));
+    const confirmations = Math.max(0, head - blockNumber + 1);
+    return {
+      hash,
+      status: confirmations >= required ? "confirmed" : "confirming",
+      confirmations: Math.min(confirmations, required),
+      required,
+      blockNumber,
+    };
+  }
+
+  /**
+   * Poll the receipt until it has `minConfirmations`
+   * @param {string} hash Transaction hash
+   * @param {Object} [options] Options
+   * @param {Function} [options.onUpdate] Called with the verification result
+   *   whenever the status or confirmations change
+   * @returns {Promise<Object>} Verification result once confirmed
+   * @throws {NimipayError} TRANSACTION_REJECTED if the transfer reverted,
+   *   TIMEOUT if it is not confirmed in time
+   */
+  async waitForConfirmations(hash, { onUpdate } = {}) {
+    const deadline = Date.now() + this.timeout;
+    let last = null;
+
+    for (;;) {
+      const result = await this.verifyPayment(hash);
+      if (!last || last.status !== result.status || last.confirmations !== result.confirmations) {
+        last = result;
+        onUpdate?.(result);
+      }
+
+      if (result.status === "failed") {
+        throw new NimipayError("Token transfer reverted", "TRANSACTION_REJECTED", {
+          currency: this.currency,
+          hash,
+        });
+      }
+      if (result.status === "confirmed") {
+        return result;
+      }
+      if (Date.now() >= deadline) {
+        throw new NimipayError("Transaction not confirmed in time", "TIMEOUT", {
+          currency: this.currency,
+          hash,
+          confirmations: result.confirmations,
+        });
+      }
+      await new Promise((resolve) => setTimeout(resolve, this.pollInterval));
+    }
+  }
+
+  /**
+   * Sign the authorization and hand it to the backend's relayer
+   * @private
+   */
+  async relayPayment({ invoice, from, recipient, value, idempotencyKey, quote }) {
+    const typedData = await this.createAuthorization(from, recipient, value.units);
+    const signature = await this.request("eth_signTypedData_v4", [from, JSON.stringify(typedData)]);
+
+    const result = await this.relay("relayPayment", {
+      invoice_id: invoice.id_invoice,
+      currency: this.currency,
+      standard: this.config.gasless,
+      recipient,
+      authorization: typedData.message,
+      signature,
+      ...splitSignature(signature),
+      idempotency_key: idempotencyKey,
+      quote_id: quote?.id,
+      quote_signature: quote?.signature,
+    });
+
+    const hash = result?.tx_hash || result?.hash;
+    if (!hash) {
+      throw new NimipayError("The relayer did not send the transaction", "PAYMENT_FAILED", {
+        currency: this.currency,
+        invoiceId: invoice.id_invoice,
+      });
+    }
+
+    return {
+      type: this.type,
+      hash,
+      from,
+      status: "confirming",
+      relayed: true,
+    };
+  }
+
+  /**
+   * @private
+   */
+  async getTokenBalance(owner) {
+    if (!ADDRESS.test(owner)) {
+      throw new NimipayError(`Invalid Ethereum address: ${owner}`, "VALIDATION_ERROR", {
+        currency: this.currency,
+      });
+    }
+    await this.assertChain();
+
+    const result = await this.request("eth_call", [
+      { to: this.config.contractAddress, data: BALANCE_OF + encodeAddress(owner) },
+      "latest",
+    ]);
+    return Money.fromUnits(toBigInt(result), this.currency, { decimals: this.decimals });
+  }
+
+  /**
+   * Send a JSON-RPC request through the provider
+   * @private
+   */
+  async request(method, params = []) {
+    const provider = this.provider;
+    if (!provider || typeof provider.request !== "function") {
+      throw new NimipayError("No Ethereum wallet found", "NO_SIGNER", { currency: this.currency });
+    }
+
+    try {
+      return await provider.request({ method, params });
+    } catch (error) {
+      throw toNimipayError(error, method, this.currency);
+    }
+  }
+}
+
+/**
+ * Map EIP-1193 provider errors to error codes
+ * @private
+ */
+function toNimipayError(error, method, currency) {
+  const data = { currency, method, providerCode: error?.code };
+  switch (error?.code) {
+    case 4001: // User rejected the request
+      return new NimipayError(error.message, "TRANSACTION_REJECTED", data);
+    case 4100: // Unauthorized
+    case 4200: // Unsupported method
+      return new NimipayError(error.message, "NO_SIGNER", data);
+  }
+  if (/insufficient funds/i.test(error?.message)) {
+    return new NimipayError(error.message, "INSUFFICIENT_FUNDS", data);
+  }
+  return new NimipayError(error?.message || "Ethereum provider error", "NETWORK_ERROR", data);
+}
+
+/**
+ * @private
+ */
+function toBigInt(hex) {
+  return !hex || hex === "0x" ? 0n : BigInt(hex);
+}
+
+/**
+ * ABI-encoded address, without 0x
+ * @private
+ */
+function encodeAddress(address) {
+  return address.slice(2).toLowerCase().padStart(64, "0");
+}
+
+/**
+ * Random bytes32 nonce of an EIP-3009 authorization
+ * @private
+ */
+function randomNonce() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return `0x${Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("")}`;
+}
+
+/**
+ * Split a 65-byte signature into the `v`, `r` and `s` contracts take
+ * @private
+ */
+function splitSignature(signature) {
+  const hex = signature.replace(/^0x/, "");
+  if (hex.length !== 130) {
+    throw new NimipayError("Invalid signature from the wallet", "VALIDATION_ERROR");
+  }
+  const v = parseInt(hex.slice(128), 16);
+  return {
+    r: `0x${hex.slice(0, 64)}`,
+    s: `0x${hex.slice(64, 128)}`,
+    v: v < 27 ? v + 27 : v,
+  };
+}
+
+/**
+ * Calldata of transfer(recipient, units), followed by the UTF-8 reference
+ * @private
+ */
+function encodeTransfer(recipient, units, reference = "") {
+  const extra = encodeURIComponent(reference).replace(/%([0-9A-F]{2})|[^%]/g, (char, hex) =>
+    hex ? hex.toLowerCase() : char.charCodeAt(0).toString(16).padStart(2, "0")
+  );
+  return TRANSFER + encodeAddress(recipient) + units.toString(16).padStart(64, "0") + extra;
+}
+
+export default Erc20ChainAdapter;
@@ -0,0 +1,109 @@
+import fs from "fs";
+import path from "path";
+import { MapStore, storeId } from "./StorageBackends.js";
+
+/**
+ * FileStorageBackend keeps every store as a JSON file in a directory, for
+ * Node servers. Records are held in memory and the file is rewritten after
+ * every change, through a temporary file so a crash never leaves it half
+ * written. One process should own the directory.
+ */
+class FileStorageBackend {
+  /**
+   * @param {string} directory Directory of the store files, created if missing
+   */
+  constructor(directory) {
+    this.directory = directory;
+    this.stores = new Map();
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  createInstance(options = {}) {
+    const id = storeId(options);
+    if (!this.stores.has(id)) {
+      const file = this.fileOf(id);
+      let writing = Promise.resolve();
+      const store = new MapStore(new Map(Object.entries(readJson(file) || {})), (items) => {
+        const json = JSON.stringify(Object.fromEntries(items));
+        // A failed write must not stop later ones
+        writing = writing.catch(() => {}).then(() => writeAtomic(file, json));
+        return writing;
+      });
+      this.stores.set(id, store);
+    }
+    return this.stores.get(id);
+  }
+
+  /**
+   * Web Storage kept in a JSON file, for the storage vault's keyring and
+   * preferences
+   * @param {string} [name="local-storage"] File name, without extension
+   * @returns {Storage}
+   */
+  createWebStorage(name = "local-storage") {
+    const file = path.join(this.directory, `${name}.json`);
+    const items = new Map(Object.entries(readJson(file) || {}));
+    const save = () => writeAtomicSync(file, JSON.stringify(Object.fromEntries(items)));
+
+    return {
+      get length() {
+        return items.size;
+      },
+      key: (index) => Array.from(items.keys())[index] ?? null,
+      getItem: (key) => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => {
+        items.set(key, String(value));
+        save();
+      },
+      removeItem: (key) => {
+        items.delete(key);
+        save();
+      },
+      clear: () => {
+        items.clear();
+        save();
+      },
+    };
+  }
+
+  /**
+   * @private
+   */
+  fileOf(id) {
+    return path.join(this.directory, `${encodeURIComponent(id)}.json`);
+  }
+}
+
+/**
+ * @private
+ */
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * @private
+ */
+async function writeAtomic(file, data) {
+  const temporary = `${file}.tmp`;
+  await fs.promises.writeFile(temporary, data);
+  await fs.promises.rename(temporary, file);
+}
+
+/**
+ * @private
+ */
+function writeAtomicSync(file, data) {
+  const temporary = `${file}.tmp`;
+  fs.writeFileSync(temporary, data);
+  fs.renameSync(temporary, file);
+}
+
+export default FileStorageBackend;
@@ -0,0 +1,449 @@
+import { createHash, createHmac } from "crypto";
+import { NimipayError } from "./errors.js";
+
+/**
+ * HdPublicKey derives watch-only Bitcoin addresses from an account's extended
+ * public key, without any private key (BIP32 public derivation).
+ *
+ * The key's prefix decides the address type: xpub/tpub give P2PKH (BIP44),
+ * ypub/upub P2SH-wrapped P2WPKH (BIP49) and zpub/vpub native P2WPKH (BIP84).
+ * Hardened children need the private key and cannot be derived.
+ */
+
+// secp256k1
+const P = 2n ** 256n - 2n ** 32n - 977n;
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+const G = {
+  x: 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+  y: 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n,
+};
+
+const HARDENED = 0x80000000;
+
+// Extended public key versions
+const VERSIONS = {
+  0x0488b21e: { prefix: "xpub", network: "mainnet", addressType: "p2pkh" },
+  0x049d7cb2: { prefix: "ypub", network: "mainnet", addressType: "p2sh-p2wpkh" },
+  0x04b24746: { prefix: "zpub", network: "mainnet", addressType: "p2wpkh" },
+  0x043587cf: { prefix: "tpub", network: "testnet", addressType: "p2pkh" },
+  0x044a5262: { prefix: "upub", network: "testnet", addressType: "p2sh-p2wpkh" },
+  0x045f1cf6: { prefix: "vpub", network: "testnet", addressType: "p2wpkh" },
+};
+
+const NETWORKS = {
+  mainnet: { pubKeyHash: 0x00, scriptHash: 0x05, bech32: "bc" },
+  testnet: { pubKeyHash: 0x6f, scriptHash: 0xc4, bech32: "tb" },
+};
+
+const BASE58 = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+const BECH32 = "qpzry9x8gf2tvdw0s3jn54khce6mua7l";
+
+/**
+ * Extended public key of one node in an HD wallet
+ */
+class HdPublicKey {
+  /**
+   * @param {Object} key Key fields, as parsed by fromString()
+   * @param {number} key.version Serialization version
+   * @param {number} key.depth Depth in the tree
+   * @param {number} key.parentFingerprint Fingerprint of the parent key
+   * @param {number} key.index Child index
+   * @param {Uint8Array} key.chainCode 32-byte chain code
+   * @param {Uint8Array} key.publicKey 33-byte compressed public key
+   */
+  constructor({ version, depth, parentFingerprint, index, chainCode, publicKey }) {
+    this.version = version;
+    this.depth = depth;
+    this.parentFingerprint = parentFingerprint;
+    this.index = index;
+    this.chainCode = chainCode;
+    this.publicKey = publicKey;
+    Object.assign(this, VERSIONS[version]);
+  }
+
+  /**
+   * Parse an extended public key
+   * @param {string} extendedKey xpub, ypub, zpub, tpub, upub or vpub
+   * @returns {HdPublicKey}
+   * @throws {NimipayError} VALIDATION_ERROR for invalid keys and for
+   *   extended private keys
+   */
+  static fromString(extendedKey) {
+    const bytes = base58CheckDecode(String(extendedKey).trim());
+    if (bytes.length !== 78) {
+      throw new NimipayError("Invalid extended public key length", "VALIDATION_ERROR");
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const version = view.getUint32(0);
+    if (bytes[45] === 0) {
+      throw new NimipayError(
+        "Extended private keys are not accepted, use the account's extended public key",
+        "VALIDATION_ERROR"
+      );
+    }
+    if (!VERSIONS[version]) {
+      throw new NimipayError("Unknown extended public key version", "VALIDATION_ERROR", {
+        version: version.toString(16),
+      });
+    }
+
+    const publicKey = bytes.slice(45, 78);
+    decompress(publicKey); // rejects points off the curve
+
+    return new HdPublicKey({
+      version,
+      depth: bytes[4],
+      parentFingerprint: view.getUint32(5),
+      index: view.getUint32(9),
+      chainCode: bytes.slice(13, 45),
+      publicKey,
+    });
+  }
+
+  /**
+   * Derive a non-hardened child key
+   * @param {number} index Child index, below 2^31
+   * @returns {HdPublicKey}
+   */
+  derive(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= HARDENED) {
+      throw new NimipayError("Only non-hardened children derive from a public key", "VALIDATION_ERROR", {
+        index,
+      });
+    }
+
+    const data = new Uint8Array(37);
+    data.set(this.publicKey);
+    new DataView(data.buffer).setUint32(33, index);
+    const I = createHmac("sha512", this.chainCode).update(data).digest();
+
+    const tweak = toBigInt(I.subarray(0, 32));
+    const point = tweak < N ? add(multiply(G, tweak), decompress(this.publicKey)) : null;
+    if (!point) {
+      // Happens with probability below 2^-127; BIP32 moves on to the next index
+      throw new NimipayError(`Invalid child key at index ${index}`, "VALIDATION_ERROR", { index });
+    }
+
+    return new HdPublicKey({
+      version: this.version,
+      depth: this.depth + 1,
+      parentFingerprint: new DataView(hash160(this.publicKey).buffer).getUint32(0),
+      index,
+      chainCode: Uint8Array.from(I.subarray(32)),
+      publicKey: compress(point),
+    });
+  }
+
+  /**
+   * Derive a descendant by a relative path
+   * @param {string} path Non-hardened path, e.g. "0/5"
+   * @returns {HdPublicKey}
+   */
+  derivePath(path) {
+    return String(path)
+      .split("/")
+      .filter((segment) => segment !== "" && segment !== "m")
+      .reduce((key, segment) => {
+        if (!/^\d+$/.test(segment)) {
+          throw new NimipayError(`Invalid derivation path ${path}`, "VALIDATION_ERROR");
+        }
+        return key.derive(Number(segment));
+      }, this);
+  }
+
+  /**
+   * Address of this key, of the type the key's prefix implies
+   * @returns {string}
+   */
+  toAddress() {
+    const network = NETWORKS[this.network];
+    const keyHash = hash160(this.publicKey);
+
+    switch (this.addressType) {
+      case "p2wpkh":
+        return segwitAddress(network.bech32, 0, keyHash);
+      case "p2sh-p2wpkh":
+        return base58CheckEncode(
+          concat([network.scriptHash], hash160(concat([0x00, 0x14], keyHash)))
+        );
+      default:
+        return base58CheckEncode(concat([network.pubKeyHash], keyHash));
+    }
+  }
+
+  /**
+   * Serialize as an extended public key with the same prefix
+   * @returns {string}
+   */
+  toString() {
+    const bytes = new Uint8Array(78);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, this.version);
+    bytes[4] = this.depth;
+    view.setUint32(5, this.parentFingerprint);
+    view.setUint32(9, this.index);
+    bytes.set(this.chainCode, 13);
+    bytes.set(this.publicKey, 45);
+    return base58CheckEncode(bytes);
+  }
+}
+
+/**
+ * @private
+ */
+function mod(a, m = P) {
+  const result = a % m;
+  return result >= 0n ? result : result + m;
+}
+
+/**
+ * Modular inverse by the extended Euclidean algorithm
+ * @private
+ */
+function invert(a, m = P) {
+  let [low, high] = [mod(a, m), m];
+  let [lm, hm] = [1n, 0n];
+  while (low > 1n) {
+    const ratio = high / low;
+    [lm, hm] = [hm - lm * ratio, lm];
+    [low, high] = [high - low * ratio, low];
+  }
+  return mod(lm, m);
+}
+
+/**
+ * @private
+ */
+function power(base, exponent, m = P) {
+  let result = 1n;
+  base = mod(base, m);
+  while (exponent > 0n) {
+    if (exponent & 1n) {
+      result = (result * base) % m;
+    }
+    base = (base * base) % m;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+/**
+ * Add two curve points; null is the point at infinity
+ * @private
+ */
+function add(a, b) {
+  if (!a) {
+    return b;
+  }
+  if (!b) {
+    return a;
+  }
+  if (a.x === b.x && mod(a.y + b.y) === 0n) {
+    return null;
+  }
+
+  const slope =
+    a.x === b.x
+      ? mod(3n * a.x * a.x * invert(2n * a.y))
+      : mod((b.y - a.y) * invert(b.x - a.x));
+  const x = mod(slope * slope - a.x - b.x);
+  return { x, y: mod(slope * (a.x - x) - a.y) };
+}
+
+/**
+ * @private
+ */
+function multiply(point, scalar) {
+  let result = null;
+  let addend = point;
+  while (scalar > 0n) {
+    if (scalar & 1n) {
+      result = add(result, addend);
+    }
+    addend = add(addend, addend);
+    scalar >>= 1n;
+  }
+  return result;
+}
+
+/**
+ * @private
+ */
+function compress({ x, y }) {
+  const bytes = new Uint8Array(33);
+  bytes[0] = y & 1n ? 0x03 : 0x02;
+  bytes.set(fromBigInt(x, 32), 1);
+  return bytes;
+}
+
+/**
+ * @private
+ */
+function decompress(bytes) {
+  if (bytes.length !== 33 || (bytes[0] !== 0x02 && bytes[0] !== 0x03)) {
+    throw new NimipayError("Invalid public key", "VALIDATION_ERROR");
+  }
+  const x = toBigInt(bytes.subarray(1));
+  const ySquared = mod(x ** 3n + 7n);
+  let y = power(ySquared, (P + 1n) / 4n);
+  if (x >= P || (y * y) % P !== ySquared) {
+    throw new NimipayError("Invalid public key", "VALIDATION_ERROR");
+  }
+  if ((y & 1n) !== BigInt(bytes[0] & 1)) {
+    y = P - y;
+  }
+  return { x, y };
+}
+
+/**
+ * @private
+ */
+function toBigInt(bytes) {
+  let value = 0n;
+  for (const byte of bytes) {
+    value = (value << 8n) | BigInt(byte);
+  }
+  return value;
+}
+
+/**
+ * @private
+ */
+function fromBigInt(value, length) {
+  const bytes = new Uint8Array(length);
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  return bytes;
+}
+
+/**
+ * @private
+ */
+function concat(...parts) {
+  return Uint8Array.from(parts.flatMap((part) => Array.from(part)));
+}
+
+/**
+ * @private
+ */
+function sha256(bytes) {
+  return Uint8Array.from(createHash("sha256").update(bytes).digest());
+}
+
+/**
+ * RIPEMD-160 of SHA-256, the hash in addresses and fingerprints
+ * @private
+ */
+function hash160(bytes) {
+  return Uint8Array.from(createHash("ripemd160").update(sha256(bytes)).digest());
+}
+
+/**
+ * @private
+ */
+function base58CheckEncode(payload) {
+  const bytes = concat(payload, sha256(sha256(payload)).subarray(0, 4));
+  let value = toBigInt(bytes);
+  let result = "";
+  while (value > 0n) {
+    result = BASE58[Number(value % 58n)] + result;
+    value /= 58n;
+  }
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+    result = "1" + result;
+  }
+  return result;
+}
+
+/**
+ * @private
+ */
+function base58CheckDecode(text) {
+  let value = 0n;
+  for (const char of text) {
+    const digit = BASE58.indexOf(char);
+    if (digit < 0) {
+      throw new NimipayError("Invalid base58 character", "VALIDATION_ERROR");
+    }
+    value = value * 58n + BigInt(digit);
+  }
+
+  const leadingZeros = text.match(/^1*/)[0].length;
+  const body = value > 0n ? fromBigInt(value, Math.ceil(value.toString(16).length / 2)) : new Uint8Array(0);
+  const bytes = concat(new Uint8Array(leadingZeros), body);
+  if (bytes.length < 4) {
+    throw new NimipayError("Invalid base58check string", "VALIDATION_ERROR");
+  }
+
+  const payload = bytes.subarray(0, -4);
+  const checksum = sha256(sha256(payload)).subarray(0, 4);
+  if (!checksum.every((byte, i) => byte === bytes[bytes.length - 4 + i])) {
+    throw new NimipayError("Invalid extended key checksum", "VALIDATION_ERROR");
+  }
+  return Uint8Array.from(payload);
+}
+
+/**
+ * Bech32 (BIP173) address of a segwit v0 program
+ * @private
+ */
+function segwitAddress(hrp, version, program) {
+  const data = [version, ...convertBits(program, 8, 5)];
+  const checksum = bech32Polymod([...hrpExpand(hrp), ...data, 0, 0, 0, 0, 0, 0]) ^ 1;
+  for (let i = 0; i < 6; i++) {
+    data.push((checksum >> (5 * (5 - i))) & 31);
+  }
+  return `${hrp}1${data.map((value) => BECH32[value]).join("")}`;
+}
+
+/**
+ * @private
+ */
+function hrpExpand(hrp) {
+  const chars = Array.from(hrp, (char) => char.charCodeAt(0));
+  return [...chars.map((code) => code >> 5), 0, ...chars.map((code) => code & 31)];
+}
+
+/**
+ * @private
+ */
+function bech32Polymod(values) {
+  const generator = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >> i) & 1) {
+        checksum ^= generator[i];
+      }
+    }
+  }
+  return checksum;
+}
+
+/**
+ * @private
+ */
+function convertBits(bytes, from, to) {
+  let accumulator = 0;
+  let bits = 0;
+  const result = [];
+  for (const value of bytes) {
+    accumulator = (accumulator << from) | value;
+    bits += from;
+    while (bits >= to) {
+      bits -= to;
+      result.push((accumulator >> bits) & ((1 << to) - 1));
+    }
+  }
+  if (bits > 0) {
+    result.push((accumulator << (to - bits)) & ((1 << to) - 1));
+  }
+  return result;
+}
+
+export default HdPublicKey;
@@ -0,0 +1,188 @@
+/* global Nimiq */
+import { defaultEnvironment } from "./Environment.js";
+
+const INVOICE_REFERENCE = /Invoice #(\S+)/;
+
+/**
+ * IncomingPaymentWatcher notices payments to the merchant address that were
+ * sent from any wallet, not only through the checkout widget.
+ *
+ * Incoming transactions are matched to expected invoices by the
+ * `Invoice #id` reference in their extra data, or else by exact amount while
+ * the invoice's amount window is open. An amount shared by several open
+ * invoices is ambiguous and left unmatched.
+ */
+class IncomingPaymentWatcher {
+  /**
+   * @param {NimiqNodeService} nimiqNode Browser node to receive through
+   * @param {Object} [options] Watcher options
+   * @param {number} [options.amountWindow=900000] Time in ms an invoice can be
+   *   matched by amount alone
+   * @param {Environment} [options.environment] Storage and events, defaults
+   *   to the browser's
+   */
+  constructor(nimiqNode, options = {}) {
+    this.nimiqNode = nimiqNode;
+    this.env = options.environment || defaultEnvironment;
+    this.amountWindow = options.amountWindow || 15 * 60 * 1000;
+    this.address = null;
+    this.expected = new Map();
+    this.seen = new Map();
+    this.store = this.env.createStore({
+      name: "nimipay-incoming",
+    });
+
+    this.handleTransaction = this.handleTransaction.bind(this);
+  }
+
+  /**
+   * Start receiving payments to an address
+   * @param {string} address Merchant Nimiq address
+   * @returns {Promise<void>}
+   */
+  async start(address) {
+    if (this.address) {
+      return;
+    }
+
+    try {
+      const stored = await this.store.getItem("expected");
+      for (const expectation of stored || []) {
+        this.expected.set(expectation.invoiceId, expectation);
+      }
+    } catch (error) {
+      console.error("Failed to restore expected payments:", error);
+    }
+
+    this.address = address;
+    this.nimiqNode.watchAddress(address);
+    this.nimiqNode.on("incoming-transaction", this.handleTransaction);
+  }
+
+  /**
+   * Stop receiving payments
+   */
+  stop() {
+    this.nimiqNode.off("incoming-transaction", this.handleTransaction);
+    this.address = null;
+  }
+
+  /**
+   * Expect a payment for an invoice
+   * @param {string} invoiceId Invoice ID
+   * @param {number} amount Expected amount in NIM
+   * @returns {Promise<Object>} The expectation
+   */
+  async expect(invoiceId, amount) {
+    const now = Date.now();
+    const expectation = {
+      invoiceId,
+      amount,
+      value: Nimiq.Policy.coinsToSatoshis(amount),
+      createdAt: now,
+      expiresAt: now + this.amountWindow,
+    };
+
+    this.expected.set(invoiceId, expectation);
+    await this.persist();
+    return expectation;
+  }
+
+  /**
+   * Stop expecting a payment for an invoice
+   * @param {string} invoiceId Invoice ID
+   */
+  async cancel(invoiceId) {
+    this.expected.delete(invoiceId);
+    await this.persist();
+  }
+
+  /**
+   * Get all expected payments
+   * @returns {Array<Object>} Expectations
+   */
+  getExpected() {
+    return Array.from(this.expected.values()).map((expectation) => ({ ...expectation }));
+  }
+
+  /**
+   * Match an incoming transaction to an expected invoice
+   * @private
+   */
+  handleTransaction(tx) {
+    // Mined transactions were already reported while pending
+    if (this.seen.has(tx.hash)) {
+      return;
+    }
+
+    const { expectation, matchedBy, reason } = this.match(tx);
+    this.seen.set(tx.hash, expectation ? expectation.invoiceId : null);
+
+    const data = {
+      hash: tx.hash,
+      sender: tx.sender,
+      value: tx.value,
+      amount: Nimiq.Policy.satoshisToCoins(tx.value),
+      extraData: tx.extraData,
+    };
+
+    if (!expectation) {
+      this.emitEvent("incoming:unmatched", { ...data, reason });
+      return;
+    }
+
+    this.expected.delete(expectation.invoiceId);
+    this.persist();
+    this.emitEvent("incoming:matched", {
+      ...data,
+      invoiceId: expectation.invoiceId,
+      expectedAmount: expectation.amount,
+      matchedBy,
+    });
+  }
+
+  /**
+   * @private
+   */
+  match(tx) {
+    const reference = tx.extraData && tx.extraData.match(INVOICE_REFERENCE);
+    if (reference && this.expected.has(reference[1])) {
+      return { expectation: this.expected.get(reference[1]), matchedBy: "extraData" };
+    }
+
+    const now = Date.now();
+    const candidates = Array.from(this.expected.values()).filter(
+      (expectation) => expectation.value === tx.value && now <= expectation.expiresAt
+    );
+
+    if (candidates.length === 1) {
+      return { expectation: candidates[0], matchedBy: "amount" };
+    }
+    return { expectation: null, reason: candidates.length > 1 ? "ambiguous" : "no_match" };
+  }
+
+  /**
+   * Persist expectations to storage
+   * @private
+   */
+  async persist() {
+    try {
+      await this.store.setItem("expected", Array.from(this.expected.values()));
+    } catch (error) {
+      console.error("Failed to persist expected payments:", error);
+    }
+  }
+
+  /**
+   * Emit incoming payment event
+   * @private
+   */
+  emitEvent(type, data) {
+    const event = new CustomEvent("nimipay:incoming", {
+      detail: { type, data },
+    });
+    this.env.dispatchEvent(event);
+  }
+}
+
+export default IncomingPaymentWatcher;
@@ -0,0 +1,187 @@
+import Money from "./Money.js";
+import { NimipayError } from "./errors.js";
+import { defaultEnvironment } from "./Environment.js";
+import CurrencyRegistry from "./CurrencyRegistry.js";
+
+/**
+ * InvoiceReconciler adds up every payment matched to an invoice and compares
+ * the total with the expected amount.
+ *
+ * Amounts are kept in the currency's smallest unit. A total within the
+ * currency's tolerance of the expected amount is "paid"; below that the
+ * invoice is "partially_paid" and above it "overpaid".
+ */
+class InvoiceReconciler {
+  /**
+   * @param {Object} [options] Reconciler options
+   * @param {Object} [options.tolerances] Tolerance per currency code, as an
+   *   amount in that currency. Defaults to the currency config's paymentTolerance
+   *   or one smallest unit.
+   * @param {CurrencyRegistry} [options.currencies] Supported currencies,
+   *   giving their decimals and tolerances
+   * @param {Environment} [options.environment] Storage, defaults to the
+   *   browser's
+   */
+  constructor(options = {}) {
+    this.tolerances = options.tolerances || {};
+    this.currencies = options.currencies || CurrencyRegistry.fromConfig();
+    this.env = options.environment || defaultEnvironment;
+    this.store = this.env.createStore({
+      name: "nimipay-reconciliation",
+    });
+  }
+
+  /**
+   * Set the amount an invoice is expected to receive. Invoices that already
+   * received payments keep their expectation, so a top-up does not reset it.
+   * @param {string} invoiceId Invoice ID
+   * @param {string} currency Currency code
+   * @param {number} amount Expected amount
+   * @returns {Promise<Object>} Reconciliation
+   */
+  async expect(invoiceId, currency, amount) {
+    const existing = await this.store.getItem(`invoice_${invoiceId}`);
+    if (existing && existing.payments.length > 0) {
+      return this.toReconciliation(existing);
+    }
+
+    const record = {
+      invoiceId,
+      currency,
+      expected: this.toUnits(amount, currency),
+      payments: [],
+      excessRefund: null,
+    };
+    await this.store.setItem(`invoice_${invoiceId}`, record);
+    return this.toReconciliation(record);
+  }
+
+  /**
+   * Add a payment to an invoice and reconcile it
+   * @param {string} invoiceId Invoice ID
+   * @param {Object} payment Payment details
+   * @param {string} payment.hash Transaction hash
+   * @param {number} payment.amount Amount received
+   * @param {string} payment.currency Currency code
+   * @param {string} [payment.txId] Queue ID, if the payment went through the queue
+   * @returns {Promise<Object|null>} Reconciliation, or null if the invoice is not expected
+   */
+  async recordPayment(invoiceId, { hash, amount, currency, txId }) {
+    const record = await this.store.getItem(`invoice_${invoiceId}`);
+    if (!record) {
+      return null;
+    }
+    if (currency !== record.currency) {
+      throw new NimipayError(
+        `Invoice ${invoiceId} expects ${record.currency}, not ${currency}`,
+        "VALIDATION_ERROR",
+        { invoiceId, currency }
+      );
+    }
+
+    // The same transaction is reported when seen and again when mined
+    if (!record.payments.some((payment) => payment.hash === hash)) {
+      record.payments.push({
+        hash,
+        txId: txId || hash,
+        value: this.toUnits(amount, currency),
+        receivedAt: Date.now(),
+      });
+      await this.store.setItem(`invoice_${invoiceId}`, record);
+    }
+
+    return this.toReconciliation(record);
+  }
+
+  /**
+   * Remember the refund queued for an overpaid invoice
+   * @param {string} invoiceId Invoice ID
+   * @param {string} txId Queue ID of the refund
+   */
+  async recordExcessRefund(invoiceId, txId) {
+    const record = await this.store.getItem(`invoice_${invoiceId}`);
+    if (record) {
+      record.excessRefund = txId;
+      await this.store.setItem(`invoice_${invoiceId}`, record);
+    }
+  }
+
+  /**
+   * Get the reconciliation of an invoice
+   * @param {string} invoiceId Invoice ID
+   * @returns {Promise<Object|null>} Reconciliation
+   */
+  async get(invoiceId) {
+    const record = await this.store.getItem(`invoice_${invoiceId}`);
+    return record ? this.toReconciliation(record) : null;
+  }
+
+  /**
+   * Tolerance of a currency in smallest units
+   * @private
+   */
+  getTolerance(currency) {
+    const tolerance = this.tolerances[currency] ?? this.getConfig(currency).paymentTolerance;
+    return tolerance === undefined ? 1 : this.toUnits(tolerance, currency);
+  }
+
+  /**
+   * Compare the received total with the expected amount
+   * @private
+   */
+  toReconciliation(record) {
+    const { invoiceId, currency, expected, payments, excessRefund } = record;
+    const received = payments.reduce((sum, payment) => sum + payment.value, 0);
+    const difference = received - expected;
+    const tolerance = this.getTolerance(currency);
+
+    let status = "paid";
+    if (received === 0) {
+      status = "unpaid";
+    } else if (difference < -tolerance) {
+      status = "partially_paid";
+    } else if (difference > tolerance) {
+      status = "overpaid";
+    }
+
+    return {
+      invoiceId,
+      currency,
+      status,
+      expected: this.fromUnits(expected, currency),
+      received: this.fromUnits(received, currency),
+      difference: this.fromUnits(difference, currency),
+      payments: payments.map((payment) => ({
+        hash: payment.hash,
+        txId: payment.txId,
+        amount: this.fromUnits(payment.value, currency),
+        receivedAt: payment.receivedAt,
+      })),
+      excessRefund,
+    };
+  }
+
+  /**
+   * @private
+   */
+  toUnits(amount, currency) {
+    return Number(Money.parse(amount, currency, { decimals: this.getConfig(currency).decimals }).units);
+  }
+
+  /**
+   * @private
+   */
+  fromUnits(units, currency) {
+    return Money.fromUnits(units, currency, { decimals: this.getConfig(currency).decimals }).toNumber();
+  }
+
+  /**
+   * Config of a registered currency, empty for others
+   * @private
+   */
+  getConfig(currency) {
+    return this.currencies.has(currency) ? this.currencies.get(currency).config : {};
+  }
+}
+
+export default InvoiceReconciler;
@@ -1,16 +1,22 @@
-import localforage from "localforage";
+import { defaultEnvironment } from "./Environment.js";
 
 /**
  * MigrationManager handles data migration and versioning
  */
 class MigrationManager {
-  constructor() {
+  /**
+   * @param {Object} [options] Options
+   * @param {Environment} [options.environment] Storage and Web Storage,
+   *   defaults to the browser's
+   */
+  constructor(options = {}) {
+    this.env = options.environment || defaultEnvironment;
     this.stores = {
-      migration: localforage.createInstance({
+      migration: this.env.createStore({
         name: "nimipay-migration",
         storeName: "migration"
       }),
-      backup: localforage.createInstance({
+      backup: this.env.createStore({
         name: "nimipay-backup",
         storeName: "backup"
       })
@@ -170,7 +176,7 @@ class MigrationManager {
     // Backup all stores
     const stores = ["transactions", "balances", "metadata", "sync"];
     for (const store of stores) {
-      const storeInstance = localforage.createInstance({
+      const storeInstance = this.env.createStore({
         name: `nimipay-${store}`,
         storeName: store
       });
@@ -208,7 +214,7 @@ class MigrationManager {
 
     // Restore each store
     for (const [store, data] of Object.entries(backup.data)) {
-      const storeInstance = localforage.createInstance({
+      const storeInstance = this.env.createStore({
         name: `nimipay-${store}`,
         storeName: store
       });
@@ -267,7 +273,7 @@ class MigrationManager {
     const stores = ["transactions", "balances", "metadata", "sync"];
     
     for (const store of stores) {
-      const storeInstance = localforage.createInstance({
+      const storeInstance = this.env.createStore({
         name: `nimipay-${store}`,
         storeName: store
       });
@@ -296,7 +302,7 @@ class MigrationManager {
    * @private
    */
   async addTransactionMetadata({ batchSize }) {
-    const store = localforage.createInstance({
+    const store = this.env.createStore({
       name: "nimipay-transactions",
       storeName: "transactions"
     });
@@ -329,11 +335,11 @@ class MigrationManager {
    * @private
    */
   async migrateUserPreferences() {
-    const oldPrefs = localStorage.getItem("nimipay_preferences");
+    const oldPrefs = this.env.localStorage.getItem("nimipay_preferences");
     if (oldPrefs) {
       try {
         const prefs = JSON.parse(oldPrefs);
-        const store = localforage.createInstance({
+        const store = this.env.createStore({
           name: "nimipay-metadata",
           storeName: "metadata"
         });
@@ -345,11 +351,11 @@ class MigrationManager {
         });
 
         // Keep old prefs temporarily
-        localStorage.setItem(
+        this.env.localStorage.setItem(
           "nimipay_preferences_backup",
-          localStorage.getItem("nimipay_preferences")
+          this.env.localStorage.getItem("nimipay_preferences")
         );
-        localStorage.removeItem("nimipay_preferences");
+        this.env.localStorage.removeItem("nimipay_preferences");
       } catch (error) {
         console.error("Failed to migrate preferences:", error);
         throw error;
@@ -365,7 +371,7 @@ class MigrationManager {
     const stores = ["transactions", "balances", "metadata", "sync"];
     
     for (const store of stores) {
-      const storeInstance = localforage.createInstance({
+      const storeInstance = this.env.createStore({
         name: `nimipay-${store}`,
         storeName: store
       });
@@ -391,7 +397,7 @@ class MigrationManager {
    * @private
    */
   async validateTransactionMetadata() {
-    const store = localforage.createInstance({
+    const store = this.env.createStore({
       name: "nimipay-transactions",
       storeName: "transactions"
     });
@@ -412,7 +418,7 @@ class MigrationManager {
    * @private
    */
   async validateUserPreferences() {
-    const store = localforage.createInstance({
+    const store = this.env.createStore({
       name: "nimipay-metadata",
       storeName: "metadata"
     });
@@ -429,7 +435,7 @@ class MigrationManager {
     const stores = ["transactions", "balances", "metadata", "sync"];
     
     for (const store of stores) {
-      const storeInstance = localforage.createInstance({
+      const storeInstance = this.env.createStore({
         name: `nimipay-${store}`,
         storeName: store
       });
@@ -446,7 +452,7 @@ class MigrationManager {
    * @private
    */
   async removeTransactionMetadata() {
-    const store = localforage.createInstance({
+    const store = this.env.createStore({
       name: "nimipay-transactions",
       storeName: "transactions"
     });
@@ -464,13 +470,13 @@ class MigrationManager {
    * @private
    */
   async rollbackUserPreferences() {
-    const oldPrefs = localStorage.getItem("nimipay_preferences_backup");
+    const oldPrefs = this.env.localStorage.getItem("nimipay_preferences_backup");
     if (oldPrefs) {
-      localStorage.setItem("nimipay_preferences", oldPrefs);
-      localStorage.removeItem("nimipay_preferences_backup");
+      this.env.localStorage.setItem("nimipay_preferences", oldPrefs);
+      this.env.localStorage.removeItem("nimipay_preferences_backup");
     }
 
-    const store = localforage.createInstance({
+    const store = this.env.createStore({
       name: "nimipay-metadata",
       storeName: "metadata"
     });
@@ -483,7 +489,7 @@ class MigrationManager {
    * @private
    */
   async getDeviceId() {
-    const store = localforage.createInstance({
+    const store = this.env.createStore({
       name: "nimipay-metadata",
       storeName: "metadata"
     });
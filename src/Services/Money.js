@@ -0,0 +1,368 @@
+import { NimipayError } from "./errors.js";
+
+/**
+ * Rounding modes for amounts that do not fit a currency's decimals
+ */
+export const ROUNDING = {
+  DOWN: "down", // towards zero
+  UP: "up", // away from zero
+  FLOOR: "floor",
+  CEIL: "ceil",
+  HALF_UP: "half_up", // ties away from zero
+  HALF_EVEN: "half_even", // ties to the even neighbour
+};
+
+const DECIMAL = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+/**
+ * Money is an exact amount of a currency, held as a BigInt count of the
+ * currency's smallest unit (luna, satoshi, USDC base units, cents).
+ *
+ * Amounts are parsed from decimal strings or numbers without going through
+ * floating-point math. Operations that can lose precision take an explicit
+ * rounding mode.
+ */
+class Money {
+  /**
+   * @param {bigint|number|string} units Amount in smallest units
+   * @param {string} currency Currency code
+   * @param {number} [decimals] Decimals of the currency, defaults to CURRENCY_CONFIG
+   */
+  constructor(units, currency, decimals = Money.getDecimals(currency)) {
+    if (typeof units === "number" && !Number.isSafeInteger(units)) {
+      throw new NimipayError(`Invalid ${currency} units: ${units}`, "VALIDATION_ERROR", {
+        units,
+        currency,
+      });
+    }
+
+    this.units = BigInt(units);
+    this.currency = currency;
+    this.decimals = decimals;
+    Object.freeze(this);
+  }
+
+  /**
+   * Decimals of a currency: CURRENCY_CONFIG for crypto, ISO 4217 for fiat
+   * @param {string} currency Currency code
+   * @returns {number}
+   * @throws {NimipayError} UNSUPPORTED_CURRENCY for unknown currencies
+   */
+  static getDecimals(currency) {
+    const config = globalThis.CURRENCY_CONFIG?.[currency];
+    if (config && Number.isInteger(config.decimals)) {
+      return config.decimals;
+    }
+    if (isFiat(currency)) {
+      // ISO 4217 minor units, e.g. 2 for USD and 0 for JPY
+      return new Intl.NumberFormat("en", { style: "currency", currency }).resolvedOptions()
+        .maximumFractionDigits;
+    }
+    throw new NimipayError(`Unknown currency ${currency}`, "UNSUPPORTED_CURRENCY", { currency });
+  }
+
+  /**
+   * Parse a decimal amount
+   * @param {string|number} value Amount, e.g. "12.5" or 12.5
+   * @param {string} currency Currency code
+   * @param {Object} [options] Parse options
+   * @param {string} [options.rounding] Rounding mode for extra decimals. Without
+   *   one, amounts with more decimals than the currency has are rejected.
+   * @param {number} [options.decimals] Decimals of the currency
+   * @returns {Money}
+   */
+  static parse(value, currency, { rounding, decimals = Money.getDecimals(currency) } = {}) {
+    const { digits, scale } = parseDecimal(value);
+
+    if (scale <= decimals) {
+      return new Money(digits * pow10(decimals - scale), currency, decimals);
+    }
+    if (!rounding && digits % pow10(scale - decimals) !== 0n) {
+      throw new NimipayError(
+        `${value} has more than ${decimals} decimals for ${currency}`,
+        "VALIDATION_ERROR",
+        { value, currency }
+      );
+    }
+    return new Money(
+      divide(digits, pow10(scale - decimals), rounding || ROUNDING.DOWN),
+      currency,
+      decimals
+    );
+  }
+
+  /**
+   * Create an amount from smallest units
+   * @param {bigint|number|string} units Amount in smallest units
+   * @param {string} currency Currency code
+   * @param {Object} [options] Options
+   * @param {number} [options.decimals] Decimals of the currency
+   * @returns {Money}
+   */
+  static fromUnits(units, currency, { decimals = Money.getDecimals(currency) } = {}) {
+    return new Money(units, currency, decimals);
+  }
+
+  /**
+   * Zero in a currency
+   * @param {string} currency Currency code
+   * @returns {Money}
+   */
+  static zero(currency) {
+    return new Money(0n, currency);
+  }
+
+  /**
+   * @param {Money} other Amount in the same currency
+   * @returns {Money}
+   */
+  add(other) {
+    this.assertSameCurrency(other);
+    return new Money(this.units + other.units, this.currency, this.decimals);
+  }
+
+  /**
+   * @param {Money} other Amount in the same currency
+   * @returns {Money}
+   */
+  subtract(other) {
+    this.assertSameCurrency(other);
+    return new Money(this.units - other.units, this.currency, this.decimals);
+  }
+
+  /**
+   * @returns {Money}
+   */
+  negate() {
+    return new Money(-this.units, this.currency, this.decimals);
+  }
+
+  /**
+   * Multiply by a decimal factor
+   * @param {string|number} factor Factor, e.g. "0.5"
+   * @param {Object} [options] Options
+   * @param {string} [options.rounding=ROUNDING.HALF_UP] Rounding mode
+   * @returns {Money}
+   */
+  multiply(factor, { rounding = ROUNDING.HALF_UP } = {}) {
+    const { digits, scale } = parseDecimal(factor);
+    return new Money(
+      divide(this.units * digits, pow10(scale), rounding),
+      this.currency,
+      this.decimals
+    );
+  }
+
+  /**
+   * Convert at a rate given in the target currency
+   * @param {string} currency Target currency code
+   * @param {string|number} rate Amount of the target currency per one unit of this currency
+   * @param {Object} [options] Options
+   * @param {string} [options.rounding=ROUNDING.HALF_UP] Rounding mode
+   * @param {number} [options.decimals] Decimals of the target currency
+   * @returns {Money}
+   */
+  convert(currency, rate, { rounding = ROUNDING.HALF_UP, decimals = Money.getDecimals(currency) } = {}) {
+    const { digits, scale } = parseDecimal(rate);
+    return new Money(
+      divide(
+        this.units * digits * pow10(decimals),
+        pow10(scale + this.decimals),
+        rounding
+      ),
+      currency,
+      decimals
+    );
+  }
+
+  /**
+   * Convert at a price given in this currency, e.g. USD to NIM at the NIM price in USD
+   * @param {string} currency Target currency code
+   * @param {string|number} price Amount of this currency per one unit of the target currency
+   * @param {Object} [options] Options
+   * @param {string} [options.rounding=ROUNDING.HALF_UP] Rounding mode
+   * @param {number} [options.decimals] Decimals of the target currency
+   * @returns {Money}
+   */
+  convertAtPrice(currency, price, { rounding = ROUNDING.HALF_UP, decimals = Money.getDecimals(currency) } = {}) {
+    const { digits, scale } = parseDecimal(price);
+    if (digits <= 0n) {
+      throw new NimipayError(`Invalid price: ${price}`, "VALIDATION_ERROR", { price, currency });
+    }
+    return new Money(
+      divide(
+        this.units * pow10(scale + decimals),
+        digits * pow10(this.decimals),
+        rounding
+      ),
+      currency,
+      decimals
+    );
+  }
+
+  /**
+   * @param {Money} other Amount in the same currency
+   * @returns {number} -1, 0 or 1
+   */
+  compare(other) {
+    this.assertSameCurrency(other);
+    if (this.units === other.units) {
+      return 0;
+    }
+    return this.units < other.units ? -1 : 1;
+  }
+
+  equals(other) {
+    return this.compare(other) === 0;
+  }
+
+  lessThan(other) {
+    return this.compare(other) < 0;
+  }
+
+  greaterThan(other) {
+    return this.compare(other) > 0;
+  }
+
+  isZero() {
+    return this.units === 0n;
+  }
+
+  isPositive() {
+    return this.units > 0n;
+  }
+
+  isNegative() {
+    return this.units < 0n;
+  }
+
+  /**
+   * Format as a decimal string
+   * @param {Object} [options] Format options
+   * @param {boolean} [options.trimZeros=false] Drop trailing zero decimals
+   * @param {boolean} [options.withCurrency=false] Append the currency code
+   * @returns {string} e.g. "12.5000" or "12.5 NIM"
+   */
+  format({ trimZeros = false, withCurrency = false } = {}) {
+    const negative = this.units < 0n;
+    const digits = (negative ? -this.units : this.units)
+      .toString()
+      .padStart(this.decimals + 1, "0");
+    const whole = digits.slice(0, digits.length - this.decimals);
+    let fraction = digits.slice(digits.length - this.decimals);
+    if (trimZeros) {
+      fraction = fraction.replace(/0+$/, "");
+    }
+
+    const amount = `${negative ? "-" : ""}${whole}${fraction ? `.${fraction}` : ""}`;
+    return withCurrency ? `${amount} ${this.currency}` : amount;
+  }
+
+  toString() {
+    return this.format();
+  }
+
+  /**
+   * The amount as a number, for display and APIs that take numbers
+   * @returns {number}
+   */
+  toNumber() {
+    return Number(this.format());
+  }
+
+  toJSON() {
+    return this.format();
+  }
+
+  /**
+   * @private
+   */
+  assertSameCurrency(other) {
+    if (!(other instanceof Money) || other.currency !== this.currency) {
+      throw new NimipayError(
+        `Cannot combine ${this.currency} with ${other?.currency}`,
+        "VALIDATION_ERROR",
+        { currency: this.currency, other: other?.currency }
+      );
+    }
+  }
+}
+
+let fiatCurrencies = null;
+
+function isFiat(currency) {
+  if (!fiatCurrencies) {
+    fiatCurrencies = new Set(
+      typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("currency") : ["USD"]
+    );
+  }
+  return fiatCurrencies.has(currency);
+}
+
+function pow10(exponent) {
+  return 10n ** BigInt(exponent);
+}
+
+/**
+ * Split a decimal into integer digits and a power-of-ten scale
+ * @private
+ */
+function parseDecimal(value) {
+  if (typeof value === "bigint") {
+    return { digits: value, scale: 0 };
+  }
+
+  const match = DECIMAL.exec(String(value).trim());
+  if (!match || (!match[2] && !match[3])) {
+    throw new NimipayError(`Invalid amount: ${value}`, "VALIDATION_ERROR", { value });
+  }
+
+  const [, sign, whole = "", fraction = "", exponent = "0"] = match;
+  let digits = BigInt(`${whole}${fraction}` || "0");
+  let scale = fraction.length - Number(exponent);
+  if (scale < 0) {
+    digits *= pow10(-scale);
+    scale = 0;
+  }
+  return { digits: sign === "-" ? -digits : digits, scale };
+}
+
+/**
+ * Divide integers, rounding the quotient
+ * @private
+ */
+function divide(numerator, denominator, rounding) {
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  if (remainder === 0n) {
+    return quotient;
+  }
+
+  // BigInt division truncates; `away` is the neighbour away from zero
+  const negative = numerator < 0n !== denominator < 0n;
+  const away = negative ? quotient - 1n : quotient + 1n;
+  const twice = 2n * (remainder < 0n ? -remainder : remainder);
+  const divisor = denominator < 0n ? -denominator : denominator;
+
+  switch (rounding) {
+    case ROUNDING.DOWN:
+      return quotient;
+    case ROUNDING.UP:
+      return away;
+    case ROUNDING.FLOOR:
+      return negative ? away : quotient;
+    case ROUNDING.CEIL:
+      return negative ? quotient : away;
+    case ROUNDING.HALF_UP:
+      return twice >= divisor ? away : quotient;
+    case ROUNDING.HALF_EVEN:
+      if (twice === divisor) {
+        return quotient % 2n === 0n ? quotient : away;
+      }
+      return twice > divisor ? away : quotient;
+    default:
+      throw new NimipayError(`Unknown rounding mode: ${rounding}`, "VALIDATION_ERROR", { rounding });
+  }
+}
+
+export default Money;
@@ -0,0 +1,139 @@
+<?php
+
+namespace Nimipay\Services;
+
+/**
+ * Login with a Nimiq address: the customer signs a one-time challenge in the
+ * Nimiq Hub, and the signature is checked against the address's public key.
+ */
+class NimiqAuthService {
+    // Prefix the Hub puts in front of signed messages
+    const MESSAGE_PREFIX = "\x16Nimiq Signed Message:\n";
+    const BASE32_ALPHABET = '0123456789ABCDEFGHJKLMNPQRSTUVXY';
+
+    private $merchantName;
+    private $challengeLifetime;
+
+    /**
+     * @param string $merchantName Shown to the customer in the challenge
+     * @param int $challengeLifetime Seconds a challenge can be signed
+     */
+    public function __construct($merchantName, $challengeLifetime = 300) {
+        $this->merchantName = $merchantName;
+        $this->challengeLifetime = $challengeLifetime;
+    }
+
+    /**
+     * Create a login challenge for an address
+     *
+     * @param string $address Nimiq address
+     * @return array Challenge message, nonce and expiry timestamp
+     * @throws \Exception If the address is invalid
+     */
+    public function createChallenge($address) {
+        if (!$this->isValidAddress($address)) {
+            throw new \Exception("Invalid Nimiq address");
+        }
+
+        $nonce = bin2hex(random_bytes(16));
+        $expiresAt = time() + $this->challengeLifetime;
+
+        return [
+            'challenge' => "Log in to {$this->merchantName}\n"
+                . "Address: {$this->formatAddress($address)}\n"
+                . "Nonce: {$nonce}\n"
+                . "Expires: " . gmdate('Y-m-d H:i:s', $expiresAt) . " UTC",
+            'nonce' => $nonce,
+            'expires_at' => $expiresAt
+        ];
+    }
+
+    /**
+     * Check a message was signed in the Hub by the key of an address
+     *
+     * @param string $address Nimiq address claimed by the customer
+     * @param string $message Signed message
+     * @param string $publicKey Signer's Ed25519 public key, hex
+     * @param string $signature Ed25519 signature, hex
+     * @return bool True if the address's key signed the message
+     */
+    public function verifySignedMessage($address, $message, $publicKey, $signature) {
+        if (!ctype_xdigit($publicKey) || strlen($publicKey) !== 64
+            || !ctype_xdigit($signature) || strlen($signature) !== 128) {
+            return false;
+        }
+
+        $publicKey = hex2bin($publicKey);
+        if ($this->addressFromPublicKey($publicKey) !== $this->formatAddress($address)) {
+            return false;
+        }
+
+        $hash = hash('sha256', self::MESSAGE_PREFIX . strlen($message) . $message, true);
+        return sodium_crypto_sign_verify_detached(hex2bin($signature), $hash, $publicKey);
+    }
+
+    /**
+     * Nimiq address of an Ed25519 public key: the first 20 bytes of its
+     * BLAKE2b hash, base32 encoded with an IBAN check
+     *
+     * @param string $publicKey Raw 32 byte public key
+     * @return string Address, e.g. "NQ07 0000 ..."
+     */
+    public function addressFromPublicKey($publicKey) {
+        $base32 = $this->toBase32(substr(sodium_crypto_generichash($publicKey, '', 32), 0, 20));
+        $check = str_pad(98 - $this->ibanCheck($base32 . 'NQ00'), 2, '0', STR_PAD_LEFT);
+
+        return trim(chunk_split('NQ' . $check . $base32, 4, ' '));
+    }
+
+    /**
+     * Validate a Nimiq address and its check digits
+     *
+     * @param string $address Nimiq address, with or without spaces
+     * @return bool True if valid
+     */
+    public function isValidAddress($address) {
+        $address = str_replace(' ', '', strtoupper((string)$address));
+        if (!preg_match('/^NQ[0-9]{2}[' . self::BASE32_ALPHABET . ']{32}$/', $address)) {
+            return false;
+        }
+
+        return $this->ibanCheck(substr($address, 4) . substr($address, 0, 4)) === 1;
+    }
+
+    /**
+     * Uppercase address in groups of four
+     *
+     * @param string $address Nimiq address
+     * @return string Formatted address
+     */
+    public function formatAddress($address) {
+        return trim(chunk_split(str_replace(' ', '', strtoupper($address)), 4, ' '));
+    }
+
+    private function toBase32($bytes) {
+        $bits = '';
+        foreach (str_split($bytes) as $byte) {
+            $bits .= str_pad(decbin(ord($byte)), 8, '0', STR_PAD_LEFT);
+        }
+
+        $result = '';
+        foreach (str_split($bits, 5) as $chunk) {
+            $result .= self::BASE32_ALPHABET[bindec(str_pad($chunk, 5, '0'))];
+        }
+        return $result;
+    }
+
+    private function ibanCheck($value) {
+        $digits = '';
+        foreach (str_split($value) as $char) {
+            $digits .= ctype_digit($char) ? $char : (string)(ord($char) - 55);
+        }
+
+        $remainder = '';
+        foreach (str_split($digits, 6) as $chunk) {
+            $remainder = (string)(intval($remainder . $chunk) % 97);
+        }
+        return (int)$remainder;
+    }
+}
@@ -0,0 +1,65 @@
+import ChainAdapter from "./ChainAdapter.js";
+import Money from "./Money.js";
+import { NimipayError } from "./errors.js";
+import { defaultEnvironment } from "./Environment.js";
+
+/**
+ * NimiqChainAdapter sends NIM from the browser node, or through the Hub's
+ * checkout while the node has no signer. Confirmations and explorer links
+ * follow the node's network.
+ */
+class NimiqChainAdapter extends ChainAdapter {
+  /**
+   * @param {Object} config Currency config
+   * @param {NimiqNodeService} nimiqNode Browser node
+   * @param {NimiqHubService} [hub] Hub checkout for customers without a node signer
+   * @param {Object} [options] Adapter options
+   * @param {Environment} [options.environment] Configuration giving the
+   *   merchant's nimAddress, defaults to the browser's
+   */
+  constructor(config, nimiqNode, hub, { environment } = {}) {
+    super(config);
+    this.nimiqNode = nimiqNode;
+    this.hub = hub;
+    this.env = environment || defaultEnvironment;
+  }
+
+  getRequiredConfirmations() {
+    return this.nimiqNode.getRequiredConfirmations(this.config.minConfirmations);
+  }
+
+  getExplorerUrl(hash) {
+    return this.nimiqNode.getExplorerUrl(hash);
+  }
+
+  async getBalance(address) {
+    return this.nimiqNode.getBalance(address);
+  }
+
+  async sendPayment({ invoice, amount, recipient = this.env.config.nimAddress }) {
+    if (this.hub && !this.nimiqNode.signer) {
+      return this.hub.checkout({ invoice, amount, recipient });
+    }
+    if (!this.nimiqNode.isReady()) {
+      throw new NimipayError("Nimiq node not ready", "NODE_NOT_READY");
+    }
+
+    const txResult = await this.nimiqNode.processTransaction({
+      recipient,
+      value: Number(Money.parse(amount, this.currency, { decimals: this.decimals }).units), // luna
+      extraData: `Invoice #${invoice.id_invoice}`,
+    });
+
+    return {
+      type: this.type,
+      hash: txResult.hash,
+      status: "confirming",
+    };
+  }
+
+  async verifyPayment(hash) {
+    return this.nimiqNode.verifyTransaction(hash);
+  }
+}
+
+export default NimiqChainAdapter;
@@ -0,0 +1,138 @@
+import Money from "./Money.js";
+import { NimipayError } from "./errors.js";
+import { defaultEnvironment } from "./Environment.js";
+
+const NIM_DECIMALS = 5; // 1 NIM = 100000 luna
+
+// Hub API rejections when the customer closes the popup or cancels
+const CANCELED = ["CANCELED", "Connection was closed"];
+
+/**
+ * NimiqHubService is the Nimiq Hub integration of the widget: checkout,
+ * choosing an address, and logging in by signing a backend challenge.
+ *
+ * Login proves the customer holds the address's key: the backend's
+ * `loginChallenge` action returns a one-time message, the Hub signs it, and
+ * the backend's `login` action checks the signature against the address
+ * before returning the customer's invoices and items.
+ */
+class NimiqHubService {
+  /**
+   * @param {HubApi} hubApi Hub API client, e.g. new HubApi("https://wallet.nimiq.com")
+   * @param {Object} [options] Options
+   * @param {string} [options.appName="NimiPay"] Shown by the Hub, defaults
+   *   to the environment's nimAddressLabel
+   * @param {Function} [options.request] Posts a backend action:
+   *   (action, body) => Promise<Object>
+   * @param {Environment} [options.environment] Configuration giving the
+   *   merchant's nimAddress and nimAddressLabel, defaults to the browser's
+   */
+  constructor(hubApi, { appName, request, environment } = {}) {
+    this.hubApi = hubApi;
+    this.env = environment || defaultEnvironment;
+    this.appName = appName || this.env.config.nimAddressLabel || "NimiPay";
+    this.request = request;
+  }
+
+  /**
+   * Pay an invoice in NIM through the Hub's checkout, which signs and sends
+   * the transaction
+   * @param {Object} payment Payment
+   * @param {Object} payment.invoice Invoice details
+   * @param {number|string} payment.amount Amount in NIM
+   * @param {string} [payment.recipient] Defaults to the environment's nimAddress
+   * @param {string} [payment.sender] Address the customer must pay from
+   * @returns {Promise<Object>} Result with the transaction `hash`
+   * @throws {NimipayError} REQUEST_CANCELED if the customer cancels
+   */
+  async checkout({ invoice, amount, recipient = this.env.config.nimAddress, sender }) {
+    const request = {
+      appName: this.appName,
+      recipient,
+      value: Number(Money.parse(amount, "NIM", { decimals: NIM_DECIMALS }).units), // luna
+      extraData: `Invoice #${invoice.id_invoice}`,
+    };
+    if (sender) {
+      request.sender = sender;
+      request.forceSender = true;
+    }
+
+    const signed = await this.call("checkout", request);
+    return {
+      type: "native",
+      hash: signed.hash,
+      status: "confirming",
+    };
+  }
+
+  /**
+   * Let the customer pick one of their Nimiq addresses
+   * @returns {Promise<Object>} `address` and `label`
+   * @throws {NimipayError} REQUEST_CANCELED if the customer cancels
+   */
+  async chooseAddress() {
+    const { address, label } = await this.call("chooseAddress", { appName: this.appName });
+    return { address, label };
+  }
+
+  /**
+   * Log in with a Nimiq address: the customer picks it and signs the
+   * backend's challenge with its key
+   * @returns {Promise<Object>} `address`, `label`, and the customer's
+   *   `invoices` and `items`
+   * @throws {NimipayError} REQUEST_CANCELED if the customer cancels,
+   *   AUTH_FAILED if the backend rejects the signature
+   */
+  async login() {
+    if (!this.request) {
+      throw new NimipayError("Login needs a backend", "CONFIGURATION_ERROR");
+    }
+
+    const { address, label } = await this.chooseAddress();
+    const { challenge } = await this.request("loginChallenge", { address });
+    const signed = await this.call("signMessage", {
+      appName: this.appName,
+      message: challenge,
+      signer: address,
+    });
+
+    const result = await this.request("login", {
+      address,
+      label,
+      challenge,
+      public_key: toHex(signed.signerPublicKey),
+      signature: toHex(signed.signature),
+    });
+
+    return {
+      address,
+      label,
+      invoices: result.invoices || [],
+      items: result.items || [],
+    };
+  }
+
+  /**
+   * Send a request to the Hub
+   * @private
+   */
+  async call(method, request) {
+    try {
+      return await this.hubApi[method](request);
+    } catch (error) {
+      if (CANCELED.includes(error?.message)) {
+        throw new NimipayError("Request canceled in the Nimiq Hub", "REQUEST_CANCELED", { method });
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function toHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+export default NimiqHubService;
@@ -1,9 +1,70 @@
+import {
+    NimipayError,
+    ValidityWindowError,
+    InsufficientBalanceError,
+    FeeTooLowError,
+    TransactionRejectedError
+} from './errors.js';
+
+/**
+ * Supported Nimiq networks. `minConfirmations` overrides the currency
+ * default where set.
+ */
+export const NIMIQ_NETWORKS = {
+    main: {
+        explorerUrl: 'https://explorer.nimiq.com/transaction/',
+        minConfirmations: null
+    },
+    test: {
+        explorerUrl: 'https://test.nimiq.watch/#',
+        minConfirmations: 1
+    },
+    dev: {
+        explorerUrl: null,
+        minConfirmations: 1
+    }
+};
+
+export const CONSENSUS_TYPES = ['light', 'nano', 'pico'];
+
 /**
  * NimiqNodeService provides a wrapper around the @nimiq/core browser node
  * functionality with additional error handling and state management.
  */
 class NimiqNodeService {
-    constructor() {
+    /**
+     * @param {Object} [options] Node options
+     * @param {string} [options.network='main'] Network: main, test or dev
+     * @param {string} [options.consensus='light'] Consensus: light, nano or pico
+     * @param {Array<string>} [options.seeds] Seed peers replacing the network
+     *   defaults, as 'wss://host:port/publicKeyHex' (ws:// for unencrypted)
+     * @param {string} [options.explorerUrl] Overrides the network's explorer URL
+     * @param {number} [options.minConfirmations] Overrides the confirmation threshold
+     */
+    constructor(options = {}) {
+        const network = options.network || 'main';
+        const consensus = options.consensus || 'light';
+
+        if (!NIMIQ_NETWORKS[network]) {
+            throw new NimipayError(`Unknown Nimiq network: ${network}`, 'CONFIGURATION_ERROR');
+        }
+        if (!CONSENSUS_TYPES.includes(consensus)) {
+            throw new NimipayError(`Unknown consensus type: ${consensus}`, 'CONFIGURATION_ERROR');
+        }
+
+        this.config = {
+            ...NIMIQ_NETWORKS[network],
+            network,
+            consensus,
+            seeds: options.seeds || []
+        };
+        if (options.explorerUrl !== undefined) {
+            this.config.explorerUrl = options.explorerUrl;
+        }
+        if (options.minConfirmations !== undefined) {
+            this.config.minConfirmations = options.minConfirmations;
+        }
+
         this.consensus = null;
         this.blockchain = null;
         this.accounts = null;
@@ -17,6 +78,50 @@ class NimiqNodeService {
             connected: false
         };
         this._initPromise = null;
+        this._listeners = new Map();
+        this._watchedAddresses = new Set();
+        this.signer = null;
+    }
+
+    /**
+     * Subscribe to node events
+     * @param {string} type Event type, e.g. 'head-changed'
+     * @param {Function} listener Event listener
+     */
+    on(type, listener) {
+        if (!this._listeners.has(type)) {
+            this._listeners.set(type, new Set());
+        }
+        this._listeners.get(type).add(listener);
+    }
+
+    /**
+     * Unsubscribe from node events
+     * @param {string} type Event type
+     * @param {Function} listener Event listener
+     */
+    off(type, listener) {
+        const listeners = this._listeners.get(type);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    /**
+     * Notify listeners of an event
+     * @private
+     */
+    _emit(type, data) {
+        const listeners = this._listeners.get(type);
+        if (!listeners) return;
+
+        for (const listener of listeners) {
+            try {
+                listener(data);
+            } catch (error) {
+                console.error(`Listener for ${type} failed:`, error);
+            }
+        }
     }
 
     /**
@@ -29,11 +134,11 @@ class NimiqNodeService {
         this._initPromise = new Promise(async (resolve, reject) => {
             try {
                 // Configure Nimiq
-                Nimiq.GenesisConfig.main();
+                this._configureGenesis();
 
                 // Initialize consensus
-                this.consensus = await Nimiq.Consensus.light();
-                
+                this.consensus = await Nimiq.Consensus[this.config.consensus]();
+
                 // Store references
                 this.blockchain = this.consensus.blockchain;
                 this.accounts = this.blockchain.accounts;
@@ -57,14 +162,94 @@ class NimiqNodeService {
         return this._initPromise;
     }
 
+    /**
+     * Select the network, replacing its seed peers if custom seeds are set
+     * @private
+     */
+    _configureGenesis() {
+        const { network, seeds } = this.config;
+
+        if (seeds.length === 0) {
+            Nimiq.GenesisConfig[network]();
+            return;
+        }
+
+        Nimiq.GenesisConfig.init({
+            ...Nimiq.GenesisConfig.CONFIGS[network],
+            SEED_PEERS: seeds.map(seed => this._parseSeed(seed))
+        });
+    }
+
+    /**
+     * Parse a seed peer URL into a peer address
+     * @private
+     */
+    _parseSeed(seed) {
+        const match = /^(wss?):\/\/([^:/]+):(\d+)(?:\/([0-9a-fA-F]+))?$/.exec(seed);
+        if (!match) {
+            throw new NimipayError(`Invalid seed peer: ${seed}`, 'CONFIGURATION_ERROR');
+        }
+
+        const [, protocol, host, port, publicKey] = match;
+        const PeerAddress = protocol === 'wss' ? Nimiq.WssPeerAddress : Nimiq.WsPeerAddress;
+        return PeerAddress.seed(host, Number(port), publicKey);
+    }
+
+    /**
+     * Get the network configuration this node runs with
+     * @returns {Object} Network, consensus, seeds, explorer URL and threshold
+     */
+    getNetworkConfig() {
+        return { ...this.config, seeds: [...this.config.seeds] };
+    }
+
+    /**
+     * Get the confirmations required on this network
+     * @param {number} currencyDefault Threshold configured for the currency
+     * @returns {number} Required confirmations
+     */
+    getRequiredConfirmations(currencyDefault) {
+        return this.config.minConfirmations || currencyDefault;
+    }
+
+    /**
+     * Build the block explorer link for a transaction
+     * @param {string} txHash Transaction hash
+     * @returns {string} Explorer URL, or '#' if the network has no explorer
+     */
+    getExplorerUrl(txHash) {
+        return this.config.explorerUrl ? `${this.config.explorerUrl}${txHash}` : '#';
+    }
+
     /**
      * Set up blockchain event listeners
      * @private
      */
     _setupEventListeners() {
-        this.blockchain.on('head-changed', (head) => {
+        this.blockchain.on('head-changed', (head, rebranching) => {
+            const previousHeadHash = this.state.headHash;
             this.state.height = this.blockchain.height;
             this.state.headHash = head.hash().toHex();
+
+            // The chain fires rebranching heads with a truthy second argument;
+            // a head that does not build on the previous one is a rebranch too
+            const rebranched = rebranching === true || Boolean(
+                previousHeadHash && head.prevHash && head.prevHash.toHex() !== previousHeadHash
+            );
+
+            this._emit('head-changed', {
+                height: this.state.height,
+                headHash: this.state.headHash,
+                rebranched
+            });
+
+            if (rebranched) {
+                this._emit('rebranched', {
+                    height: this.state.height,
+                    headHash: this.state.headHash,
+                    previousHeadHash
+                });
+            }
         });
 
         this.network.on('peers-changed', () => {
@@ -78,6 +263,55 @@ class NimiqNodeService {
         this.consensus.on('lost', () => {
             this.state.syncing = true;
         });
+
+        this.consensus.on('transaction-added', (tx) => {
+            this._handleIncomingTransaction(tx, 'pending', null);
+        });
+
+        this.consensus.on('transaction-mined', (tx, block) => {
+            this._handleIncomingTransaction(tx, 'mined', block.height);
+        });
+    }
+
+    /**
+     * Receive transactions sent to an address, e.g. the merchant's. They are
+     * reported through 'incoming-transaction' events, once when they enter
+     * the mempool and again when mined.
+     * @param {string} address Nimiq address
+     */
+    watchAddress(address) {
+        if (!this.state.initialized) {
+            throw new NimipayError('Nimiq node not initialized', 'NODE_NOT_READY');
+        }
+
+        const nimiqAddress = Nimiq.Address.fromString(address);
+        this._watchedAddresses.add(nimiqAddress.toUserFriendlyAddress());
+
+        // Nano and pico clients only relay transactions of subscribed accounts
+        if (this.consensus.subscribeAccounts) {
+            this.consensus.subscribeAccounts(
+                Array.from(this._watchedAddresses, (watched) => Nimiq.Address.fromString(watched))
+            );
+        }
+    }
+
+    /**
+     * Report a transaction to a watched address
+     * @private
+     */
+    _handleIncomingTransaction(tx, state, height) {
+        const recipient = tx.recipient.toUserFriendlyAddress();
+        if (!this._watchedAddresses.has(recipient)) return;
+
+        this._emit('incoming-transaction', {
+            hash: tx.hash().toHex(),
+            sender: tx.sender.toUserFriendlyAddress(),
+            recipient,
+            value: tx.value,
+            extraData: tx.data && tx.data.length > 0 ? Nimiq.BufferUtils.toUtf8(tx.data) : null,
+            state,
+            height
+        });
     }
 
     /**
@@ -87,7 +321,7 @@ class NimiqNodeService {
      */
     async getBalance(address) {
         if (!this.state.initialized) {
-            throw new Error('Nimiq node not initialized');
+            throw new NimipayError('Nimiq node not initialized', 'NODE_NOT_READY');
         }
 
         try {
@@ -107,13 +341,13 @@ class NimiqNodeService {
      */
     async verifyTransaction(txHash) {
         if (!this.state.initialized) {
-            throw new Error('Nimiq node not initialized');
+            throw new NimipayError('Nimiq node not initialized', 'NODE_NOT_READY');
         }
 
         try {
             const tx = await this.blockchain.getTransaction(txHash);
             if (!tx) {
-                throw new Error('Transaction not found');
+                throw new NimipayError('Transaction not found', 'TRANSACTION_NOT_FOUND', { hash: txHash });
             }
 
             return {
@@ -130,6 +364,184 @@ class NimiqNodeService {
         }
     }
 
+    /**
+     * Look up where a transaction currently is: mined, in the mempool or unknown
+     * @param {string} txHash Transaction hash
+     * @returns {Promise<Object>} Inclusion details
+     */
+    async getTransactionInfo(txHash) {
+        if (!this.state.initialized) {
+            throw new NimipayError('Nimiq node not initialized', 'NODE_NOT_READY');
+        }
+
+        const tx = await this.blockchain.getTransaction(txHash);
+        if (tx) {
+            return {
+                state: 'mined',
+                height: tx.height,
+                confirmations: this.blockchain.height - tx.height + 1
+            };
+        }
+
+        const pending = this.mempool.getTransaction
+            ? await this.mempool.getTransaction(txHash)
+            : null;
+
+        return {
+            state: pending ? 'pending' : 'unknown',
+            height: null,
+            confirmations: 0
+        };
+    }
+
+    /**
+     * Set the signer used by processTransaction.
+     *
+     * Either a Nimiq.Wallet (signs locally with its key pair) or a Hub API
+     * signer: an object with an `address` and a `signTransaction(request)`
+     * method resolving to a signed transaction with `serializedTx`, e.g.
+     * `{ address, signTransaction: (request) => hubApi.signTransaction(request) }`.
+     * @param {Object} signer Wallet or Hub API signer
+     */
+    setSigner(signer) {
+        this.signer = signer;
+    }
+
+    /**
+     * Build, sign and broadcast a transaction through the local mempool
+     * @param {Object} options Transaction options
+     * @param {string} options.recipient Recipient address
+     * @param {number} options.value Value in luna
+     * @param {number} [options.fee=0] Fee in luna
+     * @param {string} [options.extraData] Message, sent as an extended transaction
+     * @param {number} [options.validityStartHeight] Defaults to the current height
+     * @param {Object} [options.signer] Overrides the signer set via setSigner
+     * @returns {Promise<Object>} Transaction hash and mempool status
+     */
+    async processTransaction({
+        recipient,
+        value,
+        fee = 0,
+        extraData,
+        validityStartHeight,
+        signer = this.signer
+    }) {
+        if (!this.state.initialized) {
+            throw new NimipayError('Nimiq node not initialized', 'NODE_NOT_READY');
+        }
+        if (!signer) {
+            throw new NimipayError('No transaction signer configured', 'NO_SIGNER');
+        }
+
+        const height = this.blockchain.height;
+        const startHeight = validityStartHeight !== undefined ? validityStartHeight : height;
+        this._checkValidityWindow(startHeight, height);
+
+        const senderAddress = this._getSignerAddress(signer);
+        const account = await this.accounts.get(senderAddress);
+        const balance = account ? account.balance : 0;
+        if (balance < value + fee) {
+            throw new InsufficientBalanceError('Insufficient balance for transaction', {
+                balance,
+                required: value + fee
+            });
+        }
+
+        const tx = signer.keyPair
+            ? this._signWithWallet(signer, recipient, value, fee, startHeight, extraData)
+            : await this._signWithHub(signer, recipient, value, fee, startHeight, extraData);
+
+        const hash = tx.hash().toHex();
+        const returnCode = await this.mempool.pushTransaction(tx);
+
+        switch (returnCode) {
+            case Nimiq.Mempool.ReturnCode.ACCEPTED:
+                return { hash, status: 'accepted', validityStartHeight: startHeight };
+            case Nimiq.Mempool.ReturnCode.KNOWN:
+                return { hash, status: 'known', validityStartHeight: startHeight };
+            case Nimiq.Mempool.ReturnCode.FEE_TOO_LOW:
+                throw new FeeTooLowError('Transaction fee too low', { hash, fee });
+            default:
+                throw new TransactionRejectedError('Transaction rejected by mempool', {
+                    hash,
+                    returnCode
+                });
+        }
+    }
+
+    /**
+     * Ensure a transaction with this start height can still be mined
+     * @private
+     */
+    _checkValidityWindow(startHeight, height) {
+        const validityWindow = Nimiq.Policy.TRANSACTION_VALIDITY_WINDOW;
+        const nextHeight = height + 1;
+
+        if (startHeight > nextHeight || startHeight + validityWindow <= nextHeight) {
+            throw new ValidityWindowError('Validity start height outside of validity window', {
+                validityStartHeight: startHeight,
+                height
+            });
+        }
+    }
+
+    /**
+     * Resolve the sender address of a signer
+     * @private
+     */
+    _getSignerAddress(signer) {
+        const address = signer.address;
+        return typeof address === 'string' ? Nimiq.Address.fromString(address) : address;
+    }
+
+    /**
+     * Create a transaction signed with a local wallet key
+     * @private
+     */
+    _signWithWallet(wallet, recipient, value, fee, validityStartHeight, extraData) {
+        const recipientAddress = Nimiq.Address.fromString(recipient);
+
+        if (!extraData) {
+            return wallet.createTransaction(recipientAddress, value, fee, validityStartHeight);
+        }
+
+        const tx = new Nimiq.ExtendedTransaction(
+            wallet.address,
+            Nimiq.Account.Type.BASIC,
+            recipientAddress,
+            Nimiq.Account.Type.BASIC,
+            value,
+            fee,
+            validityStartHeight,
+            Nimiq.Transaction.Flag.NONE,
+            Nimiq.BufferUtils.fromUtf8(extraData)
+        );
+        const { privateKey, publicKey } = wallet.keyPair;
+        const signature = Nimiq.Signature.create(privateKey, publicKey, tx.serializeContent());
+        tx.proof = Nimiq.SignatureProof.singleSig(publicKey, signature).serialize();
+
+        return tx;
+    }
+
+    /**
+     * Have the Hub API sign a transaction and unserialize the result
+     * @private
+     */
+    async _signWithHub(signer, recipient, value, fee, validityStartHeight, extraData) {
+        const sender = this._getSignerAddress(signer);
+        const signed = await signer.signTransaction({
+            appName: signer.appName || 'NimiPay',
+            sender: sender.toUserFriendlyAddress(),
+            recipient,
+            value,
+            fee,
+            extraData,
+            validityStartHeight
+        });
+
+        return Nimiq.Transaction.unserialize(Nimiq.BufferUtils.fromHex(signed.serializedTx));
+    }
+
     /**
      * Get current blockchain state
      * @returns {Object} Current state
@@ -1,21 +1,76 @@
 import NimiqNodeService from "./NimiqNodeService.js";
 import TransactionQueueService from "./TransactionQueueService.js";
-import localforage from "localforage";
+import ConfirmationMonitor from "./ConfirmationMonitor.js";
+import IncomingPaymentWatcher from "./IncomingPaymentWatcher.js";
+import InvoiceReconciler from "./InvoiceReconciler.js";
+import Quote from "./Quote.js";
+import Money from "./Money.js";
+import CurrencyRegistry, { DEFAULT_CURRENCIES } from "./CurrencyRegistry.js";
+import NimiqChainAdapter from "./NimiqChainAdapter.js";
+import BackendChainAdapter from "./BackendChainAdapter.js";
+import Erc20ChainAdapter from "./Erc20ChainAdapter.js";
+import BitcoinChainAdapter from "./BitcoinChainAdapter.js";
+import NimiqHubService from "./NimiqHubService.js";
+import { NimipayError } from "./errors.js";
+import { defaultEnvironment } from "./Environment.js";
 
 /**
  * PaymentFlowService coordinates payment processing between browser node and existing flows
  */
 class PaymentFlowService {
-  constructor() {
-    this.nimiqNode = new NimiqNodeService();
-    this.transactionQueue = new TransactionQueueService();
-    this.offlineStore = localforage.createInstance({
+  /**
+   * @param {Object} [options] Service options
+   * @param {Object} [options.nimiq] NimiqNodeService options (network, consensus, seeds)
+   * @param {Object} [options.reconciliation] InvoiceReconciler options (tolerances)
+   * @param {Object} [options.currencies] Currency configs keyed by code, defaults
+   *   to DEFAULT_CURRENCIES until loadCurrencies() fetches the backend's
+   * @param {Object} [options.ethereum] EIP-1193 provider for ERC-20 tokens,
+   *   defaults to the environment's ethereum
+   * @param {Object} [options.bitcoin] BitcoinChainAdapter options (xpub,
+   *   gapLimit, addressTtl); the xpub defaults to the environment's npBtcXpub
+   * @param {HubApi} [options.hubApi] Nimiq Hub API client, for login and
+   *   NIM checkout without a node signer
+   * @param {string} [options.appName] App name shown by the Hub
+   * @param {Environment} [options.environment] Storage, events and
+   *   configuration shared with the other services, defaults to the browser's
+   */
+  constructor(options = {}) {
+    this.env = options.environment || defaultEnvironment;
+    this.ethereum = options.ethereum;
+    this.bitcoin = options.bitcoin || {};
+    this.hub = options.hubApi
+      ? new NimiqHubService(options.hubApi, {
+        appName: options.appName,
+        request: (action, body) => this.postBackendAction(action, body),
+        environment: this.env
+      })
+      : null;
+    this.nimiqNode = new NimiqNodeService(options.nimiq);
+    this.offlineStore = this.env.createStore({
       name: "nimipay-transactions"
     });
+    this.currencies = CurrencyRegistry.fromConfig(
+      options.currencies || DEFAULT_CURRENCIES,
+      (config) => this.createAdapter(config)
+    );
+    const environment = this.env;
+    const currencies = this.currencies;
+    this.transactionQueue = new TransactionQueueService({ environment, currencies });
+    this.confirmationMonitor = new ConfirmationMonitor(this.nimiqNode, { environment, currencies });
+    this.incomingWatcher = new IncomingPaymentWatcher(this.nimiqNode, { environment });
+    this.reconciler = new InvoiceReconciler({ ...options.reconciliation, environment, currencies });
+    // Records that could not be written while the terminal was locked
+    this.unsaved = new Map();
+    // Last refund of each payment, which the next one waits for
+    this.refunding = new Map();
+    this.env.vault.on("unlocked", () => this.saveUnsaved());
     this.initialized = false;
+    this.registerExecutors();
 
     // Listen for transaction events
-    window.addEventListener("nimipay:queue", this.handleQueueEvent.bind(this));
+    this.env.addEventListener("nimipay:queue", this.handleQueueEvent.bind(this));
+    this.env.addEventListener("nimipay:monitor", this.handleMonitorEvent.bind(this));
+    this.env.addEventListener("nimipay:incoming", this.handleIncomingEvent.bind(this));
   }
 
   /**
@@ -32,84 +87,468 @@ class PaymentFlowService {
         this.transactionQueue.initializeQueue()
       ]);
       this.initialized = true;
+
+      // Resume watches left over from a previous page load
+      await this.confirmationMonitor.restore();
     } catch (error) {
       console.error("Failed to initialize PaymentFlowService:", error);
       throw error;
     }
   }
 
+  /**
+   * Replace the supported currencies with the backend's currency config
+   * @returns {Promise<string[]>} Supported currency codes
+   */
+  async loadCurrencies() {
+    const codes = await this.currencies.load(this.env.backendUrl, (config) =>
+      this.createAdapter(config)
+    );
+    this.registerExecutors();
+    return codes;
+  }
+
+  /**
+   * Create the chain adapter of a currency: NIM goes through the browser
+   * node or the Hub, ERC-20 tokens through the browser wallet if there is one (relayed
+   * by the backend when gasless), BTC to per-invoice addresses if there is
+   * an xpub, everything else through the backend
+   * @private
+   */
+  createAdapter(config) {
+    if (config.network === "nimiq") {
+      return new NimiqChainAdapter(config, this.nimiqNode, this.hub, { environment: this.env });
+    }
+    const request = (action, body) => this.postBackendAction(action, body);
+    const ethereum = this.ethereum || this.env.config.ethereum;
+    if (config.type === "erc20" && config.contractAddress && ethereum) {
+      return new Erc20ChainAdapter(config, { provider: ethereum, relay: request, environment: this.env });
+    }
+    if (config.network === "bitcoin" && config.esploraUrl && (this.bitcoin.xpub || this.env.config.npBtcXpub)) {
+      return new BitcoinChainAdapter(config, {
+        ...this.bitcoin,
+        request,
+        store: this.offlineStore,
+        environment: this.env
+      });
+    }
+    return new BackendChainAdapter(config, {
+      request,
+      store: this.offlineStore,
+      environment: this.env
+    });
+  }
+
+  /**
+   * Register payment and refund executors with the transaction queue
+   * @private
+   */
+  registerExecutors() {
+    for (const adapter of this.currencies.list()) {
+      this.transactionQueue.registerPaymentExecutor(adapter.currency, (data) =>
+        this.processChainPayment(adapter, data)
+      );
+      this.transactionQueue.registerStatusCheck(adapter.currency, (data) => this.findSentPayment(data));
+    }
+    this.transactionQueue.registerRefundExecutor((data) => this.executeRefund(data));
+  }
+
   /**
    * Handle transaction queue events
    * @private
    */
   async handleQueueEvent(event) {
+    const { type, data, mirrored } = event.detail;
+
+    // The leader tab already handled events mirrored from it
+    if (mirrored) {
+      return;
+    }
+
+    try {
+      switch (type) {
+        case "transaction:success":
+          await this.handleTransactionSuccess(data);
+          break;
+        case "transaction:failure":
+          await this.handleTransactionFailure(data);
+          break;
+        case "transaction:retry":
+          await this.handleTransactionRetry(data);
+          break;
+        case "transaction:waiting":
+          await this.handleTransactionWaiting(data);
+          break;
+        case "transaction:validation":
+          await this.handleValidationError(data);
+          break;
+        case "transaction:insufficient_funds":
+          await this.handleInsufficientFunds(data);
+          break;
+      }
+    } catch (error) {
+      // Nothing awaits event listeners; report instead of rejecting unhandled
+      console.error(`Failed to handle ${type}:`, error);
+    }
+  }
+
+  /**
+   * Handle confirmation monitor events
+   * @private
+   */
+  async handleMonitorEvent(event) {
     const { type, data } = event.detail;
+    const { invoiceId, hash, confirmations, idempotencyKey } = data;
 
-    switch (type) {
-      case "transaction:success":
-        await this.handleTransactionSuccess(data);
-        break;
-      case "transaction:failure":
-        await this.handleTransactionFailure(data);
-        break;
-      case "transaction:retry":
-        await this.handleTransactionRetry(data);
-        break;
-      case "transaction:validation":
-        await this.handleValidationError(data);
-        break;
-      case "transaction:insufficient_funds":
-        await this.handleInsufficientFunds(data);
-        break;
+    try {
+      switch (type) {
+        case "monitor:seen":
+          await this.updateInvoiceStatus(invoiceId, "confirming", hash, { confirmations }, idempotencyKey);
+          break;
+        case "monitor:confirmed":
+          await this.updateInvoiceStatus(invoiceId, "confirmed", hash, { confirmations }, idempotencyKey);
+          break;
+        case "monitor:dropped":
+          await this.updateInvoiceStatus(
+            invoiceId,
+            "failed",
+            hash,
+            { reason: data.reason || "dropped" },
+            idempotencyKey
+          );
+          break;
+        case "monitor:reorged":
+          if (data.wasConfirmed) {
+            await this.handleConfirmedReorg(data);
+          }
+          break;
+      }
+    } catch (error) {
+      console.error(`Failed to handle ${type}:`, error);
     }
   }
 
   /**
-   * Get balance for specified currency
+   * Handle payments received outside the checkout widget
+   * @private
+   */
+  async handleIncomingEvent(event) {
+    const { type, data } = event.detail;
+
+    if (type !== "incoming:matched") {
+      return;
+    }
+
+    try {
+      const { invoiceId, hash, sender, amount, matchedBy, currency = "NIM" } = data;
+      await this.updateInvoiceStatus(invoiceId, "seen", hash, { sender, amount, matchedBy });
+
+      // Keep the payment refundable and count it towards the invoice
+      const transaction = { invoice: { id_invoice: invoiceId }, currency, amount };
+      await this.recordPayment(hash, transaction, { hash });
+      await this.reconcilePayment(invoiceId, { hash, amount, currency });
+
+      // Confirmation monitor events take the invoice on to confirmed
+      this.monitorTransaction(hash, invoiceId, currency).catch((error) =>
+        console.error("Transaction monitoring error:", error)
+      );
+    } catch (error) {
+      console.error(`Failed to handle ${type}:`, error);
+    }
+  }
+
+  /**
+   * Move a confirmed invoice back after its payment was rebranched away
+   * @private
+   */
+  async handleConfirmedReorg(data) {
+    const { invoiceId, hash, status, confirmations, previousHeight, idempotencyKey } = data;
+
+    await this.updateInvoiceStatus(
+      invoiceId,
+      status,
+      hash,
+      {
+        reason: "reorg",
+        confirmations,
+        previousHeight
+      },
+      idempotencyKey
+    );
+
+    // Let merchants hold fulfilment until the payment confirms again
+    this.transactionQueue.emitEvent("transaction:reorged", {
+      invoiceId,
+      hash,
+      status
+    });
+  }
+
+  /**
+   * Wait for a transaction to reach the currency's required confirmations.
+   * The watch is persisted, so the invoice is still updated if the page is
+   * closed before the promise settles.
+   * @param {string} hash Transaction hash
+   * @param {string} invoiceId Invoice ID
    * @param {string} currency Currency code
-   * @param {string} address Wallet address
-   * @returns {Promise<number>} Balance amount
+   * @param {string} [idempotencyKey] Key of the payment attempt that sent it
+   * @returns {Promise<Object>} Confirmation result
    */
-  async getBalance(currency, address) {
+  async monitorTransaction(hash, invoiceId, currency, idempotencyKey) {
+    const adapter = this.currencies.get(currency);
+    if (adapter instanceof NimiqChainAdapter) {
+      return this.confirmationMonitor.watch(hash, invoiceId, currency, idempotencyKey);
+    }
+    return this.watchChainConfirmations(adapter, hash, invoiceId, idempotencyKey);
+  }
+
+  /**
+   * Follow a transaction through its chain adapter, reporting progress as
+   * the same monitor events the browser node's monitor emits
+   * @private
+   */
+  async watchChainConfirmations(adapter, hash, invoiceId, idempotencyKey) {
+    const emit = (type, status, extra = {}) =>
+      this.env.dispatchEvent(
+        new CustomEvent("nimipay:monitor", {
+          detail: {
+            type,
+            data: {
+              hash,
+              invoiceId,
+              currency: adapter.currency,
+              confirmations: status.confirmations,
+              required: status.required,
+              idempotencyKey,
+              ...extra
+            }
+          }
+        })
+      );
+
+    let seen = false;
     try {
-      // Use browser node for NIM
-      if (currency === "NIM") {
-        return await this.nimiqNode.getBalance(address);
+      const result = await adapter.waitForConfirmations(hash, {
+        onUpdate: (status) => {
+          if (status.status === "pending" || status.status === "failed") {
+            return;
+          }
+          if (!seen) {
+            seen = true;
+            emit("monitor:seen", status);
+          }
+          emit("monitor:confirmation", status);
+        }
+      });
+      emit("monitor:confirmed", result);
+      return { status: "confirmed", hash, invoiceId, confirmations: result.confirmations };
+    } catch (error) {
+      if (error.code === "TRANSACTION_REJECTED") {
+        emit("monitor:dropped", { confirmations: 0 }, { reason: "reverted" });
       }
+      throw error;
+    }
+  }
 
-      // Try offline cache first
-      const cachedBalance = await this.offlineStore.getItem(`balance_${currency}_${address}`);
-      if (cachedBalance && Date.now() - cachedBalance.timestamp < 5 * 60 * 1000) {
-        return cachedBalance.amount;
-      }
+  /**
+   * Receive NIM payments sent to the merchant address from any wallet,
+   * e.g. a customer scanning the POS QR code
+   * @param {string} [address] Merchant address, defaults to the environment's
+   *   nimAddress
+   */
+  async startReceiving(address = this.env.config.nimAddress) {
+    if (!this.initialized) {
+      throw new NimipayError("Payment system not initialized", "NOT_INITIALIZED");
+    }
+    await this.incomingWatcher.start(address);
+  }
 
-      // Fallback to backend for other currencies
-      const response = await fetch(`${window.npBackendUrl}?action=getBalance&currency=${currency}&address=${address}`);
-      const data = await response.json();
-      
-      // Cache the result
-      await this.offlineStore.setItem(`balance_${currency}_${address}`, {
-        amount: data.balance,
-        timestamp: Date.now()
+  /**
+   * Expect a NIM payment for an invoice at the merchant address
+   * @param {Object} invoice Invoice details
+   * @param {number} amount Expected amount in NIM
+   * @returns {Promise<Object>} The expectation
+   */
+  async expectPayment(invoice, amount) {
+    await this.reconciler.expect(invoice.id_invoice, "NIM", amount);
+    return this.incomingWatcher.expect(invoice.id_invoice, amount);
+  }
+
+  /**
+   * Count a received payment towards its invoice and report the outcome
+   * @private
+   */
+  async reconcilePayment(invoiceId, payment) {
+    const reconciliation = await this.reconciler.recordPayment(invoiceId, payment);
+    if (!reconciliation) {
+      return;
+    }
+
+    const { status, expected, received, difference } = reconciliation;
+    await this.updateInvoiceStatus(invoiceId, status, payment.hash, { expected, received, difference });
+
+    // Offer the customer a top-up for the rest; excess is refunded on request
+    const topUp = status === "partially_paid" ? await this.requestTopUp(invoiceId) : null;
+    this.transactionQueue.emitEvent("invoice:reconciled", { ...reconciliation, topUp });
+  }
+
+  /**
+   * Ask for the rest of a partially paid invoice. In receive mode the
+   * top-up is expected at the merchant address, matched by its amount.
+   * @param {string} invoiceId Invoice ID
+   * @returns {Promise<Object>} Top-up request with the missing amount
+   */
+  async requestTopUp(invoiceId) {
+    const reconciliation = await this.reconciler.get(invoiceId);
+    if (!reconciliation || reconciliation.status !== "partially_paid") {
+      throw new NimipayError("Invoice is not partially paid", "VALIDATION_ERROR", { invoiceId });
+    }
+
+    const { currency } = reconciliation;
+    const amount = -reconciliation.difference;
+    if (currency === "NIM" && this.incomingWatcher.address) {
+      await this.incomingWatcher.expect(invoiceId, amount);
+    }
+
+    return {
+      invoiceId,
+      currency,
+      amount,
+      paid: reconciliation.received
+    };
+  }
+
+  /**
+   * Refund what an overpaid invoice received beyond its amount. The refund
+   * is queued against the last payment.
+   * @param {string} invoiceId Invoice ID
+   * @returns {Promise<Object>} Queued refund
+   */
+  async refundExcess(invoiceId) {
+    const reconciliation = await this.reconciler.get(invoiceId);
+    if (!reconciliation || reconciliation.status !== "overpaid") {
+      throw new NimipayError("Invoice is not overpaid", "VALIDATION_ERROR", { invoiceId });
+    }
+    if (reconciliation.excessRefund) {
+      throw new NimipayError("Excess already refunded", "DUPLICATE_PAYMENT", {
+        invoiceId,
+        txId: reconciliation.excessRefund
       });
+    }
+
+    const lastPayment = reconciliation.payments[reconciliation.payments.length - 1];
+    const refund = await this.processRefund(lastPayment.txId, reconciliation.difference, "overpayment");
+    await this.reconciler.recordExcessRefund(invoiceId, refund.txId);
 
-      return data.balance;
+    return refund;
+  }
+
+  /**
+   * Get balance for specified currency
+   * @param {string} currency Currency code
+   * @param {string} address Wallet address
+   * @returns {Promise<number>} Balance amount
+   */
+  async getBalance(currency, address) {
+    try {
+      return await this.currencies.get(currency).getBalance(address);
     } catch (error) {
       console.error(`Failed to get ${currency} balance:`, error);
       throw error;
     }
   }
 
+  /**
+   * Estimate the network fee of paying in a currency, e.g. the gas of an
+   * ERC-20 transfer
+   * @param {string} currency Currency code
+   * @param {Object} [payment] Amount and recipient to estimate for
+   * @returns {Promise<number>} Fee in the chain's native coin, e.g. ETH
+   */
+  async getGasFeeEstimate(currency, payment) {
+    const { fee } = await this.currencies.get(currency).estimateFee(payment);
+    return fee.toNumber();
+  }
+
+  /**
+   * Lock the exchange rate for paying an invoice in a currency
+   * @param {Object} invoice Invoice details
+   * @param {string} currency Currency code
+   * @returns {Promise<Quote>} Signed quote
+   */
+  async createQuote(invoice, currency) {
+    const result = await this.postBackendAction("createQuote", {
+      invoice_id: invoice.id_invoice,
+      currency
+    });
+    return Quote.fromBackend(result);
+  }
+
+  /**
+   * Check a quote belongs to the payment and has not expired
+   * @private
+   */
+  async checkQuote(quote, invoice, currency, requote) {
+    if (quote.invoiceId !== invoice.id_invoice || quote.currency !== currency) {
+      throw new NimipayError("Quote does not match the payment", "VALIDATION_ERROR", {
+        quoteId: quote.id
+      });
+    }
+    if (!quote.isExpired()) {
+      return quote;
+    }
+    if (requote) {
+      return this.createQuote(invoice, currency);
+    }
+    throw new NimipayError("Quote expired", "QUOTE_EXPIRED", {
+      quoteId: quote.id,
+      expiresAt: quote.expiresAt
+    });
+  }
+
+  /**
+   * Refuse to send a queued payment whose quote expired while it waited
+   * @private
+   */
+  assertQuoteValid(quote) {
+    if (quote && Date.now() >= quote.expiresAt) {
+      throw new NimipayError("Quote expired", "QUOTE_EXPIRED", {
+        quoteId: quote.id,
+        expiresAt: quote.expiresAt
+      });
+    }
+  }
+
   /**
    * Process payment transaction
    * @param {Object} invoice Invoice details
    * @param {string} currency Currency code
-   * @param {number} amount Payment amount
+   * @param {number} [amount] Payment amount, defaults to the quote's locked amount
+   * @param {Object} [options] Payment options
+   * @param {Quote} [options.quote] Quote locking the amount
+   * @param {boolean} [options.requote=false] Replace an expired quote instead of rejecting it
    * @returns {Promise<Object>} Transaction result
    */
-  async processPayment(invoice, currency, amount) {
+  async processPayment(invoice, currency, amount, options = {}) {
     if (!this.initialized) {
-      throw new Error("Payment system not initialized");
+      throw new NimipayError("Payment system not initialized", "NOT_INITIALIZED");
+    }
+
+    let quote = null;
+    if (options.quote) {
+      quote = await this.checkQuote(options.quote, invoice, currency, options.requote);
+
+      // The locked amount is what the invoice expects, not the live rate
+      const { decimals } = this.currencies.get(currency);
+      const quoted = Money.parse(options.quote.cryptoAmount, currency, { decimals });
+      if (amount !== undefined && amount !== null && !Money.parse(amount, currency, { decimals }).equals(quoted)) {
+        throw new NimipayError("Amount does not match the quote", "VALIDATION_ERROR", {
+          quoteId: quote.id,
+          amount,
+          quoted: quoted.toNumber()
+        });
+      }
+      amount = quote.cryptoAmount;
     }
 
     // Create transaction object
@@ -118,46 +557,296 @@ class PaymentFlowService {
       currency,
       amount,
       invoice,
+      quote: quote ? quote.toJSON() : null,
       timestamp: Date.now()
     };
 
-    // Queue transaction
-    const txId = await this.transactionQueue.queueTransaction(transaction);
+    // Queue transaction; refused while another attempt is in flight
+    const txId = await this.transactionQueue.queueTransaction(transaction, {
+      prepare: (tx) => this.reserveAttempt(tx)
+    });
+    await this.reconciler.expect(invoice.id_invoice, currency, amount);
 
     // Return transaction ID for status tracking
     return {
       txId,
-      type: currency === "NIM" ? "native" : this.getCurrencyType(currency),
+      type: this.getCurrencyType(currency),
       status: "queued"
     };
   }
 
   /**
-   * Process Nimiq payment using browser node
+   * Give a payment the next attempt of its invoice. Every attempt gets its
+   * own idempotency key, which stays the same across retries of that
+   * attempt. The queue calls this after its in-flight check, so the attempt
+   * is stored before another payment for the invoice can read it.
+   * @private
+   */
+  async reserveAttempt(transaction) {
+    const invoiceId = transaction.invoice.id_invoice;
+    const previous = await this.offlineStore.getItem(`attempt_${invoiceId}`);
+    const attempt = (previous?.attempt || 0) + 1;
+    const idempotencyKey = `${invoiceId}-${attempt}`;
+
+    await this.offlineStore.setItem(`attempt_${invoiceId}`, { attempt, idempotencyKey });
+    transaction.attempt = attempt;
+    transaction.idempotencyKey = idempotencyKey;
+  }
+
+  /**
+   * Send or create a queued payment through the currency's chain adapter
    * @private
    */
-  async processNimPayment(invoice, amount) {
-    if (!this.nimiqNode.isReady()) {
-      throw new Error("Nimiq node not ready");
+  async processChainPayment(adapter, { invoice, amount, idempotencyKey, quote }) {
+    // A retried attempt must not broadcast a second transaction
+    const sent = await this.findSentPayment({ idempotencyKey });
+    if (sent) {
+      return sent;
+    }
+    this.assertQuoteValid(quote);
+
+    // Marked before sending, so another leader tab, or this one after a
+    // reload, does not send the attempt again while it may be on its way
+    if (idempotencyKey) {
+      const sending = await this.offlineStore.getItem(`sending_${idempotencyKey}`);
+      if (sending) {
+        throw new NimipayError("This payment is already being sent", "PAYMENT_IN_FLIGHT", {
+          idempotencyKey,
+          since: sending.since
+        });
+      }
+      await this.offlineStore.setItem(`sending_${idempotencyKey}`, { since: Date.now() });
     }
 
+    let result;
     try {
-      // Process payment through browser node
-      const txResult = await this.nimiqNode.processTransaction({
-        recipient: window.nimAddress,
-        value: Math.round(amount * Math.pow(10, 4)), // Convert to luna (4 decimals)
-        extraData: `Invoice #${invoice.id_invoice}`
+      result = await adapter.sendPayment({
+        invoice,
+        amount,
+        idempotencyKey,
+        quote
       });
-
-      return {
-        type: "native",
-        hash: txResult.hash,
-        status: "confirming"
-      };
     } catch (error) {
-      console.error("NIM payment error:", error);
+      console.error(`${adapter.currency} payment error:`, error);
+      // The adapter reports the payment as not sent, so it may be retried
+      if (idempotencyKey) {
+        await this.offlineStore.removeItem(`sending_${idempotencyKey}`);
+      }
       throw error;
     }
+
+    // Broadcast from the browser; the backend needs to learn the hash
+    if (result.hash) {
+      if (idempotencyKey) {
+        await this.offlineStore.setItem(`sent_${idempotencyKey}`, result);
+      }
+      await this.sendTxHash(invoice.id_invoice, result.hash, adapter.currency, idempotencyKey);
+    }
+    if (idempotencyKey) {
+      await this.offlineStore.removeItem(`sending_${idempotencyKey}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Result of an attempt that has been sent, or null
+   * @private
+   */
+  async findSentPayment({ idempotencyKey }) {
+    if (!idempotencyKey) {
+      return null;
+    }
+    return (await this.offlineStore.getItem(`sent_${idempotencyKey}`)) || null;
+  }
+
+  /**
+   * Tell the backend which transaction pays an invoice
+   * @private
+   */
+  async sendTxHash(invoiceId, hash, currency, idempotencyKey) {
+    const data = JSON.stringify({
+      invoice: invoiceId,
+      tx: hash,
+      currency,
+      idempotency_key: idempotencyKey
+    });
+
+    try {
+      await fetch(`${this.env.backendUrl}?action=sendTxHash&data=${encodeURIComponent(data)}`);
+    } catch (error) {
+      // The transaction is broadcast; status updates will follow
+      console.error("Failed to send transaction hash:", error);
+    }
+  }
+
+  /**
+   * Refund a completed payment. The refund is queued like a payment, with
+   * its own idempotency key, so the backend records a retried refund once.
+   * @param {string} originalTxId Queue ID of the payment to refund
+   * @param {number} [amount] Amount to refund, defaults to everything not yet refunded
+   * @param {string} [reason] Refund reason
+   * @returns {Promise<Object>} Queued refund
+   */
+  async processRefund(originalTxId, amount, reason) {
+    if (!this.initialized) {
+      throw new NimipayError("Payment system not initialized", "NOT_INITIALIZED");
+    }
+
+    const payment = await this.offlineStore.getItem(`payment_${originalTxId}`);
+    if (!payment) {
+      throw new NimipayError("Original payment not found", "TRANSACTION_NOT_FOUND", {
+        originalTxId
+      });
+    }
+
+    const txId = await this.transactionQueue.queueTransaction({
+      type: "refund",
+      originalTxId,
+      idempotencyKey: `${originalTxId}-refund-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      currency: payment.currency,
+      amount,
+      reason,
+      invoice: { id_invoice: payment.invoiceId },
+      timestamp: Date.now()
+    });
+
+    return {
+      txId,
+      type: "refund",
+      status: "queued"
+    };
+  }
+
+  /**
+   * Send a refund through the backend. The queue runs several transactions
+   * at once, so refunds of the same payment wait for each other here.
+   * @private
+   */
+  executeRefund(transaction) {
+    const { originalTxId } = transaction;
+    const previous = this.refunding.get(originalTxId) || Promise.resolve();
+    const refund = previous.catch(() => {}).then(() => this.sendRefund(transaction));
+    this.refunding.set(originalTxId, refund);
+    refund.catch(() => {}).then(() => {
+      if (this.refunding.get(originalTxId) === refund) {
+        this.refunding.delete(originalTxId);
+      }
+    });
+    return refund;
+  }
+
+  /**
+   * Send a refund through the backend, capped at the unrefunded amount
+   * @private
+   */
+  async sendRefund({ originalTxId, amount, reason, idempotencyKey, timestamp }) {
+    const payment = await this.offlineStore.getItem(`payment_${originalTxId}`);
+    if (!payment) {
+      throw new NimipayError("Original payment not found", "TRANSACTION_NOT_FOUND", {
+        originalTxId
+      });
+    }
+
+    const { currency } = payment;
+    const { decimals } = this.currencies.get(currency);
+    const paid = Money.fromUnits(payment.paid, currency, { decimals });
+    const refunded = Money.fromUnits(payment.refunded, currency, { decimals });
+    const remaining = paid.subtract(refunded);
+    const requested = amount === undefined ? remaining : Money.parse(amount, currency, { decimals });
+    if (!remaining.isPositive() || !requested.isPositive()) {
+      throw new NimipayError("Nothing left to refund", "VALIDATION_ERROR", {
+        originalTxId,
+        remaining: remaining.toNumber()
+      });
+    }
+
+    const refund = requested.greaterThan(remaining) ? remaining : requested;
+    const result = await this.postBackendAction("refund", {
+      invoice_id: payment.invoiceId,
+      // Refunds queued before they had a key get one that is stable too
+      idempotency_key: idempotencyKey || `${originalTxId}-refund-${timestamp}`,
+      original_tx_id: originalTxId,
+      original_hash: payment.hash,
+      currency,
+      amount: refund.toNumber(),
+      reason
+    });
+
+    // Record the refund against the payment and the invoice
+    const refundedTotal = refunded.add(refund);
+    payment.refunded = Number(refundedTotal.units);
+    await this.offlineStore.setItem(`payment_${originalTxId}`, payment);
+
+    const status = refundedTotal.lessThan(paid) ? "partially_refunded" : "refunded";
+    await this.updateInvoiceStatus(payment.invoiceId, status, result.hash || originalTxId, {
+      originalTxId,
+      refundAmount: refund.toNumber(),
+      refundedTotal: refundedTotal.toNumber(),
+      reason
+    });
+
+    return {
+      type: "refund",
+      originalTxId,
+      hash: result.hash || null,
+      amount: refund.toNumber(),
+      capped: refund.lessThan(requested),
+      status
+    };
+  }
+
+  /**
+   * Remember a completed payment so it can be refunded later
+   * @private
+   */
+  async recordPayment(txId, transaction, result) {
+    try {
+      const { decimals } = this.currencies.get(transaction.currency);
+      await this.offlineStore.setItem(`payment_${txId}`, {
+        txId,
+        invoiceId: transaction.invoice?.id_invoice,
+        currency: transaction.currency,
+        hash: result?.hash || null,
+        paid: Number(Money.parse(transaction.amount, transaction.currency, { decimals }).units),
+        refunded: 0,
+        completedAt: Date.now()
+      });
+    } catch (error) {
+      // The payment went through; only later refunds depend on the record
+      console.error("Failed to record payment:", error);
+    }
+  }
+
+  /**
+   * Post an action to the backend
+   * @private
+   */
+  async postBackendAction(action, body) {
+    let response;
+    try {
+      response = await fetch(`${this.env.backendUrl}?action=${action}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...this.env.terminalHeaders
+        },
+        body: JSON.stringify(body)
+      });
+    } catch (error) {
+      throw new NimipayError(error.message, "NETWORK_ERROR", { action });
+    }
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new NimipayError(
+        result.error || `Backend action ${action} failed`,
+        result.code || (response.status >= 500 ? "NETWORK_ERROR" : "PAYMENT_FAILED"),
+        { action, status: response.status }
+      );
+    }
+
+    return result;
   }
 
   /**
@@ -165,11 +854,41 @@ class PaymentFlowService {
    * @private
    */
   async handleTransactionSuccess(data) {
-    const { txId, transaction } = data;
-    
-    // Update invoice status
-    if (transaction.invoice) {
-      await this.updateInvoiceStatus(transaction.invoice.id_invoice, "confirmed", txId);
+    const { txId, data: transaction, result } = data;
+
+    // Refunds update the invoice themselves
+    if (transaction.type === "payment") {
+      await this.recordPayment(txId, transaction, result);
+
+      if (transaction.invoice) {
+        await this.updateInvoiceStatus(
+          transaction.invoice.id_invoice,
+          result?.status || "confirmed",
+          result?.hash || txId,
+          {},
+          transaction.idempotencyKey
+        );
+      }
+
+      // Only transfers count towards the invoice, not payment requests
+      if (transaction.invoice && result?.hash) {
+        await this.reconcilePayment(transaction.invoice.id_invoice, {
+          hash: result.hash,
+          amount: transaction.amount,
+          currency: transaction.currency,
+          txId
+        });
+      }
+
+      // Payments broadcast from the browser still need their confirmations
+      if (result?.hash && result.status === "confirming") {
+        this.monitorTransaction(
+          result.hash,
+          transaction.invoice?.id_invoice,
+          transaction.currency,
+          transaction.idempotencyKey
+        ).catch((error) => console.error("Transaction monitoring error:", error));
+      }
     }
 
     // Clear cached data
@@ -187,7 +906,7 @@ class PaymentFlowService {
       // Update invoice status for fatal errors
       const tx = await this.transactionQueue.getTransactionStatus(txId);
       if (tx.data?.invoice) {
-        await this.updateInvoiceStatus(tx.data.invoice.id_invoice, "failed", txId);
+        await this.updateInvoiceStatus(tx.data.invoice.id_invoice, "failed", txId, {}, tx.data.idempotencyKey);
       }
     }
 
@@ -212,7 +931,27 @@ class PaymentFlowService {
         tx.data.invoice.id_invoice,
         "retrying",
         txId,
-        { retries, error }
+        { retries, error },
+        tx.data.idempotencyKey
+      );
+    }
+  }
+
+  /**
+   * Handle a transaction waiting for the network; it is retried, not failed
+   * @private
+   */
+  async handleTransactionWaiting(data) {
+    const { txId, error, retryAfter } = data;
+
+    const tx = await this.transactionQueue.getTransactionStatus(txId);
+    if (tx.data?.invoice) {
+      await this.updateInvoiceStatus(
+        tx.data.invoice.id_invoice,
+        "retrying",
+        txId,
+        { waitingForNetwork: true, retryAfter, error },
+        tx.data.idempotencyKey
       );
     }
   }
@@ -247,42 +986,75 @@ class PaymentFlowService {
   }
 
   /**
-   * Update invoice status
+   * Update invoice status, tagged with the idempotency key of the payment
+   * attempt it is about, so the backend can tell a repeated report apart
    * @private
    */
-  async updateInvoiceStatus(invoiceId, status, txId, metadata = {}) {
+  async updateInvoiceStatus(invoiceId, status, txId, metadata = {}, idempotencyKey = null) {
     try {
-      await fetch(`${window.npBackendUrl}?action=updateStatus`, {
+      await fetch(`${this.env.backendUrl}?action=updateStatus`, {
         method: "POST",
         headers: {
-          "Content-Type": "application/json"
+          "Content-Type": "application/json",
+          ...this.env.terminalHeaders
         },
         body: JSON.stringify({
           invoice_id: invoiceId,
           status,
           tx_id: txId,
+          idempotency_key: idempotencyKey,
           metadata
         })
       });
     } catch (error) {
       console.error("Failed to update invoice status:", error);
       // Store for retry
-      await this.offlineStore.setItem(`status_update_${invoiceId}`, {
+      await this.saveRecord(`status_update_${invoiceId}`, {
         status,
         txId,
         metadata,
+        idempotencyKey,
         timestamp: Date.now()
       });
     }
   }
 
+  /**
+   * Store a record, or keep it until the terminal is unlocked
+   * @private
+   */
+  async saveRecord(key, record) {
+    try {
+      await this.offlineStore.setItem(key, record);
+    } catch (error) {
+      if (error.code !== "STORAGE_LOCKED") {
+        throw error;
+      }
+      this.unsaved.set(key, record);
+    }
+  }
+
+  /**
+   * Write the records kept while the terminal was locked
+   * @private
+   */
+  async saveUnsaved() {
+    for (const [key, record] of this.unsaved) {
+      try {
+        await this.offlineStore.setItem(key, record);
+        this.unsaved.delete(key);
+      } catch (error) {
+        console.error(`Failed to save ${key}:`, error);
+      }
+    }
+  }
+
   /**
    * Get currency type
    * @private
    */
   getCurrencyType(currency) {
-    const config = window.CURRENCY_CONFIG[currency];
-    return config?.type || "unknown";
+    return this.currencies.has(currency) ? this.currencies.get(currency).type : "unknown";
   }
 
   /**
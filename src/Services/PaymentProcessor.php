@@ -203,6 +203,92 @@ class PaymentProcessor {
         return $decoded;
     }
 
+    /**
+     * Check an address has the format of a currency's addresses
+     *
+     * @param string $currency Currency code
+     * @param string $address Address
+     * @return bool
+     */
+    public function isValidAddress($currency, $address) {
+        $currencyConfig = $this->config['currencies'][$currency] ?? null;
+        return $currencyConfig !== null
+            && preg_match($currencyConfig['validation']['address_regex'], $address) === 1;
+    }
+
+    /**
+     * Relay a gasless payment: check the customer's signed EIP-3009
+     * authorization or EIP-2612 permit pays the invoice, then send it from
+     * the relayer account
+     *
+     * @param string $currency Currency code
+     * @param array $request relayPayment body: standard, authorization, recipient, v, r, s
+     * @param string $merchantAddress Address the payment must go to
+     * @param float $expectedAmount Expected payment amount in crypto
+     * @param string $relayerAddress Account paying the gas
+     * @return string Transaction hash
+     * @throws \Exception If the payment cannot be relayed
+     */
+    public function relayPayment($currency, $request, $merchantAddress, $expectedAmount, $relayerAddress) {
+        $currencyConfig = $this->config['currencies'][$currency] ?? null;
+        $standard = $request['standard'] ?? null;
+        if (!$currencyConfig || ($currencyConfig['gasless'] ?? null) !== $standard) {
+            throw new \Exception("Gasless payments are not supported for {$currency}");
+        }
+        if (!preg_match($currencyConfig['validation']['address_regex'], $merchantAddress)
+            || !preg_match($currencyConfig['validation']['address_regex'], $relayerAddress)) {
+            throw new \Exception("Relaying {$currency} payments is not configured");
+        }
+
+        $authorization = $request['authorization'] ?? [];
+        $recipient = $standard === 'eip3009' ? ($authorization['to'] ?? '') : ($request['recipient'] ?? '');
+        if (strtolower($recipient) !== strtolower($merchantAddress)) {
+            throw new \Exception("Payment recipient mismatch");
+        }
+        if ($standard === 'eip2612' && strtolower($authorization['spender'] ?? '') !== strtolower($relayerAddress)) {
+            throw new \Exception("Permit spender mismatch");
+        }
+
+        $expectedUnits = bcmul((string) $expectedAmount, bcpow('10', (string) $currencyConfig['decimals']), 0);
+        if (bccomp((string) ($authorization['value'] ?? '0'), $expectedUnits, 0) < 0) {
+            throw new \Exception("Payment amount mismatch");
+        }
+
+        return $this->stablecoinProcessor->relayPayment(
+            $currency,
+            $standard,
+            $authorization,
+            ['v' => (int) $request['v'], 'r' => $request['r'], 's' => $request['s']],
+            $merchantAddress,
+            $relayerAddress
+        );
+    }
+
+    /**
+     * Get the public config of the supported currencies, as loaded by the
+     * frontend currency registry
+     *
+     * @param array|null $enabled Currency codes to include, null for all
+     * @return array Currency configs keyed by code
+     */
+    public function getCurrencies($enabled = null) {
+        $public = ['name', 'icon', 'type', 'network', 'uri_scheme', 'decimals',
+            'min_confirmations', 'testnet_confirmations', 'explorer_tx_url', 'contract_address', 'chain_id',
+            'gasless', 'eip712_domain', 'relayer_address', 'esplora_url'];
+
+        $currencies = [];
+        foreach ($this->config['currencies'] as $code => $currencyConfig) {
+            if ($enabled !== null && !in_array($code, $enabled, true)) {
+                continue;
+            }
+            $currency = array_intersect_key($currencyConfig, array_flip($public));
+            $currency['min_amount'] = $currencyConfig['validation']['min_amount'];
+            $currency['max_amount'] = $currencyConfig['validation']['max_amount'];
+            $currencies[$code] = $currency;
+        }
+        return $currencies;
+    }
+
     /**
      * Get transaction explorer URL
      */
@@ -0,0 +1,261 @@
+import CurrencyRegistry from "./CurrencyRegistry.js";
+import Money from "./Money.js";
+import QrCode from "./QrCode.js";
+import { NimipayError } from "./errors.js";
+
+const URI = /^([a-z][a-z0-9+.-]*):([^?]*)(?:\?(.*))?$/i;
+
+// EIP-681: [pay-]target[@chain_id][/function_name]
+const ETHEREUM_PATH = /^(?:pay-)?(0x[0-9a-f]{40})(?:@(\d+))?(?:\/([a-z_]\w*))?$/i;
+
+/**
+ * PaymentRequest is a request to pay an amount to an address, as a payment
+ * URI wallets understand:
+ *
+ * - Nimiq request links: nimiq:NQ07...?amount=1.5&message=Invoice%20%231
+ * - BIP21 for BTC: bitcoin:bc1...?amount=0.001&label=Invoice%20%231
+ * - EIP-681 for ERC-20 tokens such as USDC, with the amount in base units:
+ *   ethereum:<token>@1/transfer?address=0x...&uint256=1500000
+ *
+ * Other currencies get `<uriScheme>:<address>?amount=<decimal>&label=`.
+ * The scheme and decimals come from the currency's chain adapter.
+ */
+class PaymentRequest {
+  /**
+   * @param {Object} fields Request fields
+   * @param {string} fields.currency Currency code
+   * @param {string} fields.address Recipient address
+   * @param {Money} [fields.amount] Requested amount
+   * @param {string} [fields.label] Label, e.g. "Invoice #123"
+   * @param {string} [fields.message] Message for the payer
+   * @param {string} [fields.uriScheme] URI scheme, e.g. "bitcoin"
+   * @param {string} [fields.contractAddress] Token contract, for EIP-681
+   * @param {number} [fields.chainId] EVM chain ID, for EIP-681
+   */
+  constructor(fields) {
+    this.currency = fields.currency;
+    this.address = fields.address;
+    this.amount = fields.amount || null;
+    this.label = fields.label || null;
+    this.message = fields.message || null;
+    this.uriScheme = fields.uriScheme || fields.currency.toLowerCase();
+    this.contractAddress = fields.contractAddress || null;
+    this.chainId = fields.chainId || null;
+  }
+
+  /**
+   * Create a request for a currency
+   * @param {Object} request Request details
+   * @param {string} request.currency Currency code
+   * @param {string} request.address Recipient address
+   * @param {Money|string|number} [request.amount] Amount, as Money or a decimal
+   * @param {string} [request.label] Label, e.g. "Invoice #123"
+   * @param {string} [request.message] Message for the payer
+   * @param {Object} [options] Options
+   * @param {CurrencyRegistry} [options.currencies] Registry, defaults to DEFAULT_CURRENCIES
+   * @returns {PaymentRequest}
+   * @throws {NimipayError} UNSUPPORTED_CURRENCY or VALIDATION_ERROR
+   */
+  static create(
+    { currency, address, amount, label, message },
+    { currencies = CurrencyRegistry.fromConfig() } = {}
+  ) {
+    const adapter = currencies.get(currency);
+    if (!address) {
+      throw new NimipayError("Payment request needs an address", "VALIDATION_ERROR", { currency });
+    }
+
+    return new PaymentRequest({
+      currency,
+      address: String(address).trim(),
+      amount: toMoney(amount, adapter),
+      label,
+      message,
+      uriScheme: adapter.uriScheme,
+      contractAddress: adapter.config.contractAddress,
+      chainId: adapter.config.chainId,
+    });
+  }
+
+  /**
+   * Parse a payment URI
+   * @param {string} uri Payment URI
+   * @param {Object} [options] Options
+   * @param {CurrencyRegistry} [options.currencies] Registry, defaults to DEFAULT_CURRENCIES
+   * @returns {PaymentRequest}
+   * @throws {NimipayError} VALIDATION_ERROR for malformed URIs, UNSUPPORTED_CURRENCY
+   *   for schemes or tokens the registry does not know
+   */
+  static parse(uri, { currencies = CurrencyRegistry.fromConfig() } = {}) {
+    const match = URI.exec(String(uri).trim());
+    if (!match) {
+      throw new NimipayError("Invalid payment URI", "VALIDATION_ERROR", { uri });
+    }
+
+    const scheme = match[1].toLowerCase();
+    const path = decodeURIComponent(match[2]);
+    const params = parseQuery(match[3], uri);
+
+    if (scheme === "ethereum") {
+      return parseEthereum(path, params, currencies, uri);
+    }
+
+    const adapter = currencies.list().find((candidate) => candidate.uriScheme === scheme);
+    if (!adapter) {
+      throw new NimipayError(`Unsupported payment URI scheme: ${scheme}`, "UNSUPPORTED_CURRENCY", { uri });
+    }
+    if (!path) {
+      throw new NimipayError("Payment URI has no address", "VALIDATION_ERROR", { uri });
+    }
+
+    return new PaymentRequest({
+      currency: adapter.currency,
+      address: scheme === "nimiq" ? formatNimiqAddress(path) : path,
+      amount: params.amount ? toMoney(params.amount, adapter) : null,
+      label: params.label,
+      message: params.message,
+      uriScheme: scheme,
+    });
+  }
+
+  /**
+   * Build the payment URI
+   * @returns {string}
+   */
+  toUri() {
+    const query = [];
+    const add = (key, value) => {
+      if (value !== null && value !== undefined && value !== "") {
+        query.push(`${key}=${encodeURIComponent(value)}`);
+      }
+    };
+    const decimal = this.amount ? this.amount.format({ trimZeros: true }) : null;
+
+    let target = encodeURIComponent(this.address);
+    switch (this.uriScheme) {
+      case "nimiq":
+        // Nimiq request links carry the address without spaces and one message
+        target = this.address.replace(/\s+/g, "");
+        add("amount", decimal);
+        add("message", this.message || this.label);
+        break;
+      case "ethereum": {
+        const chain = this.chainId ? `@${this.chainId}` : "";
+        const units = this.amount ? this.amount.units.toString() : null;
+        if (this.contractAddress) {
+          target = `${this.contractAddress}${chain}/transfer`;
+          add("address", this.address);
+          add("uint256", units);
+        } else {
+          target = `${this.address}${chain}`;
+          add("value", units);
+        }
+        break;
+      }
+      default:
+        add("amount", decimal);
+        add("label", this.label);
+        add("message", this.message);
+    }
+
+    return `${this.uriScheme}:${target}${query.length > 0 ? `?${query.join("&")}` : ""}`;
+  }
+
+  /**
+   * Encode the URI as a QR code
+   * @param {Object} [options] QrCode.encode options
+   * @returns {QrCode}
+   */
+  toQrCode(options) {
+    return QrCode.encode(this.toUri(), options);
+  }
+
+  toString() {
+    return this.toUri();
+  }
+}
+
+/**
+ * @private
+ */
+function toMoney(amount, adapter) {
+  if (amount === undefined || amount === null || amount === "") {
+    return null;
+  }
+  if (amount instanceof Money) {
+    if (amount.currency !== adapter.currency) {
+      throw new NimipayError(
+        `Amount in ${amount.currency} for a ${adapter.currency} request`,
+        "VALIDATION_ERROR",
+        { currency: adapter.currency }
+      );
+    }
+    return amount;
+  }
+  return Money.parse(amount, adapter.currency, { decimals: adapter.decimals });
+}
+
+/**
+ * Query parameters; unknown required (req-) parameters make a URI invalid
+ * @private
+ */
+function parseQuery(query, uri) {
+  const params = {};
+  for (const pair of (query || "").split("&").filter(Boolean)) {
+    const [key, value = ""] = pair.split("=");
+    params[decodeURIComponent(key)] = decodeURIComponent(value.replace(/\+/g, "%20"));
+  }
+
+  const required = Object.keys(params).find((key) => key.startsWith("req-"));
+  if (required) {
+    throw new NimipayError(`Unsupported required parameter: ${required}`, "VALIDATION_ERROR", { uri });
+  }
+  return params;
+}
+
+/**
+ * EIP-681 token transfers, matched to a currency by contract address
+ * @private
+ */
+function parseEthereum(path, params, currencies, uri) {
+  const match = ETHEREUM_PATH.exec(path);
+  if (!match || match[3] !== "transfer" || !params.address) {
+    throw new NimipayError("Only ERC-20 transfer requests are supported", "UNSUPPORTED_CURRENCY", { uri });
+  }
+
+  const [, contractAddress, chainId] = match;
+  const adapter = currencies
+    .list()
+    .find((candidate) => candidate.config.contractAddress?.toLowerCase() === contractAddress.toLowerCase());
+  if (!adapter) {
+    throw new NimipayError(`Unknown token contract: ${contractAddress}`, "UNSUPPORTED_CURRENCY", { uri });
+  }
+  if (params.uint256 !== undefined && !/^\d+$/.test(params.uint256)) {
+    throw new NimipayError("Invalid token amount", "VALIDATION_ERROR", { uri });
+  }
+
+  return new PaymentRequest({
+    currency: adapter.currency,
+    address: params.address,
+    amount:
+      params.uint256 !== undefined
+        ? Money.fromUnits(params.uint256, adapter.currency, { decimals: adapter.decimals })
+        : null,
+    uriScheme: "ethereum",
+    contractAddress,
+    chainId: chainId ? Number(chainId) : null,
+  });
+}
+
+/**
+ * User-friendly Nimiq address, in groups of four
+ * @private
+ */
+function formatNimiqAddress(address) {
+  return address
+    .replace(/\s+/g, "")
+    .toUpperCase()
+    .replace(/(.{4})(?!$)/g, "$1 ");
+}
+
+export default PaymentRequest;
@@ -6,9 +6,14 @@ class PriceService {
     private $config;
     private $cache = [];
     private $lastFetch = [];
+    private $quoteSecret;
 
-    public function __construct() {
+    /**
+     * @param string|null $quoteSecret Secret used to sign quotes
+     */
+    public function __construct($quoteSecret = null) {
         $this->config = require __DIR__ . '/../../config/currency_config.php';
+        $this->quoteSecret = $quoteSecret;
     }
 
     /**
@@ -75,6 +80,54 @@ class PriceService {
         }
     }
 
+    /**
+     * Lock the exchange rate for an invoice amount in a signed quote
+     * 
+     * @param string $invoiceId Invoice the quote is for
+     * @param float $fiatAmount Invoice amount in USD
+     * @param string $currency Currency code
+     * @return array Quote with crypto amount, expiry and signature
+     * @throws \Exception If no secret is configured or the price cannot be fetched
+     */
+    public function createQuote($invoiceId, $fiatAmount, $currency) {
+        if (!$this->quoteSecret) {
+            throw new \Exception("Quote signing secret not configured");
+        }
+
+        $price = $this->getCurrentPrice($currency);
+        $now = time();
+
+        $quote = [
+            'quote_id' => bin2hex(random_bytes(16)),
+            'invoice_id' => $invoiceId,
+            'fiat_amount' => number_format($fiatAmount, 2, '.', ''),
+            'fiat_currency' => 'USD',
+            'currency' => $currency,
+            'rate' => (string)$price['rate'],
+            'crypto_amount' => $this->formatAmount($this->convertAmount($fiatAmount, $currency), $currency),
+            'created_at' => $now,
+            'expires_at' => $now + $this->config['settings']['quote_lifetime']
+        ];
+        $quote['signature'] = $this->signQuote($quote);
+
+        return $quote;
+    }
+
+    /**
+     * Check a quote was signed by this backend and has not expired
+     * 
+     * @param array $quote Quote as returned by createQuote
+     * @return bool True if the quote can still be paid
+     */
+    public function verifyQuote($quote) {
+        if (!$this->quoteSecret || !isset($quote['signature'], $quote['expires_at'])) {
+            return false;
+        }
+
+        return hash_equals($this->signQuote($quote), $quote['signature'])
+            && time() < (int)$quote['expires_at'];
+    }
+
     /**
      * Format amount according to currency specifications
      * 
@@ -102,6 +155,21 @@ class PriceService {
         return (time() - $this->lastFetch[$currency]) < $timeout;
     }
 
+    private function signQuote($quote) {
+        $fields = [
+            $quote['quote_id'],
+            $quote['invoice_id'],
+            $quote['fiat_amount'],
+            $quote['fiat_currency'],
+            $quote['currency'],
+            $quote['rate'],
+            $quote['crypto_amount'],
+            $quote['created_at'],
+            $quote['expires_at']
+        ];
+        return hash_hmac('sha256', implode('|', $fields), $this->quoteSecret);
+    }
+
     private function isPriceCached($currency) {
         if (!isset($this->cache[$currency]) || !isset($this->lastFetch[$currency])) {
             return false;
@@ -0,0 +1,616 @@
+import { NimipayError } from "./errors.js";
+
+/**
+ * Error correction levels and the share of the code they can restore
+ */
+export const ERROR_CORRECTION = {
+  L: "L", // ~7%
+  M: "M", // ~15%
+  Q: "Q", // ~25%
+  H: "H", // ~30%
+};
+
+// Format bits of each level (ISO/IEC 18004 table 12)
+const FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Error correction codewords per block, indexed by version (table 9)
+const ECC_CODEWORDS_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+};
+
+// Error correction blocks, indexed by version (table 9)
+const ECC_BLOCKS = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+};
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+/**
+ * QrCode is a QR code symbol encoded from text in byte mode, without
+ * dependencies. It renders to an SVG string or onto a canvas.
+ *
+ * The encoder follows ISO/IEC 18004: the smallest version that fits the
+ * UTF-8 bytes at the requested error correction level, Reed-Solomon codes
+ * over GF(256), and the mask with the lowest penalty score.
+ */
+class QrCode {
+  /**
+   * Encode text as a QR code
+   * @param {string} text Text to encode, e.g. a payment URI
+   * @param {Object} [options] Encoding options
+   * @param {string} [options.errorCorrection=ERROR_CORRECTION.M] Error correction level
+   * @param {number} [options.minVersion=1] Smallest version to use
+   * @param {number} [options.maxVersion=40] Largest version to use
+   * @returns {QrCode}
+   * @throws {NimipayError} VALIDATION_ERROR if the text does not fit
+   */
+  static encode(
+    text,
+    { errorCorrection = ERROR_CORRECTION.M, minVersion = MIN_VERSION, maxVersion = MAX_VERSION } = {}
+  ) {
+    if (!(errorCorrection in FORMAT_BITS)) {
+      throw new NimipayError(`Unknown error correction level: ${errorCorrection}`, "VALIDATION_ERROR", {
+        errorCorrection,
+      });
+    }
+
+    const bytes = toUtf8(String(text));
+    let version = Math.max(MIN_VERSION, minVersion);
+    for (; version <= Math.min(MAX_VERSION, maxVersion); version++) {
+      const usedBits = 4 + getCountBits(version) + bytes.length * 8;
+      if (usedBits <= getNumDataCodewords(version, errorCorrection) * 8) {
+        break;
+      }
+    }
+    if (version > Math.min(MAX_VERSION, maxVersion)) {
+      throw new NimipayError("Text too long for a QR code", "VALIDATION_ERROR", {
+        length: bytes.length,
+        errorCorrection,
+      });
+    }
+
+    return new QrCode(version, errorCorrection, encodeData(bytes, version, errorCorrection));
+  }
+
+  /**
+   * @param {number} version Version, 1 to 40
+   * @param {string} errorCorrection Error correction level
+   * @param {number[]} dataCodewords Data codewords, padded to the version's capacity
+   * @private Use QrCode.encode
+   */
+  constructor(version, errorCorrection, dataCodewords) {
+    this.version = version;
+    this.errorCorrection = errorCorrection;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+    this.drawFunctionPatterns();
+    this.drawCodewords(addEccAndInterleave(dataCodewords, version, errorCorrection));
+
+    // Keep the mask with the lowest penalty
+    let best = 0;
+    let minPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      this.applyMask(mask);
+      this.drawFormatBits(mask);
+      const penalty = this.getPenaltyScore();
+      if (penalty < minPenalty) {
+        best = mask;
+        minPenalty = penalty;
+      }
+      this.applyMask(mask); // XOR undoes it
+    }
+    this.mask = best;
+    this.applyMask(best);
+    this.drawFormatBits(best);
+  }
+
+  /**
+   * @param {number} x Column
+   * @param {number} y Row
+   * @returns {boolean} Whether the module is dark; false outside the symbol
+   */
+  isDark(x, y) {
+    return x >= 0 && x < this.size && y >= 0 && y < this.size && this.modules[y][x];
+  }
+
+  /**
+   * Render as an SVG document
+   * @param {Object} [options] Render options
+   * @param {number} [options.margin=4] Quiet zone in modules
+   * @param {string} [options.dark="#000000"] Dark module color
+   * @param {string} [options.light="#ffffff"] Background color
+   * @returns {string} SVG markup, scaled by its viewBox
+   */
+  toSvg({ margin = 4, dark = "#000000", light = "#ffffff" } = {}) {
+    const dimension = this.size + margin * 2;
+    const path = [];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (this.modules[y][x]) {
+          path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+        }
+      }
+    }
+
+    return (
+      `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">` +
+      `<rect width="100%" height="100%" fill="${light}"/>` +
+      `<path d="${path.join("")}" fill="${dark}"/>` +
+      "</svg>"
+    );
+  }
+
+  /**
+   * Draw onto a canvas, resizing it to fit
+   * @param {HTMLCanvasElement} canvas Target canvas
+   * @param {Object} [options] Render options
+   * @param {number} [options.scale=4] Pixels per module
+   * @param {number} [options.margin=4] Quiet zone in modules
+   * @param {string} [options.dark="#000000"] Dark module color
+   * @param {string} [options.light="#ffffff"] Background color
+   */
+  drawCanvas(canvas, { scale = 4, margin = 4, dark = "#000000", light = "#ffffff" } = {}) {
+    const dimension = (this.size + margin * 2) * scale;
+    canvas.width = dimension;
+    canvas.height = dimension;
+
+    const context = canvas.getContext("2d");
+    context.fillStyle = light;
+    context.fillRect(0, 0, dimension, dimension);
+    context.fillStyle = dark;
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (this.modules[y][x]) {
+          context.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+        }
+      }
+    }
+  }
+
+  /**
+   * Draw finder, timing and alignment patterns and reserve the format and
+   * version areas
+   * @private
+   */
+  drawFunctionPatterns() {
+    for (let i = 0; i < this.size; i++) {
+      this.setFunctionModule(6, i, i % 2 === 0);
+      this.setFunctionModule(i, 6, i % 2 === 0);
+    }
+
+    this.drawFinderPattern(3, 3);
+    this.drawFinderPattern(this.size - 4, 3);
+    this.drawFinderPattern(3, this.size - 4);
+
+    const positions = getAlignmentPatternPositions(this.version);
+    const last = positions.length - 1;
+    positions.forEach((x, i) => {
+      positions.forEach((y, j) => {
+        // Skip the three corners taken by finder patterns
+        if (!((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0))) {
+          this.drawAlignmentPattern(x, y);
+        }
+      });
+    });
+
+    this.drawFormatBits(0); // placeholder, redrawn with the mask
+    this.drawVersion();
+  }
+
+  /**
+   * @private
+   */
+  drawFinderPattern(x, y) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        const xx = x + dx;
+        const yy = y + dy;
+        if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+          this.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  drawAlignmentPattern(x, y) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  /**
+   * Draw both copies of the format information: level, mask and BCH code
+   * @private
+   */
+  drawFormatBits(mask) {
+    const data = (FORMAT_BITS[this.errorCorrection] << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+
+    // Around the top left finder
+    for (let i = 0; i <= 5; i++) {
+      this.setFunctionModule(8, i, getBit(bits, i));
+    }
+    this.setFunctionModule(8, 7, getBit(bits, 6));
+    this.setFunctionModule(8, 8, getBit(bits, 7));
+    this.setFunctionModule(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) {
+      this.setFunctionModule(14 - i, 8, getBit(bits, i));
+    }
+
+    // Beside the other two finders
+    for (let i = 0; i < 8; i++) {
+      this.setFunctionModule(this.size - 1 - i, 8, getBit(bits, i));
+    }
+    for (let i = 8; i < 15; i++) {
+      this.setFunctionModule(8, this.size - 15 + i, getBit(bits, i));
+    }
+    this.setFunctionModule(8, this.size - 8, true); // always dark
+  }
+
+  /**
+   * Draw both copies of the version information, from version 7 on
+   * @private
+   */
+  drawVersion() {
+    if (this.version < 7) {
+      return;
+    }
+
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (this.version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunctionModule(a, b, getBit(bits, i));
+      this.setFunctionModule(b, a, getBit(bits, i));
+    }
+  }
+
+  /**
+   * Place codewords in the zigzag order, two columns at a time
+   * @private
+   */
+  drawCodewords(codewords) {
+    let i = 0;
+    for (let right = this.size - 1; right >= 1; right -= 2) {
+      if (right === 6) {
+        right = 5; // skip the vertical timing pattern
+      }
+      for (let vertical = 0; vertical < this.size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? this.size - 1 - vertical : vertical;
+          if (!this.isFunction[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+            i++;
+          }
+          // Remainder bits stay light
+        }
+      }
+    }
+  }
+
+  /**
+   * XOR a mask pattern onto the data modules
+   * @private
+   */
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && maskApplies(mask, x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  /**
+   * Penalty score of the current modules (ISO/IEC 18004 section 7.8.3)
+   * @private
+   */
+  getPenaltyScore() {
+    const { size, modules } = this;
+    const column = (x) => modules.map((row) => row[x]);
+    let penalty = 0;
+
+    for (let i = 0; i < size; i++) {
+      penalty += getLinePenalty(modules[i]) + getLinePenalty(column(i));
+    }
+
+    // 2x2 blocks of one color
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          penalty += 3;
+        }
+      }
+    }
+
+    // Balance of dark and light modules
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+    return penalty;
+  }
+
+  /**
+   * @private
+   */
+  setFunctionModule(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+}
+
+// Finder-like 1:1:3:1:1 runs next to four light modules
+const FINDER_LIKE = [
+  [true, false, true, true, true, false, true, false, false, false, false],
+  [false, false, false, false, true, false, true, true, true, false, true],
+];
+
+/**
+ * Penalties of one row or column: runs of five or more modules of one color
+ * and finder-like patterns
+ * @private
+ */
+function getLinePenalty(line) {
+  let penalty = 0;
+  let run = 1;
+  for (let i = 1; i <= line.length; i++) {
+    if (i < line.length && line[i] === line[i - 1]) {
+      run++;
+      continue;
+    }
+    if (run >= 5) {
+      penalty += run - 2;
+    }
+    run = 1;
+  }
+
+  for (let i = 0; i + 11 <= line.length; i++) {
+    if (FINDER_LIKE.some((pattern) => pattern.every((dark, j) => line[i + j] === dark))) {
+      penalty += 40;
+    }
+  }
+  return penalty;
+}
+
+/**
+ * @private
+ */
+function maskApplies(mask, x, y) {
+  switch (mask) {
+    case 0:
+      return (x + y) % 2 === 0;
+    case 1:
+      return y % 2 === 0;
+    case 2:
+      return x % 3 === 0;
+    case 3:
+      return (x + y) % 3 === 0;
+    case 4:
+      return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+    case 5:
+      return ((x * y) % 2) + ((x * y) % 3) === 0;
+    case 6:
+      return (((x * y) % 2) + ((x * y) % 3)) % 2 === 0;
+    default:
+      return (((x + y) % 2) + ((x * y) % 3)) % 2 === 0;
+  }
+}
+
+/**
+ * Centers of the alignment patterns of a version, on both axes
+ * @private
+ */
+function getAlignmentPatternPositions(version) {
+  if (version === 1) {
+    return [];
+  }
+
+  const count = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let position = version * 4 + 10; positions.length < count; position -= step) {
+    positions.splice(1, 0, position);
+  }
+  return positions;
+}
+
+/**
+ * Modules available for data and error correction in a version
+ * @private
+ */
+function getNumRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    result -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+}
+
+/**
+ * @private
+ */
+function getNumDataCodewords(version, errorCorrection) {
+  return (
+    Math.floor(getNumRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[errorCorrection][version] * ECC_BLOCKS[errorCorrection][version]
+  );
+}
+
+/**
+ * Width of the byte mode character count
+ * @private
+ */
+function getCountBits(version) {
+  return version <= 9 ? 8 : 16;
+}
+
+/**
+ * Byte mode segment, terminator and padding, as codewords
+ * @private
+ */
+function encodeData(bytes, version, errorCorrection) {
+  const capacity = getNumDataCodewords(version, errorCorrection) * 8;
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+
+  append(0b0100, 4);
+  append(bytes.length, getCountBits(version));
+  bytes.forEach((byte) => append(byte, 8));
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < capacity / 8; pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+}
+
+/**
+ * Split data into blocks, append Reed-Solomon codes and interleave
+ * @private
+ */
+function addEccAndInterleave(data, version, errorCorrection) {
+  const numBlocks = ECC_BLOCKS[errorCorrection][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[errorCorrection][version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < numBlocks; i++) {
+    const length = shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < numShortBlocks) {
+      block.push(0); // placeholder, skipped when interleaving
+    }
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= numShortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+/**
+ * Generator polynomial of a Reed-Solomon code, highest degree first
+ * @private
+ */
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree - 1).fill(0).concat([1]);
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = multiply(result[j], root);
+      if (j + 1 < result.length) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = multiply(root, 0x02);
+  }
+  return result;
+}
+
+/**
+ * @private
+ */
+function reedSolomonRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= multiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+/**
+ * Multiply in GF(256) modulo x^8 + x^4 + x^3 + x^2 + 1
+ * @private
+ */
+function multiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * @private
+ */
+function getBit(value, index) {
+  return ((value >>> index) & 1) !== 0;
+}
+
+/**
+ * UTF-8 bytes of a string
+ * @private
+ */
+function toUtf8(text) {
+  const encoded = encodeURIComponent(text);
+  const bytes = [];
+  for (let i = 0; i < encoded.length; i++) {
+    if (encoded[i] === "%") {
+      bytes.push(parseInt(encoded.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(encoded.charCodeAt(i));
+    }
+  }
+  return bytes;
+}
+
+export default QrCode;
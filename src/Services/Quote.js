@@ -0,0 +1,91 @@
+/**
+ * Quote locks the exchange rate of an invoice for a limited time. The
+ * backend creates and signs it; the signature covers every field, so the
+ * backend can verify the amounts a payment claims.
+ */
+class Quote {
+  /**
+   * @param {Object} fields Quote fields
+   * @param {string} fields.id Quote ID
+   * @param {string} fields.invoiceId Invoice the quote is for
+   * @param {number} fields.fiatAmount Invoice amount in fiat
+   * @param {string} [fields.fiatCurrency="USD"] Fiat currency code
+   * @param {string} fields.currency Crypto currency code
+   * @param {number} fields.rate Fiat price of one unit of the currency
+   * @param {number} fields.cryptoAmount Locked amount to pay
+   * @param {number} fields.createdAt Creation time in ms
+   * @param {number} fields.expiresAt Expiry time in ms
+   * @param {string} fields.signature Backend signature
+   */
+  constructor(fields) {
+    this.id = fields.id;
+    this.invoiceId = fields.invoiceId;
+    this.fiatAmount = fields.fiatAmount;
+    this.fiatCurrency = fields.fiatCurrency || "USD";
+    this.currency = fields.currency;
+    this.rate = fields.rate;
+    this.cryptoAmount = fields.cryptoAmount;
+    this.createdAt = fields.createdAt;
+    this.expiresAt = fields.expiresAt;
+    this.signature = fields.signature;
+  }
+
+  /**
+   * Create a quote from a backend `createQuote` response
+   * @param {Object} data Response with snake_case fields and times in seconds
+   * @returns {Quote}
+   */
+  static fromBackend(data) {
+    return new Quote({
+      id: data.quote_id,
+      invoiceId: data.invoice_id,
+      fiatAmount: Number(data.fiat_amount),
+      fiatCurrency: data.fiat_currency,
+      currency: data.currency,
+      rate: Number(data.rate),
+      cryptoAmount: Number(data.crypto_amount),
+      createdAt: data.created_at * 1000,
+      expiresAt: data.expires_at * 1000,
+      signature: data.signature,
+    });
+  }
+
+  /**
+   * Check whether the quote has expired
+   * @param {number} [now] Time in ms
+   * @returns {boolean}
+   */
+  isExpired(now = Date.now()) {
+    return now >= this.expiresAt;
+  }
+
+  /**
+   * Time left before the quote expires
+   * @param {number} [now] Time in ms
+   * @returns {number} Remaining time in ms, 0 once expired
+   */
+  getRemainingTime(now = Date.now()) {
+    return Math.max(0, this.expiresAt - now);
+  }
+
+  /**
+   * Plain fields, as stored with queued transactions
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      invoiceId: this.invoiceId,
+      fiatAmount: this.fiatAmount,
+      fiatCurrency: this.fiatCurrency,
+      currency: this.currency,
+      rate: this.rate,
+      cryptoAmount: this.cryptoAmount,
+      createdAt: this.createdAt,
+      expiresAt: this.expiresAt,
+      signature: this.signature,
+    };
+  }
+}
+
+export default Quote;
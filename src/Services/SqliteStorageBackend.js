@@ -0,0 +1,72 @@
+import { storeId } from "./StorageBackends.js";
+
+const TABLE = "nimipay_storage";
+
+/**
+ * SqliteStorageBackend keeps every store in one table of an SQLite
+ * database, for Node servers. It takes an open database with the
+ * synchronous statement API of better-sqlite3 and node:sqlite
+ * (`prepare(sql).run/get/all`), so the project does not depend on either.
+ *
+ * Values are stored as JSON.
+ */
+class SqliteStorageBackend {
+  /**
+   * @param {Object} db Open database, e.g. new Database("nimipay.db")
+   */
+  constructor(db) {
+    this.db = db;
+    this.db.exec(
+      `CREATE TABLE IF NOT EXISTS ${TABLE} (store TEXT NOT NULL, key TEXT NOT NULL, value TEXT, PRIMARY KEY (store, key))`
+    );
+    this.statements = {
+      get: db.prepare(`SELECT value FROM ${TABLE} WHERE store = ? AND key = ?`),
+      set: db.prepare(`INSERT OR REPLACE INTO ${TABLE} (store, key, value) VALUES (?, ?, ?)`),
+      remove: db.prepare(`DELETE FROM ${TABLE} WHERE store = ? AND key = ?`),
+      all: db.prepare(`SELECT key, value FROM ${TABLE} WHERE store = ? ORDER BY key`),
+      keys: db.prepare(`SELECT key FROM ${TABLE} WHERE store = ? ORDER BY key`),
+      count: db.prepare(`SELECT COUNT(*) AS count FROM ${TABLE} WHERE store = ?`),
+      clear: db.prepare(`DELETE FROM ${TABLE} WHERE store = ?`),
+    };
+  }
+
+  createInstance(options = {}) {
+    const store = storeId(options);
+    const { get, set, remove, all, keys, count, clear } = this.statements;
+
+    return {
+      async getItem(key) {
+        const row = get.get(store, key);
+        return row ? JSON.parse(row.value) : null;
+      },
+      async setItem(key, value) {
+        set.run(store, key, JSON.stringify(value === undefined ? null : value));
+        return value;
+      },
+      async removeItem(key) {
+        remove.run(store, key);
+      },
+      async iterate(callback) {
+        let iteration = 1;
+        for (const row of all.all(store)) {
+          const result = callback(JSON.parse(row.value), row.key, iteration++);
+          if (result !== undefined) {
+            return result;
+          }
+        }
+        return undefined;
+      },
+      async keys() {
+        return keys.all(store).map((row) => row.key);
+      },
+      async length() {
+        return Number(count.get(store).count);
+      },
+      async clear() {
+        clear.run(store);
+      },
+    };
+  }
+}
+
+export default SqliteStorageBackend;
@@ -207,6 +207,41 @@ class StablecoinProcessor {
         }
     }
 
+    /**
+     * Relay a signed gasless payment from the relayer account
+     */
+    public function relayPayment(
+        string $currency,
+        string $standard,
+        array $authorization,
+        array $signature,
+        string $merchantAddress,
+        string $relayerAddress
+    ): string {
+        try {
+            if ($currency !== 'USDC') {
+                throw new \Exception('Unsupported currency');
+            }
+
+            switch ($standard) {
+                case 'eip3009':
+                    return $this->usdcHandler->transferWithAuthorization($authorization, $signature, $relayerAddress);
+                case 'eip2612':
+                    return $this->usdcHandler->permitAndTransfer(
+                        $authorization,
+                        $signature,
+                        $merchantAddress,
+                        $relayerAddress
+                    );
+                default:
+                    throw new \Exception('Unsupported signature standard');
+            }
+
+        } catch (\Exception $e) {
+            throw new \Exception('Relaying payment failed: ' . $e->getMessage());
+        }
+    }
+
     /**
      * Validate transaction
      */
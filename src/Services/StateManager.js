@@ -1,25 +1,68 @@
-import localforage from "localforage";
+import { NimipayError, ConflictError } from "./errors.js";
+import { defaultEnvironment } from "./Environment.js";
+
+// Pending changes pushed to the backend per request
+const SYNC_BATCH_SIZE = 50;
+
+// Transaction statuses in the order payments reach them; merging keeps the furthest
+const STATUS_PROGRESS = ["queued", "pending", "seen", "confirming", "confirmed", "partially_refunded", "refunded"];
+
+/**
+ * Built-in conflict strategies: (local, remote) => resolved record
+ */
+const CONFLICT_STRATEGIES = {
+  "last-writer-wins": (local, remote) => (changedAt(local) > changedAt(remote) ? local : remote),
+  "server-wins": (local, remote) => remote,
+  merge: (local, remote) => {
+    const newer = changedAt(local) > changedAt(remote) ? local : remote;
+    const older = newer === local ? remote : local;
+    const merged = { ...older, ...newer };
+
+    const progress = [local, remote].map((record) => STATUS_PROGRESS.indexOf(record?.status));
+    if (Math.min(...progress) >= 0) {
+      merged.status = STATUS_PROGRESS[Math.max(...progress)];
+    }
+    return merged;
+  }
+};
 
 /**
- * StateManager handles enhanced state management and offline capabilities
+ * StateManager handles enhanced state management and offline capabilities.
+ *
+ * It is also the terminal's local transaction repository: records are read,
+ * partially updated and queried by status or time, and found by the order
+ * or invoice they belong to through a secondary index kept next to the
+ * transactions store.
  */
 class StateManager {
-  constructor() {
+  /**
+   * @param {Object} [options] Options
+   * @param {Environment} [options.environment] Storage, events and
+   *   configuration, defaults to the browser's
+   */
+  constructor(options = {}) {
+    this.env = options.environment || defaultEnvironment;
+
     // Initialize storage instances for different data types
     this.stores = {
-      transactions: localforage.createInstance({
+      transactions: this.env.createStore({
         name: "nimipay-transactions",
         storeName: "transactions"
       }),
-      balances: localforage.createInstance({
+      // Transaction ids by order and invoice id
+      references: this.env.createStore({
+        name: "nimipay-transactions",
+        storeName: "references"
+      }),
+      balances: this.env.createStore({
         name: "nimipay-balances",
         storeName: "balances"
       }),
-      metadata: localforage.createInstance({
+      metadata: this.env.createStore({
         name: "nimipay-metadata",
         storeName: "metadata"
       }),
-      sync: localforage.createInstance({
+      sync: this.env.createStore({
         name: "nimipay-sync",
         storeName: "sync"
       })
@@ -44,6 +87,9 @@ class StateManager {
       conflicts: new Map()
     };
 
+    // Conflict strategies by name, extended through registerConflictResolver
+    this.conflictResolvers = new Map(Object.entries(CONFLICT_STRATEGIES));
+
     // Setup event listeners
     this.setupEventListeners();
   }
@@ -54,11 +100,11 @@ class StateManager {
    */
   setupEventListeners() {
     // Network status listeners
-    window.addEventListener("online", () => this.handleOnline());
-    window.addEventListener("offline", () => this.handleOffline());
+    this.env.addEventListener("online", () => this.handleOnline());
+    this.env.addEventListener("offline", () => this.handleOffline());
 
     // Storage quota monitoring
-    if (navigator.storage && navigator.storage.estimate) {
+    if (this.env.storageEstimate) {
       setInterval(() => this.monitorStorageQuota(), 15 * 60 * 1000); // Check every 15 minutes
     }
   }
@@ -75,18 +121,188 @@ class StateManager {
         storedAt: Date.now(),
         deviceId: await this.getDeviceId(),
         version: await this.getLocalVersion(),
-        networkStatus: navigator.onLine ? "online" : "offline"
+        networkStatus: this.env.isOnline ? "online" : "offline"
       }
     };
 
+    await this.writeTransaction(txId, transaction);
+    await this.queueTransactionChange(txId, transaction);
+  }
+
+  /**
+   * Get a stored transaction
+   * @param {string} txId Transaction ID
+   * @returns {Promise<Object|null>} Transaction with its `id`, or null
+   */
+  async getTransaction(txId) {
+    const transaction = await this.stores.transactions.getItem(txId);
+    return transaction ? { ...transaction, id: txId } : null;
+  }
+
+  /**
+   * Update some fields of a stored transaction. The record gets a new local
+   * version and is queued for sync like a newly stored one.
+   * @param {string} txId Transaction ID
+   * @param {Object} changes Fields to set
+   * @returns {Promise<Object>} Updated transaction with its `id`
+   * @throws {NimipayError} TRANSACTION_NOT_FOUND for unknown transactions
+   */
+  async updateTransaction(txId, changes) {
+    const current = await this.stores.transactions.getItem(txId);
+    if (!current) {
+      throw new NimipayError(`Unknown transaction: ${txId}`, "TRANSACTION_NOT_FOUND", { txId });
+    }
+
+    const transaction = {
+      ...current,
+      ...changes,
+      metadata: {
+        ...current.metadata,
+        version: await this.getLocalVersion(),
+        updatedAt: Date.now()
+      }
+    };
+
+    await this.writeTransaction(txId, transaction, current);
+    await this.queueTransactionChange(txId, transaction);
+    return { ...transaction, id: txId };
+  }
+
+  /**
+   * Find stored transactions, oldest first
+   * @param {Object} [filter] Filter
+   * @param {string|string[]} [filter.status] Status, or any of several
+   * @param {number} [filter.from] Stored at or after, ms timestamp
+   * @param {number} [filter.to] Stored at or before, ms timestamp
+   * @returns {Promise<Object[]>} Transactions with their `id`
+   */
+  async queryTransactions({ status, from, to } = {}) {
+    const statuses = status === undefined ? null : [].concat(status);
+    const matches = [];
+
+    await this.stores.transactions.iterate((value, key) => {
+      const storedAt = value.metadata?.storedAt;
+      if (
+        (!statuses || statuses.includes(value.status)) &&
+        (from === undefined || storedAt >= from) &&
+        (to === undefined || storedAt <= to)
+      ) {
+        matches.push({ ...value, id: key });
+      }
+    });
+
+    return matches.sort((a, b) => a.metadata.storedAt - b.metadata.storedAt);
+  }
+
+  /**
+   * @param {string|string[]} status Status, or any of several
+   * @returns {Promise<Object[]>} Transactions with the status, oldest first
+   */
+  async getTransactionsByStatus(status) {
+    return this.queryTransactions({ status });
+  }
+
+  /**
+   * Transactions stored within a time range, oldest first
+   * @param {number} from Start, ms timestamp
+   * @param {number} [to=Date.now()] End, ms timestamp
+   * @returns {Promise<Object[]>}
+   */
+  async getTransactionsInRange(from, to = Date.now()) {
+    return this.queryTransactions({ from, to });
+  }
+
+  /**
+   * @returns {Promise<Object[]>} Transactions waiting for confirmation
+   */
+  async getPendingTransactions() {
+    return this.getTransactionsByStatus("pending");
+  }
+
+  /**
+   * @returns {Promise<Object[]>} Transactions queued while offline
+   */
+  async getQueuedTransactions() {
+    return this.getTransactionsByStatus("queued");
+  }
+
+  /**
+   * Transactions of an order, through the reference index
+   * @param {string|number} orderId Order ID (`order_id` of the record)
+   * @returns {Promise<Object[]>}
+   */
+  async getTransactionsByOrder(orderId) {
+    return this.getIndexedTransactions(`order_${orderId}`);
+  }
+
+  /**
+   * Transactions of an invoice, through the reference index
+   * @param {string|number} invoiceId Invoice ID (`invoice.id_invoice` or
+   *   `invoice_id` of the record)
+   * @returns {Promise<Object[]>}
+   */
+  async getTransactionsByInvoice(invoiceId) {
+    return this.getIndexedTransactions(`invoice_${invoiceId}`);
+  }
+
+  /**
+   * Write a transaction and move its entries in the reference index
+   * @private
+   */
+  async writeTransaction(txId, transaction, previous) {
+    if (previous === undefined) {
+      previous = await this.stores.transactions.getItem(txId);
+    }
     await this.stores.transactions.setItem(txId, transaction);
+
+    const before = referencesOf(previous);
+    const after = referencesOf(transaction);
+    for (const reference of before.filter((ref) => !after.includes(ref))) {
+      await this.unindexTransaction(reference, txId);
+    }
+    for (const reference of after.filter((ref) => !before.includes(ref))) {
+      const ids = (await this.stores.references.getItem(reference)) || [];
+      if (!ids.includes(txId)) {
+        await this.stores.references.setItem(reference, [...ids, txId]);
+      }
+    }
+  }
+
+  /**
+   * Drop a transaction from an index entry
+   * @private
+   */
+  async unindexTransaction(reference, txId) {
+    const ids = ((await this.stores.references.getItem(reference)) || []).filter((id) => id !== txId);
+    if (ids.length > 0) {
+      await this.stores.references.setItem(reference, ids);
+    } else {
+      await this.stores.references.removeItem(reference);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async getIndexedTransactions(reference) {
+    const ids = (await this.stores.references.getItem(reference)) || [];
+    const transactions = await Promise.all(ids.map((id) => this.getTransaction(id)));
+    return transactions.filter(Boolean);
+  }
+
+  /**
+   * Mark a transaction changed, and queue it for sync while offline
+   * @private
+   */
+  async queueTransactionChange(txId, transaction) {
     this.syncState.pendingChanges.add(txId);
 
     // Store in sync queue if offline
-    if (!navigator.onLine) {
+    if (!this.env.isOnline) {
       await this.stores.sync.setItem(`tx_${txId}`, {
         type: "transaction",
         action: "store",
+        id: txId,
         data: transaction,
         timestamp: Date.now()
       });
@@ -157,7 +373,7 @@ class StateManager {
     try {
       // Implement actual balance refresh logic
       const response = await fetch(
-        `${window.npBackendUrl}?action=getBalance&currency=${currency}&address=${address}`
+        `${this.env.backendUrl}?action=getBalance&currency=${currency}&address=${address}`
       );
       const data = await response.json();
       
@@ -186,47 +402,237 @@ class StateManager {
   }
 
   /**
-   * Sync pending changes
+   * Sync with the backend: push the pending changes in batches, then pull
+   * the changes other devices made since lastSync. Changes the backend
+   * holds another version of become conflicts.
    * @private
    */
   async syncPendingChanges() {
-    const pendingSync = await this.stores.sync.iterate((value, key) => ({
-      key,
-      ...value
-    }));
-
-    for (const item of pendingSync) {
-      try {
-        await this.processSyncItem(item);
+    const pendingSync = [];
+    await this.stores.sync.iterate((value, key) => {
+      pendingSync.push({ key, ...value });
+    });
+
+    const deviceId = await this.getDeviceId();
+    try {
+      for (let i = 0; i < pendingSync.length; i += SYNC_BATCH_SIZE) {
+        await this.pushChanges(deviceId, pendingSync.slice(i, i + SYNC_BATCH_SIZE));
+      }
+      await this.pullChanges(deviceId);
+    } catch (error) {
+      // Unsent changes stay queued for the next time the network is back
+      console.error("Sync failed:", error);
+    }
+  }
+
+  /**
+   * Push a batch of pending changes. The backend accepts a change when the
+   * record is still at the change's base version, and answers the others
+   * with its own version of the record.
+   * @private
+   */
+  async pushChanges(deviceId, items) {
+    const changes = [];
+    for (const item of items) {
+      const change = this.processSyncItem(item);
+      if (change) {
+        changes.push(change);
+      } else {
         await this.stores.sync.removeItem(item.key);
-        this.syncState.pendingChanges.delete(item.key);
-      } catch (error) {
-        if (error.name === "ConflictError") {
-          await this.handleSyncConflict(item, error);
-        } else {
-          console.error(`Sync failed for ${item.key}:`, error);
-        }
       }
     }
+    if (changes.length === 0) {
+      return;
+    }
+
+    const result = await this.postSync("syncPush", { device_id: deviceId, changes });
+    const conflicts = new Map((result.conflicts || []).map((conflict) => [conflict.key, conflict]));
+    const accepted = new Map((result.accepted || []).map((record) => [record.key, record]));
+
+    for (const change of changes) {
+      const item = items.find((entry) => entry.key === change.key);
+      const conflict = conflicts.get(change.key);
+      if (conflict) {
+        await this.handleSyncConflict(
+          item,
+          new ConflictError(`Sync conflict on ${change.key}`, conflict.remote_data, {
+            key: change.key,
+            remoteVersion: conflict.remote_version,
+            remoteDeviceId: conflict.remote_device_id
+          })
+        );
+        // The conflict keeps the local change until it is resolved
+        await this.stores.sync.removeItem(item.key);
+        continue;
+      }
 
-    this.syncState.lastSync = Date.now();
+      if (accepted.has(change.key)) {
+        await this.markSynced(change, accepted.get(change.key).version);
+      }
+      await this.stores.sync.removeItem(item.key);
+      this.syncState.pendingChanges.delete(item.key);
+      this.syncState.pendingChanges.delete(change.id);
+    }
   }
 
   /**
-   * Process sync item
+   * Pull the records other devices changed since lastSync. The backend's
+   * clock sets the next lastSync, so device clocks do not matter.
    * @private
    */
-  async processSyncItem(item) {
+  async pullChanges(deviceId) {
+    let since = await this.getLastSync();
+    let result;
+
+    do {
+      result = await this.postSync("syncPull", { device_id: deviceId, since });
+      for (const change of result.changes || []) {
+        await this.applyRemoteChange(change);
+      }
+      since = result.server_time ?? Date.now();
+    } while (result.has_more);
+
+    this.syncState.lastSync = since;
+    await this.stores.metadata.setItem("last_sync", since);
+  }
+
+  /**
+   * Turn a sync queue item into the change pushed to the backend
+   * @private
+   */
+  processSyncItem(item) {
     switch (item.type) {
       case "transaction":
-        await this.syncTransaction(item);
+        return this.syncTransaction(item);
+      case "balance":
+        return this.syncBalance(item);
+      default:
+        console.warn(`Unknown sync item type: ${item.type}`);
+        return null;
+    }
+  }
+
+  /**
+   * Change of a stored transaction, versioned by the device that stored it
+   * @private
+   */
+  syncTransaction(item) {
+    const metadata = item.data?.metadata || {};
+    return {
+      key: item.key,
+      type: "transaction",
+      id: item.id ?? item.key.replace(/^tx_/, ""),
+      action: item.action,
+      data: item.data,
+      version: metadata.version ?? null,
+      base_version: metadata.serverVersion ?? null,
+      timestamp: item.timestamp
+    };
+  }
+
+  /**
+   * Change of a cached balance
+   * @private
+   */
+  syncBalance(item) {
+    return {
+      key: item.key,
+      type: "balance",
+      id: item.id ?? item.key.replace(/^balance_/, ""),
+      action: item.action,
+      data: item.data,
+      version: item.version ?? null,
+      base_version: item.data?.metadata?.serverVersion ?? null,
+      timestamp: item.timestamp
+    };
+  }
+
+  /**
+   * Record the backend's version of an accepted transaction, the base of
+   * its next change
+   * @private
+   */
+  async markSynced(change, serverVersion) {
+    if (change.type !== "transaction") {
+      return;
+    }
+
+    const transaction = await this.stores.transactions.getItem(change.id);
+    if (transaction) {
+      await this.stores.transactions.setItem(change.id, {
+        ...transaction,
+        metadata: { ...transaction.metadata, serverVersion }
+      });
+    }
+  }
+
+  /**
+   * Store a record another device changed, unless this device changed it
+   * too and has yet to push that change
+   * @private
+   */
+  async applyRemoteChange(change) {
+    if (this.syncState.pendingChanges.has(change.id)) {
+      return;
+    }
+
+    const metadata = {
+      ...(change.data?.metadata || {}),
+      deviceId: change.device_id,
+      serverVersion: change.version,
+      syncedAt: Date.now()
+    };
+
+    switch (change.type) {
+      case "transaction":
+        await this.writeTransaction(change.id, { ...change.data, metadata });
         break;
       case "balance":
-        await this.syncBalance(item);
+        await this.stores.balances.setItem(change.id, { ...change.data, metadata });
         break;
       default:
-        console.warn(`Unknown sync item type: ${item.type}`);
+        console.warn(`Unknown sync change type: ${change.type}`);
+    }
+  }
+
+  /**
+   * Time of the last completed sync, on the backend's clock
+   * @private
+   */
+  async getLastSync() {
+    if (this.syncState.lastSync === null) {
+      this.syncState.lastSync = (await this.stores.metadata.getItem("last_sync")) ?? null;
     }
+    return this.syncState.lastSync;
+  }
+
+  /**
+   * Post a sync request to the backend
+   * @private
+   */
+  async postSync(action, body) {
+    let response;
+    try {
+      response = await fetch(`${this.env.backendUrl}?action=${action}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...this.env.terminalHeaders
+        },
+        body: JSON.stringify(body)
+      });
+    } catch (error) {
+      throw new NimipayError(error.message, "NETWORK_ERROR", { action });
+    }
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new NimipayError(result.error || `Backend action ${action} failed`, result.code || "NETWORK_ERROR", {
+        action,
+        status: response.status
+      });
+    }
+    return result;
   }
 
   /**
@@ -235,8 +641,13 @@ class StateManager {
    */
   async handleSyncConflict(item, error) {
     const conflict = {
+      key: item.key,
+      type: item.type,
+      id: item.id ?? item.key.replace(/^tx_/, ""),
       local: item.data,
       remote: error.remoteData,
+      remoteVersion: error.data?.remoteVersion ?? null,
+      remoteDeviceId: error.data?.remoteDeviceId ?? null,
       timestamp: Date.now(),
       resolved: false
     };
@@ -247,7 +658,7 @@ class StateManager {
     await this.stores.metadata.setItem(`conflict_${item.key}`, conflict);
 
     // Emit conflict event
-    window.dispatchEvent(
+    this.env.dispatchEvent(
       new CustomEvent("nimipay:state", {
         detail: {
           type: "sync:conflict",
@@ -260,6 +671,111 @@ class StateManager {
     );
   }
 
+  /**
+   * Register a conflict strategy for resolveConflict
+   * @param {string} name Strategy name
+   * @param {Function} resolver (local, remote, conflict) => resolved record,
+   *   may return a promise
+   */
+  registerConflictResolver(name, resolver) {
+    if (typeof resolver !== "function") {
+      throw new NimipayError("Conflict resolvers must be functions", "CONFIGURATION_ERROR", { name });
+    }
+    this.conflictResolvers.set(name, resolver);
+  }
+
+  /**
+   * Resolve a sync conflict. The resolved record is stored locally and,
+   * unless it is the backend's version, pushed on top of it.
+   * @param {string} key Key of the conflicting change, e.g. "tx_<txId>"
+   * @param {string|Function} [strategy="last-writer-wins"] "last-writer-wins",
+   *   "server-wins", "merge" (keeps the furthest transaction status), a
+   *   registered resolver's name, or a resolver function
+   * @returns {Promise<Object>} The resolved record
+   * @throws {NimipayError} VALIDATION_ERROR if there is no open conflict,
+   *   CONFIGURATION_ERROR for unknown strategies
+   */
+  async resolveConflict(key, strategy = "last-writer-wins") {
+    const conflict =
+      this.syncState.conflicts.get(key) || (await this.stores.metadata.getItem(`conflict_${key}`));
+    if (!conflict || conflict.resolved) {
+      throw new NimipayError(`No open conflict for ${key}`, "VALIDATION_ERROR", { key });
+    }
+
+    const resolver = typeof strategy === "function" ? strategy : this.conflictResolvers.get(strategy);
+    if (!resolver) {
+      throw new NimipayError(`Unknown conflict strategy: ${strategy}`, "CONFIGURATION_ERROR", { strategy });
+    }
+
+    const resolved = await resolver(conflict.local, conflict.remote, conflict);
+    const id = conflict.id ?? key.replace(/^tx_/, "");
+    const keepsRemote = resolved === conflict.remote;
+    const record = {
+      ...resolved,
+      metadata: {
+        ...(resolved?.metadata || {}),
+        // the local version changes, the backend's is the base of the push
+        version: keepsRemote ? resolved?.metadata?.version : await this.getLocalVersion(),
+        serverVersion: conflict.remoteVersion
+      }
+    };
+
+    if (conflict.type === "balance") {
+      await this.stores.balances.setItem(id, record);
+    } else {
+      await this.writeTransaction(id, record);
+    }
+    if (keepsRemote) {
+      this.syncState.pendingChanges.delete(id);
+    } else {
+      await this.stores.sync.setItem(key, {
+        type: conflict.type || "transaction",
+        action: "store",
+        id,
+        data: record,
+        timestamp: Date.now()
+      });
+      this.syncState.pendingChanges.add(id);
+    }
+
+    const name = typeof strategy === "function" ? strategy.name || "custom" : strategy;
+    await this.stores.metadata.setItem(`conflict_${key}`, {
+      ...conflict,
+      resolved: true,
+      resolution: { strategy: name, resolvedAt: Date.now() }
+    });
+    this.syncState.conflicts.delete(key);
+
+    this.env.dispatchEvent(
+      new CustomEvent("nimipay:state", {
+        detail: {
+          type: "sync:resolved",
+          data: { key, strategy: name }
+        }
+      })
+    );
+
+    if (!keepsRemote && this.env.isOnline) {
+      await this.syncPendingChanges();
+    }
+    return record;
+  }
+
+  /**
+   * Conflicts waiting for a decision, oldest first, e.g. for a merchant
+   * review screen. Read from storage, so they survive reloads.
+   * @returns {Promise<Object[]>} Conflicts with their `key`
+   */
+  async getUnresolvedConflicts() {
+    const conflicts = [];
+    await this.stores.metadata.iterate((value, key) => {
+      if (key.startsWith("conflict_") && value && !value.resolved) {
+        conflicts.push({ ...value, key: key.slice("conflict_".length) });
+      }
+    });
+    return conflicts.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
   /**
    * Prepare for offline mode
    * @private
@@ -295,7 +811,7 @@ class StateManager {
    */
   async monitorStorageQuota() {
     try {
-      const { usage, quota } = await navigator.storage.estimate();
+      const { usage, quota } = await this.env.storageEstimate();
       const usagePercent = (usage / quota) * 100;
 
       if (usagePercent > 90) {
@@ -315,11 +831,18 @@ class StateManager {
     const maxAge = this.cacheConfig.transaction.maxAge;
 
     // Prune old transactions
+    const expired = [];
     await this.stores.transactions.iterate((value, key) => {
       if (now - value.metadata.storedAt > maxAge) {
-        return this.stores.transactions.removeItem(key);
+        expired.push([key, value]);
       }
     });
+    for (const [key, value] of expired) {
+      await this.stores.transactions.removeItem(key);
+      for (const reference of referencesOf(value)) {
+        await this.unindexTransaction(reference, key);
+      }
+    }
 
     // Prune expired balance cache
     await this.stores.balances.iterate((value, key) => {
@@ -334,6 +857,11 @@ class StateManager {
    * @private
    */
   async getDeviceId() {
+    // A registered terminal syncs as the device its key belongs to
+    if (this.env.config.npDeviceId) {
+      return this.env.config.npDeviceId;
+    }
+
     let deviceId = await this.stores.metadata.getItem("device_id");
     
     if (!deviceId) {
@@ -427,9 +955,36 @@ class StateManager {
       lastSync: this.syncState.lastSync,
       pendingChanges: Array.from(this.syncState.pendingChanges),
       conflicts: Array.from(this.syncState.conflicts.entries()),
-      isOnline: navigator.onLine
+      isOnline: this.env.isOnline
     };
   }
 }
 
+/**
+ * When a record was last changed, for last-writer-wins
+ * @private
+ */
+function changedAt(record) {
+  return record?.metadata?.updatedAt ?? record?.metadata?.storedAt ?? 0;
+}
+
+/**
+ * Reference index keys of a transaction record
+ * @private
+ */
+function referencesOf(transaction) {
+  if (!transaction) {
+    return [];
+  }
+  const references = [];
+  if (transaction.order_id !== undefined && transaction.order_id !== null) {
+    references.push(`order_${transaction.order_id}`);
+  }
+  const invoiceId = transaction.invoice?.id_invoice ?? transaction.invoice_id;
+  if (invoiceId !== undefined && invoiceId !== null) {
+    references.push(`invoice_${invoiceId}`);
+  }
+  return references;
+}
+
 export default StateManager;
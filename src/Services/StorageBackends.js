@@ -0,0 +1,153 @@
+import localforage from "localforage";
+
+/**
+ * Storage backends create the key-value stores the services keep their
+ * state in. A backend has one method, `createInstance(options)`, taking
+ * localforage's instance options (`name`, `storeName`) and returning a store
+ * with localforage's API: getItem, setItem, removeItem, iterate, keys,
+ * length and clear, all returning promises.
+ *
+ * Node-only backends live in their own modules, so browser builds do not
+ * pull in `fs`: FileStorageBackend and SqliteStorageBackend.
+ */
+
+/**
+ * Browser storage through localforage: IndexedDB, falling back to WebSQL
+ * or localStorage
+ */
+export class IndexedDbBackend {
+  createInstance(options) {
+    return localforage.createInstance(options);
+  }
+}
+
+/**
+ * Stores kept in memory, for tests and servers that persist elsewhere.
+ * Instances with the same name and store name share their records, as
+ * they would in IndexedDB.
+ */
+export class MemoryBackend {
+  constructor() {
+    this.stores = new Map();
+  }
+
+  createInstance(options = {}) {
+    const id = storeId(options);
+    if (!this.stores.has(id)) {
+      this.stores.set(id, new MapStore(new Map()));
+    }
+    return this.stores.get(id);
+  }
+}
+
+/**
+ * A store over a Map of records. Values are copied in and out, so callers
+ * cannot change stored records by mutating what they passed or got back.
+ */
+export class MapStore {
+  /**
+   * @param {Map} items Records by key
+   * @param {Function} [onChange] Called after every write with the records
+   */
+  constructor(items, onChange) {
+    this.items = items;
+    this.onChange = onChange;
+  }
+
+  async getItem(key) {
+    return this.items.has(key) ? copy(this.items.get(key)) : null;
+  }
+
+  async setItem(key, value) {
+    this.items.set(key, copy(value));
+    await this.onChange?.(this.items);
+    return value;
+  }
+
+  async removeItem(key) {
+    if (this.items.delete(key)) {
+      await this.onChange?.(this.items);
+    }
+  }
+
+  /**
+   * Call `callback(value, key, iterationNumber)` for every record until it
+   * returns something other than undefined, which is then returned
+   */
+  async iterate(callback) {
+    let iteration = 1;
+    for (const [key, value] of Array.from(this.items)) {
+      const result = callback(copy(value), key, iteration++);
+      if (result !== undefined) {
+        return result;
+      }
+    }
+    return undefined;
+  }
+
+  async keys() {
+    return Array.from(this.items.keys());
+  }
+
+  async length() {
+    return this.items.size;
+  }
+
+  async clear() {
+    this.items.clear();
+    await this.onChange?.(this.items);
+  }
+}
+
+/**
+ * Synchronous key-value storage with the Web Storage API, for the vault's
+ * keyring and preferences where there is no localStorage
+ */
+export class MemoryWebStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  get length() {
+    return this.items.size;
+  }
+
+  key(index) {
+    return Array.from(this.items.keys())[index] ?? null;
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+/**
+ * Name and store name of an instance, with localforage's defaults
+ * @param {Object} options Instance options
+ * @returns {string}
+ */
+export function storeId({ name = "localforage", storeName = "keyvaluepairs" } = {}) {
+  return `${name}/${storeName}`;
+}
+
+/**
+ * @private
+ */
+function copy(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return typeof structuredClone === "function" ? structuredClone(value) : JSON.parse(JSON.stringify(value));
+}
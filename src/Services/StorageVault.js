@@ -0,0 +1,568 @@
+import { NimipayError } from "./errors.js";
+import { IndexedDbBackend } from "./StorageBackends.js";
+
+// localStorage keys. The keyring holds no secret: its data keys are wrapped.
+const KEYRING_KEY = "np_storage_keyring";
+const STORES_KEY = "np_storage_stores";
+
+const PBKDF2_ITERATIONS = 310000;
+const MIN_PIN_LENGTH = 6;
+
+/**
+ * StorageVault encrypts what the services keep in IndexedDB with AES-GCM.
+ *
+ * Records are encrypted with a random data key, kept in localStorage wrapped
+ * by a key-encryption key: derived from the merchant's PIN with PBKDF2, or a
+ * non-extractable CryptoKey supplied by the terminal. Data keys only live in
+ * memory while the vault is unlocked, so a locked terminal can neither read
+ * nor write its stores, and the transaction queue pauses until it is unlocked.
+ *
+ * Until encryption is enabled the stores read and write plaintext. Records
+ * written before it was enabled are encrypted by `enable`, and stay readable
+ * until then.
+ *
+ * Events, through `on` and as `nimipay:storage` events of its environment:
+ * `storage:locked`, `storage:unlocked` and `storage:rotated` ({ kid }).
+ */
+class StorageVault {
+  /**
+   * @param {Object} [options] Options
+   * @param {Crypto} [options.crypto] Web Crypto implementation, defaults to window.crypto
+   * @param {Storage} [options.keyStorage] Keeps the keyring, defaults to localStorage
+   * @param {Object} [options.backend] Storage backend, defaults to IndexedDB
+   *   through localforage (see StorageBackends.js)
+   * @param {Environment} [options.environment] Environment dispatching the
+   *   `nimipay:storage` events, set by the environment owning the vault
+   */
+  constructor({ crypto, keyStorage, backend, environment } = {}) {
+    this.backend = backend || new IndexedDbBackend();
+    this.env = environment || null;
+    this.cryptoOption = crypto;
+    this.keyStorageOption = keyStorage;
+    this.keyEncryptionKey = null;
+    this.dataKeys = null; // CryptoKeys by key ID while unlocked
+    this.listeners = new Map();
+  }
+
+  /**
+   * @returns {boolean} True once encryption is enabled
+   */
+  get enabled() {
+    return this.readKeyring() !== null;
+  }
+
+  /**
+   * @returns {boolean} True if encryption is enabled and no key is loaded
+   */
+  get locked() {
+    return this.enabled && this.dataKeys === null;
+  }
+
+  /**
+   * Create a store of the backend whose values are encrypted once the
+   * vault is enabled
+   * @param {Object} options localforage instance options (name, storeName)
+   * @returns {EncryptedStore}
+   */
+  createInstance(options) {
+    this.registerStore(options);
+    return new EncryptedStore(this.backend.createInstance(options), this);
+  }
+
+  /**
+   * Turn on encryption and encrypt every store created so far
+   * @param {string|CryptoKey} secret Merchant PIN, or an AES-GCM CryptoKey
+   * @throws {NimipayError} CONFIGURATION_ERROR if already enabled or there
+   *   is no localStorage,
+   *   VALIDATION_ERROR for PINs shorter than 6 characters
+   */
+  async enable(secret) {
+    if (this.enabled) {
+      throw new NimipayError("Storage encryption is already enabled", "CONFIGURATION_ERROR");
+    }
+
+    if (!this.keyStorage) {
+      throw new NimipayError("Encryption needs a localStorage to keep its keyring", "CONFIGURATION_ERROR");
+    }
+
+    const kdf = this.newKdf(secret);
+    this.keyEncryptionKey = await this.deriveKey(secret, kdf);
+    this.dataKeys = new Map();
+    const keyring = { kdf, current: null, keys: {} };
+    keyring.current = await this.addDataKey(keyring);
+    this.writeKeyring(keyring);
+
+    await this.reencrypt();
+    this.emit("unlocked", {});
+  }
+
+  /**
+   * Load the data keys, unlocking every store and resuming the queue.
+   * A key rotation that was interrupted is finished first.
+   * @param {string|CryptoKey} secret Merchant PIN, or the CryptoKey
+   * @throws {NimipayError} AUTH_FAILED for a wrong PIN or key
+   */
+  async unlock(secret) {
+    const keyring = this.readKeyring();
+    if (!keyring) {
+      throw new NimipayError("Storage encryption is not enabled", "CONFIGURATION_ERROR");
+    }
+
+    const kek = await this.deriveKey(secret, keyring.kdf);
+    const dataKeys = new Map();
+    for (const [kid, wrapped] of Object.entries(keyring.keys)) {
+      dataKeys.set(kid, await this.importDataKey(await this.unwrap(kek, wrapped)));
+    }
+    this.keyEncryptionKey = kek;
+    this.dataKeys = dataKeys;
+
+    if (Object.keys(keyring.keys).length > 1) {
+      await this.finishRotation(keyring);
+    }
+    this.emit("unlocked", {});
+  }
+
+  /**
+   * Forget the keys; stores throw STORAGE_LOCKED until unlocked again
+   */
+  lock() {
+    if (!this.enabled) {
+      return;
+    }
+    this.keyEncryptionKey = null;
+    this.dataKeys = null;
+    this.emit("locked", {});
+  }
+
+  /**
+   * Re-encrypt every store with a new data key, optionally protecting it
+   * with a new PIN or CryptoKey. Safe to interrupt: the old key is kept
+   * until every record was rewritten, and unlocking finishes the rotation.
+   * @param {string|CryptoKey} [secret] New PIN or CryptoKey, defaults to the current one
+   * @returns {Promise<string>} ID of the new data key
+   * @throws {NimipayError} STORAGE_LOCKED while locked
+   */
+  async rotateKey(secret) {
+    this.assertUnlocked();
+    const keyring = this.readKeyring();
+
+    if (secret !== undefined) {
+      const kdf = this.newKdf(secret);
+      const kek = await this.deriveKey(secret, kdf);
+      for (const [kid, wrapped] of Object.entries(keyring.keys)) {
+        keyring.keys[kid] = await this.wrap(kek, await this.unwrap(this.keyEncryptionKey, wrapped));
+      }
+      keyring.kdf = kdf;
+      this.keyEncryptionKey = kek;
+    }
+
+    keyring.current = await this.addDataKey(keyring);
+    this.writeKeyring(keyring);
+    await this.finishRotation(keyring);
+
+    this.emit("rotated", { kid: keyring.current });
+    return keyring.current;
+  }
+
+  /**
+   * Subscribe to vault events
+   * @param {string} type "locked", "unlocked" or "rotated"
+   * @param {Function} listener Event listener
+   */
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+  }
+
+  /**
+   * Unsubscribe from vault events
+   * @param {string} type Event type
+   * @param {Function} listener Event listener
+   */
+  off(type, listener) {
+    const listeners = this.listeners.get(type);
+    if (listeners) {
+      listeners.delete(listener);
+    }
+  }
+
+  /**
+   * Value as stored: an envelope once encryption is enabled
+   * @param {*} value Value, serialized as JSON
+   * @returns {Promise<*>}
+   * @throws {NimipayError} STORAGE_LOCKED while locked
+   */
+  async encrypt(value) {
+    const keyring = this.readKeyring();
+    if (!keyring) {
+      return value;
+    }
+    this.assertUnlocked();
+
+    const iv = this.crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(value === undefined ? null : value));
+    const key = await this.getDataKey(keyring.current);
+    const data = await this.crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, plaintext);
+
+    return { nimipayEncrypted: 1, kid: keyring.current, iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  /**
+   * Value of a stored record; plaintext records are returned as they are
+   * @param {*} stored Stored value
+   * @returns {Promise<*>}
+   * @throws {NimipayError} STORAGE_LOCKED while locked, DECRYPTION_FAILED
+   *   for records that are corrupt or encrypted with an unknown key
+   */
+  async decrypt(stored) {
+    if (!isEnvelope(stored)) {
+      return stored;
+    }
+    this.assertUnlocked();
+
+    const key = await this.getDataKey(stored.kid);
+    try {
+      const plaintext = await this.crypto.subtle.decrypt(
+        { name: "AES-GCM", iv: fromBase64(stored.iv) },
+        key,
+        fromBase64(stored.data)
+      );
+      return JSON.parse(new TextDecoder().decode(plaintext));
+    } catch (error) {
+      throw new NimipayError("Record could not be decrypted", "DECRYPTION_FAILED", { kid: stored.kid });
+    }
+  }
+
+  /**
+   * @private
+   */
+  get crypto() {
+    return this.cryptoOption || globalThis.crypto;
+  }
+
+  /**
+   * @private
+   */
+  get keyStorage() {
+    return this.keyStorageOption || globalThis.localStorage;
+  }
+
+  /**
+   * @private
+   */
+  assertUnlocked() {
+    if (this.locked) {
+      throw new NimipayError("Storage is locked", "STORAGE_LOCKED");
+    }
+  }
+
+  /**
+   * Loaded data key; keys added by a rotation in another tab are unwrapped
+   * on first use
+   * @private
+   */
+  async getDataKey(kid) {
+    if (!this.dataKeys.has(kid)) {
+      const wrapped = this.readKeyring()?.keys[kid];
+      if (!wrapped) {
+        throw new NimipayError("Record encrypted with an unknown key", "DECRYPTION_FAILED", { kid });
+      }
+      try {
+        this.dataKeys.set(kid, await this.importDataKey(await this.unwrap(this.keyEncryptionKey, wrapped)));
+      } catch (error) {
+        // The PIN or key was changed in another tab
+        throw new NimipayError("Data key could not be unwrapped", "DECRYPTION_FAILED", { kid });
+      }
+    }
+    return this.dataKeys.get(kid);
+  }
+
+  /**
+   * Rewrite every record with the current data key, then drop the others
+   * @private
+   */
+  async finishRotation(keyring) {
+    await this.reencrypt();
+    keyring.keys = { [keyring.current]: keyring.keys[keyring.current] };
+    this.writeKeyring(keyring);
+    this.dataKeys = new Map([[keyring.current, this.dataKeys.get(keyring.current)]]);
+  }
+
+  /**
+   * Rewrite every record of every known store not yet under the current key.
+   * Stores stay writable meanwhile, so each record is read again right
+   * before it is rewritten, and left alone if a writer replaced it.
+   * @private
+   */
+  async reencrypt() {
+    const { current } = this.readKeyring();
+    const isCurrent = (value) => isEnvelope(value) && value.kid === current;
+
+    for (const options of this.readStores()) {
+      const store = this.backend.createInstance(options);
+      const keys = [];
+      await store.iterate((value, key) => {
+        if (!isCurrent(value)) {
+          keys.push(key);
+        }
+      });
+      for (const key of keys) {
+        const value = await store.getItem(key);
+        if (value === null || isCurrent(value)) {
+          continue;
+        }
+        const reencrypted = await this.encrypt(await this.decrypt(value));
+        if (JSON.stringify(await store.getItem(key)) === JSON.stringify(value)) {
+          await store.setItem(key, reencrypted);
+        }
+      }
+    }
+  }
+
+  /**
+   * Generate a data key, wrap it into the keyring and load it
+   * @private
+   */
+  async addDataKey(keyring) {
+    const kid = `key_${Date.now().toString(36)}_${toHex(this.crypto.getRandomValues(new Uint8Array(4)))}`;
+    const raw = this.crypto.getRandomValues(new Uint8Array(32));
+    keyring.keys[kid] = await this.wrap(this.keyEncryptionKey, raw);
+    this.dataKeys.set(kid, await this.importDataKey(raw));
+    return kid;
+  }
+
+  /**
+   * How a secret becomes the key-encryption key
+   * @private
+   */
+  newKdf(secret) {
+    if (typeof secret !== "string") {
+      return { name: "CryptoKey" };
+    }
+    if (secret.length < MIN_PIN_LENGTH) {
+      throw new NimipayError(`The PIN needs at least ${MIN_PIN_LENGTH} characters`, "VALIDATION_ERROR");
+    }
+    return {
+      name: "PBKDF2",
+      hash: "SHA-256",
+      iterations: PBKDF2_ITERATIONS,
+      salt: toBase64(this.crypto.getRandomValues(new Uint8Array(16))),
+    };
+  }
+
+  /**
+   * @private
+   */
+  async deriveKey(secret, kdf) {
+    if (kdf.name !== "PBKDF2") {
+      if (secret?.algorithm?.name !== "AES-GCM") {
+        throw new NimipayError("The vault is protected by an AES-GCM CryptoKey", "AUTH_FAILED");
+      }
+      return secret;
+    }
+    if (typeof secret !== "string") {
+      throw new NimipayError("The vault is protected by a PIN", "AUTH_FAILED");
+    }
+
+    const pin = await this.crypto.subtle.importKey("raw", new TextEncoder().encode(secret), "PBKDF2", false, [
+      "deriveKey",
+    ]);
+    return this.crypto.subtle.deriveKey(
+      { name: "PBKDF2", hash: kdf.hash, iterations: kdf.iterations, salt: fromBase64(kdf.salt) },
+      pin,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  /**
+   * @private
+   */
+  async wrap(kek, raw) {
+    const iv = this.crypto.getRandomValues(new Uint8Array(12));
+    const data = await this.crypto.subtle.encrypt({ name: "AES-GCM", iv }, kek, raw);
+    return { iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  /**
+   * @private
+   */
+  async unwrap(kek, wrapped) {
+    try {
+      return new Uint8Array(
+        await this.crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(wrapped.iv) }, kek, fromBase64(wrapped.data))
+      );
+    } catch (error) {
+      throw new NimipayError("Wrong PIN or key", "AUTH_FAILED");
+    }
+  }
+
+  /**
+   * Data keys are loaded non-extractable
+   * @private
+   */
+  async importDataKey(raw) {
+    return this.crypto.subtle.importKey("raw", raw, "AES-GCM", false, ["encrypt", "decrypt"]);
+  }
+
+  /**
+   * @private
+   */
+  readKeyring() {
+    const keyring = readJson(this.keyStorage, KEYRING_KEY);
+    return keyring?.kdf && keyring.keys && keyring.current ? keyring : null;
+  }
+
+  /**
+   * @private
+   */
+  writeKeyring(keyring) {
+    this.keyStorage.setItem(KEYRING_KEY, JSON.stringify(keyring));
+  }
+
+  /**
+   * Stores opened through the vault, remembered so rotation reaches the
+   * ones not open in this session
+   * @private
+   */
+  readStores() {
+    const stores = readJson(this.keyStorage, STORES_KEY);
+    return Array.isArray(stores) ? stores : [];
+  }
+
+  /**
+   * @private
+   */
+  registerStore({ name, storeName }) {
+    const stores = this.readStores();
+    if (this.keyStorage && !stores.some((store) => store.name === name && store.storeName === storeName)) {
+      this.keyStorage.setItem(STORES_KEY, JSON.stringify([...stores, { name, storeName }]));
+    }
+  }
+
+  /**
+   * @private
+   */
+  emit(type, data) {
+    for (const listener of this.listeners.get(type) || []) {
+      listener(data);
+    }
+    if (this.env) {
+      this.env.dispatchEvent(new CustomEvent("nimipay:storage", { detail: { type: `storage:${type}`, data } }));
+    }
+  }
+}
+
+/**
+ * A backend store encrypting values through a StorageVault. Keys,
+ * the number of records and removals are not encrypted and work while locked.
+ */
+class EncryptedStore {
+  /**
+   * @param {Object} store Backend store with localforage's API
+   * @param {StorageVault} vault Vault encrypting the values
+   */
+  constructor(store, vault) {
+    this.store = store;
+    this.vault = vault;
+  }
+
+  async getItem(key) {
+    return this.vault.decrypt(await this.store.getItem(key));
+  }
+
+  async setItem(key, value) {
+    await this.store.setItem(key, await this.vault.encrypt(value));
+    return value;
+  }
+
+  async removeItem(key) {
+    return this.store.removeItem(key);
+  }
+
+  /**
+   * Call `callback(value, key, iterationNumber)` for every record until it
+   * returns something other than undefined, which is then returned
+   */
+  async iterate(callback) {
+    const entries = [];
+    await this.store.iterate((value, key) => {
+      entries.push([key, value]);
+    });
+
+    let iteration = 1;
+    for (const [key, stored] of entries) {
+      const result = callback(await this.vault.decrypt(stored), key, iteration++);
+      if (result !== undefined) {
+        return result;
+      }
+    }
+    return undefined;
+  }
+
+  async clear() {
+    return this.store.clear();
+  }
+
+  async keys() {
+    return this.store.keys();
+  }
+
+  async length() {
+    return this.store.length();
+  }
+}
+
+/**
+ * @private
+ */
+function isEnvelope(value) {
+  return value !== null && typeof value === "object" && value.nimipayEncrypted === 1;
+}
+
+/**
+ * @private
+ */
+function readJson(storage, key) {
+  try {
+    return JSON.parse(storage?.getItem(key) ?? "null");
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @private
+ */
+function toBase64(bytes) {
+  const array = new Uint8Array(bytes);
+  let binary = "";
+  // In chunks, as spreading a large backup would overflow the stack
+  for (let i = 0; i < array.length; i += 0x8000) {
+    binary += String.fromCharCode(...array.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * @private
+ */
+function fromBase64(string) {
+  return Uint8Array.from(atob(string), (char) => char.charCodeAt(0));
+}
+
+/**
+ * @private
+ */
+function toHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// Shared by the services, so one unlock opens every store
+export const storageVault = new StorageVault();
+
+export { EncryptedStore };
+export default StorageVault;
@@ -0,0 +1,274 @@
+/**
+ * TabLeaderElection elects one leader among the open tabs of the same origin.
+ *
+ * Where the Web Locks API is available the tab holding the lock leads. The
+ * browser grants it to one tab at a time, so throttled timers in background
+ * tabs cannot produce a second leader.
+ *
+ * Otherwise tabs elect over a BroadcastChannel: the leader sends heartbeats,
+ * and a follower that misses them for `leaseTimeout` announces a claim. If no
+ * other claim with a lower tab ID arrives within `claimWindow`, the claimant
+ * takes over. Without either API the tab leads on its own.
+ *
+ * Messages posted by the leader reach every other tab through `message`.
+ * A standalone election, e.g. in a Node server, leads at once.
+ */
+class TabLeaderElection {
+  /**
+   * @param {string} name Channel and lock name
+   * @param {Object} [options] Election options
+   * @param {number} [options.heartbeatInterval=1000] Leader heartbeat interval in ms
+   * @param {number} [options.leaseTimeout=3000] Missed heartbeat time before a new election
+   * @param {number} [options.claimWindow=300] Time to wait for competing claims in ms
+   * @param {boolean} [options.standalone=false] Lead without asking other tabs
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.heartbeatInterval = options.heartbeatInterval || 1000;
+    this.leaseTimeout = options.leaseTimeout || 3000;
+    this.claimWindow = options.claimWindow || 300;
+    this.standalone = Boolean(options.standalone);
+    this.id = `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 9)}`;
+
+    this.isLeader = false;
+    this.leaderId = null;
+    this.lastHeartbeat = 0;
+    this.claiming = false;
+    this.channel = null;
+    this.timers = [];
+    this.releaseLock = null;
+    this.lockRequest = null;
+    this.listeners = new Map();
+
+    this.handleMessage = this.handleMessage.bind(this);
+    this.stop = this.stop.bind(this);
+  }
+
+  /**
+   * Subscribe to election events
+   * @param {string} type "leadership" ({ isLeader }) or "message" (posted data)
+   * @param {Function} listener Event listener
+   */
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+  }
+
+  /**
+   * Unsubscribe from election events
+   * @param {string} type Event type
+   * @param {Function} listener Event listener
+   */
+  off(type, listener) {
+    const listeners = this.listeners.get(type);
+    if (listeners) {
+      listeners.delete(listener);
+    }
+  }
+
+  /**
+   * Join the election
+   */
+  start() {
+    if (this.standalone) {
+      this.setLeader(true);
+    } else if (typeof navigator !== "undefined" && navigator.locks) {
+      // The channel only carries messages; the lock decides who leads
+      this.openChannel();
+      const request = {};
+      this.lockRequest = request;
+      navigator.locks.request(this.name, () => {
+        if (this.lockRequest !== request) {
+          return undefined; // stopped while waiting, release at once
+        }
+        return new Promise((resolve) => {
+          this.releaseLock = resolve;
+          this.setLeader(true);
+        });
+      });
+    } else if (typeof BroadcastChannel !== "undefined") {
+      this.openChannel();
+
+      // Ask a running leader to identify itself; claim on the first tick
+      // if it does not answer
+      this.post({ type: "query" });
+      this.lastHeartbeat = Date.now() - this.leaseTimeout + this.heartbeatInterval;
+      this.timers.push(setInterval(() => this.tick(), this.heartbeatInterval));
+    } else {
+      this.setLeader(true);
+    }
+
+    if (typeof window !== "undefined") {
+      window.addEventListener("pagehide", this.stop);
+    }
+  }
+
+  /**
+   * Leave the election, handing leadership to another tab
+   */
+  stop() {
+    if (this.isLeader && this.channel && !this.lockRequest) {
+      this.post({ type: "resign" });
+    }
+    this.lockRequest = null;
+    for (const timer of this.timers) {
+      clearInterval(timer);
+      clearTimeout(timer);
+    }
+    this.timers = [];
+    if (this.releaseLock) {
+      this.releaseLock();
+      this.releaseLock = null;
+    }
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+    if (typeof window !== "undefined") {
+      window.removeEventListener("pagehide", this.stop);
+    }
+    this.setLeader(false);
+  }
+
+  /**
+   * Send data to every other tab
+   * @param {*} data Structured-cloneable data
+   */
+  postMessage(data) {
+    this.post({ type: "message", data });
+  }
+
+  /**
+   * @private
+   */
+  openChannel() {
+    if (typeof BroadcastChannel === "undefined") {
+      return;
+    }
+    this.channel = new BroadcastChannel(this.name);
+    this.channel.onmessage = (event) => this.handleMessage(event.data);
+  }
+
+  /**
+   * Heartbeat as leader, or start an election when the leader went silent
+   * @private
+   */
+  tick() {
+    if (this.isLeader) {
+      this.post({ type: "heartbeat" });
+      return;
+    }
+    if (!this.claiming && Date.now() - this.lastHeartbeat >= this.leaseTimeout) {
+      this.claim();
+    }
+  }
+
+  /**
+   * Announce a claim and take over unless a lower tab ID objects
+   * @private
+   */
+  claim() {
+    this.claiming = true;
+    this.post({ type: "claim" });
+
+    const timer = setTimeout(() => {
+      this.timers = this.timers.filter((t) => t !== timer);
+      if (this.claiming) {
+        this.claiming = false;
+        this.setLeader(true);
+        this.post({ type: "heartbeat" });
+      }
+    }, this.claimWindow);
+    this.timers.push(timer);
+  }
+
+  /**
+   * Handle a message from another tab
+   * @private
+   */
+  handleMessage(message) {
+    if (!message || message.from === this.id) {
+      return;
+    }
+
+    switch (message.type) {
+      case "query":
+        if (this.isLeader) {
+          this.post({ type: "heartbeat" });
+        }
+        break;
+      case "heartbeat":
+        if (this.isLeader && message.from > this.id) {
+          // Two leaders after a split: the lower ID keeps leading
+          this.post({ type: "heartbeat" });
+          break;
+        }
+        this.claiming = false;
+        this.leaderId = message.from;
+        this.lastHeartbeat = Date.now();
+        this.setLeader(false);
+        break;
+      case "claim":
+        if (this.isLeader) {
+          this.post({ type: "heartbeat" });
+        } else if (this.claiming && message.from < this.id) {
+          this.claiming = false;
+          this.lastHeartbeat = Date.now();
+        }
+        break;
+      case "resign":
+        if (message.from === this.leaderId) {
+          this.leaderId = null;
+          this.claim();
+        }
+        break;
+      case "message":
+        this.emit("message", message.data);
+        break;
+    }
+  }
+
+  /**
+   * @private
+   */
+  setLeader(isLeader) {
+    if (isLeader) {
+      this.leaderId = this.id;
+    }
+    if (this.isLeader === isLeader) {
+      return;
+    }
+    this.isLeader = isLeader;
+    this.emit("leadership", { isLeader });
+  }
+
+  /**
+   * @private
+   */
+  post(message) {
+    if (this.channel) {
+      this.channel.postMessage({ ...message, from: this.id });
+    }
+  }
+
+  /**
+   * @private
+   */
+  emit(type, data) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) {
+      return;
+    }
+    for (const listener of listeners) {
+      try {
+        listener(data);
+      } catch (error) {
+        console.error(`Listener for ${type} failed:`, error);
+      }
+    }
+  }
+}
+
+export default TabLeaderElection;
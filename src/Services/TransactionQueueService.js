@@ -1,25 +1,77 @@
-import localforage from "localforage";
+import { ERROR_CODES, NimipayError } from "./errors.js";
+import { defaultEnvironment } from "./Environment.js";
+import Money from "./Money.js";
+import CurrencyRegistry from "./CurrencyRegistry.js";
+
+// Messages of the TypeError fetch() rejects with when a request fails in
+// transit: Chromium, Firefox, Safari and Node
+const FETCH_FAILURES = new Set([
+  "Failed to fetch",
+  "NetworkError when attempting to fetch resource.",
+  "Load failed",
+  "fetch failed"
+]);
 
 /**
- * TransactionQueueService handles transaction queuing, retries, and error recovery
+ * TransactionQueueService handles transaction queuing, retries, and error recovery.
+ *
+ * The queue is kept ordered by `nextRetry`. Up to `concurrency` transactions
+ * run at once, and the scheduler sleeps until the next retry is due instead
+ * of polling.
+ *
+ * Every open tab shares the stored queue, so only the tab elected leader
+ * drains it. Other tabs forward new transactions to the leader and receive
+ * its queue events mirrored, marked with `mirrored: true`. A transaction is
+ * marked with the leader sending it before it is sent, and a new leader
+ * leaves transactions marked by another tab alone for `inFlightTimeout`.
+ *
+ * While the storage vault is locked the queue is paused: nothing is sent or
+ * queued, and processing resumes once the terminal is unlocked.
  */
 class TransactionQueueService {
-  constructor() {
+  /**
+   * @param {Object} [options] Queue options
+   * @param {number} [options.concurrency=3] Transactions processed at the same time
+   * @param {TabLeaderElection} [options.election] Election deciding which tab drains the queue
+   * @param {number} [options.inFlightTimeout=60000] Time a transaction sent by
+   *   another leader is left to finish before it is sent again
+   * @param {StorageVault} [options.vault] Vault encrypting the stored queue,
+   *   defaults to the environment's
+   * @param {CurrencyRegistry} [options.currencies] Supported currencies,
+   *   giving the decimals amounts are checked against
+   * @param {Environment} [options.environment] Storage, events and
+   *   configuration, defaults to the browser's
+   */
+  constructor(options = {}) {
     this.queue = [];
     this.processing = false;
+    this.concurrency = options.concurrency || 3;
+    this.running = new Set();
+    this.timer = null;
     this.maxRetries = 3;
     this.retryDelay = 5000; // 5 seconds
-    this.store = localforage.createInstance({
+    this.maxRetryDelay = 5 * 60 * 1000; // 5 minutes
+    this.inFlightTimeout = options.inFlightTimeout || 60000; // 1 minute
+    this.env = options.environment || defaultEnvironment;
+    this.currencies = options.currencies || CurrencyRegistry.fromConfig();
+    this.vault = options.vault || this.env.vault;
+    this.store = this.vault.createInstance({
       name: "nimipay-transactions"
     });
+    this.vault.on("locked", () => this.pause());
+    this.vault.on("unlocked", () => this.resume());
 
-    // Error types and recovery strategies
+    // Recovery strategies, keyed by strategy class (see ERROR_CODES) or by
+    // error code to override the class strategy for a single code. Retries
+    // wait `delay * backoff^(retry - 1)`, capped at `maxDelay`, +/- `jitter`.
     this.errorStrategies = {
       NETWORK: {
         shouldRetry: true,
         delay: 5000,
+        backoff: 2,
+        jitter: 0.2,
         maxRetries: 5,
-        recovery: async (tx) => this.handleNetworkError(tx)
+        recovery: async (tx, error) => this.handleNetworkError(tx, error)
       },
       VALIDATION: {
         shouldRetry: false,
@@ -32,26 +84,92 @@ class TransactionQueueService {
       TIMEOUT: {
         shouldRetry: true,
         delay: 10000,
+        backoff: 2,
+        jitter: 0.2,
         maxRetries: 3,
         recovery: async (tx) => this.handleTimeout(tx)
+      },
+      FATAL: {
+        shouldRetry: false,
+        recovery: async (tx, error) => this.handleFatalError(tx, error)
       }
     };
 
+    // Executors that send queued transactions, registered by the payment flow
+    this.paymentExecutors = {};
+    this.refundExecutor = null;
+    this.statusChecks = {};
+
+    // Transactions are added one at a time, see queueTransaction
+    this.adding = Promise.resolve();
+
+    // Transactions forwarded to the leader tab and not yet acknowledged
+    this.forwarded = new Map();
+
+    // Records of transactions that finished while the terminal was locked
+    this.unsaved = new Map();
+
+    // Transactions that failed on a network error, retried once back online
+    this.offlineRetries = new Set();
+    this.onlineListener = null;
+    this.offlineTimer = null;
+    this.offlineRetryAt = null;
+
+    this.election = options.election || this.env.createElection("nimipay-transactions");
+    this.election.on("message", (message) => this.handleTabMessage(message));
+    this.election.start();
+    // Registered after start, so only a later takeover reloads the queue
+    this.election.on("leadership", ({ isLeader }) => this.handleLeadershipChange(isLeader));
+
     // Initialize queue from storage
     this.initializeQueue();
   }
 
+  /**
+   * Register the executor that sends payments in a currency
+   * @param {string} currency Currency code
+   * @param {Function} executor Async function receiving the transaction data
+   *   and resolving with the payment result
+   */
+  registerPaymentExecutor(currency, executor) {
+    this.paymentExecutors[currency] = executor;
+  }
+
+  /**
+   * Register the check that finds out whether a payment in a currency went
+   * through after all when it kept timing out
+   * @param {string} currency Currency code
+   * @param {Function} check Async function receiving the transaction data and
+   *   resolving with the payment result, or null if it was not found
+   */
+  registerStatusCheck(currency, check) {
+    this.statusChecks[currency] = check;
+  }
+
+  /**
+   * Register the executor that sends refunds
+   * @param {Function} executor Async function receiving the transaction data
+   *   and resolving with the refund result
+   */
+  registerRefundExecutor(executor) {
+    this.refundExecutor = executor;
+  }
+
   /**
    * Initialize queue from persistent storage
    * @private
    */
   async initializeQueue() {
+    if (this.vault.locked) {
+      return; // loaded on unlock
+    }
     try {
       const storedQueue = await this.store.getItem("transaction-queue");
       if (storedQueue) {
-        this.queue = storedQueue;
+        storedQueue.forEach((tx) => this.deferInFlight(tx));
+        this.queue = storedQueue.sort((a, b) => (a.nextRetry || 0) - (b.nextRetry || 0));
         // Resume processing if there are pending transactions
-        if (this.queue.length > 0) {
+        if (this.queue.length > 0 && this.election.isLeader) {
           this.processQueue();
         }
       }
@@ -61,12 +179,67 @@ class TransactionQueueService {
   }
 
   /**
-   * Add transaction to queue
+   * Postpone a stored transaction another leader was sending until that
+   * leader has had time to finish it
+   * @private
+   */
+  deferInFlight(tx) {
+    if (tx.sendingTab && tx.sendingTab !== this.election.id) {
+      tx.nextRetry = Math.max(tx.nextRetry || 0, tx.sendingSince + this.inFlightTimeout);
+    }
+  }
+
+  /**
+   * Add transaction to queue. Transactions with an idempotency key keep the
+   * same ID when queued again, and a payment is refused while another
+   * payment for the same invoice is still queued. Amounts with more decimals
+   * than their currency has are refused rather than rounded.
+   *
+   * Transactions are added one at a time, so of two payments for the same
+   * invoice only the first passes the in-flight check, and `prepare` runs
+   * before the next check.
    * @param {Object} transaction Transaction details
+   * @param {Object} [options] Queue options
+   * @param {Function} [options.prepare] Completes the transaction once it
+   *   passed the in-flight check and before it is queued, e.g. by reserving
+   *   its attempt; an error refuses the transaction
    * @returns {Promise<string>} Transaction ID
+   * @throws {NimipayError} STORAGE_LOCKED while the terminal is locked
+   */
+  queueTransaction(transaction, options = {}) {
+    const added = this.adding.then(() => this.addTransaction(transaction, options));
+    this.adding = added.catch(() => {});
+    return added;
+  }
+
+  /**
+   * Check and add one transaction, see queueTransaction
+   * @private
    */
-  async queueTransaction(transaction) {
-    const txId = `tx_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  async addTransaction(transaction, { prepare } = {}) {
+    if (this.vault.locked) {
+      throw new NimipayError("The terminal is locked", "STORAGE_LOCKED");
+    }
+    if (transaction.amount !== undefined) {
+      Money.parse(transaction.amount, transaction.currency, {
+        decimals: this.getDecimals(transaction.currency)
+      });
+    }
+
+    const duplicate = this.findInFlight(await this.getInFlight(), transaction);
+    if (duplicate) {
+      throw new NimipayError("A payment for this invoice is already in progress", "DUPLICATE_PAYMENT", {
+        invoiceId: transaction.invoice?.id_invoice,
+        txId: duplicate.id
+      });
+    }
+    if (prepare) {
+      await prepare(transaction);
+    }
+
+    const txId = transaction.idempotencyKey
+      ? `tx_${transaction.idempotencyKey}`
+      : `tx_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     const queuedTx = {
       id: txId,
       data: transaction,
@@ -76,96 +249,355 @@ class TransactionQueueService {
       error: null
     };
 
-    this.queue.push(queuedTx);
+    if (!this.election.isLeader) {
+      this.forwardTransaction(queuedTx);
+      return txId;
+    }
+
+    this.enqueue(queuedTx);
     await this.persistQueue();
 
-    // Start processing if not already running
-    if (!this.processing) {
-      this.processQueue();
-    }
+    this.processQueue();
 
     return txId;
   }
 
   /**
-   * Process transaction queue
+   * Decimals of a currency: the registered adapter's, fiat's from Money
+   * @private
+   */
+  getDecimals(currency) {
+    return this.currencies.has(currency)
+      ? this.currencies.get(currency).decimals
+      : Money.getDecimals(currency);
+  }
+
+  /**
+   * Transactions not yet finished: the leader's queue, or for other tabs the
+   * stored queue plus unacknowledged forwards
+   * @private
+   */
+  async getInFlight() {
+    if (this.election.isLeader) {
+      return this.queue;
+    }
+    const stored = (await this.store.getItem("transaction-queue")) || [];
+    return [...stored, ...this.forwarded.values()];
+  }
+
+  /**
+   * Find an in-flight payment for the same invoice or idempotency key
+   * @private
+   */
+  findInFlight(queue, transaction) {
+    if (transaction.type !== "payment") {
+      return null;
+    }
+    const invoiceId = transaction.invoice?.id_invoice;
+    const key = transaction.idempotencyKey;
+
+    return (
+      queue.find(
+        ({ data }) =>
+          data.type === "payment" &&
+          ((key && data.idempotencyKey === key) ||
+            (invoiceId !== undefined && data.invoice?.id_invoice === invoiceId))
+      ) || null
+    );
+  }
+
+  /**
+   * Hand a transaction to the leader tab; it is re-sent until acknowledged
+   * @private
+   */
+  forwardTransaction(tx) {
+    this.forwarded.set(tx.id, tx);
+    this.election.postMessage({ kind: "queue", tx });
+  }
+
+  /**
+   * Take over or hand back the queue when leadership changes
    * @private
    */
-  async processQueue() {
-    if (this.processing || this.queue.length === 0) {
+  async handleLeadershipChange(isLeader) {
+    if (!isLeader) {
+      clearTimeout(this.timer);
+      this.timer = null;
       return;
     }
 
-    this.processing = true;
+    // The previous leader may have changed the stored queue
+    await this.initializeQueue();
 
-    try {
-      while (this.queue.length > 0) {
-        const tx = this.queue[0]; // Get next transaction
-        
-        try {
-          await this.processTransaction(tx);
-          // Remove successful transaction
-          this.queue.shift();
-          await this.persistQueue();
-          
-          // Emit success event
-          this.emitEvent("transaction:success", {
-            txId: tx.id,
-            data: tx.data
-          });
-        } catch (error) {
-          const strategy = this.getErrorStrategy(error);
-          
-          if (strategy.shouldRetry && tx.retries < (strategy.maxRetries || this.maxRetries)) {
-            // Move to end of queue for retry
-            this.queue.push({
-              ...this.queue.shift(),
-              retries: tx.retries + 1,
-              error: error.message,
-              nextRetry: Date.now() + (strategy.delay || this.retryDelay)
-            });
-            
-            // Emit retry event
-            this.emitEvent("transaction:retry", {
-              txId: tx.id,
-              retries: tx.retries + 1,
-              error: error.message
-            });
-          } else {
-            // Remove failed transaction
-            const failedTx = this.queue.shift();
-            await this.handleFailedTransaction(failedTx, error);
-            
-            // Emit failure event
+    const forwarded = Array.from(this.forwarded.values());
+    this.forwarded.clear();
+    for (const tx of forwarded) {
+      this.enqueue(tx);
+    }
+    if (forwarded.length > 0) {
+      await this.persistQueue();
+      this.processQueue();
+    }
+
+    this.election.postMessage({ kind: "leader" });
+  }
+
+  /**
+   * Stop starting transactions while the terminal is locked; running ones
+   * finish, and their results are kept in memory until it is unlocked
+   * @private
+   */
+  pause() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.emitEvent("queue:paused", { queued: this.queue.length });
+  }
+
+  /**
+   * Save what changed while locked, or load the stored queue if it could
+   * not be read before, and continue processing
+   * @private
+   */
+  async resume() {
+    for (const [key, record] of this.unsaved) {
+      await this.store.setItem(key, record);
+    }
+    this.unsaved.clear();
+
+    if (this.election.isLeader) {
+      if (this.queue.length === 0) {
+        await this.initializeQueue();
+      } else {
+        await this.persistQueue();
+      }
+      this.processQueue();
+    }
+    this.emitEvent("queue:resumed", { queued: this.queue.length });
+  }
+
+  /**
+   * Handle a message from another tab
+   * @private
+   */
+  async handleTabMessage(message) {
+    switch (message.kind) {
+      case "queue":
+        if (!this.election.isLeader) {
+          return;
+        }
+        if (!this.queue.some((tx) => tx.id === message.tx.id)) {
+          if (this.findInFlight(this.queue, message.tx.data)) {
+            // Another tab already queued a payment for this invoice
             this.emitEvent("transaction:failure", {
-              txId: tx.id,
-              error: error.message,
-              fatal: true
+              txId: message.tx.id,
+              error: "A payment for this invoice is already in progress",
+              code: "DUPLICATE_PAYMENT",
+              fatal: false
             });
+          } else {
+            this.enqueue(message.tx);
+            await this.persistQueue();
+            this.processQueue();
           }
-          
-          await this.persistQueue();
         }
-        
-        // Add delay between transactions
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        this.election.postMessage({ kind: "queued", txId: message.tx.id });
+        break;
+      case "queued":
+        this.forwarded.delete(message.txId);
+        break;
+      case "leader":
+        // A new leader may have missed earlier forwards
+        for (const tx of this.forwarded.values()) {
+          this.election.postMessage({ kind: "queue", tx });
+        }
+        break;
+      case "event":
+        if (!this.election.isLeader) {
+          this.dispatchEvent(message.type, message.data, true);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Insert a transaction, keeping the queue ordered by nextRetry
+   * @private
+   */
+  enqueue(tx) {
+    const due = tx.nextRetry || 0;
+    let index = this.queue.length;
+    while (index > 0 && (this.queue[index - 1].nextRetry || 0) > due) {
+      index--;
+    }
+    this.queue.splice(index, 0, tx);
+  }
+
+  /**
+   * Remove a transaction from the queue
+   * @private
+   */
+  dequeue(txId) {
+    const index = this.queue.findIndex((tx) => tx.id === txId);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+    }
+  }
+
+  /**
+   * Start every due transaction there is capacity for, then sleep until the
+   * next retry is due
+   * @private
+   */
+  processQueue() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (!this.election.isLeader || this.vault.locked) {
+      return;
+    }
+
+    const now = Date.now();
+    for (const tx of this.queue) {
+      if (this.running.size >= this.concurrency) {
+        break;
       }
+      if (this.running.has(tx.id)) {
+        continue;
+      }
+      if ((tx.nextRetry || 0) > now) {
+        // The queue is ordered, so nothing after this one is due either
+        this.timer = setTimeout(() => this.processQueue(), tx.nextRetry - now);
+        break;
+      }
+      this.runTransaction(tx).catch((error) => this.abandonTransaction(tx, error));
+    }
+
+    this.processing = this.running.size > 0;
+  }
+
+  /**
+   * Run a transaction and retry or fail it according to its error strategy
+   * @private
+   */
+  async runTransaction(tx) {
+    this.running.add(tx.id);
+
+    try {
+      if (tx.sendingTab && tx.sendingTab !== this.election.id && (await this.isSettled(tx))) {
+        // The previous leader finished it after all
+        this.dequeue(tx.id);
+        await this.persistQueue();
+        return;
+      }
+      tx.sendingTab = this.election.id;
+      tx.sendingSince = Date.now();
+      await this.persistQueue();
+
+      await this.processTransaction(tx);
+      this.dequeue(tx.id);
+      await this.persistQueue();
+
+      // Store result and emit success event
+      await this.handleSuccessfulTransaction(tx);
+    } catch (error) {
+      const strategy = this.getErrorStrategy(error);
+      this.dequeue(tx.id);
+
+      if (strategy.shouldRetry && tx.retries < (strategy.maxRetries || this.maxRetries)) {
+        const retries = tx.retries + 1;
+        const nextRetry = Date.now() + this.getRetryDelay(strategy, retries);
+        this.enqueue({
+          ...tx,
+          retries,
+          error: error.message,
+          nextRetry,
+          sendingTab: null
+        });
+
+        // Emit retry event
+        this.emitEvent("transaction:retry", {
+          txId: tx.id,
+          retries,
+          error: error.message,
+          nextRetry
+        });
+      } else if (!(await this.handleFailedTransaction(tx, error))) {
+        // Emit failure event
+        this.emitEvent("transaction:failure", {
+          txId: tx.id,
+          error: error.message,
+          code: error.code,
+          fatal: true
+        });
+      }
+
+      await this.persistQueue();
     } finally {
-      this.processing = false;
+      this.running.delete(tx.id);
+      this.processQueue();
     }
   }
 
   /**
-   * Process individual transaction
+   * Whether a success or failure has been stored for a transaction
    * @private
    */
-  async processTransaction(tx) {
-    // Check if transaction should wait
-    if (tx.nextRetry && tx.nextRetry > Date.now()) {
-      this.queue.push(this.queue.shift()); // Move to end of queue
-      return;
+  async isSettled(tx) {
+    return Boolean(
+      (await this.store.getItem(`success_${tx.id}`)) || (await this.store.getItem(`failed_${tx.id}`))
+    );
+  }
+
+  /**
+   * Fail a transaction whose error handling itself failed, e.g. a recovery
+   * strategy that threw, so it is not left half-handled
+   * @private
+   */
+  async abandonTransaction(tx, error) {
+    console.error(`Failed to handle transaction ${tx.id}:`, error);
+    this.dequeue(tx.id);
+
+    try {
+      await this.saveRecord(`failed_${tx.id}`, {
+        ...tx,
+        finalError: error.message,
+        finalErrorCode: error.code,
+        failedAt: Date.now()
+      });
+    } catch (saveError) {
+      console.error("Failed to store failed transaction:", saveError);
     }
+    await this.persistQueue();
 
+    this.emitEvent("transaction:failure", {
+      txId: tx.id,
+      error: error.message,
+      code: error.code,
+      fatal: true
+    });
+  }
+
+  /**
+   * Delay before a retry: exponential backoff with jitter
+   * @private
+   */
+  getRetryDelay(strategy, retries) {
+    const base = strategy.delay || this.retryDelay;
+    const backoff = strategy.backoff || 1;
+    const delay = Math.min(
+      base * Math.pow(backoff, retries - 1),
+      strategy.maxDelay || this.maxRetryDelay
+    );
+    const jitter = strategy.jitter || 0;
+
+    return Math.round(delay * (1 - jitter + Math.random() * 2 * jitter));
+  }
+
+  /**
+   * Process individual transaction
+   * @private
+   */
+  async processTransaction(tx) {
     try {
       // Process based on transaction type
       switch (tx.data.type) {
@@ -176,7 +608,10 @@ class TransactionQueueService {
           await this.processRefund(tx);
           break;
         default:
-          throw new Error(`Unknown transaction type: ${tx.data.type}`);
+          throw new NimipayError(
+            `Unknown transaction type: ${tx.data.type}`,
+            "UNKNOWN_TRANSACTION_TYPE"
+          );
       }
     } catch (error) {
       // Enhance error with context
@@ -187,23 +622,53 @@ class TransactionQueueService {
     }
   }
 
+  /**
+   * Send a payment through the executor of its currency
+   * @private
+   */
+  async processPayment(tx) {
+    const executor = this.paymentExecutors[tx.data.currency];
+    if (!executor) {
+      throw new NimipayError(
+        `No payment executor for ${tx.data.currency}`,
+        "UNSUPPORTED_CURRENCY"
+      );
+    }
+    tx.result = await executor(tx.data, tx);
+  }
+
+  /**
+   * Send a refund through the refund executor
+   * @private
+   */
+  async processRefund(tx) {
+    if (!this.refundExecutor) {
+      throw new NimipayError("No refund executor registered", "CONFIGURATION_ERROR");
+    }
+    tx.result = await this.refundExecutor(tx.data, tx);
+  }
+
   /**
    * Handle failed transaction
    * @private
+   * @returns {Promise<boolean>} Whether the recovery took the transaction over,
+   * having found it completed after all or scheduled it to be retried
    */
   async handleFailedTransaction(tx, error) {
+    // Apply error recovery strategy
+    const strategy = this.getErrorStrategy(error);
+    if (strategy.recovery && (await strategy.recovery(tx, error)) === true) {
+      return true;
+    }
+
     // Store failed transaction
-    await this.store.setItem(`failed_${tx.id}`, {
+    await this.saveRecord(`failed_${tx.id}`, {
       ...tx,
       finalError: error.message,
+      finalErrorCode: error.code,
       failedAt: Date.now()
     });
-
-    // Apply error recovery strategy
-    const strategy = this.getErrorStrategy(error);
-    if (strategy.recovery) {
-      await strategy.recovery(tx);
-    }
+    return false;
   }
 
   /**
@@ -211,39 +676,102 @@ class TransactionQueueService {
    * @private
    */
   getErrorStrategy(error) {
-    // Determine error type
-    let errorType = "NETWORK"; // Default
-    
-    if (error.message.includes("validation")) {
-      errorType = "VALIDATION";
-    } else if (error.message.includes("insufficient")) {
-      errorType = "INSUFFICIENT_FUNDS";
-    } else if (error.message.includes("timeout")) {
-      errorType = "TIMEOUT";
+    // Typed errors carry a stable code; unknown NimipayError codes are FATAL
+    const codeType = error instanceof NimipayError ? error.errorType : ERROR_CODES[error.code];
+    if (codeType) {
+      return this.errorStrategies[error.code] || this.errorStrategies[codeType];
+    }
+
+    // fetch() rejects with a TypeError when the request got no response
+    if (error instanceof TypeError && FETCH_FAILURES.has(error.message)) {
+      return this.errorStrategies.NETWORK;
+    }
+    if (error.name === "AbortError") {
+      return this.errorStrategies.NETWORK;
+    }
+    if (error.name === "TimeoutError") {
+      return this.errorStrategies.TIMEOUT;
     }
 
-    return this.errorStrategies[errorType] || this.errorStrategies.NETWORK;
+    // Anything else without a code is a bug, which retrying does not fix
+    return this.errorStrategies.FATAL;
   }
 
   /**
    * Handle network error
    * @private
+   * @returns {Promise<boolean>} Always true: the transaction waits for the network instead of failing
    */
-  async handleNetworkError(tx) {
+  async handleNetworkError(tx, error) {
     // Store for retry when online
-    await this.store.setItem(`retry_${tx.id}`, {
-      ...tx,
-      retryAfter: Date.now() + 60000 // 1 minute
+    const retryAfter = Date.now() + 60000; // 1 minute
+    await this.saveRecord(`retry_${tx.id}`, { ...tx, retryAfter });
+
+    // Setup retry when online; one listener serves every waiting transaction
+    this.offlineRetries.add(tx.id);
+    if (!this.onlineListener) {
+      this.onlineListener = () => this.retryOffline();
+      this.env.addEventListener("online", this.onlineListener);
+    }
+    this.scheduleOfflineRetry(retryAfter);
+
+    this.emitEvent("transaction:waiting", {
+      txId: tx.id,
+      error: error?.message,
+      retryAfter
     });
+    return true;
+  }
+
+  /**
+   * Run retryOffline when the earliest waiting transaction is due, keeping
+   * a single timer for all of them
+   * @private
+   */
+  scheduleOfflineRetry(retryAfter) {
+    if (this.offlineTimer && this.offlineRetryAt <= retryAfter) {
+      return;
+    }
+    clearTimeout(this.offlineTimer);
+    this.offlineRetryAt = retryAfter;
+    this.offlineTimer = setTimeout(() => {
+      this.offlineTimer = null;
+      this.offlineRetryAt = null;
+      this.retryOffline();
+    }, Math.max(0, retryAfter - Date.now()));
+  }
 
-    // Setup retry when online
-    window.addEventListener("online", async () => {
-      const retryTx = await this.store.getItem(`retry_${tx.id}`);
-      if (retryTx && retryTx.retryAfter <= Date.now()) {
-        await this.queueTransaction(retryTx.data);
-        await this.store.removeItem(`retry_${tx.id}`);
+  /**
+   * Queue the transactions that failed on a network error again
+   * @private
+   */
+  async retryOffline() {
+    // The online listener calls again once the network is back
+    if (!this.env.isOnline) {
+      return;
+    }
+
+    for (const txId of Array.from(this.offlineRetries)) {
+      try {
+        const retryTx = await this.store.getItem(`retry_${txId}`);
+        if (retryTx && retryTx.retryAfter > Date.now()) {
+          this.scheduleOfflineRetry(retryTx.retryAfter);
+          continue;
+        }
+        this.offlineRetries.delete(txId);
+        if (retryTx) {
+          await this.queueTransaction(retryTx.data);
+          await this.store.removeItem(`retry_${txId}`);
+        }
+      } catch (error) {
+        if (error.code === "STORAGE_LOCKED") {
+          // Kept for the next time the terminal comes online
+          this.offlineRetries.add(txId);
+        } else {
+          console.error(`Failed to retry transaction ${txId}:`, error);
+        }
       }
-    });
+    }
   }
 
   /**
@@ -252,7 +780,7 @@ class TransactionQueueService {
    */
   async handleValidationError(tx) {
     // Store validation failure
-    await this.store.setItem(`validation_${tx.id}`, {
+    await this.saveRecord(`validation_${tx.id}`, {
       ...tx,
       requiresUserAction: true
     });
@@ -270,7 +798,7 @@ class TransactionQueueService {
    */
   async handleInsufficientFunds(tx) {
     // Store for potential retry
-    await this.store.setItem(`insufficient_${tx.id}`, {
+    await this.saveRecord(`insufficient_${tx.id}`, {
       ...tx,
       requiredAmount: tx.data.amount
     });
@@ -284,32 +812,49 @@ class TransactionQueueService {
   }
 
   /**
-   * Handle timeout error
+   * Handle timeout error once the retries are used up
    * @private
+   * @returns {Promise<boolean>} Whether the transaction went through after all
    */
   async handleTimeout(tx) {
-    // Check transaction status before retry
+    // Check transaction status before giving up; queueing it again would be
+    // refused as a duplicate or while locked, and only time out once more
     const status = await this.checkTransactionStatus(tx);
     if (status === "completed") {
       // Transaction was actually successful
       await this.handleSuccessfulTransaction(tx);
-    } else {
-      // Queue for retry
-      await this.queueTransaction(tx.data);
+      return true;
     }
+    return false;
+  }
+
+  /**
+   * Handle fatal error
+   * @private
+   */
+  async handleFatalError(tx, error) {
+    // Bugs and misconfiguration need a developer, not a retry
+    this.emitEvent("transaction:fatal", {
+      txId: tx.id,
+      code: error.code,
+      error: error.message
+    });
   }
 
   /**
-   * Check transaction status
+   * Check transaction status with the status check of its currency
    * @private
+   * @returns {Promise<string>} "completed", with the result set on the
+   *   transaction, or "unknown"
    */
   async checkTransactionStatus(tx) {
-    // Implementation depends on currency type
-    if (tx.data.currency === "NIM") {
-      // Check Nimiq blockchain
-      return "pending"; // Placeholder
+    const check = this.statusChecks[tx.data.currency];
+    const result = check ? await check(tx.data, tx) : null;
+    if (!result) {
+      return "unknown";
     }
-    return "unknown";
+    tx.result = result;
+    return "completed";
   }
 
   /**
@@ -317,7 +862,7 @@ class TransactionQueueService {
    * @private
    */
   async handleSuccessfulTransaction(tx) {
-    await this.store.setItem(`success_${tx.id}`, {
+    await this.saveRecord(`success_${tx.id}`, {
       ...tx,
       completedAt: Date.now()
     });
@@ -325,15 +870,35 @@ class TransactionQueueService {
     // Emit success event
     this.emitEvent("transaction:success", {
       txId: tx.id,
-      data: tx.data
+      data: tx.data,
+      result: tx.result
     });
   }
 
+  /**
+   * Store a transaction record, or keep it until unlocked, so a payment
+   * that went through is never retried because the terminal got locked
+   * @private
+   */
+  async saveRecord(key, record) {
+    try {
+      await this.store.setItem(key, record);
+    } catch (error) {
+      if (error.code !== "STORAGE_LOCKED") {
+        throw error;
+      }
+      this.unsaved.set(key, record);
+    }
+  }
+
   /**
    * Persist queue to storage
    * @private
    */
   async persistQueue() {
+    if (!this.election.isLeader) {
+      return; // a leader that lost the election would overwrite the new one's queue
+    }
     try {
       await this.store.setItem("transaction-queue", this.queue);
     } catch (error) {
@@ -342,14 +907,23 @@ class TransactionQueueService {
   }
 
   /**
-   * Emit queue event
+   * Emit queue event, mirroring it to the other tabs
    * @private
    */
   emitEvent(type, data) {
-    const event = new CustomEvent("nimipay:queue", {
-      detail: { type, data }
-    });
-    window.dispatchEvent(event);
+    this.dispatchEvent(type, data, false);
+    if (this.election.isLeader) {
+      this.election.postMessage({ kind: "event", type, data });
+    }
+  }
+
+  /**
+   * @private
+   */
+  dispatchEvent(type, data, mirrored) {
+    const detail = mirrored ? { type, data, mirrored } : { type, data };
+    const event = new CustomEvent("nimipay:queue", { detail });
+    this.env.dispatchEvent(event);
   }
 
   /**
@@ -358,8 +932,9 @@ class TransactionQueueService {
    * @returns {Promise<Object>} Transaction status
    */
   async getTransactionStatus(txId) {
-    // Check queue first
-    const queuedTx = this.queue.find(tx => tx.id === txId);
+    // Check queue first; only the leader's in-memory queue is current
+    const queue = this.election.isLeader ? this.queue : await this.getInFlight();
+    const queuedTx = queue.find(tx => tx.id === txId);
     if (queuedTx) {
       return {
         status: "queued",
@@ -373,7 +948,8 @@ class TransactionQueueService {
     if (failedTx) {
       return {
         status: "failed",
-        error: failedTx.finalError
+        error: failedTx.finalError,
+        code: failedTx.finalErrorCode
       };
     }
 
@@ -381,7 +957,18 @@ class TransactionQueueService {
     if (successTx) {
       return {
         status: "completed",
-        completedAt: successTx.completedAt
+        completedAt: successTx.completedAt,
+        result: successTx.result
+      };
+    }
+
+    const waitingTx = await this.store.getItem(`retry_${txId}`);
+    if (waitingTx) {
+      return {
+        status: "waiting",
+        retryAfter: waitingTx.retryAfter,
+        error: waitingTx.error,
+        data: waitingTx.data
       };
     }
 
@@ -18,6 +18,10 @@ class UsdcTransactionHandler {
         'function balanceOf(address account) view returns (uint256)',
         'function allowance(address owner, address spender) view returns (uint256)',
         'function nonces(address owner) view returns (uint256)',
+        'function transferFrom(address from, address to, uint256 value) returns (bool)',
+        'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+        'function transferWithAuthorization(address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, uint8 v, bytes32 r, bytes32 s)',
+        'function authorizationState(address authorizer, bytes32 nonce) view returns (bool)',
         'event Transfer(address indexed from, address indexed to, uint256 value)'
     ];
     
@@ -145,6 +149,97 @@ class UsdcTransactionHandler {
         }
     }
     
+    /**
+     * Submit a customer's EIP-3009 transfer authorization, paying the gas
+     * from the relayer account
+     */
+    public function transferWithAuthorization(array $authorization, array $signature, string $relayer): string {
+        try {
+            $this->validateTransfer($authorization['from'], $authorization['to'], (int) $authorization['value']);
+
+            if ((int) $authorization['validBefore'] <= time()) {
+                throw new \Exception('Authorization expired');
+            }
+            if ($this->tokenContract->methods->authorizationState($authorization['from'], $authorization['nonce'])->call()) {
+                throw new \Exception('Authorization already used');
+            }
+
+            $gasEstimate = $this->gasService->estimateGas('transferWithPermit');
+            $result = $this->tokenContract->methods->transferWithAuthorization(
+                $authorization['from'],
+                $authorization['to'],
+                $authorization['value'],
+                $authorization['validAfter'],
+                $authorization['validBefore'],
+                $authorization['nonce'],
+                $signature['v'],
+                $signature['r'],
+                $signature['s']
+            )->send([
+                'from' => $relayer,
+                'gas' => $gasEstimate['limit'],
+                'gasPrice' => $gasEstimate['price']
+            ]);
+
+            if (!$result || !isset($result->transactionHash)) {
+                throw new \Exception('Transfer failed: No transaction hash returned');
+            }
+
+            return $result->transactionHash;
+
+        } catch (\Exception $e) {
+            throw new \Exception('USDC transfer failed: ' . $e->getMessage());
+        }
+    }
+
+    /**
+     * Submit a customer's EIP-2612 permit for the relayer account, then
+     * move the tokens to the merchant with transferFrom
+     */
+    public function permitAndTransfer(array $permit, array $signature, string $to, string $relayer): string {
+        try {
+            $this->validateTransfer($permit['owner'], $to, (int) $permit['value']);
+
+            if ((int) $permit['deadline'] <= time()) {
+                throw new \Exception('Permit expired');
+            }
+
+            $gasEstimate = $this->gasService->estimateGas('transferWithPermit');
+            $this->tokenContract->methods->permit(
+                $permit['owner'],
+                $relayer,
+                $permit['value'],
+                $permit['deadline'],
+                $signature['v'],
+                $signature['r'],
+                $signature['s']
+            )->send([
+                'from' => $relayer,
+                'gas' => $gasEstimate['limit'],
+                'gasPrice' => $gasEstimate['price']
+            ]);
+
+            $result = $this->tokenContract->methods->transferFrom(
+                $permit['owner'],
+                $to,
+                $permit['value']
+            )->send([
+                'from' => $relayer,
+                'gas' => $gasEstimate['limit'],
+                'gasPrice' => $gasEstimate['price']
+            ]);
+
+            if (!$result || !isset($result->transactionHash)) {
+                throw new \Exception('Transfer failed: No transaction hash returned');
+            }
+
+            return $result->transactionHash;
+
+        } catch (\Exception $e) {
+            throw new \Exception('USDC transfer failed: ' . $e->getMessage());
+        }
+    }
+
     /**
      * Validate transfer parameters
      */
@@ -0,0 +1,161 @@
+import BitcoinChainAdapter from "../BitcoinChainAdapter";
+import { DEFAULT_CURRENCIES } from "../CurrencyRegistry";
+import { NimipayError } from "../errors";
+
+const BTC = { ...DEFAULT_CURRENCIES.BTC, symbol: "BTC" };
+const ZPUB =
+  "zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs";
+const ADDRESS_0 = "bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu";
+const ADDRESS_1 = "bc1qnjg0jd8228aq7egyzacy8cys3knf9xvrerkf9g";
+
+function createStore() {
+  const items = new Map();
+  return {
+    getItem: async (key) => items.get(key) ?? null,
+    setItem: async (key, value) => items.set(key, value),
+  };
+}
+
+function jsonResponse(body, status = 200) {
+  return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+describe("BitcoinChainAdapter", () => {
+  let request;
+  let adapter;
+
+  beforeEach(() => {
+    request = jest.fn().mockResolvedValue({ success: true });
+    adapter = new BitcoinChainAdapter(BTC, { request, store: createStore(), xpub: ZPUB, pollInterval: 0 });
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    adapter.stopWatching();
+    delete global.fetch;
+    delete window.npBtcXpub;
+  });
+
+  it("should give every invoice its own address", async () => {
+    const first = await adapter.sendPayment({ invoice: { id_invoice: "inv-1" }, amount: 0.001 });
+    const second = await adapter.sendPayment({ invoice: { id_invoice: "inv-2" }, amount: 0.002 });
+
+    expect(first).toEqual(
+      expect.objectContaining({ type: "address", address: ADDRESS_0, derivationIndex: 0, status: "pending" })
+    );
+    expect(second).toEqual(expect.objectContaining({ address: ADDRESS_1, derivationIndex: 1 }));
+    expect(request).toHaveBeenCalledWith("assignAddress", {
+      invoice_id: "inv-2",
+      currency: "BTC",
+      address: ADDRESS_1,
+      derivation_index: 1,
+      recycled: false,
+    });
+  });
+
+  it("should keep an invoice's address", async () => {
+    await adapter.sendPayment({ invoice: { id_invoice: "inv-1" }, amount: 0.001 });
+    const again = await adapter.sendPayment({ invoice: { id_invoice: "inv-1" }, amount: 0.001 });
+
+    expect(again.address).toBe(ADDRESS_0);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it("should use window.npBtcXpub by default", async () => {
+    window.npBtcXpub = ZPUB;
+    adapter = new BitcoinChainAdapter(BTC, { request, store: createStore() });
+
+    expect(adapter.deriveAddress(1)).toBe(ADDRESS_1);
+  });
+
+  it("should need an xpub", () => {
+    adapter = new BitcoinChainAdapter(BTC, { request, store: createStore() });
+
+    expect(() => adapter.deriveAddress(0)).toThrow(expect.objectContaining({ code: "CONFIGURATION_ERROR" }));
+  });
+
+  it("should skip indexes another terminal took", async () => {
+    request.mockRejectedValueOnce(new NimipayError("Derivation index in use", "ADDRESS_IN_USE"));
+
+    const result = await adapter.sendPayment({ invoice: { id_invoice: "inv-1" }, amount: 0.001 });
+
+    expect(result.derivationIndex).toBe(1);
+    expect(await adapter.getAssignments()).toEqual([
+      expect.objectContaining({ index: 0, invoiceId: null, external: true }),
+      expect.objectContaining({ index: 1, invoiceId: "inv-1" }),
+    ]);
+  });
+
+  it("should stay within the gap limit", async () => {
+    adapter.gapLimit = 2;
+    await adapter.assignAddress({ id_invoice: "inv-1" }, 0.001);
+    await adapter.assignAddress({ id_invoice: "inv-2" }, 0.001);
+
+    await expect(adapter.assignAddress({ id_invoice: "inv-3" }, 0.001)).rejects.toMatchObject({
+      code: "ADDRESS_GAP_LIMIT",
+    });
+  });
+
+  it("should reuse the address of an expired unpaid invoice past the gap limit", async () => {
+    adapter.gapLimit = 2;
+    adapter.addressTtl = 0;
+    await adapter.assignAddress({ id_invoice: "inv-1" }, 0.001);
+    await adapter.assignAddress({ id_invoice: "inv-2" }, 0.001);
+
+    const assignment = await adapter.assignAddress({ id_invoice: "inv-3" }, 0.001);
+
+    expect(assignment).toEqual(expect.objectContaining({ index: 0, address: ADDRESS_0, invoiceId: "inv-3" }));
+    expect(request).toHaveBeenLastCalledWith("assignAddress", expect.objectContaining({ recycled: true }));
+  });
+
+  it("should credit payments to the invoice owning the address", async () => {
+    await adapter.sendPayment({ invoice: { id_invoice: "inv-1" }, amount: 0.001 });
+    await adapter.sendPayment({ invoice: { id_invoice: "inv-2" }, amount: 0.002 });
+    global.fetch.mockImplementation(async (url) =>
+      jsonResponse(
+        url.endsWith(`/address/${ADDRESS_1}/txs`)
+          ? [{ txid: "tx-2", vout: [{ scriptpubkey_address: ADDRESS_1, value: 200000 }] }]
+          : []
+      )
+    );
+    const events = [];
+    const listener = (event) => events.push(event.detail);
+    window.addEventListener("nimipay:incoming", listener);
+
+    const matched = await adapter.checkIncoming();
+    window.removeEventListener("nimipay:incoming", listener);
+
+    expect(matched).toEqual([
+      expect.objectContaining({ invoiceId: "inv-2", hash: "tx-2", currency: "BTC", amount: 0.002, value: 200000 }),
+    ]);
+    expect(events).toEqual([{ type: "incoming:matched", data: matched[0] }]);
+    expect(await adapter.checkIncoming()).toEqual([]);
+  });
+
+  it("should report confirmations from the block tip", async () => {
+    await adapter.sendPayment({ invoice: { id_invoice: "inv-1" }, amount: 0.001 });
+    global.fetch.mockImplementation(async (url) =>
+      url.endsWith("/blocks/tip/height")
+        ? jsonResponse(101)
+        : jsonResponse({
+          txid: "tx-1",
+          status: { confirmed: true, block_height: 100 },
+          vout: [{ scriptpubkey_address: ADDRESS_0, value: 100000 }],
+        })
+    );
+
+    expect(await adapter.verifyPayment("tx-1", { invoiceId: "inv-1" })).toEqual({
+      hash: "tx-1",
+      status: "confirming",
+      confirmations: 2,
+      required: 3,
+      amount: 0.001,
+    });
+  });
+
+  it("should report unknown transactions", async () => {
+    global.fetch.mockResolvedValue(jsonResponse({}, 404));
+
+    await expect(adapter.verifyPayment("missing")).rejects.toMatchObject({ code: "TRANSACTION_NOT_FOUND" });
+  });
+});
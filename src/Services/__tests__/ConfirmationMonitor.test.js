@@ -0,0 +1,268 @@
+import ConfirmationMonitor from "../ConfirmationMonitor";
+import { TransactionDroppedError } from "../errors";
+import CurrencyRegistry from "../CurrencyRegistry";
+import localforage from "localforage";
+
+// Mock localforage
+jest.mock("localforage", () => ({
+  createInstance: jest.fn().mockReturnValue({
+    getItem: jest.fn(),
+    setItem: jest.fn(),
+    removeItem: jest.fn(),
+  }),
+}));
+
+describe("ConfirmationMonitor", () => {
+  const txHash = "ab".repeat(32);
+  let monitor;
+  let mockStore;
+  let mockNode;
+  let headListener;
+  let txInfo;
+
+  const emittedTypes = () => window.dispatchEvent.mock.calls.map(([event]) => event.detail.type);
+
+  const advanceHead = async (height, rebranched = false) => {
+    mockNode.getState.mockReturnValue({ height });
+    headListener({ height, headHash: `head-${height}`, rebranched });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockStore = localforage.createInstance();
+    mockStore.getItem.mockResolvedValue(null);
+
+    txInfo = { state: "unknown", height: null, confirmations: 0 };
+    mockNode = {
+      on: jest.fn((type, listener) => {
+        headListener = listener;
+      }),
+      off: jest.fn(),
+      getState: jest.fn().mockReturnValue({ height: 100 }),
+      getRequiredConfirmations: jest.fn((currencyDefault) => currencyDefault),
+      getTransactionInfo: jest.fn(() => Promise.resolve(txInfo)),
+    };
+
+    global.Nimiq = {
+      Policy: { TRANSACTION_VALIDITY_WINDOW: 120 },
+    };
+
+    jest.spyOn(window, "dispatchEvent").mockImplementation(() => true);
+
+    monitor = new ConfirmationMonitor(mockNode, {
+      currencies: CurrencyRegistry.fromConfig({ NIM: { type: "native", decimals: 4, minConfirmations: 2 } }),
+    });
+  });
+
+  afterEach(() => {
+    window.dispatchEvent.mockRestore();
+  });
+
+  describe("Watching", () => {
+    it("should subscribe to head changes", () => {
+      expect(mockNode.on).toHaveBeenCalledWith("head-changed", expect.any(Function));
+    });
+
+    it("should persist new watches", async () => {
+      monitor.watch(txHash, "inv-1", "NIM");
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(mockStore.setItem).toHaveBeenCalledWith(
+        "watches",
+        expect.arrayContaining([
+          expect.objectContaining({
+            hash: txHash,
+            invoiceId: "inv-1",
+            required: 2,
+            startHeight: 100,
+          }),
+        ])
+      );
+    });
+
+    it("should use the network's confirmation threshold", async () => {
+      mockNode.getRequiredConfirmations.mockReturnValueOnce(1);
+
+      monitor.watch(txHash, "inv-1", "NIM");
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(mockNode.getRequiredConfirmations).toHaveBeenCalledWith(2);
+      expect(monitor.getWatches()[0].required).toBe(1);
+    });
+
+    it("should report the payment attempt with its events", async () => {
+      monitor.watch(txHash, "inv-1", "NIM", "inv-1-2");
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      txInfo = { state: "pending", height: null, confirmations: 0 };
+      await advanceHead(100);
+
+      expect(window.dispatchEvent.mock.calls[0][0].detail.data).toEqual(
+        expect.objectContaining({ hash: txHash, idempotencyKey: "inv-1-2" })
+      );
+    });
+
+    it("should reject missing and malformed hashes", async () => {
+      await expect(monitor.watch(undefined, "inv-1", "NIM")).rejects.toMatchObject({ code: "VALIDATION_ERROR" });
+      await expect(monitor.watch("tx_inv-1-1", "inv-1", "NIM")).rejects.toMatchObject({ code: "VALIDATION_ERROR" });
+      expect(monitor.watches.size).toBe(0);
+    });
+
+    it("should reject unsupported currencies", async () => {
+      await expect(monitor.watch(txHash, "inv-1", "BTC")).rejects.toThrow(
+        "Confirmation monitoring not supported for BTC"
+      );
+    });
+  });
+
+  describe("Confirmation Tracking", () => {
+    it("should emit progress and resolve once confirmed", async () => {
+      const result = monitor.watch(txHash, "inv-1", "NIM");
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      txInfo = { state: "pending", height: null, confirmations: 0 };
+      await advanceHead(100);
+
+      txInfo = { state: "mined", height: 101, confirmations: 1 };
+      await advanceHead(101);
+
+      txInfo = { state: "mined", height: 101, confirmations: 2 };
+      await advanceHead(102);
+
+      await expect(result).resolves.toEqual({
+        status: "confirmed",
+        hash: txHash,
+        invoiceId: "inv-1",
+        confirmations: 2,
+      });
+      expect(emittedTypes()).toEqual([
+        "monitor:seen",
+        "monitor:confirmation",
+        "monitor:confirmation",
+        "monitor:confirmed",
+      ]);
+      expect(monitor.getWatches()).toEqual([]);
+    });
+
+    it("should report reorged transactions and start counting again", async () => {
+      monitor.watch(txHash, "inv-1", "NIM");
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      txInfo = { state: "mined", height: 101, confirmations: 1 };
+      await advanceHead(101);
+
+      txInfo = { state: "pending", height: null, confirmations: 0 };
+      await advanceHead(101);
+
+      expect(emittedTypes()).toContain("monitor:reorged");
+      expect(monitor.getWatches()[0]).toEqual(
+        expect.objectContaining({ status: "seen", confirmations: 0, height: null })
+      );
+    });
+
+    it("should drop transactions past their validity window", async () => {
+      const result = monitor.watch(txHash, "inv-1", "NIM");
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      await advanceHead(219);
+      expect(monitor.getWatches()).toHaveLength(1);
+
+      const dropped = expect(result).rejects.toThrow(TransactionDroppedError);
+      await advanceHead(220);
+
+      await dropped;
+      expect(emittedTypes()).toContain("monitor:dropped");
+    });
+  });
+
+  describe("Reorg Handling", () => {
+    const eventData = (type) =>
+      window.dispatchEvent.mock.calls
+        .map(([event]) => event.detail)
+        .filter((detail) => detail.type === type)
+        .map((detail) => detail.data);
+
+    beforeEach(async () => {
+      txInfo = { state: "mined", height: 101, confirmations: 2 };
+      mockNode.getState.mockReturnValue({ height: 102 });
+      await monitor.watch(txHash, "inv-1", "NIM");
+      window.dispatchEvent.mockClear();
+    });
+
+    it("should keep confirmed transactions for re-checking", () => {
+      expect(monitor.confirmed.has(txHash)).toBe(true);
+      expect(mockStore.setItem).toHaveBeenCalledWith(
+        "confirmed",
+        expect.arrayContaining([expect.objectContaining({ hash: txHash })])
+      );
+    });
+
+    it("should ignore rebranches that keep the transaction confirmed", async () => {
+      txInfo = { state: "mined", height: 102, confirmations: 2 };
+      await advanceHead(103, true);
+
+      expect(emittedTypes()).not.toContain("monitor:reorged");
+      expect(monitor.confirmed.get(txHash).height).toBe(102);
+    });
+
+    it("should move confirmed transactions back to confirming", async () => {
+      txInfo = { state: "mined", height: 103, confirmations: 1 };
+      await advanceHead(103, true);
+
+      expect(eventData("monitor:reorged")).toEqual([
+        expect.objectContaining({
+          hash: txHash,
+          invoiceId: "inv-1",
+          wasConfirmed: true,
+          status: "confirming",
+          previousHeight: 101,
+        }),
+      ]);
+      expect(monitor.confirmed.has(txHash)).toBe(false);
+      expect(monitor.getWatches()[0]).toEqual(
+        expect.objectContaining({ hash: txHash, status: "confirming" })
+      );
+    });
+
+    it("should revert transactions that vanished from the chain", async () => {
+      txInfo = { state: "unknown", height: null, confirmations: 0 };
+      await advanceHead(103, true);
+
+      expect(eventData("monitor:reorged")).toEqual([
+        expect.objectContaining({ wasConfirmed: true, status: "reverted" }),
+      ]);
+      expect(monitor.getWatches()[0].status).toBe("pending");
+    });
+
+    it("should stop re-checking beyond the reorg depth", async () => {
+      await advanceHead(131);
+
+      expect(monitor.confirmed.has(txHash)).toBe(false);
+    });
+  });
+
+  describe("Persistence", () => {
+    it("should resume stored watches after a reload", async () => {
+      mockStore.getItem.mockResolvedValueOnce([
+        {
+          hash: txHash,
+          invoiceId: "inv-1",
+          currency: "NIM",
+          required: 2,
+          startHeight: 100,
+          status: "confirming",
+          confirmations: 1,
+          height: 101,
+        },
+      ]);
+      txInfo = { state: "mined", height: 101, confirmations: 2 };
+
+      await monitor.restore();
+
+      expect(emittedTypes()).toContain("monitor:confirmed");
+      expect(mockStore.setItem).toHaveBeenCalledWith("watches", []);
+    });
+  });
+});
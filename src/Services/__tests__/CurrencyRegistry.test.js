@@ -0,0 +1,119 @@
+import CurrencyRegistry from "../CurrencyRegistry";
+import ChainAdapter from "../ChainAdapter";
+import BackendChainAdapter from "../BackendChainAdapter";
+
+describe("CurrencyRegistry", () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = CurrencyRegistry.fromConfig();
+    global.fetch = jest.fn();
+  });
+
+  it("should register the default currencies in order", () => {
+    expect(registry.codes()).toEqual(["NIM", "BTC", "USDC", "UST"]);
+    expect(registry.toConfig().USDC).toEqual(expect.objectContaining({ decimals: 6, type: "erc20" }));
+  });
+
+  it("should answer config questions from the adapter", () => {
+    const btc = registry.get("BTC");
+
+    expect(btc.decimals).toBe(8);
+    expect(btc.uriScheme).toBe("bitcoin");
+    expect(btc.getRequiredConfirmations()).toBe(3);
+    expect(btc.getRequiredConfirmations(true)).toBe(1);
+    expect(btc.getExplorerUrl("abc")).toBe("https://blockstream.info/tx/abc");
+  });
+
+  it("should refuse chain operations on config-only adapters", async () => {
+    await expect(registry.get("BTC").getBalance("bc1-test")).rejects.toMatchObject({
+      code: "UNSUPPORTED_CURRENCY",
+    });
+  });
+
+  it("should reject unknown currencies", () => {
+    expect(registry.has("DOGE")).toBe(false);
+    expect(() => registry.get("DOGE")).toThrow(
+      expect.objectContaining({ code: "UNSUPPORTED_CURRENCY" })
+    );
+  });
+
+  it("should only register chain adapters", () => {
+    expect(() => registry.register({ currency: "DOGE" })).toThrow(
+      expect.objectContaining({ code: "CONFIGURATION_ERROR" })
+    );
+    expect(() => new ChainAdapter({ symbol: "DOGE" })).toThrow(
+      expect.objectContaining({ code: "CONFIGURATION_ERROR" })
+    );
+  });
+
+  describe("load", () => {
+    it("should replace the currencies with the backend's config", async () => {
+      fetch.mockResolvedValueOnce({
+        json: () =>
+          Promise.resolve({
+            currencies: {
+              NIM: { name: "Nimiq", decimals: 5, min_confirmations: 2, network: "nimiq" },
+              LTC: {
+                name: "Litecoin",
+                decimals: 8,
+                min_confirmations: 6,
+                uri_scheme: "litecoin",
+                explorer_tx_url: "https://blockchair.com/litecoin/transaction/%s",
+              },
+            },
+          }),
+      });
+
+      const codes = await registry.load("https://api.example.com");
+
+      expect(fetch).toHaveBeenCalledWith("https://api.example.com?action=getCurrencies");
+      expect(codes).toEqual(["NIM", "LTC"]);
+      expect(registry.get("LTC").config).toEqual(
+        expect.objectContaining({ symbol: "LTC", minConfirmations: 6, uriScheme: "litecoin" })
+      );
+      expect(registry.get("LTC").getExplorerUrl("f00")).toBe(
+        "https://blockchair.com/litecoin/transaction/f00"
+      );
+    });
+
+    it("should create adapters with the given factory", async () => {
+      const request = jest.fn().mockResolvedValue({ address: "bc1-test" });
+      fetch.mockResolvedValueOnce({
+        json: () => Promise.resolve({ currencies: { BTC: { name: "Bitcoin", decimals: 8, type: "native" } } }),
+      });
+
+      await registry.load("https://api.example.com", (config) =>
+        new BackendChainAdapter(config, { request })
+      );
+      const result = await registry.get("BTC").sendPayment({
+        invoice: { id_invoice: "inv-1" },
+        amount: 0.001,
+      });
+
+      expect(request).toHaveBeenCalledWith(
+        "createPayment",
+        expect.objectContaining({ invoice_id: "inv-1", currency: "BTC", amount: 0.001 })
+      );
+      expect(result).toEqual(
+        expect.objectContaining({ type: "native", currency: "BTC", address: "bc1-test", status: "pending" })
+      );
+    });
+
+    it("should keep the current currencies when loading fails", async () => {
+      fetch.mockRejectedValueOnce(new Error("Offline"));
+      await expect(registry.load("https://api.example.com")).rejects.toMatchObject({
+        code: "NETWORK_ERROR",
+      });
+
+      fetch.mockResolvedValueOnce({
+        json: () => Promise.resolve({ currencies: { BAD: { name: "Broken" } } }),
+      });
+      await expect(registry.load("https://api.example.com")).rejects.toMatchObject({
+        code: "CONFIGURATION_ERROR",
+      });
+
+      expect(registry.codes()).toEqual(["NIM", "BTC", "USDC", "UST"]);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * @jest-environment node
+ */
+import { webcrypto } from "crypto";
+import Environment from "../Environment";
+import StateManager from "../StateManager";
+import TransactionQueueService from "../TransactionQueueService";
+import MigrationManager from "../MigrationManager";
+import PaymentFlowService from "../PaymentFlowService";
+import { MemoryBackend } from "../StorageBackends";
+
+// The core services on a Node server: no window, navigator or IndexedDB
+describe("Environment", () => {
+  let env;
+  let events;
+
+  beforeEach(() => {
+    env = Environment.memory({ config: { npBackendUrl: "https://shop.example/nimipay.php" } });
+    events = [];
+    env.addEventListener("nimipay:queue", (event) => events.push(event.detail));
+  });
+
+  it("should run without browser globals", () => {
+    expect(typeof window).toBe("undefined");
+    expect(env.isOnline).toBe(true);
+    expect(env.multiTab).toBe(false);
+    expect(env.storageEstimate).toBeNull();
+    expect(env.backendUrl).toBe("https://shop.example/nimipay.php");
+  });
+
+  it("should authenticate the terminal once it has a device key", () => {
+    expect(env.terminalHeaders).toEqual({});
+
+    env = Environment.memory({ config: { npDeviceId: "pos-1", npDeviceKey: "secret" } });
+    expect(env.terminalHeaders).toEqual({ "X-Nimipay-Device": "pos-1", "X-Nimipay-Key": "secret" });
+  });
+
+  it("should keep StateManager's transactions in its storage", async () => {
+    const stateManager = new StateManager({ environment: env });
+
+    await stateManager.storeTransaction("tx_1", { status: "pending", order_id: "1001" });
+    env.setOnline(false);
+    await stateManager.storeTransaction("tx_2", { status: "confirmed", order_id: "1001" });
+
+    const copy = new StateManager({ environment: env });
+    const transactions = await copy.getTransactionsByOrder("1001");
+    expect(transactions.map((tx) => tx.id)).toEqual(["tx_1", "tx_2"]);
+    expect(transactions.map((tx) => tx.metadata.networkStatus)).toEqual(["online", "offline"]);
+  });
+
+  it("should drain the transaction queue as the only process", async () => {
+    const queue = new TransactionQueueService({ environment: env });
+    const executor = jest.fn().mockResolvedValue({ hash: "abc" });
+    queue.registerPaymentExecutor("EUR", executor);
+    queue.election.start();
+
+    const txId = await queue.queueTransaction({ type: "payment", currency: "EUR", amount: "1.50" });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(queue.election.isLeader).toBe(true);
+    expect(executor).toHaveBeenCalledWith(expect.objectContaining({ amount: "1.50" }), expect.anything());
+    expect(events).toContainEqual(expect.objectContaining({ type: "transaction:success" }));
+    const stored = env.createStore({ name: "nimipay-transactions" });
+    expect(await stored.getItem(`success_${txId}`)).toEqual(expect.objectContaining({ id: txId }));
+    queue.election.stop();
+  });
+
+  it("should check NIM amounts against the registered decimals", async () => {
+    const queue = new TransactionQueueService({ environment: env });
+
+    await expect(queue.queueTransaction({ type: "payment", currency: "NIM", amount: "1.00001" })).resolves.toMatch(/^tx_/);
+    await expect(
+      queue.queueTransaction({ type: "payment", currency: "NIM", amount: "1.000001" })
+    ).rejects.toMatchObject({ code: "VALIDATION_ERROR" });
+    queue.election.stop();
+  });
+
+  it("should queue BTC payments with the registered decimals", async () => {
+    const fetch = jest.spyOn(global, "fetch").mockReturnValue(new Promise(() => {}));
+    const paymentFlow = new PaymentFlowService({ environment: env });
+    jest.spyOn(paymentFlow.nimiqNode, "initialize").mockResolvedValue();
+    await paymentFlow.initialize();
+
+    const result = await paymentFlow.processPayment({ id_invoice: "inv-1" }, "BTC", 0.00012345);
+
+    expect(result).toEqual(expect.objectContaining({ status: "queued" }));
+    expect(await paymentFlow.reconciler.get("inv-1")).toEqual(
+      expect.objectContaining({ currency: "BTC", expected: 0.00012345 })
+    );
+    paymentFlow.transactionQueue.election.stop();
+    fetch.mockRestore();
+  });
+
+  it("should migrate preferences kept in its Web Storage", async () => {
+    env.localStorage.setItem("nimipay_preferences", JSON.stringify({ currency: "NIM" }));
+    const migrationManager = new MigrationManager({ environment: env });
+
+    await migrationManager.migrate({ timeout: 1000 });
+
+    const metadata = env.createStore({ name: "nimipay-metadata", storeName: "metadata" });
+    expect(await metadata.getItem("user_preferences")).toEqual(expect.objectContaining({ currency: "NIM" }));
+    expect(env.localStorage.getItem("nimipay_preferences")).toBeNull();
+  });
+
+  it("should give PaymentFlowService and its services the same environment", () => {
+    const paymentFlow = new PaymentFlowService({ environment: env });
+
+    expect(paymentFlow.transactionQueue.env).toBe(env);
+    expect(paymentFlow.confirmationMonitor.env).toBe(env);
+    expect(paymentFlow.incomingWatcher.env).toBe(env);
+    expect(paymentFlow.reconciler.env).toBe(env);
+  });
+
+  it("should encrypt the stores with the given crypto", async () => {
+    const storage = new MemoryBackend();
+    const encrypted = Environment.memory({ storage, crypto: webcrypto });
+    const stateManager = new StateManager({ environment: encrypted });
+
+    await encrypted.vault.enable("482913");
+    await stateManager.storeTransaction("tx_1", { status: "pending", email: "customer@example.com" });
+
+    const raw = await storage.createInstance({ name: "nimipay-transactions", storeName: "transactions" }).getItem("tx_1");
+    expect(raw).toEqual(expect.objectContaining({ nimipayEncrypted: 1 }));
+    expect((await stateManager.getTransaction("tx_1")).email).toBe("customer@example.com");
+  });
+
+  it("should dispatch the vault's events", async () => {
+    const encrypted = Environment.memory({ crypto: webcrypto });
+    const storageEvents = [];
+    encrypted.addEventListener("nimipay:storage", (event) => storageEvents.push(event.detail.type));
+
+    await encrypted.vault.enable("482913");
+    encrypted.vault.lock();
+
+    expect(storageEvents).toEqual(["storage:unlocked", "storage:locked"]);
+  });
+});
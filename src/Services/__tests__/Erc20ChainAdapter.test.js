@@ -0,0 +1,284 @@
+import Erc20ChainAdapter from "../Erc20ChainAdapter";
+import EthereumProviderSimulator from "../../testing/EthereumProviderSimulator";
+import { DEFAULT_CURRENCIES } from "../CurrencyRegistry";
+import Environment from "../Environment";
+
+const USDC = { ...DEFAULT_CURRENCIES.USDC, symbol: "USDC" };
+const MERCHANT = "0x2222222222222222222222222222222222222222";
+
+describe("Erc20ChainAdapter", () => {
+  let ethereum;
+  let customer;
+  let adapter;
+
+  beforeEach(() => {
+    ethereum = new EthereumProviderSimulator({ chainId: 1 });
+    customer = ethereum.createAccount("customer");
+    ethereum.mintTokens(USDC.contractAddress, customer, 100000000n); // 100 USDC
+    adapter = new Erc20ChainAdapter(USDC, { provider: ethereum, pollInterval: 0 });
+  });
+
+  afterEach(() => {
+    delete window.ethereum;
+    delete window.npEthAddress;
+  });
+
+  it("should read balances through balanceOf", async () => {
+    expect(await adapter.getBalance(customer)).toBe(100);
+    expect(await adapter.getBalance(MERCHANT)).toBe(0);
+  });
+
+  it("should need a connected account for its own balance", async () => {
+    await expect(adapter.getBalance()).rejects.toMatchObject({ code: "NO_SIGNER" });
+
+    await adapter.getAccount({ connect: true });
+    expect(await adapter.getBalance()).toBe(100);
+  });
+
+  it("should send transfers with the invoice reference", async () => {
+    const result = await adapter.sendPayment({
+      invoice: { id_invoice: "inv-42" },
+      amount: "25.5",
+      recipient: MERCHANT,
+    });
+
+    expect(result).toEqual(
+      expect.objectContaining({ type: "erc20", from: customer, status: "confirming" })
+    );
+    expect(ethereum.getTransaction(result.hash)).toEqual(
+      expect.objectContaining({
+        to: USDC.contractAddress,
+        recipient: MERCHANT,
+        units: 25500000n,
+        reference: "Invoice #inv-42",
+      })
+    );
+
+    ethereum.mineBlock();
+    expect(ethereum.getTokenBalance(USDC.contractAddress, MERCHANT)).toBe(25500000n);
+  });
+
+  it("should send to window.npEthAddress by default", async () => {
+    window.npEthAddress = MERCHANT;
+    const { hash } = await adapter.sendPayment({ invoice: { id_invoice: "inv-1" }, amount: 1 });
+
+    expect(ethereum.getTransaction(hash).recipient).toBe(MERCHANT);
+  });
+
+  it("should take the wallet and merchant address from its environment", async () => {
+    const environment = Environment.memory({ config: { ethereum, npEthAddress: MERCHANT } });
+    const configured = new Erc20ChainAdapter(USDC, { environment, pollInterval: 0 });
+
+    const { hash } = await configured.sendPayment({ invoice: { id_invoice: "inv-1" }, amount: 1 });
+
+    expect(ethereum.getTransaction(hash).recipient).toBe(MERCHANT);
+  });
+
+  it("should refuse payments it cannot make", async () => {
+    const invoice = { id_invoice: "inv-1" };
+
+    await expect(adapter.sendPayment({ invoice, amount: 1, recipient: "NQ07" })).rejects.toMatchObject({
+      code: "CONFIGURATION_ERROR",
+    });
+    await expect(
+      adapter.sendPayment({ invoice, amount: 101, recipient: MERCHANT })
+    ).rejects.toMatchObject({ code: "INSUFFICIENT_FUNDS" });
+
+    ethereum.switchChain(5);
+    await expect(adapter.sendPayment({ invoice, amount: 1, recipient: MERCHANT })).rejects.toMatchObject({
+      code: "WRONG_NETWORK",
+      data: expect.objectContaining({ expected: 1, chainId: 5 }),
+    });
+  });
+
+  it("should map provider errors to error codes", async () => {
+    const invoice = { id_invoice: "inv-1" };
+
+    ethereum.failNext("eth_sendTransaction", 4001, "User rejected the request");
+    await expect(adapter.sendPayment({ invoice, amount: 1, recipient: MERCHANT })).rejects.toMatchObject({
+      code: "TRANSACTION_REJECTED",
+    });
+
+    ethereum.failNext("eth_sendTransaction", -32000, "insufficient funds for gas * price + value");
+    await expect(adapter.sendPayment({ invoice, amount: 1, recipient: MERCHANT })).rejects.toMatchObject({
+      code: "INSUFFICIENT_FUNDS",
+    });
+
+    const withoutWallet = new Erc20ChainAdapter(USDC);
+    await expect(withoutWallet.getBalance(customer)).rejects.toMatchObject({ code: "NO_SIGNER" });
+  });
+
+  it("should estimate the gas fee in ETH", async () => {
+    let estimate = await adapter.estimateFee({ amount: 1, recipient: MERCHANT });
+    expect(estimate.gas).toBe(65000n); // no connected account yet
+
+    await adapter.getAccount({ connect: true });
+    estimate = await adapter.estimateFee({ amount: 1, recipient: MERCHANT });
+
+    expect(estimate.gas).toBe(51000n);
+    expect(estimate.gasPrice).toBe(20000000000n);
+    expect(estimate.fee.format({ trimZeros: true, withCurrency: true })).toBe("0.00102 ETH");
+  });
+
+  it("should track receipts up to minConfirmations", async () => {
+    const { hash } = await adapter.sendPayment({
+      invoice: { id_invoice: "inv-1" },
+      amount: 1,
+      recipient: MERCHANT,
+    });
+    expect(await adapter.verifyPayment(hash)).toEqual(
+      expect.objectContaining({ status: "pending", confirmations: 0, required: 12 })
+    );
+
+    ethereum.mineBlocks(3);
+    expect(await adapter.verifyPayment(hash)).toEqual(
+      expect.objectContaining({ status: "confirming", confirmations: 3, blockNumber: 1 })
+    );
+
+    const updates = [];
+    const waiting = adapter.waitForConfirmations(hash, {
+      onUpdate: (status) => {
+        updates.push(status.confirmations);
+        ethereum.mineBlock();
+      },
+    });
+
+    await expect(waiting).resolves.toEqual(
+      expect.objectContaining({ status: "confirmed", confirmations: 12 })
+    );
+    expect(updates).toEqual([3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+  });
+
+  it("should reject reverted transfers", async () => {
+    const { hash } = await adapter.sendPayment({
+      invoice: { id_invoice: "inv-1" },
+      amount: 100,
+      recipient: MERCHANT,
+    });
+    // Spent elsewhere before the transfer was mined
+    ethereum.mintTokens(USDC.contractAddress, customer, -50000000n);
+    ethereum.mineBlock();
+
+    await expect(adapter.waitForConfirmations(hash)).rejects.toMatchObject({
+      code: "TRANSACTION_REJECTED",
+    });
+  });
+
+  it("should give up after the timeout", async () => {
+    const slow = new Erc20ChainAdapter(USDC, { provider: ethereum, pollInterval: 0, timeout: 0 });
+    const { hash } = await slow.sendPayment({
+      invoice: { id_invoice: "inv-1" },
+      amount: 1,
+      recipient: MERCHANT,
+    });
+
+    await expect(slow.waitForConfirmations(hash)).rejects.toMatchObject({ code: "TIMEOUT" });
+  });
+
+  describe("gasless payments", () => {
+    let relay;
+
+    beforeEach(() => {
+      relay = jest.fn(async (action, body) => ({
+        tx_hash: ethereum.submitAuthorization(body.standard, body.authorization, body.signature, {
+          recipient: body.recipient,
+        }),
+      }));
+    });
+
+    it("should relay EIP-3009 transfer authorizations", async () => {
+      adapter = new Erc20ChainAdapter({ ...USDC, gasless: "eip3009" }, { provider: ethereum, relay });
+      const result = await adapter.sendPayment({
+        invoice: { id_invoice: "inv-42" },
+        amount: "25.5",
+        recipient: MERCHANT,
+        idempotencyKey: "inv-42-1",
+      });
+
+      const [action, body] = relay.mock.calls[0];
+      expect(action).toBe("relayPayment");
+      expect(body).toEqual(
+        expect.objectContaining({
+          invoice_id: "inv-42",
+          currency: "USDC",
+          standard: "eip3009",
+          idempotency_key: "inv-42-1",
+          v: 27,
+          r: expect.stringMatching(/^0x[0-9a-f]{64}$/),
+          s: expect.stringMatching(/^0x[0-9a-f]{64}$/),
+        })
+      );
+      expect(body.authorization).toEqual(
+        expect.objectContaining({ from: customer, to: MERCHANT, value: "25500000", validAfter: "0" })
+      );
+      expect(body.authorization.nonce).toMatch(/^0x[0-9a-f]{64}$/);
+
+      expect(result).toEqual(expect.objectContaining({ from: customer, status: "confirming", relayed: true }));
+      expect(ethereum.getTransaction(result.hash).from).toBe(ethereum.relayer);
+
+      ethereum.mineBlock();
+      expect(ethereum.getTokenBalance(USDC.contractAddress, MERCHANT)).toBe(25500000n);
+      expect(await adapter.verifyPayment(result.hash)).toEqual(
+        expect.objectContaining({ status: "confirming", confirmations: 1 })
+      );
+    });
+
+    it("should relay EIP-2612 permits to the configured spender", async () => {
+      const config = { ...USDC, gasless: "eip2612", relayerAddress: ethereum.relayer };
+      adapter = new Erc20ChainAdapter(config, { provider: ethereum, relay });
+
+      await adapter.sendPayment({ invoice: { id_invoice: "inv-1" }, amount: 1, recipient: MERCHANT });
+      await adapter.sendPayment({ invoice: { id_invoice: "inv-2" }, amount: 2, recipient: MERCHANT });
+
+      const permits = relay.mock.calls.map(([, body]) => body.authorization);
+      expect(permits[0]).toEqual(
+        expect.objectContaining({ owner: customer, spender: ethereum.relayer, value: "1000000", nonce: "0" })
+      );
+      expect(permits[1].nonce).toBe("1");
+
+      ethereum.mineBlock();
+      expect(ethereum.getTokenBalance(USDC.contractAddress, MERCHANT)).toBe(3000000n);
+
+      const withoutSpender = new Erc20ChainAdapter({ ...config, relayerAddress: undefined }, { provider: ethereum, relay });
+      await expect(
+        withoutSpender.sendPayment({ invoice: { id_invoice: "inv-3" }, amount: 1, recipient: MERCHANT })
+      ).rejects.toMatchObject({ code: "CONFIGURATION_ERROR" });
+    });
+
+    it("should cost the customer no gas", async () => {
+      adapter = new Erc20ChainAdapter({ ...USDC, gasless: "eip3009" }, { provider: ethereum, relay });
+      const estimate = await adapter.estimateFee({ amount: 1, recipient: MERCHANT });
+
+      expect(adapter.gasless).toBe(true);
+      expect(estimate).toEqual(expect.objectContaining({ gas: 0n, relayed: true }));
+      expect(estimate.fee.isZero()).toBe(true);
+
+      // Without a relay the customer still sends and pays for the transfer
+      expect(new Erc20ChainAdapter({ ...USDC, gasless: "eip3009" }, { provider: ethereum }).gasless).toBe(false);
+    });
+
+    it("should report rejected signatures and missing relays", async () => {
+      adapter = new Erc20ChainAdapter({ ...USDC, gasless: "eip3009" }, { provider: ethereum, relay });
+      const invoice = { id_invoice: "inv-1" };
+
+      ethereum.failNext("eth_signTypedData_v4", 4001, "User rejected the request");
+      await expect(adapter.sendPayment({ invoice, amount: 1, recipient: MERCHANT })).rejects.toMatchObject({
+        code: "TRANSACTION_REJECTED",
+      });
+
+      relay.mockResolvedValueOnce({});
+      await expect(adapter.sendPayment({ invoice, amount: 1, recipient: MERCHANT })).rejects.toMatchObject({
+        code: "PAYMENT_FAILED",
+      });
+      expect(() => new Erc20ChainAdapter({ ...USDC, gasless: "eip1337" })).toThrow(
+        expect.objectContaining({ code: "CONFIGURATION_ERROR" })
+      );
+    });
+  });
+
+  it("should need a token contract", () => {
+    expect(() => new Erc20ChainAdapter({ ...USDC, contractAddress: undefined })).toThrow(
+      expect.objectContaining({ code: "CONFIGURATION_ERROR" })
+    );
+  });
+});
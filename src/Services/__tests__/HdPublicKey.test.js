@@ -0,0 +1,50 @@
+import HdPublicKey from "../HdPublicKey";
+
+const ZPUB =
+  "zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs";
+const XPUB =
+  "xpub68Gmy5EdvgibQVfPdqkBBCHxA5htiqg55crXYuXoQRKfDBFA1WEjWgP6LHhwBZeNK1VTsfTFUHCdrfp1bgwQ9xv5ski8PX9rL2dZXvgGDnw";
+
+describe("HdPublicKey", () => {
+  it("should derive native segwit addresses from a zpub (BIP84)", () => {
+    const account = HdPublicKey.fromString(ZPUB);
+
+    expect(account.derivePath("0/0").toAddress()).toBe("bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu");
+    expect(account.derivePath("0/1").toAddress()).toBe("bc1qnjg0jd8228aq7egyzacy8cys3knf9xvrerkf9g");
+    expect(account.derivePath("1/0").toAddress()).toBe("bc1q8c6fshw2dlwun7ekn9qwf37cu2rn755upcp6el");
+  });
+
+  it("should derive child keys (BIP32 test vector 1)", () => {
+    const child = HdPublicKey.fromString(XPUB).derive(1);
+
+    expect(child.toString()).toBe(
+      "xpub6ASuArnXKPbfEwhqN6e3mwBcDTgzisQN1wXN9BJcM47sSikHjJf3UFHKkNAWbWMiGj7Wf5uMash7SyYq527Hqck2AxYysAA7xmALppuCkwQ"
+    );
+    expect(HdPublicKey.fromString(XPUB).toString()).toBe(XPUB);
+  });
+
+  it("should derive legacy addresses from an xpub", () => {
+    const master = HdPublicKey.fromString(
+      "xpub661MyMwAqRbcFtXgS5sYJABqqG9YLmC4Q1Rdap9gSE8NqtwybGhePY2gZ29ESFjqJoCu1Rupje8YtGqsefD265TMg7usUDFdp6W1EGMcet8"
+    );
+
+    expect(master.toAddress()).toBe("15mKKb2eos1hWa6tisdPwwDC1a5J1y9nma");
+  });
+
+  it("should reject private keys and corrupted keys", () => {
+    expect(() =>
+      HdPublicKey.fromString(
+        "xprv9s21ZrQH143K3QTDL4LXw2F7HEK3wJUD2nW2nRk4stbPy6cq3jPPqjiChkVvvNKmPGJxWUtg6LnF5kejMRNNU3TGtRBeJgk33yuGBxrMPHi"
+      )
+    ).toThrow(expect.objectContaining({ code: "VALIDATION_ERROR" }));
+    expect(() => HdPublicKey.fromString(ZPUB.slice(0, -1) + "t")).toThrow(
+      expect.objectContaining({ code: "VALIDATION_ERROR" })
+    );
+  });
+
+  it("should not derive hardened children", () => {
+    expect(() => HdPublicKey.fromString(ZPUB).derive(0x80000000)).toThrow(
+      expect.objectContaining({ code: "VALIDATION_ERROR" })
+    );
+  });
+});
@@ -0,0 +1,142 @@
+import IncomingPaymentWatcher from "../IncomingPaymentWatcher";
+import NimiqNodeService from "../NimiqNodeService";
+import NimiqChainSimulator from "../../testing/NimiqChainSimulator";
+import localforage from "localforage";
+
+// Mock localforage
+jest.mock("localforage", () => ({
+  createInstance: jest.fn().mockReturnValue({
+    getItem: jest.fn(),
+    setItem: jest.fn(),
+    removeItem: jest.fn(),
+  }),
+}));
+
+describe("IncomingPaymentWatcher", () => {
+  let chain;
+  let node;
+  let watcher;
+  let mockStore;
+  let customer;
+  let merchantAddress;
+
+  const incomingEvents = () =>
+    window.dispatchEvent.mock.calls
+      .map(([event]) => event)
+      .filter((event) => event.type === "nimipay:incoming")
+      .map((event) => event.detail);
+
+  const pay = (lunas, extraData, recipient = merchantAddress) =>
+    node.processTransaction({ recipient, value: lunas, extraData, signer: customer });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockStore = localforage.createInstance();
+    mockStore.getItem.mockResolvedValue(null);
+
+    chain = new NimiqChainSimulator();
+    chain.install();
+    customer = chain.createWallet("customer");
+    merchantAddress = chain.createWallet("merchant").address.toUserFriendlyAddress();
+    chain.mint(customer.address, 10000000);
+
+    node = new NimiqNodeService({ network: "dev" });
+    await node.initialize();
+
+    jest.spyOn(window, "dispatchEvent").mockImplementation(() => true);
+    watcher = new IncomingPaymentWatcher(node);
+    await watcher.start(merchantAddress);
+  });
+
+  afterEach(() => {
+    watcher.stop();
+    window.dispatchEvent.mockRestore();
+    jest.restoreAllMocks();
+    delete global.Nimiq;
+  });
+
+  it("should match payments by their invoice reference", async () => {
+    await watcher.expect("inv-1", 10);
+
+    const { hash } = await pay(400000, "Invoice #inv-1");
+
+    expect(incomingEvents()).toEqual([
+      {
+        type: "incoming:matched",
+        data: expect.objectContaining({
+          invoiceId: "inv-1",
+          hash,
+          value: 400000,
+          amount: 4,
+          expectedAmount: 10,
+          matchedBy: "extraData",
+        }),
+      },
+    ]);
+    expect(watcher.getExpected()).toEqual([]);
+  });
+
+  it("should match payments by exact amount and report them once", async () => {
+    await watcher.expect("inv-1", 10);
+    await watcher.expect("inv-2", 12.5);
+
+    await pay(1250000);
+    chain.mineBlock();
+
+    expect(incomingEvents()).toEqual([
+      {
+        type: "incoming:matched",
+        data: expect.objectContaining({ invoiceId: "inv-2", matchedBy: "amount" }),
+      },
+    ]);
+    expect(watcher.getExpected().map(({ invoiceId }) => invoiceId)).toEqual(["inv-1"]);
+  });
+
+  it("should leave amounts shared by several invoices unmatched", async () => {
+    await watcher.expect("inv-1", 10);
+    await watcher.expect("inv-2", 10);
+
+    await pay(1000000);
+
+    expect(incomingEvents()).toEqual([
+      {
+        type: "incoming:unmatched",
+        data: expect.objectContaining({ value: 1000000, reason: "ambiguous" }),
+      },
+    ]);
+    expect(watcher.getExpected()).toHaveLength(2);
+  });
+
+  it("should only match by amount within the amount window", async () => {
+    const now = Date.now();
+    await watcher.expect("inv-1", 10);
+    jest.spyOn(Date, "now").mockReturnValue(now + 15 * 60 * 1000 + 1);
+
+    await pay(1000000);
+
+    expect(incomingEvents()[0]).toEqual(
+      expect.objectContaining({ type: "incoming:unmatched", data: expect.objectContaining({ reason: "no_match" }) })
+    );
+  });
+
+  it("should ignore transactions to other addresses", async () => {
+    await watcher.expect("inv-1", 10);
+
+    await pay(1000000, null, chain.createWallet("other").address.toUserFriendlyAddress());
+
+    expect(incomingEvents()).toEqual([]);
+  });
+
+  it("should restore expected payments on start", async () => {
+    mockStore.getItem.mockResolvedValueOnce([
+      { invoiceId: "inv-1", amount: 10, value: 1000000, createdAt: 0, expiresAt: Infinity },
+    ]);
+    const restored = new IncomingPaymentWatcher(node);
+    await restored.start(merchantAddress);
+
+    await pay(1000000);
+
+    expect(incomingEvents().map(({ type }) => type)).toContain("incoming:matched");
+    restored.stop();
+  });
+});
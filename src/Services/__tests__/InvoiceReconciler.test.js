@@ -0,0 +1,101 @@
+import InvoiceReconciler from "../InvoiceReconciler";
+import CurrencyRegistry from "../CurrencyRegistry";
+
+// In-memory localforage
+jest.mock("localforage", () => {
+  const items = new Map();
+  return {
+    items,
+    createInstance: jest.fn().mockReturnValue({
+      getItem: jest.fn((key) => Promise.resolve(items.has(key) ? items.get(key) : null)),
+      setItem: jest.fn((key, value) => {
+        items.set(key, JSON.parse(JSON.stringify(value)));
+        return Promise.resolve(value);
+      }),
+      removeItem: jest.fn((key) => Promise.resolve(items.delete(key))),
+    }),
+  };
+});
+
+describe("InvoiceReconciler", () => {
+  let reconciler;
+  let currencies;
+
+  const pay = (hash, amount, currency = "NIM") =>
+    reconciler.recordPayment("inv-1", { hash, amount, currency });
+
+  beforeEach(async () => {
+    require("localforage").items.clear();
+    currencies = CurrencyRegistry.fromConfig({
+      NIM: { decimals: 4, paymentTolerance: 0.01 },
+      USDC: { decimals: 6 },
+    });
+
+    reconciler = new InvoiceReconciler({ currencies });
+    await reconciler.expect("inv-1", "NIM", 10);
+  });
+
+  it("should mark payments within the tolerance as paid", async () => {
+    expect(await pay("tx-1", 9.995)).toEqual(
+      expect.objectContaining({ status: "paid", expected: 10, received: 9.995, difference: -0.005 })
+    );
+  });
+
+  it("should add up partial payments", async () => {
+    expect(await pay("tx-1", 6)).toEqual(
+      expect.objectContaining({ status: "partially_paid", difference: -4 })
+    );
+
+    const reconciliation = await pay("tx-2", 4);
+
+    expect(reconciliation).toEqual(expect.objectContaining({ status: "paid", received: 10 }));
+    expect(reconciliation.payments.map(({ hash }) => hash)).toEqual(["tx-1", "tx-2"]);
+  });
+
+  it("should report overpayments", async () => {
+    expect(await pay("tx-1", 10.5)).toEqual(
+      expect.objectContaining({ status: "overpaid", difference: 0.5 })
+    );
+  });
+
+  it("should count a transaction only once", async () => {
+    await pay("tx-1", 6);
+
+    expect(await pay("tx-1", 6)).toEqual(expect.objectContaining({ received: 6 }));
+  });
+
+  it("should keep the expectation once payments arrived", async () => {
+    await pay("tx-1", 6);
+
+    await reconciler.expect("inv-1", "NIM", 4);
+
+    expect(await reconciler.get("inv-1")).toEqual(
+      expect.objectContaining({ expected: 10, status: "partially_paid" })
+    );
+  });
+
+  it("should use configured tolerances", async () => {
+    reconciler = new InvoiceReconciler({ tolerances: { NIM: 1 }, currencies });
+
+    expect(await pay("tx-1", 9.2)).toEqual(expect.objectContaining({ status: "paid" }));
+  });
+
+  it("should default to one smallest unit of tolerance", async () => {
+    await reconciler.expect("inv-2", "USDC", 5);
+    await reconciler.expect("inv-3", "USDC", 5);
+
+    const paid = await reconciler.recordPayment("inv-2", { hash: "0x1", amount: 4.999999, currency: "USDC" });
+    const short = await reconciler.recordPayment("inv-3", { hash: "0x2", amount: 4.99999, currency: "USDC" });
+
+    expect(paid.status).toBe("paid");
+    expect(short.status).toBe("partially_paid");
+  });
+
+  it("should ignore invoices it does not expect", async () => {
+    expect(await reconciler.recordPayment("inv-9", { hash: "tx-1", amount: 1, currency: "NIM" })).toBeNull();
+  });
+
+  it("should reject payments in another currency", async () => {
+    await expect(pay("0x1", 10, "USDC")).rejects.toMatchObject({ code: "VALIDATION_ERROR" });
+  });
+});
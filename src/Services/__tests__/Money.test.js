@@ -0,0 +1,109 @@
+import Money, { ROUNDING } from "../Money";
+
+describe("Money", () => {
+  beforeEach(() => {
+    window.CURRENCY_CONFIG = {
+      NIM: { decimals: 5 },
+      BTC: { decimals: 8 },
+      USDC: { decimals: 6 },
+    };
+  });
+
+  afterEach(() => {
+    delete window.CURRENCY_CONFIG;
+  });
+
+  describe("parse", () => {
+    it("should parse decimals into smallest units", () => {
+      expect(Money.parse("12.5", "NIM").units).toBe(1250000n);
+      expect(Money.parse(0.00000001, "BTC").units).toBe(1n);
+      expect(Money.parse("-1.25", "USDC").units).toBe(-1250000n);
+      expect(Money.parse("1e3", "USD").units).toBe(100000n);
+      expect(Money.parse("1500", "JPY").units).toBe(1500n);
+    });
+
+    it("should reject amounts more precise than the currency", () => {
+      expect(() => Money.parse(0.1 + 0.2, "NIM")).toThrow(
+        expect.objectContaining({ code: "VALIDATION_ERROR" })
+      );
+      expect(Money.parse("1.2300000", "NIM").units).toBe(123000n);
+    });
+
+    it("should round extra decimals when asked to", () => {
+      expect(Money.parse(0.1 + 0.2, "NIM", { rounding: ROUNDING.HALF_UP }).format()).toBe("0.30000");
+      expect(Money.parse("0.000015", "NIM", { rounding: ROUNDING.HALF_UP }).units).toBe(2n);
+      expect(Money.parse("0.000015", "NIM", { rounding: ROUNDING.HALF_EVEN }).units).toBe(2n);
+      expect(Money.parse("0.000025", "NIM", { rounding: ROUNDING.HALF_EVEN }).units).toBe(2n);
+      expect(Money.parse("0.000019", "NIM", { rounding: ROUNDING.DOWN }).units).toBe(1n);
+      expect(Money.parse("-0.000011", "NIM", { rounding: ROUNDING.FLOOR }).units).toBe(-2n);
+      expect(Money.parse("-0.000011", "NIM", { rounding: ROUNDING.CEIL }).units).toBe(-1n);
+      expect(Money.parse("0.000011", "NIM", { rounding: ROUNDING.UP }).units).toBe(2n);
+    });
+
+    it("should reject invalid amounts and unknown currencies", () => {
+      expect(() => Money.parse("abc", "NIM")).toThrow(
+        expect.objectContaining({ code: "VALIDATION_ERROR" })
+      );
+      expect(() => Money.parse("1", "DOGE")).toThrow(
+        expect.objectContaining({ code: "UNSUPPORTED_CURRENCY" })
+      );
+    });
+  });
+
+  describe("arithmetic", () => {
+    it("should add and subtract exactly", () => {
+      const total = Money.parse("0.1", "USDC").add(Money.parse("0.2", "USDC"));
+
+      expect(total.equals(Money.parse("0.3", "USDC"))).toBe(true);
+      expect(total.subtract(Money.parse("0.5", "USDC")).format()).toBe("-0.200000");
+    });
+
+    it("should refuse to mix currencies", () => {
+      expect(() => Money.parse("1", "NIM").add(Money.parse("1", "BTC"))).toThrow(
+        expect.objectContaining({ code: "VALIDATION_ERROR" })
+      );
+    });
+
+    it("should compare amounts", () => {
+      const one = Money.parse("1", "NIM");
+      const two = Money.parse("2", "NIM");
+
+      expect(one.lessThan(two)).toBe(true);
+      expect(two.greaterThan(one)).toBe(true);
+      expect(one.compare(Money.fromUnits(100000, "NIM"))).toBe(0);
+      expect(Money.zero("NIM").isZero()).toBe(true);
+    });
+  });
+
+  describe("conversion", () => {
+    it("should convert fiat at a crypto price", () => {
+      const usd = Money.parse("10.00", "USD");
+
+      expect(usd.convertAtPrice("NIM", "0.003").format()).toBe("3333.33333");
+      expect(usd.convertAtPrice("NIM", "0.003", { rounding: ROUNDING.CEIL }).format()).toBe("3333.33334");
+    });
+
+    it("should convert crypto at a rate", () => {
+      expect(Money.parse("3333.33333", "NIM").convert("USD", "0.003").format()).toBe("10.00");
+      expect(Money.parse("0.5", "BTC").convert("USDC", 64123.45).format()).toBe("32061.725000");
+      expect(Money.parse("25", "USD").convert("WBTC", "0.00001", { decimals: 8 }).units).toBe(25000n);
+    });
+
+    it("should multiply with rounding", () => {
+      expect(Money.parse("1.00001", "NIM").multiply("0.5").units).toBe(50001n);
+      expect(Money.parse("1.00001", "NIM").multiply("0.5", { rounding: ROUNDING.DOWN }).units).toBe(50000n);
+    });
+  });
+
+  describe("format", () => {
+    it("should format with the currency's decimals", () => {
+      const amount = Money.fromUnits(150000000n, "BTC");
+
+      expect(amount.format()).toBe("1.50000000");
+      expect(amount.format({ trimZeros: true, withCurrency: true })).toBe("1.5 BTC");
+      expect(Money.fromUnits(5, "NIM").toString()).toBe("0.00005");
+      expect(Money.fromUnits(5, "NIM").toNumber()).toBe(0.00005);
+      expect(JSON.stringify({ amount: Money.parse("2", "USD") })).toBe(JSON.stringify({ amount: "2.00" }));
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import NimiqHubService from "../NimiqHubService";
+import Environment from "../Environment";
+
+const ADDRESS = "NQ27 HLNH Q9G1 4Y3L 8VMJ E4TC BQUC 00VN DE49";
+const MERCHANT = "NQ07 0000 0000 0000 0000 0000 0000 0000 0000";
+
+describe("NimiqHubService", () => {
+  let hubApi;
+  let request;
+  let hub;
+
+  beforeEach(() => {
+    hubApi = {
+      checkout: jest.fn().mockResolvedValue({ hash: "tx-hash", serializedTx: "00" }),
+      chooseAddress: jest.fn().mockResolvedValue({ address: ADDRESS, label: "Main" }),
+      signMessage: jest.fn().mockResolvedValue({
+        signer: ADDRESS,
+        signerPublicKey: new Uint8Array([0xea, 0x4a, 0x01]),
+        signature: new Uint8Array([0xd1, 0x00, 0x0b]),
+      }),
+    };
+    request = jest.fn(async (action) =>
+      action === "loginChallenge"
+        ? { challenge: "Log in to Demo Shop\nNonce: 42" }
+        : { invoices: [{ id_invoice: "inv-1" }], items: [] }
+    );
+    hub = new NimiqHubService(hubApi, { appName: "Demo Shop", request });
+    window.nimAddress = MERCHANT;
+  });
+
+  afterEach(() => {
+    delete window.nimAddress;
+  });
+
+  it("should hand the recipient, value and extra data to the Hub checkout", async () => {
+    const result = await hub.checkout({ invoice: { id_invoice: "inv-1" }, amount: "1.5" });
+
+    expect(hubApi.checkout).toHaveBeenCalledWith({
+      appName: "Demo Shop",
+      recipient: MERCHANT,
+      value: 150000,
+      extraData: "Invoice #inv-1",
+    });
+    expect(result).toEqual({ type: "native", hash: "tx-hash", status: "confirming" });
+  });
+
+  it("should take the merchant address and label from its environment", async () => {
+    const environment = Environment.memory({ config: { nimAddress: MERCHANT, nimAddressLabel: "Corner Shop" } });
+    const configured = new NimiqHubService(hubApi, { request, environment });
+
+    await configured.checkout({ invoice: { id_invoice: "inv-1" }, amount: 1 });
+
+    expect(hubApi.checkout).toHaveBeenCalledWith(
+      expect.objectContaining({ appName: "Corner Shop", recipient: MERCHANT })
+    );
+  });
+
+  it("should force the sender when given", async () => {
+    await hub.checkout({ invoice: { id_invoice: "inv-1" }, amount: 1, sender: ADDRESS });
+
+    expect(hubApi.checkout).toHaveBeenCalledWith(
+      expect.objectContaining({ sender: ADDRESS, forceSender: true })
+    );
+  });
+
+  it("should choose an address", async () => {
+    expect(await hub.chooseAddress()).toEqual({ address: ADDRESS, label: "Main" });
+    expect(hubApi.chooseAddress).toHaveBeenCalledWith({ appName: "Demo Shop" });
+  });
+
+  it("should log in by signing the backend's challenge", async () => {
+    const account = await hub.login();
+
+    expect(request).toHaveBeenCalledWith("loginChallenge", { address: ADDRESS });
+    expect(hubApi.signMessage).toHaveBeenCalledWith({
+      appName: "Demo Shop",
+      message: "Log in to Demo Shop\nNonce: 42",
+      signer: ADDRESS,
+    });
+    expect(request).toHaveBeenCalledWith("login", {
+      address: ADDRESS,
+      label: "Main",
+      challenge: "Log in to Demo Shop\nNonce: 42",
+      public_key: "ea4a01",
+      signature: "d1000b",
+    });
+    expect(account).toEqual({ address: ADDRESS, label: "Main", invoices: [{ id_invoice: "inv-1" }], items: [] });
+  });
+
+  it("should report canceled Hub requests", async () => {
+    hubApi.signMessage.mockRejectedValue(new Error("CANCELED"));
+
+    await expect(hub.login()).rejects.toMatchObject({ code: "REQUEST_CANCELED" });
+    expect(request).not.toHaveBeenCalledWith("login", expect.anything());
+  });
+
+  it("should need a backend to log in", async () => {
+    hub = new NimiqHubService(hubApi);
+
+    await expect(hub.login()).rejects.toMatchObject({ code: "CONFIGURATION_ERROR" });
+  });
+});
@@ -1,9 +1,28 @@
 import NimiqNodeService from '../NimiqNodeService';
+import {
+    ValidityWindowError,
+    InsufficientBalanceError,
+    FeeTooLowError,
+    TransactionRejectedError
+} from '../errors';
+
+const mockSignedTx = {
+    hash: () => ({ toHex: () => 'signed-tx-hash' }),
+    serializeContent: jest.fn().mockReturnValue('tx-content')
+};
 
 // Mock Nimiq global object
 global.Nimiq = {
     GenesisConfig: {
-        main: jest.fn()
+        main: jest.fn(),
+        test: jest.fn(),
+        init: jest.fn(),
+        CONFIGS: {
+            test: { NETWORK_ID: 1, NETWORK_NAME: 'test', SEED_PEERS: ['default-seed'] }
+        }
+    },
+    WssPeerAddress: {
+        seed: jest.fn((host, port, publicKey) => ({ host, port, publicKey }))
     },
     Consensus: {
         light: jest.fn().mockResolvedValue({
@@ -29,7 +48,29 @@ global.Nimiq = {
         fromString: jest.fn().mockReturnValue({})
     },
     Policy: {
-        satoshisToCoins: jest.fn(satoshis => satoshis / 1e5)
+        satoshisToCoins: jest.fn(satoshis => satoshis / 1e5),
+        TRANSACTION_VALIDITY_WINDOW: 120
+    },
+    Mempool: {
+        ReturnCode: { FEE_TOO_LOW: -2, INVALID: -1, ACCEPTED: 1, KNOWN: 2 }
+    },
+    Account: {
+        Type: { BASIC: 0 }
+    },
+    Transaction: {
+        Flag: { NONE: 0 },
+        unserialize: jest.fn(() => mockSignedTx)
+    },
+    ExtendedTransaction: jest.fn(() => ({ ...mockSignedTx })),
+    Signature: {
+        create: jest.fn().mockReturnValue('signature')
+    },
+    SignatureProof: {
+        singleSig: jest.fn().mockReturnValue({ serialize: () => 'proof' })
+    },
+    BufferUtils: {
+        fromUtf8: jest.fn(str => str),
+        fromHex: jest.fn(hex => hex)
     }
 };
 
@@ -65,6 +106,81 @@ describe('NimiqNodeService', () => {
         });
     });
 
+    describe('network configuration', () => {
+        it('should default to mainnet light consensus', () => {
+            expect(nimiqNode.getNetworkConfig()).toEqual({
+                network: 'main',
+                consensus: 'light',
+                seeds: [],
+                explorerUrl: 'https://explorer.nimiq.com/transaction/',
+                minConfirmations: null
+            });
+        });
+
+        it('should initialize the selected network and consensus', async () => {
+            Nimiq.Consensus.nano = jest.fn(() => Nimiq.Consensus.light());
+            nimiqNode = new NimiqNodeService({ network: 'test', consensus: 'nano' });
+
+            await nimiqNode.initialize();
+
+            expect(Nimiq.GenesisConfig.test).toHaveBeenCalled();
+            expect(Nimiq.GenesisConfig.main).not.toHaveBeenCalled();
+            expect(Nimiq.Consensus.nano).toHaveBeenCalled();
+        });
+
+        it('should replace seed peers with custom seeds', async () => {
+            nimiqNode = new NimiqNodeService({
+                network: 'test',
+                seeds: ['wss://seed.example.com:8443/abcdef']
+            });
+
+            await nimiqNode.initialize();
+
+            expect(Nimiq.GenesisConfig.test).not.toHaveBeenCalled();
+            expect(Nimiq.GenesisConfig.init).toHaveBeenCalledWith({
+                NETWORK_ID: 1,
+                NETWORK_NAME: 'test',
+                SEED_PEERS: [{ host: 'seed.example.com', port: 8443, publicKey: 'abcdef' }]
+            });
+        });
+
+        it('should reject invalid seeds', async () => {
+            nimiqNode = new NimiqNodeService({ seeds: ['seed.example.com'] });
+
+            await expect(nimiqNode.initialize()).rejects.toThrow('Invalid seed peer');
+        });
+
+        it('should reject unknown networks and consensus types', () => {
+            expect(() => new NimiqNodeService({ network: 'moon' }))
+                .toThrow('Unknown Nimiq network: moon');
+            expect(() => new NimiqNodeService({ consensus: 'full' }))
+                .toThrow('Unknown consensus type: full');
+        });
+
+        it('should flag configuration errors as fatal', () => {
+            let error;
+            try {
+                new NimiqNodeService({ network: 'moon' });
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error.code).toBe('CONFIGURATION_ERROR');
+            expect(error.errorType).toBe('FATAL');
+        });
+
+        it('should derive explorer links and thresholds from the network', () => {
+            const testNode = new NimiqNodeService({ network: 'test' });
+
+            expect(nimiqNode.getExplorerUrl('abc')).toBe('https://explorer.nimiq.com/transaction/abc');
+            expect(testNode.getExplorerUrl('abc')).toBe('https://test.nimiq.watch/#abc');
+            expect(new NimiqNodeService({ network: 'dev' }).getExplorerUrl('abc')).toBe('#');
+
+            expect(nimiqNode.getRequiredConfirmations(2)).toBe(2);
+            expect(testNode.getRequiredConfirmations(2)).toBe(1);
+        });
+    });
+
     describe('balance checking', () => {
         beforeEach(async () => {
             await nimiqNode.initialize();
@@ -128,6 +244,39 @@ describe('NimiqNodeService', () => {
         });
     });
 
+    describe('transaction lookup', () => {
+        beforeEach(async () => {
+            await nimiqNode.initialize();
+            nimiqNode.blockchain.getTransaction.mockReset();
+            nimiqNode.mempool.getTransaction = jest.fn().mockResolvedValue(null);
+        });
+
+        it('should report mined transactions with confirmations', async () => {
+            nimiqNode.blockchain.getTransaction.mockResolvedValueOnce({ height: 99 });
+
+            const info = await nimiqNode.getTransactionInfo('mock-tx-hash');
+
+            expect(info).toEqual({ state: 'mined', height: 99, confirmations: 2 });
+        });
+
+        it('should report transactions still in the mempool', async () => {
+            nimiqNode.blockchain.getTransaction.mockResolvedValueOnce(null);
+            nimiqNode.mempool.getTransaction.mockResolvedValueOnce({});
+
+            const info = await nimiqNode.getTransactionInfo('mock-tx-hash');
+
+            expect(info.state).toBe('pending');
+        });
+
+        it('should report unknown transactions', async () => {
+            nimiqNode.blockchain.getTransaction.mockResolvedValueOnce(null);
+
+            const info = await nimiqNode.getTransactionInfo('mock-tx-hash');
+
+            expect(info).toEqual({ state: 'unknown', height: null, confirmations: 0 });
+        });
+    });
+
     describe('state management', () => {
         beforeEach(async () => {
             await nimiqNode.initialize();
@@ -152,6 +301,52 @@ describe('NimiqNodeService', () => {
             expect(nimiqNode.isReady()).toBe(true);
         });
 
+        it('should emit head changes to subscribers', () => {
+            const listener = jest.fn();
+            nimiqNode.on('head-changed', listener);
+
+            const [, onHeadChanged] = nimiqNode.blockchain.on.mock.calls
+                .find(([type]) => type === 'head-changed');
+            onHeadChanged({ hash: () => ({ toHex: () => 'head-hash' }) });
+
+            expect(listener).toHaveBeenCalledWith({
+                height: 100,
+                headHash: 'head-hash',
+                rebranched: false
+            });
+
+            nimiqNode.off('head-changed', listener);
+            onHeadChanged({ hash: () => ({ toHex: () => 'next-hash' }) });
+            expect(listener).toHaveBeenCalledTimes(1);
+        });
+
+        it('should detect rebranches', () => {
+            const listener = jest.fn();
+            nimiqNode.on('rebranched', listener);
+
+            const [, onHeadChanged] = nimiqNode.blockchain.on.mock.calls
+                .find(([type]) => type === 'head-changed');
+            onHeadChanged({ hash: () => ({ toHex: () => 'head-a' }) });
+            onHeadChanged({
+                hash: () => ({ toHex: () => 'head-b' }),
+                prevHash: { toHex: () => 'head-a' }
+            });
+            expect(listener).not.toHaveBeenCalled();
+
+            onHeadChanged({
+                hash: () => ({ toHex: () => 'head-c' }),
+                prevHash: { toHex: () => 'head-x' }
+            });
+            expect(listener).toHaveBeenCalledWith({
+                height: 100,
+                headHash: 'head-c',
+                previousHeadHash: 'head-b'
+            });
+
+            onHeadChanged({ hash: () => ({ toHex: () => 'head-d' }) }, true);
+            expect(listener).toHaveBeenCalledTimes(2);
+        });
+
         it('should handle disconnection', async () => {
             await nimiqNode.disconnect();
             
@@ -160,4 +355,144 @@ describe('NimiqNodeService', () => {
             expect(nimiqNode.network.disconnect).toHaveBeenCalled();
         });
     });
+
+    describe('transaction processing', () => {
+        let wallet;
+
+        beforeEach(async () => {
+            await nimiqNode.initialize();
+            nimiqNode.mempool.pushTransaction = jest.fn()
+                .mockResolvedValue(Nimiq.Mempool.ReturnCode.ACCEPTED);
+            nimiqNode.accounts.get.mockResolvedValue({ balance: 2000000 });
+
+            wallet = {
+                address: {},
+                keyPair: { privateKey: 'private-key', publicKey: 'public-key' },
+                createTransaction: jest.fn().mockReturnValue(mockSignedTx)
+            };
+            nimiqNode.setSigner(wallet);
+        });
+
+        it('should sign basic transactions with the wallet', async () => {
+            const result = await nimiqNode.processTransaction({
+                recipient: 'recipient-address',
+                value: 1000000
+            });
+
+            expect(wallet.createTransaction).toHaveBeenCalledWith({}, 1000000, 0, 100);
+            expect(nimiqNode.mempool.pushTransaction).toHaveBeenCalledWith(mockSignedTx);
+            expect(result).toEqual({
+                hash: 'signed-tx-hash',
+                status: 'accepted',
+                validityStartHeight: 100
+            });
+        });
+
+        it('should build extended transactions for extraData', async () => {
+            await nimiqNode.processTransaction({
+                recipient: 'recipient-address',
+                value: 1000000,
+                extraData: 'Invoice #test-123'
+            });
+
+            expect(Nimiq.BufferUtils.fromUtf8).toHaveBeenCalledWith('Invoice #test-123');
+            expect(Nimiq.ExtendedTransaction).toHaveBeenCalled();
+            expect(Nimiq.Signature.create).toHaveBeenCalledWith(
+                'private-key',
+                'public-key',
+                'tx-content'
+            );
+            expect(wallet.createTransaction).not.toHaveBeenCalled();
+        });
+
+        it('should sign through a Hub API signer', async () => {
+            const hubSigner = {
+                address: { toUserFriendlyAddress: () => 'sender-address' },
+                signTransaction: jest.fn().mockResolvedValue({ serializedTx: 'abcd' })
+            };
+
+            const result = await nimiqNode.processTransaction({
+                recipient: 'recipient-address',
+                value: 1000000,
+                extraData: 'Invoice #test-123',
+                signer: hubSigner
+            });
+
+            expect(hubSigner.signTransaction).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    sender: 'sender-address',
+                    recipient: 'recipient-address',
+                    value: 1000000,
+                    extraData: 'Invoice #test-123',
+                    validityStartHeight: 100
+                })
+            );
+            expect(Nimiq.Transaction.unserialize).toHaveBeenCalledWith('abcd');
+            expect(result.hash).toBe('signed-tx-hash');
+        });
+
+        it('should report transactions already in the mempool', async () => {
+            nimiqNode.mempool.pushTransaction
+                .mockResolvedValueOnce(Nimiq.Mempool.ReturnCode.KNOWN);
+
+            const result = await nimiqNode.processTransaction({
+                recipient: 'recipient-address',
+                value: 1000000
+            });
+
+            expect(result.status).toBe('known');
+        });
+
+        it('should reject start heights outside the validity window', async () => {
+            await expect(
+                nimiqNode.processTransaction({
+                    recipient: 'recipient-address',
+                    value: 1000000,
+                    validityStartHeight: 102
+                })
+            ).rejects.toThrow(ValidityWindowError);
+
+            await expect(
+                nimiqNode.processTransaction({
+                    recipient: 'recipient-address',
+                    value: 1000000,
+                    validityStartHeight: -20
+                })
+            ).rejects.toThrow(ValidityWindowError);
+        });
+
+        it('should reject transactions exceeding the balance', async () => {
+            nimiqNode.accounts.get.mockResolvedValueOnce({ balance: 1000 });
+
+            const error = await nimiqNode.processTransaction({
+                recipient: 'recipient-address',
+                value: 1000000,
+                fee: 138
+            }).catch(e => e);
+
+            expect(error).toBeInstanceOf(InsufficientBalanceError);
+            expect(error.code).toBe('INSUFFICIENT_FUNDS');
+            expect(error.errorType).toBe('INSUFFICIENT_FUNDS');
+            expect(error.data).toEqual({ balance: 1000, required: 1000138 });
+        });
+
+        it('should map mempool rejections to typed errors', async () => {
+            nimiqNode.mempool.pushTransaction
+                .mockResolvedValueOnce(Nimiq.Mempool.ReturnCode.FEE_TOO_LOW)
+                .mockResolvedValueOnce(Nimiq.Mempool.ReturnCode.INVALID);
+
+            const tx = { recipient: 'recipient-address', value: 1000000 };
+
+            await expect(nimiqNode.processTransaction(tx)).rejects.toThrow(FeeTooLowError);
+            await expect(nimiqNode.processTransaction(tx)).rejects.toThrow(TransactionRejectedError);
+        });
+
+        it('should require a signer', async () => {
+            nimiqNode.setSigner(null);
+
+            await expect(
+                nimiqNode.processTransaction({ recipient: 'recipient-address', value: 1 })
+            ).rejects.toThrow('No transaction signer configured');
+        });
+    });
 });
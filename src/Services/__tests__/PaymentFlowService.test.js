@@ -1,11 +1,25 @@
 import PaymentFlowService from "../PaymentFlowService";
 import NimiqNodeService from "../NimiqNodeService";
 import TransactionQueueService from "../TransactionQueueService";
+import Quote from "../Quote";
+import { DEFAULT_CURRENCIES } from "../CurrencyRegistry";
+import EthereumProviderSimulator from "../../testing/EthereumProviderSimulator";
 import localforage from "localforage";
+import fs from "fs";
+import path from "path";
+
+// Actions nimipay.php implements
+const backendActions = () => {
+  const source = fs.readFileSync(path.join(__dirname, "../../../nimipay.php"), "utf8");
+  return Array.from(source.matchAll(/\$action == ["'](\w+)["']/g), ([, action]) => action);
+};
 
 // Mock dependencies
 jest.mock("../NimiqNodeService");
 jest.mock("../TransactionQueueService");
+jest.mock("../ConfirmationMonitor");
+jest.mock("../IncomingPaymentWatcher");
+jest.mock("../InvoiceReconciler");
 jest.mock("localforage", () => ({
   createInstance: jest.fn().mockReturnValue({
     getItem: jest.fn(),
@@ -51,7 +65,7 @@ describe("PaymentFlowService", () => {
       npBackendUrl: "https://api.example.com",
       nimAddress: "NQ07 0000 0000 0000 0000 0000 0000 0000",
       CURRENCY_CONFIG: {
-        NIM: { type: "native", decimals: 4, minConfirmations: 2 },
+        NIM: { type: "native", decimals: 5, minConfirmations: 2 },
         BTC: { type: "native", decimals: 8, minConfirmations: 3 },
         USDC: { type: "erc20", decimals: 6, minConfirmations: 12 }
       }
@@ -106,8 +120,39 @@ describe("PaymentFlowService", () => {
           currency: "NIM",
           amount: 100,
           invoice: mockInvoice
-        })
+        }),
+        { prepare: expect.any(Function) }
+      );
+    });
+
+    it("should give each payment attempt its own idempotency key", async () => {
+      mockStore.getItem.mockResolvedValueOnce({ attempt: 1, idempotencyKey: "test-123-1" });
+      paymentFlow.transactionQueue.queueTransaction.mockImplementationOnce(async (tx, { prepare }) => {
+        await prepare(tx);
+        return `tx_${tx.idempotencyKey}`;
+      });
+
+      await paymentFlow.processPayment(mockInvoice, "NIM", 100);
+
+      expect(paymentFlow.transactionQueue.queueTransaction).toHaveBeenCalledWith(
+        expect.objectContaining({ attempt: 2, idempotencyKey: "test-123-2" }),
+        expect.anything()
       );
+      expect(mockStore.setItem).toHaveBeenCalledWith("attempt_test-123", {
+        attempt: 2,
+        idempotencyKey: "test-123-2"
+      });
+    });
+
+    it("should keep the attempt when the queue refuses a duplicate", async () => {
+      paymentFlow.transactionQueue.queueTransaction.mockRejectedValueOnce(
+        Object.assign(new Error("In progress"), { code: "DUPLICATE_PAYMENT" })
+      );
+
+      await expect(paymentFlow.processPayment(mockInvoice, "NIM", 100)).rejects.toMatchObject({
+        code: "DUPLICATE_PAYMENT"
+      });
+      expect(mockStore.setItem).not.toHaveBeenCalledWith("attempt_test-123", expect.anything());
     });
 
     it("should handle queue events", async () => {
@@ -119,7 +164,7 @@ describe("PaymentFlowService", () => {
       const successEvent = new CustomEvent("nimipay:queue", {
         detail: {
           type: "transaction:success",
-          data: { txId: "success-tx", transaction: mockTransaction }
+          data: { txId: "success-tx", data: mockTransaction }
         }
       });
       
@@ -147,7 +192,7 @@ describe("PaymentFlowService", () => {
       const txId = "success-tx";
       await paymentFlow.handleTransactionSuccess({
         txId,
-        transaction: mockTransaction
+        data: mockTransaction
       });
       
       expect(fetch).toHaveBeenCalledWith(
@@ -212,6 +257,26 @@ describe("PaymentFlowService", () => {
         })
       );
     });
+
+    it("should show a transaction waiting for the network as retrying", async () => {
+      const txId = "waiting-tx";
+
+      paymentFlow.transactionQueue.getTransactionStatus.mockResolvedValueOnce({
+        status: "waiting",
+        data: mockTransaction
+      });
+
+      await paymentFlow.handleQueueEvent({
+        detail: {
+          type: "transaction:waiting",
+          data: { txId, error: "Offline", retryAfter: Date.now() + 60000 }
+        }
+      });
+
+      const body = JSON.parse(fetch.mock.calls.at(-1)[1].body);
+      expect(body).toMatchObject({ status: "retrying", metadata: { waitingForNetwork: true } });
+      expect(mockStore.setItem).not.toHaveBeenCalledWith(`error_${txId}`, expect.anything());
+    });
   });
 
   describe("Error Handling", () => {
@@ -268,6 +333,827 @@ describe("PaymentFlowService", () => {
         })
       );
     });
+
+    it("should post status updates while the terminal is locked", async () => {
+      const locked = Object.assign(new Error("Storage is locked"), { code: "STORAGE_LOCKED" });
+      mockStore.getItem.mockRejectedValue(locked);
+      mockStore.setItem.mockRejectedValue(locked);
+
+      await paymentFlow.handleMonitorEvent({
+        detail: { type: "monitor:confirmed", data: { invoiceId: "test-123", hash: "tx-hash", confirmations: 2 } }
+      });
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining("updateStatus"),
+        expect.objectContaining({ body: expect.stringContaining('"status":"confirmed"') })
+      );
+
+      // Offline as well: the update is kept until unlocked
+      fetch.mockRejectedValueOnce(new Error("Network error"));
+      await paymentFlow.updateInvoiceStatus("test-123", "confirmed", "tx-hash");
+      mockStore.getItem.mockReset();
+      mockStore.setItem.mockReset();
+
+      paymentFlow.env.vault.emit("unlocked", {});
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(mockStore.setItem).toHaveBeenCalledWith(
+        "status_update_test-123",
+        expect.objectContaining({ status: "confirmed", txId: "tx-hash" })
+      );
+      expect(paymentFlow.unsaved.size).toBe(0);
+    });
+
+    it("should report failures of incoming payment handling", async () => {
+      const locked = Object.assign(new Error("Storage is locked"), { code: "STORAGE_LOCKED" });
+      paymentFlow.reconciler.recordPayment.mockRejectedValueOnce(locked);
+
+      await expect(
+        paymentFlow.handleIncomingEvent({
+          detail: {
+            type: "incoming:matched",
+            data: { invoiceId: "test-123", hash: "tx-hash", sender: "NQ01", amount: 12.5, matchedBy: "amount" }
+          }
+        })
+      ).resolves.toBeUndefined();
+      expect(console.error).toHaveBeenCalledWith("Failed to handle incoming:matched:", locked);
+    });
+  });
+
+  // jsdom keeps its own window, so set the globals the executors read on it
+  const useWindowGlobals = () => {
+    Object.assign(window, {
+      npBackendUrl: global.window.npBackendUrl || "https://api.example.com",
+      CURRENCY_CONFIG: {
+        NIM: { type: "native", decimals: 5, minConfirmations: 2 },
+        BTC: { type: "native", decimals: 8, minConfirmations: 3 },
+        USDC: { type: "erc20", decimals: 6, minConfirmations: 12 }
+      }
+    });
+  };
+
+  describe("Payment Executors", () => {
+    beforeEach(async () => {
+      useWindowGlobals();
+      await paymentFlow.initialize();
+    });
+
+    const executorFor = (currency) =>
+      paymentFlow.transactionQueue.registerPaymentExecutor.mock.calls.find(
+        ([registered]) => registered === currency
+      )[1];
+
+    it("should register an executor per currency", () => {
+      const currencies = paymentFlow.transactionQueue.registerPaymentExecutor.mock.calls.map(
+        ([currency]) => currency
+      );
+
+      expect(currencies).toEqual(["NIM", "BTC", "USDC", "UST"]);
+      expect(paymentFlow.transactionQueue.registerRefundExecutor).toHaveBeenCalled();
+    });
+
+    it("should only post actions the backend implements", async () => {
+      const payment = { txId: "tx_1", invoiceId: "test-123", currency: "BTC", hash: "btc-hash", paid: 100000, refunded: 0 };
+      mockStore.getItem.mockImplementation((key) => Promise.resolve(key === "payment_tx_1" ? payment : null));
+      fetch.mockImplementation(() => Promise.resolve({ ok: true, json: () => Promise.resolve({}) }));
+      const post = jest.spyOn(paymentFlow, "postBackendAction");
+      const btc = paymentFlow.currencies.get("BTC");
+
+      await paymentFlow.processChainPayment(btc, { ...mockTransaction, currency: "BTC", amount: 0.001 });
+      await btc.verifyPayment("btc-hash", { invoiceId: "test-123" });
+      await paymentFlow.transactionQueue.registerRefundExecutor.mock.calls[0][0]({ originalTxId: "tx_1" });
+
+      const posted = post.mock.calls.map(([action]) => action);
+      expect(posted).toEqual(["createPayment", "verifyPayment", "refund"]);
+      expect(backendActions()).toEqual(expect.arrayContaining(posted));
+      mockStore.getItem.mockReset();
+    });
+
+    it("should pay ERC-20 tokens from a browser wallet", async () => {
+      const ethereum = new EthereumProviderSimulator();
+      const customer = ethereum.createAccount("customer");
+      ethereum.mintTokens(DEFAULT_CURRENCIES.USDC.contractAddress, customer, 500000000n);
+      window.npEthAddress = "0x2222222222222222222222222222222222222222";
+      paymentFlow = new PaymentFlowService({ ethereum });
+
+      const result = await paymentFlow.processChainPayment(paymentFlow.currencies.get("USDC"), {
+        ...mockTransaction,
+        currency: "USDC",
+        idempotencyKey: "test-123-1"
+      });
+
+      expect(result).toEqual(expect.objectContaining({ type: "erc20", status: "confirming" }));
+      expect(ethereum.getTransaction(result.hash)).toEqual(
+        expect.objectContaining({ units: 100000000n, reference: "Invoice #test-123" })
+      );
+      expect(fetch).toHaveBeenCalledWith(expect.stringContaining("action=sendTxHash"));
+      expect(await paymentFlow.getGasFeeEstimate("USDC")).toBeCloseTo(0.00102);
+      delete window.npEthAddress;
+    });
+
+    it("should have the backend relay gasless ERC-20 payments", async () => {
+      const ethereum = new EthereumProviderSimulator();
+      const customer = ethereum.createAccount("customer");
+      ethereum.mintTokens(DEFAULT_CURRENCIES.USDC.contractAddress, customer, 500000000n);
+      window.npEthAddress = "0x2222222222222222222222222222222222222222";
+      paymentFlow = new PaymentFlowService({
+        ethereum,
+        currencies: { USDC: { ...DEFAULT_CURRENCIES.USDC, gasless: "eip3009" } }
+      });
+      fetch.mockImplementationOnce(async (url, { body }) => {
+        const { standard, authorization, signature } = JSON.parse(body);
+        return {
+          ok: true,
+          json: async () => ({ tx_hash: ethereum.submitAuthorization(standard, authorization, signature) })
+        };
+      });
+
+      const result = await paymentFlow.processChainPayment(paymentFlow.currencies.get("USDC"), {
+        ...mockTransaction,
+        currency: "USDC"
+      });
+
+      expect(fetch).toHaveBeenCalledWith(
+        "https://api.example.com?action=relayPayment",
+        expect.objectContaining({ method: "POST" })
+      );
+      expect(result).toEqual(expect.objectContaining({ type: "erc20", status: "confirming", relayed: true }));
+      expect(ethereum.getTransaction(result.hash)).toEqual(
+        expect.objectContaining({ from: ethereum.relayer, payer: customer, units: 100000000n })
+      );
+      expect(await paymentFlow.getGasFeeEstimate("USDC")).toBe(0);
+      delete window.npEthAddress;
+    });
+
+    it("should pay BTC to an address derived from the merchant xpub", async () => {
+      paymentFlow = new PaymentFlowService({
+        bitcoin: {
+          xpub: "zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs"
+        }
+      });
+      const adapter = paymentFlow.currencies.get("BTC");
+
+      const result = await paymentFlow.processChainPayment(adapter, { ...mockTransaction, currency: "BTC", amount: 0.001 });
+      adapter.stopWatching();
+
+      expect(result).toEqual(
+        expect.objectContaining({ type: "address", address: "bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu", derivationIndex: 0 })
+      );
+      expect(fetch).toHaveBeenCalledWith(
+        "https://api.example.com?action=assignAddress",
+        expect.objectContaining({ body: expect.stringContaining('"derivation_index":0') })
+      );
+    });
+
+    it("should register executors for currencies loaded from the backend", async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ currencies: { LTC: { name: "Litecoin", decimals: 8, type: "native" } } })
+      });
+
+      expect(await paymentFlow.loadCurrencies()).toEqual(["LTC"]);
+      expect(fetch).toHaveBeenCalledWith("https://api.example.com?action=getCurrencies");
+      expect(paymentFlow.transactionQueue.registerPaymentExecutor).toHaveBeenCalledWith(
+        "LTC",
+        expect.any(Function)
+      );
+      expect(paymentFlow.getCurrencyType("LTC")).toBe("native");
+      expect(paymentFlow.getCurrencyType("NIM")).toBe("unknown");
+    });
+
+    it("should send NIM payments through the browser node", async () => {
+      paymentFlow.nimiqNode.isReady.mockReturnValue(true);
+      paymentFlow.nimiqNode.processTransaction.mockResolvedValue({ hash: "tx-hash" });
+
+      const result = await executorFor("NIM")(mockTransaction);
+
+      expect(paymentFlow.nimiqNode.processTransaction).toHaveBeenCalledWith(
+        expect.objectContaining({ value: 10000000, extraData: "Invoice #test-123" })
+      );
+      expect(result).toEqual({ type: "native", hash: "tx-hash", status: "confirming" });
+    });
+
+    it("should check out NIM through the Hub when the node has no signer", async () => {
+      const hubApi = { checkout: jest.fn().mockResolvedValue({ hash: "hub-hash" }) };
+      paymentFlow = new PaymentFlowService({ hubApi, appName: "Demo Shop" });
+
+      const result = await paymentFlow.processChainPayment(paymentFlow.currencies.get("NIM"), mockTransaction);
+
+      expect(hubApi.checkout).toHaveBeenCalledWith(
+        expect.objectContaining({ appName: "Demo Shop", value: 10000000, extraData: "Invoice #test-123" })
+      );
+      expect(paymentFlow.nimiqNode.processTransaction).not.toHaveBeenCalled();
+      expect(result).toEqual({ type: "native", hash: "hub-hash", status: "confirming" });
+    });
+
+    it("should not broadcast a retried NIM attempt twice", async () => {
+      paymentFlow.nimiqNode.isReady.mockReturnValue(true);
+      paymentFlow.nimiqNode.processTransaction.mockResolvedValue({ hash: "tx-hash" });
+      const payment = { ...mockTransaction, idempotencyKey: "test-123-1" };
+
+      const first = await executorFor("NIM")(payment);
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining(encodeURIComponent('"idempotency_key":"test-123-1"'))
+      );
+      expect(mockStore.setItem).toHaveBeenCalledWith("sent_test-123-1", first);
+
+      mockStore.getItem.mockResolvedValueOnce(first);
+      const retried = await executorFor("NIM")(payment);
+
+      expect(retried).toEqual(first);
+      expect(paymentFlow.nimiqNode.processTransaction).toHaveBeenCalledTimes(1);
+    });
+
+    it("should mark an attempt as being sent until it is sent", async () => {
+      paymentFlow.nimiqNode.isReady.mockReturnValue(true);
+      paymentFlow.nimiqNode.processTransaction.mockImplementation(async () => {
+        expect(mockStore.setItem).toHaveBeenCalledWith("sending_test-123-1", { since: expect.any(Number) });
+        return { hash: "tx-hash" };
+      });
+
+      await executorFor("NIM")({ ...mockTransaction, idempotencyKey: "test-123-1" });
+
+      expect(paymentFlow.nimiqNode.processTransaction).toHaveBeenCalledTimes(1);
+      expect(mockStore.removeItem).toHaveBeenCalledWith("sending_test-123-1");
+    });
+
+    it("should not send an attempt that is already being sent", async () => {
+      paymentFlow.nimiqNode.isReady.mockReturnValue(true);
+      mockStore.getItem.mockImplementation(async (key) => (key === "sending_test-123-1" ? { since: 1 } : null));
+
+      await expect(
+        executorFor("NIM")({ ...mockTransaction, idempotencyKey: "test-123-1" })
+      ).rejects.toMatchObject({ code: "PAYMENT_IN_FLIGHT", errorType: "TIMEOUT" });
+      mockStore.getItem.mockReset();
+
+      expect(paymentFlow.nimiqNode.processTransaction).not.toHaveBeenCalled();
+    });
+
+    it("should let an attempt the chain refused be sent again", async () => {
+      paymentFlow.nimiqNode.isReady.mockReturnValue(true);
+      paymentFlow.nimiqNode.processTransaction.mockRejectedValue(new Error("Node unreachable"));
+
+      await expect(executorFor("NIM")({ ...mockTransaction, idempotencyKey: "test-123-1" })).rejects.toThrow(
+        "Node unreachable"
+      );
+
+      expect(mockStore.removeItem).toHaveBeenCalledWith("sending_test-123-1");
+    });
+
+    it("should find attempts sent after all for the queue's status check", async () => {
+      const check = paymentFlow.transactionQueue.registerStatusCheck.mock.calls.find(
+        ([registered]) => registered === "NIM"
+      )[1];
+      mockStore.getItem.mockImplementation(async (key) => (key === "sent_test-123-1" ? { hash: "tx-hash" } : null));
+
+      expect(await check({ ...mockTransaction, idempotencyKey: "test-123-1" })).toEqual({ hash: "tx-hash" });
+      expect(await check({ ...mockTransaction, idempotencyKey: "test-123-2" })).toBeNull();
+      mockStore.getItem.mockReset();
+    });
+
+    it("should create other payments through the backend", async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ type: "address", address: "bc1-test" })
+      });
+
+      const result = await executorFor("BTC")({ ...mockTransaction, currency: "BTC", amount: 0.005 });
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining("action=createPayment"),
+        expect.objectContaining({ method: "POST" })
+      );
+      expect(result).toEqual(
+        expect.objectContaining({ type: "address", address: "bc1-test", currency: "BTC" })
+      );
+    });
+
+    it("should map backend failures to error codes", async () => {
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 503,
+        json: () => Promise.resolve({ error: "Maintenance" })
+      });
+
+      await expect(
+        executorFor("USDC")({ ...mockTransaction, currency: "USDC" })
+      ).rejects.toMatchObject({ code: "NETWORK_ERROR", message: "Maintenance" });
+    });
+
+    it("should record payments and monitor NIM confirmations on success", async () => {
+      await paymentFlow.handleTransactionSuccess({
+        txId: "tx_1",
+        data: mockTransaction,
+        result: { type: "native", hash: "tx-hash", status: "confirming" }
+      });
+
+      expect(mockStore.setItem).toHaveBeenCalledWith(
+        "payment_tx_1",
+        expect.objectContaining({ invoiceId: "test-123", currency: "NIM", paid: 10000000, refunded: 0 })
+      );
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining("updateStatus"),
+        expect.objectContaining({ body: expect.stringContaining("confirming") })
+      );
+      expect(paymentFlow.confirmationMonitor.watch).toHaveBeenCalledWith("tx-hash", "test-123", "NIM", undefined);
+    });
+
+    it("should follow payments matched by another chain in their currency", async () => {
+      const adapter = paymentFlow.currencies.get("BTC");
+      adapter.waitForConfirmations = jest.fn().mockResolvedValue({ status: "confirmed" });
+
+      await paymentFlow.handleIncomingEvent({
+        detail: {
+          type: "incoming:matched",
+          data: { invoiceId: "test-123", hash: "btc-hash", currency: "BTC", amount: 0.001, matchedBy: "address" }
+        }
+      });
+
+      expect(adapter.waitForConfirmations).toHaveBeenCalledWith("btc-hash", expect.any(Object));
+      expect(paymentFlow.confirmationMonitor.watch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Refunds", () => {
+    let payment;
+
+    beforeEach(async () => {
+      useWindowGlobals();
+      await paymentFlow.initialize();
+      payment = {
+        txId: "tx_1",
+        invoiceId: "test-123",
+        currency: "NIM",
+        hash: "tx-hash",
+        paid: 10000000,
+        refunded: 0
+      };
+      mockStore.getItem.mockImplementation((key) =>
+        Promise.resolve(key === "payment_tx_1" ? payment : null)
+      );
+    });
+
+    afterEach(() => {
+      mockStore.getItem.mockReset();
+    });
+
+    const refundExecutor = () =>
+      paymentFlow.transactionQueue.registerRefundExecutor.mock.calls[0][0];
+
+    it("should queue refunds that reference the original payment", async () => {
+      paymentFlow.transactionQueue.queueTransaction.mockResolvedValue("tx_2");
+
+      const result = await paymentFlow.processRefund("tx_1", 50, "Damaged");
+
+      expect(paymentFlow.transactionQueue.queueTransaction).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: "refund",
+          originalTxId: "tx_1",
+          idempotencyKey: expect.stringMatching(/^tx_1-refund-/),
+          currency: "NIM",
+          amount: 50
+        })
+      );
+      expect(result).toEqual({ txId: "tx_2", type: "refund", status: "queued" });
+    });
+
+    it("should give every refund its own idempotency key", async () => {
+      await paymentFlow.processRefund("tx_1", 10);
+      await paymentFlow.processRefund("tx_1", 10);
+
+      const [[first], [second]] = paymentFlow.transactionQueue.queueTransaction.mock.calls;
+      expect(first.idempotencyKey).not.toBe(second.idempotencyKey);
+    });
+
+    it("should reject refunds of unknown payments", async () => {
+      await expect(paymentFlow.processRefund("tx_9")).rejects.toMatchObject({
+        code: "TRANSACTION_NOT_FOUND"
+      });
+    });
+
+    it("should cap refunds at the amount paid and record them", async () => {
+      const result = await refundExecutor()({ originalTxId: "tx_1", amount: 150, reason: "Damaged" });
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining("action=refund"),
+        expect.objectContaining({ body: expect.stringContaining('"amount":100') })
+      );
+      expect(result).toEqual(
+        expect.objectContaining({ amount: 100, capped: true, status: "refunded" })
+      );
+      expect(mockStore.setItem).toHaveBeenCalledWith(
+        "payment_tx_1",
+        expect.objectContaining({ refunded: 10000000 })
+      );
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining("updateStatus"),
+        expect.objectContaining({ body: expect.stringContaining('"status":"refunded"') })
+      );
+    });
+
+    it("should send the refund's idempotency key", async () => {
+      await refundExecutor()({ originalTxId: "tx_1", amount: 40, idempotencyKey: "tx_1-refund-1" });
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining("action=refund"),
+        expect.objectContaining({ body: expect.stringContaining('"idempotency_key":"tx_1-refund-1"') })
+      );
+    });
+
+    it("should refund a payment once at a time", async () => {
+      const results = await Promise.all([
+        refundExecutor()({ originalTxId: "tx_1", amount: 60, idempotencyKey: "tx_1-refund-1" }),
+        refundExecutor()({ originalTxId: "tx_1", amount: 60, idempotencyKey: "tx_1-refund-2" })
+      ]);
+
+      expect(results.map(({ amount, capped }) => ({ amount, capped }))).toEqual([
+        { amount: 60, capped: false },
+        { amount: 40, capped: true }
+      ]);
+      expect(payment.refunded).toBe(payment.paid);
+    });
+
+    it("should track partial refunds", async () => {
+      const result = await refundExecutor()({ originalTxId: "tx_1", amount: 40 });
+
+      expect(result).toEqual(
+        expect.objectContaining({ amount: 40, capped: false, status: "partially_refunded" })
+      );
+      expect(payment.refunded).toBe(4000000);
+    });
+
+    it("should refuse to refund fully refunded payments", async () => {
+      payment.refunded = payment.paid;
+
+      await expect(refundExecutor()({ originalTxId: "tx_1" })).rejects.toMatchObject({
+        code: "VALIDATION_ERROR"
+      });
+    });
+  });
+
+  describe("Confirmation Monitoring", () => {
+    beforeEach(async () => {
+      await paymentFlow.initialize();
+    });
+
+    it("should restore persisted watches on initialization", () => {
+      expect(paymentFlow.confirmationMonitor.restore).toHaveBeenCalled();
+    });
+
+    it("should delegate monitoring to the confirmation monitor", async () => {
+      paymentFlow.confirmationMonitor.watch.mockResolvedValueOnce({ status: "confirmed" });
+
+      const result = await paymentFlow.monitorTransaction("tx-hash", "test-123", "NIM");
+
+      expect(paymentFlow.confirmationMonitor.watch).toHaveBeenCalledWith(
+        "tx-hash",
+        "test-123",
+        "NIM",
+        undefined
+      );
+      expect(result.status).toBe("confirmed");
+    });
+
+    it("should follow ERC-20 confirmations through the chain adapter", async () => {
+      const ethereum = new EthereumProviderSimulator();
+      const customer = ethereum.createAccount("customer");
+      ethereum.mintTokens(DEFAULT_CURRENCIES.USDC.contractAddress, customer, 1000000n);
+      paymentFlow = new PaymentFlowService({ ethereum });
+      const adapter = paymentFlow.currencies.get("USDC");
+      adapter.pollInterval = 0;
+
+      const { hash } = await adapter.sendPayment({
+        invoice: mockInvoice,
+        amount: 1,
+        recipient: "0x2222222222222222222222222222222222222222"
+      });
+      ethereum.mineBlocks(12);
+      const dispatch = jest.spyOn(window, "dispatchEvent");
+
+      const result = await paymentFlow.monitorTransaction(hash, "test-123", "USDC");
+
+      expect(result).toEqual({ status: "confirmed", hash, invoiceId: "test-123", confirmations: 12 });
+      expect(dispatch.mock.calls.map(([event]) => event.detail.type)).toEqual([
+        "monitor:seen",
+        "monitor:confirmation",
+        "monitor:confirmed"
+      ]);
+      expect(paymentFlow.confirmationMonitor.watch).not.toHaveBeenCalled();
+      dispatch.mockRestore();
+    });
+
+    it("should update invoice status from monitor events", async () => {
+      await paymentFlow.handleMonitorEvent({
+        detail: {
+          type: "monitor:confirmed",
+          data: { invoiceId: "test-123", hash: "tx-hash", confirmations: 2 }
+        }
+      });
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining("updateStatus"),
+        expect.objectContaining({
+          body: expect.stringContaining("confirmed")
+        })
+      );
+    });
+
+    it("should tag status updates with the key of the event's attempt", async () => {
+      // A later attempt has started since this payment was sent
+      mockStore.getItem.mockImplementation(async (key) =>
+        key === "attempt_test-123" ? { attempt: 2, idempotencyKey: "test-123-2" } : null
+      );
+
+      await paymentFlow.handleMonitorEvent({
+        detail: {
+          type: "monitor:confirmed",
+          data: { invoiceId: "test-123", hash: "tx-hash", confirmations: 2, idempotencyKey: "test-123-1" }
+        }
+      });
+      await paymentFlow.handleTransactionSuccess({
+        txId: "tx_test-123-1",
+        data: { ...mockTransaction, idempotencyKey: "test-123-1" },
+        result: { hash: "tx-hash", status: "confirming" }
+      });
+      mockStore.getItem.mockReset();
+
+      const keys = fetch.mock.calls
+        .filter(([url]) => url.includes("updateStatus"))
+        .map(([, { body }]) => JSON.parse(body).idempotency_key);
+      expect(keys).toEqual(["test-123-1", "test-123-1"]);
+      expect(backendActions()).toContain("updateStatus");
+    });
+
+    it("should revert confirmed invoices after a reorg", async () => {
+      await paymentFlow.handleMonitorEvent({
+        detail: {
+          type: "monitor:reorged",
+          data: {
+            invoiceId: "test-123",
+            hash: "tx-hash",
+            confirmations: 0,
+            wasConfirmed: true,
+            status: "reverted"
+          }
+        }
+      });
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining("updateStatus"),
+        expect.objectContaining({
+          body: expect.stringContaining("reverted")
+        })
+      );
+      expect(paymentFlow.transactionQueue.emitEvent).toHaveBeenCalledWith(
+        "transaction:reorged",
+        { invoiceId: "test-123", hash: "tx-hash", status: "reverted" }
+      );
+    });
+
+    it("should leave unconfirmed invoices alone on reorg", async () => {
+      await paymentFlow.handleMonitorEvent({
+        detail: {
+          type: "monitor:reorged",
+          data: { invoiceId: "test-123", hash: "tx-hash", wasConfirmed: false }
+        }
+      });
+
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Incoming Payments", () => {
+    beforeEach(async () => {
+      useWindowGlobals();
+      window.nimAddress = "NQ07 0000 0000 0000 0000 0000 0000 0000";
+      await paymentFlow.initialize();
+    });
+
+    it("should receive at the merchant address", async () => {
+      await paymentFlow.startReceiving();
+      await paymentFlow.expectPayment(mockInvoice, 12.5);
+
+      expect(paymentFlow.incomingWatcher.start).toHaveBeenCalledWith(window.nimAddress);
+      expect(paymentFlow.incomingWatcher.expect).toHaveBeenCalledWith("test-123", 12.5);
+    });
+
+    it("should mark matched invoices seen and monitor them", async () => {
+      paymentFlow.confirmationMonitor.watch.mockResolvedValue({ status: "confirmed" });
+
+      await paymentFlow.handleIncomingEvent({
+        detail: {
+          type: "incoming:matched",
+          data: { invoiceId: "test-123", hash: "tx-hash", sender: "NQ01", amount: 12.5, matchedBy: "amount" }
+        }
+      });
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining("updateStatus"),
+        expect.objectContaining({ body: expect.stringContaining('"status":"seen"') })
+      );
+      expect(paymentFlow.confirmationMonitor.watch).toHaveBeenCalledWith("tx-hash", "test-123", "NIM", undefined);
+    });
+  });
+
+  describe("Reconciliation", () => {
+    const reconciliation = (status, difference) => ({
+      invoiceId: "test-123",
+      currency: "NIM",
+      status,
+      expected: 100,
+      received: 100 + difference,
+      difference,
+      payments: [{ hash: "tx-hash", txId: "tx_1", amount: 100 + difference }],
+      excessRefund: null
+    });
+
+    beforeEach(async () => {
+      useWindowGlobals();
+      await paymentFlow.initialize();
+    });
+
+    it("should count sent payments towards their invoice", async () => {
+      paymentFlow.reconciler.recordPayment.mockResolvedValue(reconciliation("paid", 0));
+
+      await paymentFlow.handleTransactionSuccess({
+        txId: "tx_1",
+        data: mockTransaction,
+        result: { type: "native", hash: "tx-hash", status: "confirming" }
+      });
+
+      expect(paymentFlow.reconciler.recordPayment).toHaveBeenCalledWith("test-123", {
+        hash: "tx-hash",
+        amount: 100,
+        currency: "NIM",
+        txId: "tx_1"
+      });
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining("updateStatus"),
+        expect.objectContaining({ body: expect.stringContaining('"status":"paid"') })
+      );
+      expect(paymentFlow.transactionQueue.emitEvent).toHaveBeenCalledWith(
+        "invoice:reconciled",
+        expect.objectContaining({ status: "paid", topUp: null })
+      );
+    });
+
+    it("should offer a top-up for partial payments", async () => {
+      paymentFlow.reconciler.recordPayment.mockResolvedValue(reconciliation("partially_paid", -40));
+      paymentFlow.reconciler.get.mockResolvedValue(reconciliation("partially_paid", -40));
+      paymentFlow.incomingWatcher.address = "NQ07 0000 0000 0000 0000 0000 0000 0000";
+
+      await paymentFlow.reconcilePayment("test-123", { hash: "tx-hash", amount: 60, currency: "NIM" });
+
+      expect(paymentFlow.incomingWatcher.expect).toHaveBeenCalledWith("test-123", 40);
+      expect(paymentFlow.transactionQueue.emitEvent).toHaveBeenCalledWith(
+        "invoice:reconciled",
+        expect.objectContaining({
+          status: "partially_paid",
+          topUp: { invoiceId: "test-123", currency: "NIM", amount: 40, paid: 60 }
+        })
+      );
+    });
+
+    it("should queue a refund of the excess", async () => {
+      paymentFlow.reconciler.get.mockResolvedValue(reconciliation("overpaid", 5));
+      mockStore.getItem.mockImplementation((key) =>
+        Promise.resolve(key === "payment_tx_1" ? { invoiceId: "test-123", currency: "NIM" } : null)
+      );
+      paymentFlow.transactionQueue.queueTransaction.mockResolvedValue("tx_2");
+
+      const refund = await paymentFlow.refundExcess("test-123");
+
+      expect(paymentFlow.transactionQueue.queueTransaction).toHaveBeenCalledWith(
+        expect.objectContaining({ type: "refund", originalTxId: "tx_1", amount: 5, reason: "overpayment" })
+      );
+      expect(paymentFlow.reconciler.recordExcessRefund).toHaveBeenCalledWith("test-123", "tx_2");
+      expect(refund).toEqual(expect.objectContaining({ txId: "tx_2" }));
+      mockStore.getItem.mockReset();
+    });
+
+    it("should refuse to refund invoices that are not overpaid", async () => {
+      paymentFlow.reconciler.get.mockResolvedValue(reconciliation("paid", 0));
+
+      await expect(paymentFlow.refundExcess("test-123")).rejects.toMatchObject({
+        code: "VALIDATION_ERROR"
+      });
+    });
+  });
+
+  describe("Quotes", () => {
+    const quoteFor = (overrides = {}) =>
+      new Quote({
+        id: "q-1",
+        invoiceId: "test-123",
+        fiatAmount: 100,
+        currency: "NIM",
+        rate: 0.001,
+        cryptoAmount: 100000,
+        createdAt: Date.now(),
+        expiresAt: Date.now() + 15 * 60 * 1000,
+        signature: "sig",
+        ...overrides
+      });
+
+    beforeEach(async () => {
+      useWindowGlobals();
+      await paymentFlow.initialize();
+    });
+
+    it("should create quotes through the backend", async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            quote_id: "q-1",
+            invoice_id: "test-123",
+            fiat_amount: "100",
+            fiat_currency: "USD",
+            currency: "NIM",
+            rate: "0.001",
+            crypto_amount: "100000",
+            created_at: 1700000000,
+            expires_at: 1700000900,
+            signature: "sig"
+          })
+      });
+
+      const quote = await paymentFlow.createQuote(mockInvoice, "NIM");
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining("action=createQuote"),
+        expect.objectContaining({ method: "POST" })
+      );
+      expect(quote).toBeInstanceOf(Quote);
+      expect(quote).toEqual(
+        expect.objectContaining({ cryptoAmount: 100000, rate: 0.001, expiresAt: 1700000900000 })
+      );
+    });
+
+    it("should queue the locked amount with the quote", async () => {
+      const quote = quoteFor();
+
+      await paymentFlow.processPayment(mockInvoice, "NIM", undefined, { quote });
+
+      expect(paymentFlow.transactionQueue.queueTransaction).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 100000, quote: quote.toJSON() }),
+        expect.anything()
+      );
+      expect(paymentFlow.reconciler.expect).toHaveBeenCalledWith("test-123", "NIM", 100000);
+    });
+
+    it("should reject amounts that differ from the quote", async () => {
+      await expect(
+        paymentFlow.processPayment(mockInvoice, "NIM", 90000, { quote: quoteFor() })
+      ).rejects.toMatchObject({ code: "VALIDATION_ERROR" });
+      expect(paymentFlow.transactionQueue.queueTransaction).not.toHaveBeenCalled();
+    });
+
+    it("should reject quotes for another invoice", async () => {
+      await expect(
+        paymentFlow.processPayment(mockInvoice, "NIM", 100000, { quote: quoteFor({ invoiceId: "other" }) })
+      ).rejects.toMatchObject({ code: "VALIDATION_ERROR" });
+    });
+
+    it("should reject expired quotes", async () => {
+      const quote = quoteFor({ expiresAt: Date.now() - 1 });
+
+      await expect(
+        paymentFlow.processPayment(mockInvoice, "NIM", 100000, { quote })
+      ).rejects.toMatchObject({ code: "QUOTE_EXPIRED", errorType: "VALIDATION" });
+      expect(paymentFlow.transactionQueue.queueTransaction).not.toHaveBeenCalled();
+    });
+
+    it("should re-quote expired quotes when asked to", async () => {
+      const fresh = quoteFor({ id: "q-2", cryptoAmount: 95000 });
+      jest.spyOn(paymentFlow, "createQuote").mockResolvedValueOnce(fresh);
+
+      await paymentFlow.processPayment(mockInvoice, "NIM", 100000, {
+        quote: quoteFor({ expiresAt: Date.now() - 1 }),
+        requote: true
+      });
+
+      expect(paymentFlow.createQuote).toHaveBeenCalledWith(mockInvoice, "NIM");
+      expect(paymentFlow.transactionQueue.queueTransaction).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 95000, quote: fresh.toJSON() }),
+        expect.anything()
+      );
+    });
+
+    it("should not send payments whose quote expired in the queue", async () => {
+      const executor = paymentFlow.transactionQueue.registerPaymentExecutor.mock.calls.find(
+        ([currency]) => currency === "USDC"
+      )[1];
+      const quote = quoteFor({ currency: "USDC", expiresAt: Date.now() - 1 }).toJSON();
+
+      await expect(
+        executor({ ...mockTransaction, currency: "USDC", quote })
+      ).rejects.toMatchObject({ code: "QUOTE_EXPIRED" });
+      expect(fetch).not.toHaveBeenCalledWith(
+        expect.stringContaining("action=createPayment"),
+        expect.anything()
+      );
+    });
   });
 
   describe("Multi-currency Support", () => {
@@ -0,0 +1,160 @@
+import PaymentRequest from "../PaymentRequest";
+import CurrencyRegistry from "../CurrencyRegistry";
+import Money from "../Money";
+
+const USDC_CONTRACT = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const ETH_ADDRESS = "0x1111111111111111111111111111111111111111";
+
+describe("PaymentRequest", () => {
+  describe("toUri", () => {
+    it("should build Nimiq request links", () => {
+      const request = PaymentRequest.create({
+        currency: "NIM",
+        address: "NQ07 0000 0000 0000 0000 0000 0000 0000 0000",
+        amount: "12.50000",
+        label: "Invoice #42",
+      });
+
+      expect(request.toUri()).toBe(
+        "nimiq:NQ0700000000000000000000000000000000?amount=12.5&message=Invoice%20%2342"
+      );
+    });
+
+    it("should build BIP21 URIs for BTC", () => {
+      const request = PaymentRequest.create({
+        currency: "BTC",
+        address: "bc1qexample",
+        amount: 0.0015,
+        label: "Invoice #42",
+        message: "Thanks & see you",
+      });
+
+      expect(request.toUri()).toBe(
+        "bitcoin:bc1qexample?amount=0.0015&label=Invoice%20%2342&message=Thanks%20%26%20see%20you"
+      );
+    });
+
+    it("should build EIP-681 token transfers in base units", () => {
+      const request = PaymentRequest.create({ currency: "USDC", address: ETH_ADDRESS, amount: "25.5" });
+
+      expect(request.toUri()).toBe(
+        `ethereum:${USDC_CONTRACT}@1/transfer?address=${ETH_ADDRESS}&uint256=25500000`
+      );
+    });
+
+    it("should leave out the amount when there is none", () => {
+      expect(PaymentRequest.create({ currency: "BTC", address: "bc1qexample" }).toUri()).toBe(
+        "bitcoin:bc1qexample"
+      );
+    });
+
+    it("should use the registry's scheme and decimals", () => {
+      const currencies = CurrencyRegistry.fromConfig({
+        LTC: { name: "Litecoin", decimals: 8, uriScheme: "litecoin" },
+      });
+      const request = PaymentRequest.create(
+        { currency: "LTC", address: "ltc1qexample", amount: "0.00000001", label: "Order 7" },
+        { currencies }
+      );
+
+      expect(request.toUri()).toBe("litecoin:ltc1qexample?amount=0.00000001&label=Order%207");
+    });
+  });
+
+  describe("create", () => {
+    it("should reject amounts more precise than the currency", () => {
+      expect(() =>
+        PaymentRequest.create({ currency: "USDC", address: ETH_ADDRESS, amount: "1.0000001" })
+      ).toThrow(expect.objectContaining({ code: "VALIDATION_ERROR" }));
+    });
+
+    it("should reject amounts in another currency", () => {
+      expect(() =>
+        PaymentRequest.create({
+          currency: "BTC",
+          address: "bc1qexample",
+          amount: Money.parse("1", "USDC", { decimals: 6 }),
+        })
+      ).toThrow(expect.objectContaining({ code: "VALIDATION_ERROR" }));
+    });
+
+    it("should reject unknown currencies and missing addresses", () => {
+      expect(() => PaymentRequest.create({ currency: "DOGE", address: "D123" })).toThrow(
+        expect.objectContaining({ code: "UNSUPPORTED_CURRENCY" })
+      );
+      expect(() => PaymentRequest.create({ currency: "BTC", amount: 1 })).toThrow(
+        expect.objectContaining({ code: "VALIDATION_ERROR" })
+      );
+    });
+  });
+
+  describe("parse", () => {
+    it("should parse BIP21 URIs", () => {
+      const request = PaymentRequest.parse("BITCOIN:bc1qexample?amount=0.0015&label=Invoice+%2342");
+
+      expect(request.currency).toBe("BTC");
+      expect(request.address).toBe("bc1qexample");
+      expect(request.amount.units).toBe(150000n);
+      expect(request.label).toBe("Invoice #42");
+    });
+
+    it("should parse Nimiq request links into formatted addresses", () => {
+      const request = PaymentRequest.parse("nimiq:NQ0700000000000000000000000000000000?amount=1.5&message=Hi");
+
+      expect(request.currency).toBe("NIM");
+      expect(request.address).toBe("NQ07 0000 0000 0000 0000 0000 0000 0000 0000");
+      expect(request.amount.units).toBe(150000n);
+      expect(request.message).toBe("Hi");
+    });
+
+    it("should match EIP-681 transfers to a currency by contract", () => {
+      const request = PaymentRequest.parse(
+        `ethereum:${USDC_CONTRACT.toUpperCase().replace("0X", "0x")}@1/transfer?address=${ETH_ADDRESS}&uint256=1500000`
+      );
+
+      expect(request.currency).toBe("USDC");
+      expect(request.address).toBe(ETH_ADDRESS);
+      expect(request.chainId).toBe(1);
+      expect(request.amount.format()).toBe("1.500000");
+    });
+
+    it("should round-trip the URIs it builds", () => {
+      const uris = [
+        "nimiq:NQ0700000000000000000000000000000000?amount=12.5&message=Invoice%20%2342",
+        "bitcoin:bc1qexample?amount=0.0015&label=Invoice%20%2342",
+        `ethereum:${USDC_CONTRACT}@1/transfer?address=${ETH_ADDRESS}&uint256=25500000`,
+      ];
+
+      for (const uri of uris) {
+        expect(PaymentRequest.parse(uri).toUri()).toBe(uri);
+      }
+    });
+
+    it("should reject unknown required parameters", () => {
+      expect(() => PaymentRequest.parse("bitcoin:bc1qexample?req-somethingnew=1")).toThrow(
+        expect.objectContaining({ code: "VALIDATION_ERROR" })
+      );
+    });
+
+    it("should reject unknown schemes and tokens", () => {
+      expect(() => PaymentRequest.parse("dogecoin:D123")).toThrow(
+        expect.objectContaining({ code: "UNSUPPORTED_CURRENCY" })
+      );
+      expect(() => PaymentRequest.parse(`ethereum:${ETH_ADDRESS}/transfer?address=${ETH_ADDRESS}`)).toThrow(
+        expect.objectContaining({ code: "UNSUPPORTED_CURRENCY" })
+      );
+      expect(() => PaymentRequest.parse("not a uri")).toThrow(
+        expect.objectContaining({ code: "VALIDATION_ERROR" })
+      );
+    });
+  });
+
+  it("should encode the URI as a QR code", () => {
+    const request = PaymentRequest.create({ currency: "BTC", address: "bc1qexample", amount: 1 });
+    const qr = request.toQrCode({ errorCorrection: "H" });
+
+    // 28 bytes need version 4 at level H
+    expect(qr.errorCorrection).toBe("H");
+    expect(qr.version).toBe(4);
+  });
+});
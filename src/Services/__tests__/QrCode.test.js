@@ -0,0 +1,97 @@
+import QrCode, { ERROR_CORRECTION } from "../QrCode";
+
+const FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Format information around the top-left finder pattern, unmasked
+function readFormat(qr) {
+  let bits = 0;
+  const read = (x, y, i) => {
+    bits |= (qr.isDark(x, y) ? 1 : 0) << i;
+  };
+  for (let i = 0; i < 6; i++) {
+    read(8, i, i);
+  }
+  read(8, 7, 6);
+  read(8, 8, 7);
+  read(7, 8, 8);
+  for (let i = 9; i < 15; i++) {
+    read(14 - i, 8, i);
+  }
+  return (bits ^ 0x5412) >> 10;
+}
+
+describe("QrCode", () => {
+  it("should pick the smallest version that fits", () => {
+    expect(QrCode.encode("a".repeat(14)).version).toBe(1);
+    expect(QrCode.encode("a".repeat(15)).version).toBe(2);
+    expect(QrCode.encode("a".repeat(15), { errorCorrection: ERROR_CORRECTION.L }).version).toBe(1);
+    expect(QrCode.encode("a", { minVersion: 5 }).version).toBe(5);
+  });
+
+  it("should count UTF-8 bytes", () => {
+    // 7 two-byte characters fill version 1-M
+    expect(QrCode.encode("é".repeat(7)).version).toBe(1);
+    expect(QrCode.encode("é".repeat(8)).version).toBe(2);
+  });
+
+  it("should draw finder patterns in three corners", () => {
+    const qr = QrCode.encode("bitcoin:bc1qexample");
+    const finderAt = (left, top) =>
+      [0, 6].every((i) => qr.isDark(left + i, top) && qr.isDark(left, top + i)) &&
+      qr.isDark(left + 3, top + 3) &&
+      !qr.isDark(left + 1, top + 1);
+
+    expect(qr.size).toBe(qr.version * 4 + 17);
+    expect(finderAt(0, 0)).toBe(true);
+    expect(finderAt(qr.size - 7, 0)).toBe(true);
+    expect(finderAt(0, qr.size - 7)).toBe(true);
+  });
+
+  it("should write the level and chosen mask into the format bits", () => {
+    for (const level of Object.values(ERROR_CORRECTION)) {
+      const qr = QrCode.encode("nimiq:NQ0700000000000000000000000000000000?amount=1", {
+        errorCorrection: level,
+      });
+      expect(readFormat(qr)).toBe((FORMAT_BITS[level] << 3) | qr.mask);
+    }
+  });
+
+  it("should reject text that does not fit", () => {
+    expect(QrCode.encode("a".repeat(2953), { errorCorrection: "L" }).version).toBe(40);
+    expect(() => QrCode.encode("a".repeat(2954), { errorCorrection: "L" })).toThrow(
+      expect.objectContaining({ code: "VALIDATION_ERROR" })
+    );
+    expect(() => QrCode.encode("a".repeat(100), { maxVersion: 3 })).toThrow(
+      expect.objectContaining({ code: "VALIDATION_ERROR" })
+    );
+  });
+
+  it("should reject unknown error correction levels", () => {
+    expect(() => QrCode.encode("a", { errorCorrection: "X" })).toThrow(
+      expect.objectContaining({ code: "VALIDATION_ERROR" })
+    );
+  });
+
+  it("should render an SVG with a quiet zone", () => {
+    const qr = QrCode.encode("hello");
+    const svg = qr.toSvg({ margin: 2, dark: "#123456" });
+
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" viewBox="0 0 25 25"/);
+    expect(svg).toContain("fill=\"#123456\"");
+    // Top-left finder module, offset by the margin
+    expect(svg).toContain("M2,2h1v1h-1z");
+  });
+
+  it("should draw onto a canvas", () => {
+    const qr = QrCode.encode("hello");
+    const context = { fillRect: jest.fn() };
+    const canvas = { getContext: () => context };
+
+    qr.drawCanvas(canvas, { scale: 2, margin: 1 });
+
+    const dark = qr.modules.flat().filter(Boolean).length;
+    expect(canvas.width).toBe((qr.size + 2) * 2);
+    expect(context.fillRect).toHaveBeenCalledTimes(dark + 1);
+    expect(context.fillRect).toHaveBeenCalledWith(2, 2, 2, 2);
+  });
+});
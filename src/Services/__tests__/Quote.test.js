@@ -0,0 +1,42 @@
+import Quote from "../Quote";
+
+describe("Quote", () => {
+  const backendQuote = {
+    quote_id: "q-1",
+    invoice_id: "inv-1",
+    fiat_amount: "10.00",
+    fiat_currency: "USD",
+    currency: "NIM",
+    rate: "0.002",
+    crypto_amount: "5000.0000",
+    created_at: 1700000000,
+    expires_at: 1700000900,
+    signature: "sig",
+  };
+
+  it("should read backend quotes", () => {
+    const quote = Quote.fromBackend(backendQuote);
+
+    expect(quote.toJSON()).toEqual({
+      id: "q-1",
+      invoiceId: "inv-1",
+      fiatAmount: 10,
+      fiatCurrency: "USD",
+      currency: "NIM",
+      rate: 0.002,
+      cryptoAmount: 5000,
+      createdAt: 1700000000000,
+      expiresAt: 1700000900000,
+      signature: "sig",
+    });
+  });
+
+  it("should expire at its expiry time", () => {
+    const quote = Quote.fromBackend(backendQuote);
+
+    expect(quote.isExpired(1700000899999)).toBe(false);
+    expect(quote.isExpired(1700000900000)).toBe(true);
+    expect(quote.getRemainingTime(1700000600000)).toBe(300000);
+    expect(quote.getRemainingTime(1700001000000)).toBe(0);
+  });
+});
@@ -98,6 +98,127 @@ describe("StateManager", () => {
     });
   });
 
+  describe("Transaction Records", () => {
+    // All stores share one mock, so records, index entries and metadata share one map
+    let items;
+
+    beforeEach(() => {
+      items = { device_id: "device_a" };
+      mockStores.transactions.getItem.mockImplementation(async (key) => items[key] ?? null);
+      mockStores.transactions.setItem.mockImplementation(async (key, value) => {
+        items[key] = value;
+      });
+      mockStores.transactions.removeItem.mockImplementation(async (key) => {
+        delete items[key];
+      });
+      mockStores.transactions.iterate.mockImplementation(async (callback) => {
+        Object.entries(items)
+          .filter(([, value]) => value?.metadata)
+          .forEach(([key, value]) => callback(value, key));
+      });
+    });
+
+    afterEach(() => {
+      mockStores.transactions.getItem.mockReset();
+      mockStores.transactions.setItem.mockReset();
+      mockStores.transactions.removeItem.mockReset();
+      mockStores.transactions.iterate.mockReset();
+    });
+
+    it("should read a stored transaction with its id", async () => {
+      await stateManager.storeTransaction("pay_1", { type: "shopify_order", order_id: "1001", status: "pending" });
+
+      const transaction = await stateManager.getTransaction("pay_1");
+
+      expect(transaction).toEqual(
+        expect.objectContaining({ id: "pay_1", type: "shopify_order", order_id: "1001", status: "pending" })
+      );
+      expect(await stateManager.getTransaction("missing")).toBeNull();
+    });
+
+    it("should update fields and bump the version", async () => {
+      await stateManager.storeTransaction("pay_1", { order_id: "1001", status: "pending", amount: 5 });
+      const stored = items.pay_1;
+
+      const updated = await stateManager.updateTransaction("pay_1", { status: "completed", completed_at: 3000 });
+
+      expect(updated).toEqual(
+        expect.objectContaining({ id: "pay_1", status: "completed", completed_at: 3000, amount: 5 })
+      );
+      expect(updated.metadata.version).toBeGreaterThan(stored.metadata.version);
+      expect(updated.metadata.storedAt).toBe(stored.metadata.storedAt);
+      expect(updated.metadata.updatedAt).toBeDefined();
+      expect(stateManager.syncState.pendingChanges.has("pay_1")).toBe(true);
+    });
+
+    it("should queue updates for sync while offline", async () => {
+      await stateManager.storeTransaction("pay_1", { status: "pending" });
+      jest.spyOn(navigator, "onLine", "get").mockReturnValue(false);
+
+      const updated = await stateManager.updateTransaction("pay_1", { status: "queued" });
+
+      expect(mockStores.sync.setItem).toHaveBeenCalledWith(
+        "tx_pay_1",
+        expect.objectContaining({ type: "transaction", action: "store", id: "pay_1", data: expect.objectContaining({ status: "queued" }) })
+      );
+      expect(updated.status).toBe("queued");
+      jest.restoreAllMocks();
+    });
+
+    it("should reject updates of unknown transactions", async () => {
+      await expect(stateManager.updateTransaction("missing", { status: "failed" })).rejects.toMatchObject({
+        code: "TRANSACTION_NOT_FOUND"
+      });
+    });
+
+    it("should query transactions by status and time", async () => {
+      items.a = { status: "pending", metadata: { storedAt: 3000, version: 1 } };
+      items.b = { status: "queued", metadata: { storedAt: 1000, version: 2 } };
+      items.c = { status: "pending", metadata: { storedAt: 2000, version: 3 } };
+      items.d = { status: "completed", metadata: { storedAt: 4000, version: 4 } };
+
+      expect((await stateManager.getPendingTransactions()).map((tx) => tx.id)).toEqual(["c", "a"]);
+      expect((await stateManager.getQueuedTransactions()).map((tx) => tx.id)).toEqual(["b"]);
+      expect((await stateManager.getTransactionsByStatus(["queued", "completed"])).map((tx) => tx.id)).toEqual([
+        "b",
+        "d"
+      ]);
+      expect((await stateManager.getTransactionsInRange(2000, 3000)).map((tx) => tx.id)).toEqual(["c", "a"]);
+      expect(
+        (await stateManager.queryTransactions({ status: "pending", from: 2500 })).map((tx) => tx.id)
+      ).toEqual(["a"]);
+    });
+
+    it("should find transactions by order and invoice", async () => {
+      await stateManager.storeTransaction("pay_1", { order_id: "1001", status: "failed" });
+      await stateManager.storeTransaction("pay_2", { order_id: "1001", status: "pending" });
+      await stateManager.storeTransaction("pay_3", { invoice: { id_invoice: 42 }, status: "pending" });
+
+      expect((await stateManager.getTransactionsByOrder("1001")).map((tx) => tx.id)).toEqual(["pay_1", "pay_2"]);
+      expect((await stateManager.getTransactionsByInvoice(42)).map((tx) => tx.id)).toEqual(["pay_3"]);
+      expect(await stateManager.getTransactionsByOrder("2002")).toEqual([]);
+    });
+
+    it("should move index entries when the reference changes", async () => {
+      await stateManager.storeTransaction("pay_1", { order_id: "1001", status: "pending" });
+
+      await stateManager.updateTransaction("pay_1", { order_id: "1002" });
+
+      expect(items.order_1001).toBeUndefined();
+      expect((await stateManager.getTransactionsByOrder("1002")).map((tx) => tx.id)).toEqual(["pay_1"]);
+    });
+
+    it("should drop pruned transactions from the index", async () => {
+      items.old = { order_id: "1001", metadata: { storedAt: Date.now() - 48 * 60 * 60 * 1000, version: 1 } };
+      items.order_1001 = ["old"];
+
+      await stateManager.pruneOldData();
+
+      expect(items.old).toBeUndefined();
+      expect(items.order_1001).toBeUndefined();
+    });
+  });
+
   describe("Balance Caching", () => {
     it("should cache balance with TTL", async () => {
       const currency = "NIM";
@@ -198,6 +319,144 @@ describe("StateManager", () => {
     });
   });
 
+  describe("Backend Sync", () => {
+    const queue = (pending) => {
+      mockStores.sync.iterate.mockImplementation((callback) => {
+        pending.forEach((item) => callback(item, item.key));
+      });
+    };
+    const respond = (...bodies) => {
+      bodies.forEach((body) =>
+        fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(body) })
+      );
+    };
+    const bodyOf = (call) => JSON.parse(fetch.mock.calls[call][1].body);
+    // All stores share one mock, so their items share one map
+    let items;
+
+    beforeEach(() => {
+      items = { device_id: "device_a", last_sync: 1000 };
+      mockStores.sync.iterate.mockReset();
+      mockStores.metadata.getItem.mockImplementation(async (key) => items[key]);
+    });
+
+    afterEach(() => {
+      mockStores.metadata.getItem.mockReset();
+    });
+
+    it("should push pending changes in batches with their versions", async () => {
+      const pending = Array.from({ length: 60 }, (_, i) => ({
+        key: `tx_${i}`,
+        type: "transaction",
+        action: "store",
+        id: `${i}`,
+        data: { amount: i, metadata: { version: i + 1, serverVersion: 3 } }
+      }));
+      queue(pending);
+      respond({ accepted: [] }, { accepted: [] }, { changes: [], server_time: 2000 });
+
+      await stateManager.syncPendingChanges();
+
+      expect(fetch.mock.calls.map(([url]) => url.split("action=")[1])).toEqual([
+        "syncPush",
+        "syncPush",
+        "syncPull"
+      ]);
+      expect(bodyOf(0).changes).toHaveLength(50);
+      expect(bodyOf(1)).toEqual({
+        device_id: "device_a",
+        changes: expect.arrayContaining([
+          expect.objectContaining({ key: "tx_59", id: "59", version: 60, base_version: 3 })
+        ])
+      });
+      expect(mockStores.sync.removeItem).toHaveBeenCalledTimes(60);
+    });
+
+    it("should record the backend's version of accepted changes", async () => {
+      queue([{ key: "tx_1", type: "transaction", action: "store", id: "1", data: { metadata: { version: 7 } } }]);
+      items["1"] = { amount: 5, metadata: { version: 7 } };
+      respond({ accepted: [{ key: "tx_1", version: 4 }] }, { changes: [], server_time: 2000 });
+
+      await stateManager.syncPendingChanges();
+
+      expect(mockStores.transactions.setItem).toHaveBeenCalledWith("1", {
+        amount: 5,
+        metadata: { version: 7, serverVersion: 4 }
+      });
+    });
+
+    it("should turn conflict responses into sync conflicts", async () => {
+      queue([
+        { key: "tx_1", type: "transaction", action: "store", id: "1", data: { status: "pending" } },
+        { key: "tx_2", type: "transaction", action: "store", id: "2", data: { status: "pending" } }
+      ]);
+      respond(
+        {
+          accepted: [],
+          conflicts: [{ key: "tx_1", remote_data: { status: "confirmed" }, remote_version: 2, remote_device_id: "device_b" }]
+        },
+        { changes: [], server_time: 2000 }
+      );
+
+      await stateManager.syncPendingChanges();
+
+      expect(mockStores.metadata.setItem).toHaveBeenCalledWith(
+        "conflict_tx_1",
+        expect.objectContaining({ local: { status: "pending" }, remote: { status: "confirmed" }, resolved: false })
+      );
+      expect(stateManager.getSyncStatus().conflicts.map(([key]) => key)).toEqual(["tx_1"]);
+      expect(mockStores.sync.removeItem).toHaveBeenCalledWith("tx_2");
+    });
+
+    it("should pull changes since the last sync on the backend's clock", async () => {
+      queue([]);
+      respond(
+        {
+          changes: [{ type: "transaction", id: "9", data: { amount: 3 }, version: 5, device_id: "device_b" }],
+          server_time: 2000,
+          has_more: true
+        },
+        { changes: [], server_time: 2500 }
+      );
+
+      await stateManager.syncPendingChanges();
+
+      expect(bodyOf(0)).toEqual({ device_id: "device_a", since: 1000 });
+      expect(bodyOf(1)).toEqual({ device_id: "device_a", since: 2000 });
+      expect(mockStores.transactions.setItem).toHaveBeenCalledWith("9", {
+        amount: 3,
+        metadata: expect.objectContaining({ deviceId: "device_b", serverVersion: 5 })
+      });
+      expect(mockStores.metadata.setItem).toHaveBeenCalledWith("last_sync", 2500);
+      expect(stateManager.getSyncStatus().lastSync).toBe(2500);
+    });
+
+    it("should sync as the registered terminal", async () => {
+      window.npDeviceId = "pos-1";
+      window.npDeviceKey = "secret";
+      queue([]);
+      respond({ changes: [], server_time: 2000 });
+
+      await stateManager.syncPendingChanges();
+
+      expect(bodyOf(0)).toEqual({ device_id: "pos-1", since: 1000 });
+      expect(fetch.mock.calls[0][1].headers).toMatchObject({
+        "X-Nimipay-Device": "pos-1",
+        "X-Nimipay-Key": "secret"
+      });
+    });
+
+    it("should keep changes queued while the backend is unreachable", async () => {
+      queue([{ key: "tx_1", type: "transaction", action: "store", id: "1", data: {} }]);
+      fetch.mockRejectedValueOnce(new Error("Failed to fetch"));
+
+      await stateManager.syncPendingChanges();
+
+      expect(mockStores.sync.removeItem).not.toHaveBeenCalled();
+      expect(stateManager.getSyncStatus().lastSync).toBeNull();
+    });
+  });
+
   describe("Conflict Resolution", () => {
     it("should handle sync conflicts", async () => {
       const conflictItem = {
@@ -231,6 +490,91 @@ describe("StateManager", () => {
     });
   });
 
+  describe("Conflict Strategies", () => {
+    const older = { status: "confirmed", amount: 100, metadata: { storedAt: 1000, version: 2 } };
+    const newer = { status: "pending", memo: "edited", metadata: { storedAt: 2000, version: 5 } };
+
+    const conflictOn = (local, remote) =>
+      stateManager.handleSyncConflict(
+        { key: "tx_1", type: "transaction", id: "1", data: local },
+        { name: "ConflictError", remoteData: remote, data: { remoteVersion: 3, remoteDeviceId: "device_b" } }
+      );
+
+    it("should let the last writer win and push the result", async () => {
+      await conflictOn(newer, older);
+
+      const resolved = await stateManager.resolveConflict("tx_1", "last-writer-wins");
+
+      expect(resolved).toEqual(expect.objectContaining({ status: "pending", memo: "edited" }));
+      expect(resolved.metadata.serverVersion).toBe(3);
+      expect(mockStores.transactions.setItem).toHaveBeenCalledWith("1", resolved);
+      expect(mockStores.sync.setItem).toHaveBeenCalledWith(
+        "tx_1",
+        expect.objectContaining({ type: "transaction", action: "store", id: "1", data: resolved })
+      );
+      expect(mockStores.metadata.setItem).toHaveBeenCalledWith(
+        "conflict_tx_1",
+        expect.objectContaining({ resolved: true, resolution: expect.objectContaining({ strategy: "last-writer-wins" }) })
+      );
+      expect(fetch).toHaveBeenCalledWith(expect.stringContaining("action=syncPull"), expect.anything());
+      expect(stateManager.getSyncStatus().conflicts).toEqual([]);
+    });
+
+    it("should keep the backend's record when the server wins", async () => {
+      await conflictOn(newer, older);
+
+      const resolved = await stateManager.resolveConflict("tx_1", "server-wins");
+
+      expect(resolved).toEqual(expect.objectContaining({ status: "confirmed", amount: 100 }));
+      expect(mockStores.sync.setItem).not.toHaveBeenCalledWith("tx_1", expect.anything());
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it("should merge fields and keep the furthest status", async () => {
+      await conflictOn(newer, older);
+
+      const resolved = await stateManager.resolveConflict("tx_1", "merge");
+
+      expect(resolved).toEqual(expect.objectContaining({ status: "confirmed", amount: 100, memo: "edited" }));
+    });
+
+    it("should use registered resolvers", async () => {
+      const resolver = jest.fn((local, remote) => ({ ...remote, note: "checked" }));
+      stateManager.registerConflictResolver("review", resolver);
+      await conflictOn(newer, older);
+
+      const resolved = await stateManager.resolveConflict("tx_1", "review");
+
+      expect(resolver).toHaveBeenCalledWith(newer, older, expect.objectContaining({ key: "tx_1" }));
+      expect(resolved.note).toBe("checked");
+      await expect(stateManager.resolveConflict("tx_1", "review")).rejects.toMatchObject({
+        code: "VALIDATION_ERROR"
+      });
+    });
+
+    it("should reject unknown strategies", async () => {
+      await conflictOn(newer, older);
+
+      await expect(stateManager.resolveConflict("tx_1", "coin-flip")).rejects.toMatchObject({
+        code: "CONFIGURATION_ERROR"
+      });
+      expect(() => stateManager.registerConflictResolver("broken", "server-wins")).toThrow();
+    });
+
+    it("should list unresolved conflicts from storage", async () => {
+      mockStores.metadata.iterate.mockImplementation((callback) => {
+        callback({ local: {}, remote: {}, timestamp: 2, resolved: false }, "conflict_tx_2");
+        callback({ local: {}, remote: {}, timestamp: 1, resolved: false }, "conflict_tx_1");
+        callback({ resolved: true, timestamp: 0 }, "conflict_tx_0");
+        callback("device_a", "device_id");
+      });
+
+      const conflicts = await stateManager.getUnresolvedConflicts();
+
+      expect(conflicts.map((conflict) => conflict.key)).toEqual(["tx_1", "tx_2"]);
+    });
+  });
+
   describe("Storage Management", () => {
     it("should monitor storage quota", async () => {
       // Mock high storage usage
@@ -0,0 +1,197 @@
+/**
+ * @jest-environment node
+ */
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { MemoryBackend, MemoryWebStorage, storeId } from "../StorageBackends";
+import FileStorageBackend from "../FileStorageBackend";
+import SqliteStorageBackend from "../SqliteStorageBackend";
+
+// node:sqlite ships with Node 22.5 and later
+let DatabaseSync = null;
+try {
+  ({ DatabaseSync } = require("node:sqlite"));
+} catch {
+  // older Node: the SQLite tests are skipped
+}
+
+describe("Storage backends", () => {
+  describe("MemoryBackend", () => {
+    let backend;
+
+    beforeEach(() => {
+      backend = new MemoryBackend();
+    });
+
+    it("should share records between instances of the same store", async () => {
+      const store = backend.createInstance({ name: "nimipay-transactions", storeName: "transactions" });
+      await store.setItem("tx_1", { amount: 5 });
+
+      const same = backend.createInstance({ name: "nimipay-transactions", storeName: "transactions" });
+      const other = backend.createInstance({ name: "nimipay-transactions", storeName: "balances" });
+
+      expect(await same.getItem("tx_1")).toEqual({ amount: 5 });
+      expect(await other.getItem("tx_1")).toBeNull();
+    });
+
+    it("should copy records in and out", async () => {
+      const store = backend.createInstance({ name: "nimipay-transactions" });
+      const record = { amount: 5 };
+      await store.setItem("tx_1", record);
+      record.amount = 6;
+      (await store.getItem("tx_1")).amount = 7;
+
+      expect(await store.getItem("tx_1")).toEqual({ amount: 5 });
+    });
+
+    it("should stop iterating when the callback returns a value", async () => {
+      const store = backend.createInstance({ name: "nimipay-transactions" });
+      await store.setItem("a", 1);
+      await store.setItem("b", 2);
+      await store.setItem("c", 3);
+      const seen = [];
+
+      const result = await store.iterate((value, key) => {
+        seen.push(key);
+        return value === 2 ? "found" : undefined;
+      });
+
+      expect(result).toBe("found");
+      expect(seen).toEqual(["a", "b"]);
+      expect(await store.keys()).toEqual(["a", "b", "c"]);
+      expect(await store.length()).toBe(3);
+    });
+
+    it("should remove and clear records", async () => {
+      const store = backend.createInstance({ name: "nimipay-transactions" });
+      await store.setItem("a", 1);
+      await store.setItem("b", 2);
+
+      await store.removeItem("a");
+      expect(await store.keys()).toEqual(["b"]);
+
+      await store.clear();
+      expect(await store.length()).toBe(0);
+    });
+  });
+
+  describe("MemoryWebStorage", () => {
+    it("should store strings like Web Storage", () => {
+      const storage = new MemoryWebStorage();
+      storage.setItem("np_version", 3);
+
+      expect(storage.getItem("np_version")).toBe("3");
+      expect(storage.getItem("missing")).toBeNull();
+      expect(storage.key(0)).toBe("np_version");
+      expect(storage.length).toBe(1);
+    });
+  });
+
+  it("should default to localforage's database and store names", () => {
+    expect(storeId({})).toBe("localforage/keyvaluepairs");
+    expect(storeId({ name: "nimipay-monitor" })).toBe("nimipay-monitor/keyvaluepairs");
+  });
+
+  describe("FileStorageBackend", () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), "nimipay-storage-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it("should keep records across restarts", async () => {
+      const store = new FileStorageBackend(directory).createInstance({
+        name: "nimipay-transactions",
+        storeName: "transactions",
+      });
+      await store.setItem("tx_1", { amount: 5 });
+      await store.setItem("tx_2", { amount: 6 });
+      await store.removeItem("tx_2");
+
+      const restarted = new FileStorageBackend(directory).createInstance({
+        name: "nimipay-transactions",
+        storeName: "transactions",
+      });
+
+      expect(await restarted.getItem("tx_1")).toEqual({ amount: 5 });
+      expect(await restarted.keys()).toEqual(["tx_1"]);
+      expect(fs.readdirSync(directory)).toEqual(["nimipay-transactions%2Ftransactions.json"]);
+    });
+
+    it("should keep Web Storage across restarts", () => {
+      new FileStorageBackend(directory).createWebStorage().setItem("np_storage_keyring", "{}");
+
+      const storage = new FileStorageBackend(directory).createWebStorage();
+
+      expect(storage.getItem("np_storage_keyring")).toBe("{}");
+      expect(storage.length).toBe(1);
+    });
+  });
+
+  (DatabaseSync ? describe : describe.skip)("SqliteStorageBackend", () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), "nimipay-sqlite-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it("should keep records across restarts", async () => {
+      const file = path.join(directory, "nimipay.db");
+      const db = new DatabaseSync(file);
+      const store = new SqliteStorageBackend(db).createInstance({
+        name: "nimipay-transactions",
+        storeName: "transactions",
+      });
+      await store.setItem("tx_1", { amount: 5 });
+      await store.setItem("tx_2", { amount: 6 });
+      await store.removeItem("tx_2");
+      db.close();
+
+      const reopened = new DatabaseSync(file);
+      const restarted = new SqliteStorageBackend(reopened).createInstance({
+        name: "nimipay-transactions",
+        storeName: "transactions",
+      });
+
+      expect(await restarted.getItem("tx_1")).toEqual({ amount: 5 });
+      expect(await restarted.keys()).toEqual(["tx_1"]);
+      reopened.close();
+    });
+
+    it("should keep stores apart and stop iterating on a value", async () => {
+      const db = new DatabaseSync(":memory:");
+      const backend = new SqliteStorageBackend(db);
+      const store = backend.createInstance({ name: "nimipay-transactions" });
+      const other = backend.createInstance({ name: "nimipay-monitor" });
+      await store.setItem("a", 1);
+      await store.setItem("b", 2);
+      await store.setItem("c", 3);
+      await other.setItem("a", "other");
+      const seen = [];
+
+      const result = await store.iterate((value, key) => {
+        seen.push(key);
+        return value === 2 ? "found" : undefined;
+      });
+
+      expect(result).toBe("found");
+      expect(seen).toEqual(["a", "b"]);
+      expect(await store.length()).toBe(3);
+      expect(await other.getItem("a")).toBe("other");
+
+      await store.clear();
+      expect(await store.length()).toBe(0);
+      expect(await other.length()).toBe(1);
+      db.close();
+    });
+  });
+});
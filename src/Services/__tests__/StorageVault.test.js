@@ -0,0 +1,207 @@
+import StorageVault from "../StorageVault";
+import localforage from "localforage";
+import { webcrypto } from "crypto";
+import { TextEncoder, TextDecoder } from "util";
+
+// In-memory localforage: one instance per name and store name
+jest.mock("localforage", () => {
+  const databases = new Map();
+  const open = ({ name, storeName = "keyvaluepairs" }) => {
+    const id = `${name}/${storeName}`;
+    if (!databases.has(id)) {
+      databases.set(id, create(new Map()));
+    }
+    return databases.get(id);
+  };
+  const create = (items) => {
+    return {
+      getItem: jest.fn(async (key) => (items.has(key) ? items.get(key) : null)),
+      setItem: jest.fn(async (key, value) => {
+        items.set(key, value);
+        return value;
+      }),
+      removeItem: jest.fn(async (key) => items.delete(key)),
+      iterate: jest.fn(async (callback) => {
+        for (const [key, value] of items) {
+          const result = callback(value, key);
+          if (result !== undefined) {
+            return result;
+          }
+        }
+      }),
+      clear: jest.fn(async () => items.clear()),
+      keys: jest.fn(async () => [...items.keys()]),
+      length: jest.fn(async () => items.size),
+    };
+  };
+  return { createInstance: jest.fn(open), databases };
+});
+
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+describe("StorageVault", () => {
+  let vault;
+  let keyStorage;
+  let raw;
+  let store;
+
+  beforeEach(() => {
+    localforage.databases.clear();
+    const keys = new Map();
+    keyStorage = {
+      getItem: (key) => (keys.has(key) ? keys.get(key) : null),
+      setItem: (key, value) => keys.set(key, value),
+    };
+    vault = new StorageVault({ crypto: webcrypto, keyStorage });
+    store = vault.createInstance({ name: "nimipay-transactions", storeName: "transactions" });
+    raw = localforage.createInstance({ name: "nimipay-transactions", storeName: "transactions" });
+  });
+
+  const keyring = () => JSON.parse(keyStorage.getItem("np_storage_keyring"));
+
+  it("should store plaintext until encryption is enabled", async () => {
+    await store.setItem("tx_1", { email: "customer@example.com" });
+
+    expect(vault.enabled).toBe(false);
+    expect(vault.locked).toBe(false);
+    expect(await raw.getItem("tx_1")).toEqual({ email: "customer@example.com" });
+    expect(await store.getItem("tx_1")).toEqual({ email: "customer@example.com" });
+  });
+
+  it("should encrypt existing and new records once enabled", async () => {
+    await store.setItem("tx_1", { email: "customer@example.com" });
+
+    await vault.enable("482913");
+    await store.setItem("tx_2", { amount: 5 });
+
+    const stored = [await raw.getItem("tx_1"), await raw.getItem("tx_2")];
+    stored.forEach((record) => {
+      expect(record).toEqual(expect.objectContaining({ nimipayEncrypted: 1, kid: keyring().current }));
+      expect(JSON.stringify(record)).not.toContain("customer");
+    });
+    expect(await store.getItem("tx_1")).toEqual({ email: "customer@example.com" });
+    expect(await store.getItem("tx_2")).toEqual({ amount: 5 });
+  });
+
+  it("should refuse short PINs", async () => {
+    await expect(vault.enable("1234")).rejects.toMatchObject({ code: "VALIDATION_ERROR" });
+    expect(vault.enabled).toBe(false);
+  });
+
+  it("should lock the stores until unlocked with the PIN", async () => {
+    const listener = jest.fn();
+    vault.on("locked", listener);
+    await vault.enable("482913");
+    await store.setItem("tx_1", { amount: 5 });
+
+    vault.lock();
+
+    expect(vault.locked).toBe(true);
+    expect(listener).toHaveBeenCalled();
+    await expect(store.getItem("tx_1")).rejects.toMatchObject({ code: "STORAGE_LOCKED" });
+    await expect(store.setItem("tx_2", {})).rejects.toMatchObject({ code: "STORAGE_LOCKED" });
+    await expect(vault.unlock("000000")).rejects.toMatchObject({ code: "AUTH_FAILED" });
+
+    await vault.unlock("482913");
+
+    expect(vault.locked).toBe(false);
+    expect(await store.getItem("tx_1")).toEqual({ amount: 5 });
+  });
+
+  it("should decrypt records while iterating", async () => {
+    await vault.enable("482913");
+    await store.setItem("a", { n: 1 });
+    await store.setItem("b", { n: 2 });
+    const seen = [];
+
+    const result = await store.iterate((value, key) => {
+      seen.push([key, value]);
+      return value.n === 2 ? "stop" : undefined;
+    });
+
+    expect(seen).toEqual([
+      ["a", { n: 1 }],
+      ["b", { n: 2 }],
+    ]);
+    expect(result).toBe("stop");
+  });
+
+  it("should rotate the data key and the PIN", async () => {
+    const listener = jest.fn();
+    vault.on("rotated", listener);
+    await vault.enable("482913");
+    await store.setItem("tx_1", { amount: 5 });
+    const oldKid = keyring().current;
+
+    const kid = await vault.rotateKey("731904");
+
+    expect(kid).not.toBe(oldKid);
+    expect(Object.keys(keyring().keys)).toEqual([kid]);
+    expect((await raw.getItem("tx_1")).kid).toBe(kid);
+    expect(listener).toHaveBeenCalledWith({ kid });
+
+    vault.lock();
+    await expect(vault.unlock("482913")).rejects.toMatchObject({ code: "AUTH_FAILED" });
+    await vault.unlock("731904");
+    expect(await store.getItem("tx_1")).toEqual({ amount: 5 });
+  });
+
+  it("should keep records written during a rotation", async () => {
+    await vault.enable("482913");
+    await store.setItem("tx_1", { amount: 5 });
+    await store.setItem("tx_2", { amount: 6 });
+    const write = raw.setItem.getMockImplementation();
+    // Another writer updates tx_2 while the rotation rewrites tx_1
+    raw.setItem.mockImplementationOnce(async (key, value) => {
+      await store.setItem("tx_2", { amount: 9 });
+      return write(key, value);
+    });
+
+    const kid = await vault.rotateKey();
+
+    expect((await raw.getItem("tx_2")).kid).toBe(kid);
+    expect(await store.getItem("tx_1")).toEqual({ amount: 5 });
+    expect(await store.getItem("tx_2")).toEqual({ amount: 9 });
+  });
+
+  it("should finish an interrupted rotation on unlock", async () => {
+    await vault.enable("482913");
+    await store.setItem("tx_1", { amount: 5 });
+    await store.setItem("tx_2", { amount: 6 });
+    raw.setItem.mockRejectedValueOnce(new Error("QuotaExceededError"));
+
+    await expect(vault.rotateKey()).rejects.toThrow("QuotaExceededError");
+    expect(Object.keys(keyring().keys)).toHaveLength(2);
+
+    vault.lock();
+    await vault.unlock("482913");
+
+    const { current, keys } = keyring();
+    expect(Object.keys(keys)).toEqual([current]);
+    expect((await raw.getItem("tx_1")).kid).toBe(current);
+    expect((await raw.getItem("tx_2")).kid).toBe(current);
+    expect(await store.getItem("tx_1")).toEqual({ amount: 5 });
+  });
+
+  it("should accept a non-extractable CryptoKey instead of a PIN", async () => {
+    const key = await webcrypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+    await vault.enable(key);
+    await store.setItem("tx_1", { amount: 5 });
+    vault.lock();
+
+    await expect(vault.unlock("482913")).rejects.toMatchObject({ code: "AUTH_FAILED" });
+    await vault.unlock(key);
+
+    expect(await store.getItem("tx_1")).toEqual({ amount: 5 });
+  });
+
+  it("should reject tampered records", async () => {
+    await vault.enable("482913");
+    await store.setItem("tx_1", { amount: 5 });
+    const record = await raw.getItem("tx_1");
+    await raw.setItem("tx_1", { ...record, data: record.data.replace(/^./, (c) => (c === "A" ? "B" : "A")) });
+
+    await expect(store.getItem("tx_1")).rejects.toMatchObject({ code: "DECRYPTION_FAILED" });
+  });
+});
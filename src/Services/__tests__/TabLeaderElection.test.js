@@ -0,0 +1,237 @@
+import TabLeaderElection from "../TabLeaderElection";
+
+// BroadcastChannel delivering to every other channel of the same name
+class FakeBroadcastChannel {
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    FakeBroadcastChannel.channels.add(this);
+  }
+
+  postMessage(data) {
+    for (const channel of FakeBroadcastChannel.channels) {
+      if (channel !== this && channel.name === this.name) {
+        setTimeout(() => channel.onmessage && channel.onmessage({ data }), 0);
+      }
+    }
+  }
+
+  close() {
+    FakeBroadcastChannel.channels.delete(this);
+  }
+}
+FakeBroadcastChannel.channels = new Set();
+
+// Web Locks granting each lock to one request at a time, in request order
+const createLockManager = () => {
+  const waiting = [];
+  let held = false;
+  const grantNext = () => {
+    if (held || waiting.length === 0) {
+      return;
+    }
+    held = true;
+    const callback = waiting.shift();
+    Promise.resolve(callback()).then(() => {
+      held = false;
+      grantNext();
+    });
+  };
+  return {
+    request: jest.fn((name, callback) => {
+      waiting.push(callback);
+      grantNext();
+    }),
+  };
+};
+
+describe("TabLeaderElection", () => {
+  let tabs;
+
+  const openTab = (id) => {
+    const tab = new TabLeaderElection("nimipay-test");
+    tab.id = id;
+    tab.start();
+    tabs.push(tab);
+    return tab;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    FakeBroadcastChannel.channels.clear();
+    global.BroadcastChannel = FakeBroadcastChannel;
+    tabs = [];
+  });
+
+  afterEach(() => {
+    tabs.forEach((tab) => tab.stop());
+    delete global.BroadcastChannel;
+    jest.useRealTimers();
+  });
+
+  describe("BroadcastChannel", () => {
+    it("should elect a single tab on its own", () => {
+      const tab = openTab("a");
+      const listener = jest.fn();
+      tab.on("leadership", listener);
+
+      jest.advanceTimersByTime(1000);
+      expect(tab.isLeader).toBe(false);
+
+      jest.advanceTimersByTime(300);
+      expect(tab.isLeader).toBe(true);
+      expect(listener).toHaveBeenCalledWith({ isLeader: true });
+    });
+
+    it("should let the lower tab ID win competing claims", () => {
+      const b = openTab("b");
+      const a = openTab("a");
+
+      jest.advanceTimersByTime(1500);
+
+      expect(a.isLeader).toBe(true);
+      expect(b.isLeader).toBe(false);
+      expect(b.leaderId).toBe("a");
+    });
+
+    it("should keep the running leader when a new tab opens", () => {
+      const b = openTab("b");
+      jest.advanceTimersByTime(1500);
+
+      const a = openTab("a");
+      jest.advanceTimersByTime(5000);
+
+      expect(b.isLeader).toBe(true);
+      expect(a.isLeader).toBe(false);
+      expect(a.leaderId).toBe("b");
+    });
+
+    it("should hand over when the leader resigns", () => {
+      const a = openTab("a");
+      const b = openTab("b");
+      jest.advanceTimersByTime(1500);
+
+      a.stop();
+      jest.advanceTimersByTime(400);
+
+      expect(a.isLeader).toBe(false);
+      expect(b.isLeader).toBe(true);
+    });
+
+    it("should take over when the leader goes silent", () => {
+      const a = openTab("a");
+      const b = openTab("b");
+      jest.advanceTimersByTime(1500);
+
+      // Simulate a crashed tab: no resign, no more heartbeats
+      a.timers.forEach((timer) => clearInterval(timer));
+      a.channel.close();
+
+      jest.advanceTimersByTime(3000);
+      expect(b.isLeader).toBe(false);
+
+      jest.advanceTimersByTime(1300);
+      expect(b.isLeader).toBe(true);
+    });
+
+    it("should deliver messages to the other tabs", () => {
+      const a = openTab("a");
+      const b = openTab("b");
+      const listener = jest.fn();
+      b.on("message", listener);
+      a.on("message", listener);
+
+      a.postMessage({ kind: "event" });
+      jest.advanceTimersByTime(0);
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith({ kind: "event" });
+    });
+  });
+
+  describe("Web Locks", () => {
+    beforeEach(() => {
+      navigator.locks = createLockManager();
+    });
+
+    afterEach(() => {
+      delete navigator.locks;
+    });
+
+    it("should lead only while holding the lock, whatever the timers do", async () => {
+      const a = openTab("a");
+      const b = openTab("b");
+
+      // A throttled leader misses every heartbeat
+      jest.advanceTimersByTime(10000);
+      expect(a.isLeader).toBe(true);
+      expect(b.isLeader).toBe(false);
+
+      a.stop();
+      await Promise.resolve();
+      await Promise.resolve();
+      expect(b.isLeader).toBe(true);
+    });
+
+    it("should not lead when stopped before the lock is granted", async () => {
+      const a = openTab("a");
+      const b = openTab("b");
+      const c = openTab("c");
+
+      b.stop();
+      a.stop();
+      await Promise.resolve();
+      await Promise.resolve();
+      await Promise.resolve();
+
+      expect(b.isLeader).toBe(false);
+      expect(c.isLeader).toBe(true);
+    });
+
+    it("should still deliver messages over the channel", () => {
+      const a = openTab("a");
+      const b = openTab("b");
+      const listener = jest.fn();
+      b.on("message", listener);
+
+      a.postMessage({ kind: "event" });
+      jest.advanceTimersByTime(0);
+
+      expect(listener).toHaveBeenCalledWith({ kind: "event" });
+    });
+  });
+
+  describe("Fallbacks", () => {
+    beforeEach(() => {
+      delete global.BroadcastChannel;
+    });
+
+    afterEach(() => {
+      delete navigator.locks;
+    });
+
+    it("should lead while holding the Web Lock", async () => {
+      let held;
+      navigator.locks = {
+        request: jest.fn((name, callback) => {
+          held = callback();
+          return held;
+        }),
+      };
+
+      const tab = openTab("a");
+
+      expect(navigator.locks.request).toHaveBeenCalledWith("nimipay-test", expect.any(Function));
+      expect(tab.isLeader).toBe(true);
+
+      tab.stop();
+      await expect(held).resolves.toBeUndefined();
+      expect(tab.isLeader).toBe(false);
+    });
+
+    it("should lead alone without either API", () => {
+      const tab = openTab("a");
+      expect(tab.isLeader).toBe(true);
+    });
+  });
+});
@@ -1,4 +1,5 @@
 import TransactionQueueService from "../TransactionQueueService";
+import { NimipayError, InsufficientBalanceError, FeeTooLowError } from "../errors";
 import localforage from "localforage";
 
 // Mock localforage
@@ -61,6 +62,8 @@ describe("TransactionQueueService", () => {
     });
 
     it("should process queued transactions in order", async () => {
+      // Keep the first payment in flight so both stay queued
+      queueService.registerPaymentExecutor("NIM", () => new Promise(() => {}));
       const tx1 = { ...mockTransaction, amount: 100 };
       const tx2 = { ...mockTransaction, amount: 200 };
       
@@ -88,6 +91,110 @@ describe("TransactionQueueService", () => {
       
       expect(newService.queue).toEqual(storedQueue);
     });
+
+    it("should refuse amounts more precise than the currency", async () => {
+      await expect(
+        queueService.queueTransaction({ ...mockTransaction, amount: 0.1 + 0.2 })
+      ).rejects.toMatchObject({ code: "VALIDATION_ERROR" });
+      expect(queueService.queue).toHaveLength(0);
+    });
+  });
+
+  describe("Idempotency", () => {
+    const payment = (attempt) => ({
+      ...mockTransaction,
+      invoice: { id_invoice: "inv-1" },
+      attempt,
+      idempotencyKey: `inv-1-${attempt}`
+    });
+
+    beforeEach(() => {
+      queueService.registerPaymentExecutor("NIM", () => new Promise(() => {}));
+    });
+
+    it("should derive the transaction ID from the idempotency key", async () => {
+      expect(await queueService.queueTransaction(payment(1))).toBe("tx_inv-1-1");
+    });
+
+    it("should refuse a second payment for an invoice in flight", async () => {
+      await queueService.queueTransaction(payment(1));
+
+      await expect(queueService.queueTransaction(payment(2))).rejects.toMatchObject({
+        code: "DUPLICATE_PAYMENT",
+        data: { invoiceId: "inv-1", txId: "tx_inv-1-1" }
+      });
+      expect(queueService.queue).toHaveLength(1);
+    });
+
+    it("should prepare one of two concurrent payments for an invoice", async () => {
+      const prepare = jest.fn(async (tx) => {
+        await Promise.resolve();
+        tx.idempotencyKey = "inv-1-1";
+      });
+      const unprepared = { ...mockTransaction, invoice: { id_invoice: "inv-1" } };
+
+      const results = await Promise.allSettled([
+        queueService.queueTransaction({ ...unprepared }, { prepare }),
+        queueService.queueTransaction({ ...unprepared }, { prepare })
+      ]);
+
+      expect(prepare).toHaveBeenCalledTimes(1);
+      expect(results[0]).toEqual({ status: "fulfilled", value: "tx_inv-1-1" });
+      expect(results[1].reason).toMatchObject({ code: "DUPLICATE_PAYMENT" });
+    });
+
+    it("should accept the next attempt once the invoice is settled", async () => {
+      await queueService.queueTransaction(payment(1));
+      queueService.dequeue("tx_inv-1-1");
+
+      expect(await queueService.queueTransaction(payment(2))).toBe("tx_inv-1-2");
+    });
+
+    it("should give up on payments that keep timing out", async () => {
+      const events = [];
+      const dispatch = jest
+        .spyOn(queueService.env, "dispatchEvent")
+        .mockImplementation((event) => events.push(event.detail));
+      queueService.registerStatusCheck("NIM", jest.fn().mockResolvedValue(null));
+      queueService.paymentExecutors.NIM = jest.fn().mockRejectedValue(new NimipayError("Timed out", "TIMEOUT"));
+      queueService.enqueue({ id: "tx_inv-1-1", data: payment(1), retries: 3 });
+
+      await queueService.runTransaction(queueService.queue[0]);
+
+      expect(queueService.queue).toHaveLength(0);
+      expect(mockStore.setItem).toHaveBeenCalledWith(
+        "failed_tx_inv-1-1",
+        expect.objectContaining({ finalErrorCode: "TIMEOUT" })
+      );
+      expect(events).toContainEqual({
+        type: "transaction:failure",
+        data: expect.objectContaining({ txId: "tx_inv-1-1", code: "TIMEOUT" })
+      });
+      dispatch.mockRestore();
+    });
+
+    it("should complete timed out payments that went through after all", async () => {
+      const events = [];
+      const dispatch = jest
+        .spyOn(queueService.env, "dispatchEvent")
+        .mockImplementation((event) => events.push(event.detail));
+      const check = jest.fn().mockResolvedValue({ hash: "tx-hash" });
+      queueService.registerStatusCheck("NIM", check);
+      queueService.paymentExecutors.NIM = jest.fn().mockRejectedValue(new NimipayError("Timed out", "TIMEOUT"));
+      queueService.enqueue({ id: "tx_inv-1-1", data: payment(1), retries: 3 });
+
+      await queueService.runTransaction(queueService.queue[0]);
+
+      expect(check).toHaveBeenCalledWith(payment(1), expect.objectContaining({ id: "tx_inv-1-1" }));
+      expect(queueService.queue).toHaveLength(0);
+      expect(mockStore.setItem).not.toHaveBeenCalledWith("failed_tx_inv-1-1", expect.anything());
+      expect(events).toContainEqual({
+        type: "transaction:success",
+        data: expect.objectContaining({ txId: "tx_inv-1-1", result: { hash: "tx-hash" } })
+      });
+      expect(events.map(({ type }) => type)).not.toContain("transaction:failure");
+      dispatch.mockRestore();
+    });
   });
 
   describe("Retry Logic", () => {
@@ -126,9 +233,9 @@ describe("TransactionQueueService", () => {
     });
 
     it("should handle different error types appropriately", async () => {
-      const validationError = new Error("validation error");
-      const insufficientError = new Error("insufficient funds");
-      const timeoutError = new Error("timeout error");
+      const validationError = new NimipayError("validation error", "VALIDATION_ERROR");
+      const insufficientError = new NimipayError("insufficient funds", "INSUFFICIENT_FUNDS");
+      const timeoutError = new NimipayError("timeout error", "TIMEOUT");
       
       // Test validation error
       const strategy1 = queueService.getErrorStrategy(validationError);
@@ -143,6 +250,364 @@ describe("TransactionQueueService", () => {
       expect(strategy3.shouldRetry).toBe(true);
       expect(strategy3.maxRetries).toBe(3);
     });
+
+    it("should retry failed fetches and never retry bugs", () => {
+      const { NETWORK, FATAL } = queueService.errorStrategies;
+      const aborted = Object.assign(new Error("The operation was aborted"), { name: "AbortError" });
+
+      expect(queueService.getErrorStrategy(new TypeError("Failed to fetch"))).toBe(NETWORK);
+      expect(queueService.getErrorStrategy(aborted)).toBe(NETWORK);
+      expect(queueService.getErrorStrategy(new TypeError("Cannot read properties of undefined"))).toBe(FATAL);
+      expect(queueService.getErrorStrategy(new ReferenceError("network is not defined"))).toBe(FATAL);
+      expect(queueService.getErrorStrategy(new Error("timeout error"))).toBe(FATAL);
+    });
+
+    it("should classify typed errors without inspecting the message", () => {
+      const insufficient = new InsufficientBalanceError("Balance too low");
+      const feeTooLow = new FeeTooLowError("Transaction fee too low");
+
+      expect(queueService.getErrorStrategy(insufficient)).toBe(
+        queueService.errorStrategies.INSUFFICIENT_FUNDS
+      );
+      expect(queueService.getErrorStrategy(feeTooLow)).toBe(
+        queueService.errorStrategies.VALIDATION
+      );
+    });
+
+    it("should never retry fatal errors", () => {
+      const unknownType = new NimipayError("Unknown transaction type: swap", "UNKNOWN_TRANSACTION_TYPE");
+      const unknownCode = new NimipayError("Something broke", "NOT_A_CODE");
+
+      expect(queueService.getErrorStrategy(unknownType)).toBe(queueService.errorStrategies.FATAL);
+      expect(queueService.getErrorStrategy(unknownCode)).toBe(queueService.errorStrategies.FATAL);
+      expect(queueService.errorStrategies.FATAL.shouldRetry).toBe(false);
+    });
+
+    it("should classify coded errors from integrations", () => {
+      const apiError = Object.assign(new Error("Gateway unavailable"), { code: "NETWORK_ERROR" });
+
+      expect(queueService.getErrorStrategy(apiError)).toBe(queueService.errorStrategies.NETWORK);
+    });
+
+    it("should prefer a strategy registered for the error code", () => {
+      const dropped = { shouldRetry: true, maxRetries: 1 };
+      queueService.errorStrategies.TRANSACTION_DROPPED = dropped;
+
+      expect(queueService.getErrorStrategy(new NimipayError("Dropped", "TRANSACTION_DROPPED"))).toBe(
+        dropped
+      );
+    });
+
+    it("should fail unknown transaction types without retrying", async () => {
+      const tx = { id: "tx_1", data: { type: "swap" }, retries: 0 };
+
+      await expect(queueService.processTransaction(tx)).rejects.toMatchObject({
+        code: "UNKNOWN_TRANSACTION_TYPE",
+        errorType: "FATAL"
+      });
+    });
+  });
+
+  describe("Executors", () => {
+    it("should send payments through the executor of their currency", async () => {
+      const nimExecutor = jest.fn().mockResolvedValue({ hash: "tx-hash" });
+      queueService.registerPaymentExecutor("NIM", nimExecutor);
+      const tx = { id: "tx_1", data: mockTransaction, retries: 0 };
+
+      await queueService.processTransaction(tx);
+
+      expect(nimExecutor).toHaveBeenCalledWith(mockTransaction, tx);
+      expect(tx.result).toEqual({ hash: "tx-hash" });
+    });
+
+    it("should reject payments in currencies without an executor", async () => {
+      const tx = { id: "tx_1", data: { ...mockTransaction, currency: "DOGE" }, retries: 0 };
+
+      await expect(queueService.processTransaction(tx)).rejects.toMatchObject({
+        code: "UNSUPPORTED_CURRENCY",
+        errorType: "FATAL"
+      });
+    });
+
+    it("should send refunds through the refund executor", async () => {
+      const refundExecutor = jest.fn().mockResolvedValue({ status: "refunded" });
+      queueService.registerRefundExecutor(refundExecutor);
+      const refund = { type: "refund", originalTxId: "tx_1", currency: "NIM" };
+
+      await queueService.processTransaction({ id: "tx_2", data: refund, retries: 0 });
+
+      expect(refundExecutor).toHaveBeenCalledWith(refund, expect.objectContaining({ id: "tx_2" }));
+    });
+
+    it("should report executor results on success", async () => {
+      const tx = { id: "tx_1", data: mockTransaction, result: { hash: "tx-hash" } };
+
+      const dispatch = jest.spyOn(window, "dispatchEvent").mockImplementation(() => true);
+      await queueService.handleSuccessfulTransaction(tx);
+
+      expect(dispatch).toHaveBeenCalledWith(
+        expect.objectContaining({
+          detail: {
+            type: "transaction:success",
+            data: { txId: "tx_1", data: mockTransaction, result: { hash: "tx-hash" } }
+          }
+        })
+      );
+      dispatch.mockRestore();
+    });
+  });
+
+  describe("Scheduling", () => {
+    const flush = async () => {
+      for (let i = 0; i < 20; i++) {
+        await Promise.resolve();
+      }
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+    });
+
+    it("should run independent transactions concurrently", async () => {
+      const executor = jest.fn(() => new Promise(() => {}));
+      queueService.registerPaymentExecutor("NIM", executor);
+
+      for (let i = 0; i < 4; i++) {
+        await queueService.queueTransaction({ ...mockTransaction, amount: i });
+      }
+
+      expect(executor).toHaveBeenCalledTimes(3);
+      expect(queueService.running.size).toBe(3);
+    });
+
+    it("should not let a slow payment block the others", async () => {
+      queueService.registerPaymentExecutor("NIM", (data) =>
+        data.amount === 1 ? new Promise(() => {}) : Promise.resolve({ hash: "fast" })
+      );
+
+      await queueService.queueTransaction({ ...mockTransaction, amount: 1 });
+      const fastId = await queueService.queueTransaction({ ...mockTransaction, amount: 2 });
+      await flush();
+
+      expect(queueService.queue.map((tx) => tx.data.amount)).toEqual([1]);
+      expect(mockStore.setItem).toHaveBeenCalledWith(
+        `success_${fastId}`,
+        expect.objectContaining({ result: { hash: "fast" } })
+      );
+    });
+
+    it("should sleep until a retry is due", async () => {
+      const executor = jest
+        .fn()
+        .mockRejectedValueOnce(new NimipayError("Offline", "NETWORK_ERROR"))
+        .mockResolvedValueOnce({ hash: "tx-hash" });
+      queueService.registerPaymentExecutor("NIM", executor);
+
+      await queueService.queueTransaction(mockTransaction);
+      jest.spyOn(Math, "random").mockReturnValue(0.5); // no jitter
+      await flush();
+
+      expect(queueService.queue[0]).toEqual(
+        expect.objectContaining({ retries: 1, nextRetry: Date.now() + 5000 })
+      );
+
+      jest.advanceTimersByTime(4999);
+      await flush();
+      expect(executor).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(1);
+      await flush();
+      expect(executor).toHaveBeenCalledTimes(2);
+      expect(queueService.queue).toEqual([]);
+    });
+
+    it("should keep the queue ordered by next retry", () => {
+      queueService.enqueue({ id: "later", nextRetry: 3000 });
+      queueService.enqueue({ id: "now" });
+      queueService.enqueue({ id: "soon", nextRetry: 1000 });
+
+      expect(queueService.queue.map((tx) => tx.id)).toEqual(["now", "soon", "later"]);
+    });
+
+    it("should back off exponentially with jitter", () => {
+      const strategy = { delay: 1000, backoff: 2, jitter: 0.2, maxDelay: 10000 };
+      jest.spyOn(Math, "random").mockReturnValue(0.5);
+
+      expect(queueService.getRetryDelay(strategy, 1)).toBe(1000);
+      expect(queueService.getRetryDelay(strategy, 3)).toBe(4000);
+      expect(queueService.getRetryDelay(strategy, 10)).toBe(10000);
+
+      Math.random.mockReturnValue(0);
+      expect(queueService.getRetryDelay(strategy, 3)).toBe(3200);
+      Math.random.mockReturnValue(1);
+      expect(queueService.getRetryDelay(strategy, 3)).toBe(4800);
+    });
+  });
+
+  describe("Tab Coordination", () => {
+    let election;
+    let follower;
+
+    const createElection = (isLeader) => {
+      const listeners = {};
+      return {
+        isLeader,
+        start: jest.fn(),
+        on: jest.fn((type, listener) => {
+          listeners[type] = listener;
+        }),
+        postMessage: jest.fn(),
+        receive: (message) => listeners.message(message),
+        setLeader: (value) => {
+          election.isLeader = value;
+          return listeners.leadership({ isLeader: value });
+        }
+      };
+    };
+
+    beforeEach(() => {
+      mockStore.getItem.mockResolvedValue(null);
+      election = createElection(false);
+      follower = new TransactionQueueService({ election });
+    });
+
+    afterEach(() => {
+      mockStore.getItem.mockReset();
+      jest.restoreAllMocks();
+    });
+
+    it("should forward transactions to the leader instead of draining", async () => {
+      const executor = jest.fn();
+      follower.registerPaymentExecutor("NIM", executor);
+
+      const txId = await follower.queueTransaction(mockTransaction);
+
+      expect(election.postMessage).toHaveBeenCalledWith({
+        kind: "queue",
+        tx: expect.objectContaining({ id: txId, data: mockTransaction })
+      });
+      expect(follower.queue).toEqual([]);
+      expect(executor).not.toHaveBeenCalled();
+      expect(await follower.getTransactionStatus(txId)).toEqual(
+        expect.objectContaining({ status: "queued" })
+      );
+    });
+
+    it("should queue forwarded transactions as leader and acknowledge them", async () => {
+      const leaderElection = createElection(true);
+      const leader = new TransactionQueueService({ election: leaderElection });
+      leader.registerPaymentExecutor("NIM", () => new Promise(() => {}));
+      const tx = { id: "tx_1", data: mockTransaction, status: "pending", retries: 0 };
+
+      await leaderElection.receive({ kind: "queue", tx });
+      await leaderElection.receive({ kind: "queue", tx });
+
+      expect(leader.queue).toHaveLength(1);
+      expect(leaderElection.postMessage).toHaveBeenCalledWith({ kind: "queued", txId: "tx_1" });
+    });
+
+    it("should re-send unacknowledged transactions to a new leader", async () => {
+      const txId = await follower.queueTransaction(mockTransaction);
+      const acked = await follower.queueTransaction(mockTransaction);
+      await election.receive({ kind: "queued", txId: acked });
+      election.postMessage.mockClear();
+
+      await election.receive({ kind: "leader" });
+
+      expect(election.postMessage).toHaveBeenCalledTimes(1);
+      expect(election.postMessage).toHaveBeenCalledWith({
+        kind: "queue",
+        tx: expect.objectContaining({ id: txId })
+      });
+    });
+
+    it("should take over the stored queue and its own forwards on election", async () => {
+      const executor = jest.fn(() => new Promise(() => {}));
+      follower.registerPaymentExecutor("NIM", executor);
+      const txId = await follower.queueTransaction(mockTransaction);
+      mockStore.getItem.mockResolvedValueOnce([{ id: "stored", data: mockTransaction, retries: 0 }]);
+
+      await election.setLeader(true);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(follower.queue.map((tx) => tx.id)).toEqual(["stored", txId]);
+      expect(executor).toHaveBeenCalledTimes(2);
+      expect(election.postMessage).toHaveBeenCalledWith({ kind: "leader" });
+    });
+
+    it("should mark transactions with the sending tab before sending", async () => {
+      const leaderElection = { ...createElection(true), id: "tab-b" };
+      const leader = new TransactionQueueService({ election: leaderElection });
+      leader.registerPaymentExecutor("NIM", () => new Promise(() => {}));
+
+      const txId = await leader.queueTransaction(mockTransaction);
+      await Promise.resolve();
+
+      expect(mockStore.setItem).toHaveBeenLastCalledWith("transaction-queue", [
+        expect.objectContaining({ id: txId, sendingTab: "tab-b", sendingSince: expect.any(Number) })
+      ]);
+    });
+
+    it("should leave transactions another leader is sending until it times out", async () => {
+      const executor = jest.fn(() => new Promise(() => {}));
+      const sendingSince = Date.now();
+      mockStore.getItem.mockImplementation(async (key) =>
+        key === "transaction-queue"
+          ? [{ id: "tx_1", data: mockTransaction, retries: 0, sendingTab: "tab-a", sendingSince }]
+          : null
+      );
+      const leader = new TransactionQueueService({ election: { ...createElection(true), id: "tab-b" } });
+      leader.registerPaymentExecutor("NIM", executor);
+
+      await leader.initializeQueue();
+
+      expect(executor).not.toHaveBeenCalled();
+      expect(leader.queue[0].nextRetry).toBe(sendingSince + 60000);
+      clearTimeout(leader.timer);
+    });
+
+    it("should drop transactions the previous leader finished", async () => {
+      const executor = jest.fn(() => new Promise(() => {}));
+      mockStore.getItem.mockImplementation(async (key) => {
+        if (key === "transaction-queue") {
+          return [{ id: "tx_1", data: mockTransaction, retries: 0, sendingTab: "tab-a", sendingSince: 0 }];
+        }
+        return key === "success_tx_1" ? { id: "tx_1", completedAt: 1 } : null;
+      });
+      const leader = new TransactionQueueService({ election: { ...createElection(true), id: "tab-b" } });
+      leader.registerPaymentExecutor("NIM", executor);
+
+      await leader.initializeQueue();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(executor).not.toHaveBeenCalled();
+      expect(leader.queue).toHaveLength(0);
+    });
+
+    it("should mirror leader events to followers", async () => {
+      const dispatch = jest.spyOn(window, "dispatchEvent").mockImplementation(() => true);
+      const leaderElection = createElection(true);
+      const leader = new TransactionQueueService({ election: leaderElection });
+
+      leader.emitEvent("transaction:retry", { txId: "tx_1" });
+      expect(leaderElection.postMessage).toHaveBeenCalledWith({
+        kind: "event",
+        type: "transaction:retry",
+        data: { txId: "tx_1" }
+      });
+
+      await election.receive(leaderElection.postMessage.mock.calls[0][0]);
+      expect(dispatch).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          detail: { type: "transaction:retry", data: { txId: "tx_1" }, mirrored: true }
+        })
+      );
+    });
   });
 
   describe("Error Recovery", () => {
@@ -164,6 +629,103 @@ describe("TransactionQueueService", () => {
       );
     });
 
+    it("should listen for the network once for every waiting transaction", async () => {
+      const listen = jest.spyOn(queueService.env, "addEventListener");
+      queueService.registerPaymentExecutor("NIM", () => new Promise(() => {}));
+      const first = { id: "tx_1", data: mockTransaction, retries: 5 };
+      const second = { id: "tx_2", data: { ...mockTransaction, amount: 200 }, retries: 5 };
+
+      await queueService.handleNetworkError(first);
+      await queueService.handleNetworkError(second);
+      mockStore.getItem.mockImplementation(async (key) =>
+        key === "retry_tx_1" ? { ...first, retryAfter: 0 } : key === "retry_tx_2" ? { ...second, retryAfter: 0 } : null
+      );
+      await queueService.onlineListener();
+      mockStore.getItem.mockReset();
+
+      expect(listen.mock.calls.filter(([type]) => type === "online")).toHaveLength(1);
+      expect(queueService.queue.map(({ data }) => data.amount)).toEqual([100, 200]);
+      expect(mockStore.removeItem).toHaveBeenCalledWith("retry_tx_1");
+      expect(mockStore.removeItem).toHaveBeenCalledWith("retry_tx_2");
+      listen.mockRestore();
+    });
+
+    it("should wait for the network instead of failing after the last retry", async () => {
+      const events = [];
+      const dispatch = jest
+        .spyOn(queueService.env, "dispatchEvent")
+        .mockImplementation((event) => events.push(event.detail));
+      queueService.registerPaymentExecutor(
+        "NIM",
+        jest.fn().mockRejectedValue(new NimipayError("Offline", "NETWORK_ERROR"))
+      );
+
+      await queueService.runTransaction({ id: "tx_1", data: mockTransaction, retries: 5 });
+      clearTimeout(queueService.offlineTimer);
+
+      expect(events).toContainEqual({
+        type: "transaction:waiting",
+        data: { txId: "tx_1", error: "Offline", retryAfter: expect.any(Number) }
+      });
+      expect(events.map(({ type }) => type)).not.toContain("transaction:failure");
+      expect(mockStore.setItem).not.toHaveBeenCalledWith("failed_tx_1", expect.anything());
+      dispatch.mockRestore();
+    });
+
+    it("should retry a waiting transaction once its delay passes", async () => {
+      jest.useFakeTimers();
+      queueService.registerPaymentExecutor("NIM", () => new Promise(() => {}));
+      const waiting = { id: "tx_1", data: mockTransaction, retries: 5 };
+      let retryAfter = Date.now() + 60000;
+      mockStore.getItem.mockImplementation(async (key) =>
+        key === "retry_tx_1" ? { ...waiting, retryAfter } : null
+      );
+
+      try {
+        await queueService.handleNetworkError(waiting);
+        await queueService.onlineListener();
+        expect(queueService.queue).toHaveLength(0);
+
+        retryAfter = 0;
+        jest.advanceTimersByTime(60000);
+        for (let i = 0; i < 20; i++) {
+          await Promise.resolve();
+        }
+
+        expect(queueService.queue.map(({ data }) => data)).toEqual([mockTransaction]);
+        expect(mockStore.removeItem).toHaveBeenCalledWith("retry_tx_1");
+      } finally {
+        mockStore.getItem.mockReset();
+        jest.useRealTimers();
+      }
+    });
+
+    it("should fail a transaction whose recovery throws", async () => {
+      const events = [];
+      const dispatch = jest
+        .spyOn(queueService.env, "dispatchEvent")
+        .mockImplementation((event) => events.push(event.detail));
+      queueService.errorStrategies.VALIDATION.recovery = jest.fn().mockRejectedValue(new Error("Recovery broke"));
+      queueService.registerPaymentExecutor(
+        "NIM",
+        jest.fn().mockRejectedValue(new NimipayError("Bad address", "VALIDATION_ERROR"))
+      );
+
+      const txId = await queueService.queueTransaction(mockTransaction);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(queueService.queue).toHaveLength(0);
+      expect(mockStore.setItem).toHaveBeenCalledWith(
+        `failed_${txId}`,
+        expect.objectContaining({ finalError: "Recovery broke" })
+      );
+      expect(events).toContainEqual({
+        type: "transaction:failure",
+        data: expect.objectContaining({ txId, fatal: true })
+      });
+      dispatch.mockRestore();
+    });
+
     it("should handle validation errors with user feedback", async () => {
       const txId = await queueService.queueTransaction(mockTransaction);
       
@@ -207,6 +769,89 @@ describe("TransactionQueueService", () => {
     });
   });
 
+  describe("Locked Terminal", () => {
+    let vault;
+    let lockedService;
+
+    beforeEach(() => {
+      const listeners = {};
+      vault = {
+        locked: true,
+        on: (type, listener) => {
+          listeners[type] = listener;
+        },
+        createInstance: () => mockStore,
+        emit: (type) => listeners[type]()
+      };
+      mockStore.getItem.mockResolvedValue(null);
+      lockedService = new TransactionQueueService({ vault });
+    });
+
+    afterEach(() => {
+      mockStore.getItem.mockReset();
+      mockStore.setItem.mockReset();
+    });
+
+    it("should refuse transactions while locked", async () => {
+      await expect(lockedService.queueTransaction(mockTransaction)).rejects.toMatchObject({
+        code: "STORAGE_LOCKED"
+      });
+      expect(lockedService.queue).toHaveLength(0);
+    });
+
+    it("should load and process the stored queue on unlock", async () => {
+      const executor = jest.fn().mockResolvedValue({ hash: "abc" });
+      lockedService.registerPaymentExecutor("NIM", executor);
+      mockStore.getItem.mockResolvedValue([{ id: "stored-tx-1", data: mockTransaction, status: "pending", retries: 0 }]);
+
+      vault.locked = false;
+      await vault.emit("unlocked");
+
+      expect(executor).toHaveBeenCalledWith(mockTransaction, expect.objectContaining({ id: "stored-tx-1" }));
+    });
+
+    it("should not start transactions until unlocked", async () => {
+      const executor = jest.fn().mockResolvedValue({ hash: "abc" });
+      lockedService.registerPaymentExecutor("NIM", executor);
+      vault.locked = false;
+      await vault.emit("unlocked");
+      vault.locked = true;
+      vault.emit("locked");
+
+      lockedService.enqueue({ id: "tx_1", data: mockTransaction, status: "pending", retries: 0 });
+      lockedService.processQueue();
+
+      expect(executor).not.toHaveBeenCalled();
+    });
+
+    it("should keep results of payments finished while locked", async () => {
+      let finish;
+      lockedService.registerPaymentExecutor("NIM", () => new Promise((resolve) => (finish = resolve)));
+      vault.locked = false;
+      await vault.emit("unlocked");
+      const txId = await lockedService.queueTransaction(mockTransaction);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      vault.locked = true;
+      vault.emit("locked");
+      mockStore.setItem.mockRejectedValue(new NimipayError("Storage is locked", "STORAGE_LOCKED"));
+      finish({ hash: "abc" });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(lockedService.queue).toHaveLength(0);
+      expect(lockedService.unsaved.has(`success_${txId}`)).toBe(true);
+
+      mockStore.setItem.mockReset();
+      vault.locked = false;
+      await vault.emit("unlocked");
+
+      expect(mockStore.setItem).toHaveBeenCalledWith(
+        `success_${txId}`,
+        expect.objectContaining({ result: { hash: "abc" } })
+      );
+    });
+  });
+
   describe("Transaction Status", () => {
     it("should track transaction status", async () => {
       const txId = await queueService.queueTransaction(mockTransaction);
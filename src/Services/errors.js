@@ -0,0 +1,158 @@
+/**
+ * Typed errors raised by the payment services and integrations.
+ *
+ * Every error carries a stable `code`. ERROR_CODES maps each code to the
+ * strategy class TransactionQueueService uses to recover from it, so the
+ * queue never has to inspect the message text. Unknown codes are FATAL.
+ */
+export const ERROR_CODES = {
+  // Transient, retried
+  NETWORK_ERROR: "NETWORK",
+  NODE_NOT_READY: "NETWORK",
+  TRANSACTION_FAILED: "NETWORK",
+  TRANSACTION_DROPPED: "NETWORK",
+  TIMEOUT: "TIMEOUT",
+  PAYMENT_IN_FLIGHT: "TIMEOUT", // until the send that started it finishes
+  STORAGE_LOCKED: "NETWORK", // until the terminal is unlocked
+
+  // Need different input, not retried
+  VALIDATION_ERROR: "VALIDATION",
+  VALIDITY_WINDOW: "VALIDATION",
+  FEE_TOO_LOW: "VALIDATION",
+  TRANSACTION_REJECTED: "VALIDATION",
+  TRANSACTION_NOT_FOUND: "VALIDATION",
+  DUPLICATE_PAYMENT: "VALIDATION",
+  QUOTE_EXPIRED: "VALIDATION",
+  WRONG_NETWORK: "VALIDATION",
+  ADDRESS_IN_USE: "VALIDATION",
+  ADDRESS_GAP_LIMIT: "VALIDATION",
+  REQUEST_CANCELED: "VALIDATION",
+  AUTH_FAILED: "VALIDATION",
+  SYNC_CONFLICT: "VALIDATION",
+  INSUFFICIENT_FUNDS: "INSUFFICIENT_FUNDS",
+
+  // Bugs and misconfiguration, never retried
+  PAYMENT_FAILED: "FATAL",
+  NOT_INITIALIZED: "FATAL",
+  NO_SIGNER: "FATAL",
+  CONFIGURATION_ERROR: "FATAL",
+  UNSUPPORTED_CURRENCY: "FATAL",
+  UNKNOWN_TRANSACTION_TYPE: "FATAL",
+  DECRYPTION_FAILED: "FATAL",
+  INTERNAL_ERROR: "FATAL",
+};
+
+/**
+ * Base class of all NimiPay errors
+ */
+export class NimipayError extends Error {
+  /**
+   * @param {string} message Error message
+   * @param {string} [code="INTERNAL_ERROR"] Stable error code, a key of ERROR_CODES
+   * @param {Object} [data] Additional context
+   */
+  constructor(message, code = "INTERNAL_ERROR", data = {}) {
+    super(message);
+    this.name = "NimipayError";
+    this.code = code;
+    this.data = data;
+  }
+
+  /**
+   * Strategy class of the error code
+   * @returns {string} NETWORK, TIMEOUT, VALIDATION, INSUFFICIENT_FUNDS or FATAL
+   */
+  get errorType() {
+    return ERROR_CODES[this.code] || "FATAL";
+  }
+
+  /**
+   * Plain representation, as reported to integrations
+   * @returns {Object} Code, message and data
+   */
+  toJSON() {
+    return { code: this.code, message: this.message, data: this.data };
+  }
+}
+
+/**
+ * A transaction could not be sent
+ */
+export class TransactionError extends NimipayError {
+  constructor(message, data = {}) {
+    super(message, "TRANSACTION_FAILED", data);
+    this.name = "TransactionError";
+  }
+}
+
+/**
+ * The validity start height lies outside the window accepted by the network
+ */
+export class ValidityWindowError extends TransactionError {
+  constructor(message, data = {}) {
+    super(message, data);
+    this.name = "ValidityWindowError";
+    this.code = "VALIDITY_WINDOW";
+  }
+}
+
+/**
+ * The sender cannot cover value plus fee
+ */
+export class InsufficientBalanceError extends TransactionError {
+  constructor(message, data = {}) {
+    super(message, data);
+    this.name = "InsufficientBalanceError";
+    this.code = "INSUFFICIENT_FUNDS";
+  }
+}
+
+/**
+ * The mempool refused the transaction because its fee is below the minimum
+ */
+export class FeeTooLowError extends TransactionError {
+  constructor(message, data = {}) {
+    super(message, data);
+    this.name = "FeeTooLowError";
+    this.code = "FEE_TOO_LOW";
+  }
+}
+
+/**
+ * The mempool rejected the transaction as invalid
+ */
+export class TransactionRejectedError extends TransactionError {
+  constructor(message, data = {}) {
+    super(message, data);
+    this.name = "TransactionRejectedError";
+    this.code = "TRANSACTION_REJECTED";
+  }
+}
+
+/**
+ * The transaction left the mempool without being mined before its validity
+ * window closed
+ */
+export class TransactionDroppedError extends TransactionError {
+  constructor(message, data = {}) {
+    super(message, data);
+    this.name = "TransactionDroppedError";
+    this.code = "TRANSACTION_DROPPED";
+  }
+}
+
+/**
+ * The backend holds another version of a record this device changed
+ */
+export class ConflictError extends NimipayError {
+  /**
+   * @param {string} message Error message
+   * @param {Object} remoteData The backend's version of the record
+   * @param {Object} [data] Additional context
+   */
+  constructor(message, remoteData, data = {}) {
+    super(message, "SYNC_CONFLICT", data);
+    this.name = "ConflictError";
+    this.remoteData = remoteData;
+  }
+}
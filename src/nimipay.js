@@ -1,48 +1,22 @@
 import PaymentFlowService from "./services/PaymentFlowService.js";
+import Money, { ROUNDING } from "./services/Money.js";
+import PaymentRequest from "./services/PaymentRequest.js";
+import { storageVault } from "./services/StorageVault.js";
 import { HubApi } from "@nimiq/hub-api";
 import Reef from "reef";
 
 // Initialize services
-const paymentFlow = new PaymentFlowService();
+// window.npNimiqConfig selects the Nimiq network, e.g. { network: "test" }
 const hubApi = new HubApi("https://wallet.nimiq.com");
+const paymentFlow = new PaymentFlowService({
+    nimiq: window.npNimiqConfig,
+    hubApi,
+    appName: window.nimAddressLabel
+});
 
-// Currency configurations
-const CURRENCY_CONFIG = {
-    NIM: {
-        name: "Nimiq",
-        symbol: "NIM",
-        icon: "https://api.nimiq.com/identicon/NIM.png",
-        decimals: 4,
-        minConfirmations: 2,
-        type: "native"
-    },
-    BTC: {
-        name: "Bitcoin",
-        symbol: "BTC",
-        icon: "img/btc-icon.png",
-        decimals: 8,
-        minConfirmations: 3,
-        type: "native"
-    },
-    USDC: {
-        name: "USD Coin",
-        symbol: "USDC",
-        icon: "img/usdc-icon.png",
-        decimals: 6,
-        minConfirmations: 12,
-        type: "erc20",
-        network: "ethereum"
-    },
-    UST: {
-        name: "TerraUSD",
-        symbol: "UST",
-        icon: "img/ust-icon.png",
-        decimals: 6,
-        minConfirmations: 15,
-        type: "terra",
-        network: "terra"
-    }
-};
+// Currencies come from the registry; Money falls back to window.CURRENCY_CONFIG
+// for amounts parsed without their decimals
+window.CURRENCY_CONFIG = paymentFlow.currencies.toConfig();
 
 let np = new Reef("#nimipay", {
     data: {
@@ -52,6 +26,7 @@ let np = new Reef("#nimipay", {
             label: ""
         },
         selectedCurrency: "NIM",
+        currencies: paymentFlow.currencies.codes(),
         invoices: [],
         items: [],
         balances: {},
@@ -71,11 +46,11 @@ let np = new Reef("#nimipay", {
                 '<div onclick="npCloseModal()" class="np-modal-close">✕</div>'+
                 '<b>Crypto Wallet</b><br><br>'+
                 '<div class="np-currency-selector">'+
-                    Object.keys(CURRENCY_CONFIG).map(currency => 
+                    props.currencies.map(currency => 
                         `<div class="np-currency-option ${props.selectedCurrency === currency ? "selected" : ""}" 
                               onclick="npSelectCurrency('${currency}')">
-                            <img src="${CURRENCY_CONFIG[currency].icon}" alt="${currency}">
-                            ${CURRENCY_CONFIG[currency].name}
+                            <img src="${paymentFlow.currencies.get(currency).config.icon}" alt="${currency}">
+                            ${paymentFlow.currencies.get(currency).name}
                          </div>`
                     ).join("") +
                 "</div>"+
@@ -98,6 +73,15 @@ let np = new Reef("#nimipay", {
 
 // Initialize payment flow service
 (async () => {
+    // The backend's currency config replaces the defaults when it loads
+    try {
+        await paymentFlow.loadCurrencies();
+        window.CURRENCY_CONFIG = paymentFlow.currencies.toConfig();
+        np.data.currencies = paymentFlow.currencies.codes();
+    } catch (error) {
+        console.error("Failed to load currencies, using defaults:", error);
+    }
+
     try {
         await paymentFlow.initialize();
         np.data.initialized = true;
@@ -106,6 +90,30 @@ let np = new Reef("#nimipay", {
     }
 })();
 
+// Log in by signing the backend's challenge with a Nimiq address
+async function npWallet() {
+    try {
+        const account = await paymentFlow.hub.login();
+
+        // Another address sees only its own invoices
+        if (np.data.result.address && np.data.result.address !== account.address) {
+            np.data.balances = {};
+        }
+        np.data.result = { address: account.address, label: account.label };
+        np.data.invoices = account.invoices;
+        np.data.items = account.items;
+        np.data.invoicesCount = account.invoices.length;
+        np.data.itemsCount = account.items.length;
+
+        document.getElementById("np-modal").style.display = "block";
+        await npSelectCurrency(np.data.selectedCurrency);
+    } catch (error) {
+        if (error.code !== "REQUEST_CANCELED") {
+            console.error("Login failed:", error);
+        }
+    }
+}
+
 async function npSelectCurrency(currency) {
     np.data.selectedCurrency = currency;
     np.data.gasFee = null;
@@ -114,9 +122,13 @@ async function npSelectCurrency(currency) {
     delete np.data.balances[currency];
     
     try {
-        // Get new balance using PaymentFlowService
-        const balance = await paymentFlow.getBalance(currency, np.data.result.address);
-        np.data.balances[currency] = balance;
+        // Get new balance using PaymentFlowService; ERC-20 balances belong to
+        // the browser wallet's account, if one is connected
+        if (paymentFlow.getCurrencyType(currency) === "erc20") {
+            np.data.balances[currency] = await paymentFlow.getBalance(currency).catch(() => undefined);
+        } else {
+            np.data.balances[currency] = await paymentFlow.getBalance(currency, np.data.result.address);
+        }
         
         // Get exchange rate
         const response = await fetch(`${npBackendUrl}?action=getPrice&currency=${currency}`);
@@ -124,9 +136,11 @@ async function npSelectCurrency(currency) {
         np.data.exchangeRates[currency] = data.rate;
         
         // Get gas fee estimate for ERC20 tokens
-        if (CURRENCY_CONFIG[currency].type === "erc20") {
-            const gasFee = await paymentFlow.getGasFeeEstimate(currency);
-            np.data.gasFee = gasFee;
+        if (paymentFlow.getCurrencyType(currency) === "erc20") {
+            np.data.gasFee = await paymentFlow.getGasFeeEstimate(currency).catch((error) => {
+                console.error("Failed to estimate gas fee:", error);
+                return null;
+            });
         }
         
         await npInvoicesPriceInCrypto();
@@ -150,38 +164,36 @@ async function npCheckout(id_invoice) {
 
     const invoice = np.data.invoices[index];
     const currency = np.data.selectedCurrency;
-    const config = CURRENCY_CONFIG[currency];
     
     try {
-        // Get current price and convert amount
-        const rate = np.data.exchangeRates[currency];
-        if (!rate) {
-            throw new Error("Exchange rate not available");
-        }
-        
-        const cryptoAmount = (invoice.value_usd / rate).toFixed(config.decimals);
+        // Lock the exchange rate; the payment must match the quoted amount
+        const quote = await paymentFlow.createQuote(invoice, currency);
+        np.data.exchangeRates[currency] = quote.rate;
         
         // Check balance
+        const { decimals } = paymentFlow.currencies.get(currency);
+        const amount = Money.parse(quote.cryptoAmount, currency, { decimals });
         const balance = np.data.balances[currency];
-        if (Number(cryptoAmount) > Number(balance)) {
+        if (balance !== undefined &&
+            amount.greaterThan(Money.parse(balance, currency, { rounding: ROUNDING.DOWN, decimals }))) {
             document.getElementById(`np-error-${id_invoice}`).innerHTML = 
                 `<div style="margin-top:5px;margin-bottom:10px;color:red;">Insufficient ${currency} balance</div>`;
             return;
         }
 
         // Process payment through PaymentFlowService
-        const result = await paymentFlow.processPayment(invoice, currency, cryptoAmount);
+        const result = await paymentFlow.processPayment(invoice, currency, quote.cryptoAmount, { quote });
         
         // Handle different payment responses
         switch (result.type) {
             case "native":
-                await handleNativePayment(invoice.id_invoice, result, currency);
+                showNativePayment(invoice.id_invoice, currency);
                 break;
             case "address":
                 showAddressPayment(invoice.id_invoice, result);
                 break;
             case "erc20":
-                showERC20Payment(invoice.id_invoice, result);
+                showERC20Payment(invoice.id_invoice, { ...result, amount: quote.cryptoAmount }, currency);
                 break;
             case "terra":
                 showTerraPayment(invoice.id_invoice, result);
@@ -189,48 +201,54 @@ async function npCheckout(id_invoice) {
         }
     } catch (error) {
         console.error("Checkout error:", error);
+        const message = error.code === "QUOTE_EXPIRED"
+            ? "Exchange rate expired. Please try again."
+            : "Transaction failed. Please try again.";
         document.getElementById(`np-error-${id_invoice}`).innerHTML = 
-            '<div style="margin-top:5px;margin-bottom:10px;color:red;">Transaction failed. Please try again.</div>';
+            `<div style="margin-top:5px;margin-bottom:10px;color:red;">${message}</div>`;
     }
 }
 
-async function handleNativePayment(invoiceId, result, currency) {
+// The payment is only queued here; once the queue has sent it,
+// PaymentFlowService monitors it and reports progress as nimipay:monitor events
+function showNativePayment(invoiceId, currency) {
     document.getElementById(`np-invoice-${invoiceId}`).innerHTML = 
-        `<b>Confirming transaction...</b> <span class="np-loading np-line"></span>
+        `<div id="np-native-${invoiceId}"><b>Confirming transaction...</b> <span class="np-loading np-line"></span>
          <div style="height:10px;"></div>
          <div style="font-size:13px;padding-left:6px;padding-right:6px;margin-bottom:10px;">
-         Waiting for ${CURRENCY_CONFIG[currency].minConfirmations} confirmations. 
-         Please wait, or open your wallet later to see the new item.</div>`;
-
-    try {
-        const confirmation = await paymentFlow.monitorTransaction(result.hash, invoiceId, currency);
-        if (confirmation.status === "confirmed") {
-            document.getElementById(`np-invoice-${invoiceId}`).innerHTML = 
-                `Payment received: <a href="${getExplorerUrl(currency, result.hash)}" target="_blank">Explore</a><br><br>`;
-        }
-    } catch (error) {
-        console.error("Transaction monitoring error:", error);
-    }
+         Waiting for ${getRequiredConfirmations(currency)} confirmations 
+         (<span id="np-confirmations-${invoiceId}">0</span>/${getRequiredConfirmations(currency)}). 
+         Please wait, or open your wallet later to see the new item.</div></div>`;
 }
 
 function showAddressPayment(invoiceId, result) {
+    const request = PaymentRequest.create({
+        currency: result.currency,
+        address: result.address,
+        amount: result.amount,
+        label: `Invoice #${invoiceId}`
+    }, { currencies: paymentFlow.currencies });
+
     document.getElementById(`np-invoice-${invoiceId}`).innerHTML = 
         `<div class="btc-payment-info">
-            <p>Send exactly ${result.amount} ${result.currency} to:</p>
-            <div class="btc-address">${result.address}</div>
-            <div class="qr-code" id="qr-${invoiceId}"></div>
+            <p>Send exactly ${request.amount.format({ trimZeros: true })} ${result.currency} to:</p>
+            <div class="btc-address">${request.address}</div>
+            <a class="qr-code" id="qr-${invoiceId}" href="${request.toUri()}">${request.toQrCode().toSvg()}</a>
+            <p><a href="${request.toUri()}">Open in wallet</a></p>
             <p>Waiting for payment...</p>
         </div>`;
-    
-    generateQRCode(`qr-${invoiceId}`, `${result.currency.toLowerCase()}:${result.address}?amount=${result.amount}`);
 }
 
-function showERC20Payment(invoiceId, result) {
+function showERC20Payment(invoiceId, result, currency) {
+    const required = getRequiredConfirmations(currency);
     document.getElementById(`np-invoice-${invoiceId}`).innerHTML = 
-        `<div class="erc20-payment-info">
-            <p>Confirm the transaction in your Ethereum wallet</p>
-            <p>Amount: ${result.amount} ${result.currency}</p>
-            <p>Estimated Gas: ${result.gasFee} ETH</p>
+        `<div class="erc20-payment-info" id="np-erc20-${invoiceId}">
+            <p>${result.relayed ? "Payment signed, the relayer is sending it" : "Confirm the transaction in your Ethereum wallet"}</p>
+            <p>Amount: ${result.amount} ${currency}</p>
+            ${result.relayed ? "<p>Gas fees covered by service</p>" : ""}
+            ${!result.relayed && np.data.gasFee !== null ? `<p>Estimated Gas: ${np.data.gasFee} ETH</p>` : ""}
+            <p>Waiting for ${required} confirmations
+            (<span id="np-confirmations-${invoiceId}">0</span>/${required})</p>
             <span class="np-loading np-line"></span>
         </div>`;
 }
@@ -244,24 +262,45 @@ function showTerraPayment(invoiceId, result) {
         </div>`;
 }
 
+function getRequiredConfirmations(currency) {
+    return paymentFlow.currencies.get(currency).getRequiredConfirmations();
+}
+
 function getExplorerUrl(currency, txHash) {
-    switch (currency) {
-        case "NIM":
-            return `https://explorer.nimiq.com/transaction/${txHash}`;
-        case "BTC":
-            return `https://blockstream.info/tx/${txHash}`;
-        case "USDC":
-            return `https://etherscan.io/tx/${txHash}`;
-        case "UST":
-            return `https://finder.terra.money/tx/${txHash}`;
-        default:
-            return "#";
-    }
+    return paymentFlow.currencies.get(currency).getExplorerUrl(txHash) || "#";
 }
 
+// Show confirmation progress for invoices being monitored
+window.addEventListener("nimipay:monitor", (event) => {
+    const { type, data } = event.detail;
+
+    // Payments sent from this page, token transfers or NIM, are confirmed here
+    const shown = document.getElementById(`np-erc20-${data.invoiceId}`)
+        || document.getElementById(`np-native-${data.invoiceId}`);
+    if (type === "monitor:confirmed" && shown) {
+        document.getElementById(`np-invoice-${data.invoiceId}`).innerHTML = 
+            `Payment received: <a href="${getExplorerUrl(data.currency, data.hash)}" target="_blank">Explore</a><br><br>`;
+        return;
+    }
+    if (type !== "monitor:confirmation" && type !== "monitor:reorged") {
+        return;
+    }
+
+    const progress = document.getElementById(`np-confirmations-${data.invoiceId}`);
+    if (progress) {
+        progress.textContent = type === "monitor:reorged" ? 0 : data.confirmations;
+    }
+});
+
 // Export necessary functions for global access
+window.npWallet = npWallet;
 window.npSelectCurrency = npSelectCurrency;
 window.npCheckout = npCheckout;
+// Encrypted storage: npStorageVault.enable(pin) once, then npUnlock(pin)
+// after every load; the queue waits while the terminal is locked
+window.npStorageVault = storageVault;
+window.npUnlock = (secret) => storageVault.unlock(secret);
+window.npLock = () => storageVault.lock();
 window.npCloseModal = () => {
     document.getElementById("np-modal").style.display = "none";
 };
@@ -324,6 +363,7 @@ style.textContent = `
         border-radius: 4px;
     }
     .qr-code {
+        display: block;
         margin: 15px auto;
         width: 200px;
         height: 200px;
@@ -0,0 +1,393 @@
+import { simulatedHash } from "./NimiqChainSimulator.js";
+
+/**
+ * EthereumProviderSimulator is a deterministic, in-memory EIP-1193 provider
+ * for ERC-20 payments: accounts, chain ID, token balances, gas estimates,
+ * transfers and receipts. It stands in for `window.ethereum`.
+ *
+ * Nothing happens on its own: tokens are minted, blocks are mined, chains
+ * are switched and requests are rejected by the caller. Signed EIP-3009
+ * authorizations and EIP-2612 permits are relayed by the caller too, through
+ * `submitAuthorization()`, standing in for the backend's relayer.
+ *
+ * Usage (Jest or a demo page):
+ *
+ *   const ethereum = new EthereumProviderSimulator({ chainId: 1 });
+ *   ethereum.install(); // sets window.ethereum
+ *   const customer = ethereum.createAccount("customer");
+ *   ethereum.mintTokens(USDC_CONTRACT, customer, 100000000n);
+ */
+
+const BALANCE_OF = "70a08231";
+const TRANSFER = "a9059cbb";
+const NONCES = "7ecebe00";
+
+/**
+ * EIP-1193 provider error
+ */
+class ProviderRpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Deterministic in-memory EIP-1193 provider
+ */
+class EthereumProviderSimulator {
+  /**
+   * @param {Object} [options] Simulator options
+   * @param {number} [options.chainId=1] Chain the wallet is on
+   * @param {bigint} [options.gasPrice=20 gwei] Gas price in wei
+   * @param {bigint} [options.transferGas=51000n] Gas of a token transfer
+   * @param {string} [options.relayer] Account relaying signed authorizations
+   */
+  constructor(options = {}) {
+    this.chainId = options.chainId || 1;
+    this.gasPrice = options.gasPrice || 20000000000n;
+    this.transferGas = options.transferGas || 51000n;
+    this.relayer = (options.relayer || `0x${simulatedHash("account:relayer").slice(0, 40)}`).toLowerCase();
+
+    this.accounts = [];
+    this.connected = false;
+    this.tokens = new Map();
+    this.transactions = new Map();
+    this.pending = [];
+    this.blockNumber = 0;
+    this.failures = new Map();
+    this.listeners = new Map();
+    this.signatures = new Map();
+    this.usedNonces = new Set();
+    this.permitNonces = new Map();
+  }
+
+  /**
+   * Install the provider as `window.ethereum`
+   * @returns {EthereumProviderSimulator}
+   */
+  install() {
+    window.ethereum = this;
+    return this;
+  }
+
+  /**
+   * Create a deterministic account the wallet controls
+   * @param {string} seed Account seed, e.g. "customer"
+   * @returns {string} Account address
+   */
+  createAccount(seed) {
+    const address = `0x${simulatedHash(`account:${seed}`).slice(0, 40)}`;
+    this.accounts.push(address);
+    return address;
+  }
+
+  /**
+   * Credit tokens without a transaction
+   * @param {string} contract Token contract
+   * @param {string} owner Owner address
+   * @param {bigint} units Amount in base units
+   */
+  mintTokens(contract, owner, units) {
+    const key = this.tokenKey(contract, owner);
+    this.tokens.set(key, (this.tokens.get(key) || 0n) + BigInt(units));
+  }
+
+  /**
+   * Get the confirmed token balance of an address
+   * @param {string} contract Token contract
+   * @param {string} owner Owner address
+   * @returns {bigint} Balance in base units
+   */
+  getTokenBalance(contract, owner) {
+    return this.tokens.get(this.tokenKey(contract, owner)) || 0n;
+  }
+
+  /**
+   * Get a sent transaction with its decoded transfer
+   * @param {string} hash Transaction hash
+   * @returns {Object|undefined} `from`, `to`, `recipient`, `units`, `reference`,
+   *   `blockNumber` and `status`
+   */
+  getTransaction(hash) {
+    return this.transactions.get(hash);
+  }
+
+  /**
+   * Relay a signed authorization like the backend's relayer: check the
+   * signature, the deadline and the nonce, then send the transfer from the
+   * relayer account
+   * @param {string} standard "eip3009" or "eip2612"
+   * @param {Object} authorization Signed message
+   * @param {string} signature Signature from eth_signTypedData_v4
+   * @param {Object} [options] Relay options
+   * @param {string} [options.recipient] Merchant receiving a permit's tokens
+   * @returns {string} Transaction hash
+   */
+  submitAuthorization(standard, authorization, signature, { recipient } = {}) {
+    const signed = this.signatures.get(signature);
+    if (!signed || JSON.stringify(signed.message) !== JSON.stringify(authorization)) {
+      throw new ProviderRpcError(-32000, "invalid signature");
+    }
+
+    const isPermit = standard === "eip2612";
+    const payer = (isPermit ? authorization.owner : authorization.from).toLowerCase();
+    const deadline = Number(isPermit ? authorization.deadline : authorization.validBefore);
+    const nonce = `${payer}:${authorization.nonce}`;
+    if (deadline * 1000 < Date.now()) {
+      throw new ProviderRpcError(-32000, "authorization is expired");
+    }
+    if (this.usedNonces.has(nonce)) {
+      throw new ProviderRpcError(-32000, "authorization is used");
+    }
+    if (isPermit && authorization.spender.toLowerCase() !== this.relayer) {
+      throw new ProviderRpcError(-32000, "invalid spender");
+    }
+
+    this.usedNonces.add(nonce);
+    if (isPermit) {
+      this.permitNonces.set(payer, (this.permitNonces.get(payer) || 0n) + 1n);
+    }
+
+    const to = signed.domain.verifyingContract.toLowerCase();
+    const hash = `0x${simulatedHash(`relay:${this.transactions.size}:${signature}`)}`;
+    const record = {
+      hash,
+      from: this.relayer,
+      to,
+      payer,
+      recipient: (isPermit ? recipient : authorization.to).toLowerCase(),
+      units: BigInt(authorization.value),
+      reference: "",
+      relayed: standard,
+      blockNumber: null,
+      status: null,
+    };
+    this.transactions.set(hash, record);
+    this.pending.push(record);
+    return hash;
+  }
+
+  /**
+   * Switch the wallet to another chain
+   * @param {number} chainId Chain ID
+   */
+  switchChain(chainId) {
+    this.chainId = chainId;
+    this.emit("chainChanged", toQuantity(chainId));
+  }
+
+  /**
+   * Fail the next request of a method with an EIP-1193 error, e.g. 4001
+   * when the user rejects it
+   * @param {string} method RPC method
+   * @param {number} code Provider error code
+   * @param {string} [message] Error message
+   */
+  failNext(method, code, message = "Request failed") {
+    this.failures.set(method, new ProviderRpcError(code, message));
+  }
+
+  /**
+   * Mine a block containing every pending transaction. Transfers beyond
+   * the sender's balance revert.
+   * @returns {number} The new block number
+   */
+  mineBlock() {
+    this.blockNumber++;
+    for (const tx of this.pending) {
+      const payer = tx.payer || tx.from;
+      const balance = this.getTokenBalance(tx.to, payer);
+      tx.blockNumber = this.blockNumber;
+      tx.status = balance >= tx.units ? 1 : 0;
+      if (tx.status) {
+        this.mintTokens(tx.to, payer, -tx.units);
+        this.mintTokens(tx.to, tx.recipient, tx.units);
+      }
+    }
+    this.pending = [];
+    return this.blockNumber;
+  }
+
+  /**
+   * Mine several blocks
+   * @param {number} count Number of blocks
+   * @returns {number} The new block number
+   */
+  mineBlocks(count) {
+    for (let i = 0; i < count; i++) {
+      this.mineBlock();
+    }
+    return this.blockNumber;
+  }
+
+  /**
+   * EIP-1193 request
+   * @param {Object} args Request
+   * @param {string} args.method RPC method
+   * @param {Array} [args.params] RPC params
+   * @returns {Promise<*>} RPC result
+   */
+  async request({ method, params = [] }) {
+    const failure = this.failures.get(method);
+    if (failure) {
+      this.failures.delete(method);
+      throw failure;
+    }
+
+    switch (method) {
+      case "eth_chainId":
+        return toQuantity(this.chainId);
+      case "eth_accounts":
+        return this.connected ? [...this.accounts] : [];
+      case "eth_requestAccounts":
+        if (this.accounts.length === 0) {
+          throw new ProviderRpcError(4100, "No accounts");
+        }
+        this.connected = true;
+        this.emit("accountsChanged", [...this.accounts]);
+        return [...this.accounts];
+      case "eth_blockNumber":
+        return toQuantity(this.blockNumber);
+      case "eth_gasPrice":
+        return toQuantity(this.gasPrice);
+      case "eth_call":
+        return this.call(params[0]);
+      case "eth_estimateGas":
+        this.decodeTransfer(params[0]);
+        return toQuantity(this.transferGas);
+      case "eth_sendTransaction":
+        return this.sendTransaction(params[0]);
+      case "eth_signTypedData_v4":
+        return this.signTypedData(params[0], params[1]);
+      case "eth_getTransactionReceipt":
+        return this.getReceipt(params[0]);
+      default:
+        throw new ProviderRpcError(4200, `Unsupported method: ${method}`);
+    }
+  }
+
+  /**
+   * Subscribe to provider events, e.g. "chainChanged"
+   * @param {string} type Event name
+   * @param {Function} listener Listener
+   */
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+  }
+
+  /**
+   * @param {string} type Event name
+   * @param {Function} listener Listener
+   */
+  removeListener(type, listener) {
+    this.listeners.get(type)?.delete(listener);
+  }
+
+  /**
+   * @private
+   */
+  emit(type, ...args) {
+    for (const listener of this.listeners.get(type) || []) {
+      listener(...args);
+    }
+  }
+
+  /**
+   * @private
+   */
+  call({ to, data }) {
+    const owner = `0x${data?.slice(10 + 24, 10 + 64)}`;
+    if (data?.startsWith(`0x${BALANCE_OF}`)) {
+      return toWord(this.getTokenBalance(to, owner));
+    }
+    if (data?.startsWith(`0x${NONCES}`)) {
+      return toWord(this.permitNonces.get(owner.toLowerCase()) || 0n);
+    }
+    throw new ProviderRpcError(-32000, "execution reverted");
+  }
+
+  /**
+   * @private
+   */
+  signTypedData(address, json) {
+    if (!this.connected || !this.accounts.includes(address?.toLowerCase())) {
+      throw new ProviderRpcError(4100, "Unauthorized account");
+    }
+
+    const typedData = JSON.parse(json);
+    if (Number(typedData.domain.chainId) !== this.chainId) {
+      throw new ProviderRpcError(-32000, "chainId does not match the active chain");
+    }
+    const digest = simulatedHash(`sign:${address.toLowerCase()}:${json}`);
+    const signature = `0x${digest}${simulatedHash(digest)}1b`;
+    this.signatures.set(signature, typedData);
+    return signature;
+  }
+
+  /**
+   * @private
+   */
+  sendTransaction(tx) {
+    if (!this.connected || !this.accounts.includes(tx.from?.toLowerCase())) {
+      throw new ProviderRpcError(4100, "Unauthorized account");
+    }
+
+    const transfer = this.decodeTransfer(tx);
+    const hash = `0x${simulatedHash(`tx:${this.transactions.size}:${tx.from}:${tx.data}`)}`;
+    const record = { hash, from: tx.from.toLowerCase(), to: tx.to.toLowerCase(), ...transfer, blockNumber: null, status: null };
+    this.transactions.set(hash, record);
+    this.pending.push(record);
+    return hash;
+  }
+
+  /**
+   * @private
+   */
+  getReceipt(hash) {
+    const tx = this.transactions.get(hash);
+    if (!tx || tx.blockNumber === null) {
+      return null;
+    }
+    return {
+      transactionHash: hash,
+      from: tx.from,
+      to: tx.to,
+      blockNumber: toQuantity(tx.blockNumber),
+      status: toQuantity(tx.status),
+      gasUsed: toQuantity(this.transferGas),
+    };
+  }
+
+  /**
+   * Decode transfer(recipient, units) and the reference after it
+   * @private
+   */
+  decodeTransfer({ data }) {
+    if (!data?.startsWith(`0x${TRANSFER}`) || data.length < 10 + 128) {
+      throw new ProviderRpcError(-32000, "execution reverted");
+    }
+    const extra = data.slice(10 + 128);
+    return {
+      recipient: `0x${data.slice(10 + 24, 10 + 64)}`,
+      units: BigInt(`0x${data.slice(10 + 64, 10 + 128)}`),
+      reference: decodeURIComponent(extra.replace(/(..)/g, "%$1")),
+    };
+  }
+
+  /**
+   * @private
+   */
+  tokenKey(contract, owner) {
+    return `${contract.toLowerCase()}:${owner.toLowerCase()}`;
+  }
+}
+
+const toQuantity = (value) => `0x${BigInt(value).toString(16)}`;
+
+const toWord = (value) => `0x${BigInt(value).toString(16).padStart(64, "0")}`;
+
+export default EthereumProviderSimulator;
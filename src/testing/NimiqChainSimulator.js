@@ -0,0 +1,738 @@
+/**
+ * NimiqChainSimulator is a deterministic, in-memory stand-in for the parts of
+ * @nimiq/core that NimiqNodeService uses: consensus, blockchain, accounts,
+ * mempool and network, plus the namespace helpers for addresses, signing and
+ * transactions.
+ *
+ * Nothing happens on its own: balances are minted, blocks are mined, reorgs
+ * are forced and peers are dropped by the caller. Hashes, addresses and
+ * timestamps derive from the inputs only, so runs are reproducible.
+ *
+ * Usage (Jest or a demo page, before the node initializes):
+ *
+ *   const chain = new NimiqChainSimulator();
+ *   chain.install(); // sets globalThis.Nimiq
+ *   const wallet = chain.createWallet("customer");
+ *   chain.mint(wallet.address, 100000);
+ */
+
+const ADDRESS_ALPHABET = "0123456789ABCDEFGHJKLMNPQRSTUVXY";
+const GENESIS_TIMESTAMP = 1523727000000;
+const BLOCK_TIME = 60 * 1000;
+const LUNAS_PER_COIN = 1e5;
+
+const RETURN_CODE = {
+  FEE_TOO_LOW: -2,
+  INVALID: -1,
+  ACCEPTED: 1,
+  KNOWN: 2,
+};
+
+/**
+ * Deterministic 32-byte hex digest (FNV-1a, not cryptographic)
+ * @param {string} input Input string
+ * @returns {string} 64 hex characters
+ */
+export function simulatedHash(input) {
+  let digest = "";
+  for (let round = 0; round < 8; round++) {
+    let hash = 0x811c9dc5 ^ round;
+    const value = `${round}:${input}`;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    digest += (hash >>> 0).toString(16).padStart(8, "0");
+  }
+  return digest;
+}
+
+const hexHash = (hex) => ({
+  toHex: () => hex,
+  equals: (other) => other && other.toHex() === hex,
+});
+
+const encodeUtf8 = (str) =>
+  Uint8Array.from(
+    encodeURIComponent(str).replace(/%([0-9A-F]{2})/g, (_, hex) =>
+      String.fromCharCode(parseInt(hex, 16))
+    ),
+    (char) => char.charCodeAt(0)
+  );
+
+const decodeUtf8 = (bytes) =>
+  decodeURIComponent(
+    Array.from(bytes, (byte) => `%${byte.toString(16).padStart(2, "0")}`).join("")
+  );
+
+const toHex = (bytes) =>
+  Array.from(bytes)
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+
+const fromHex = (hex) => {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+};
+
+/**
+ * Simulated Nimiq address
+ */
+class SimulatedAddress {
+  constructor(normalized) {
+    this.normalized = normalized;
+  }
+
+  static fromString(str) {
+    const normalized = String(str).replace(/ /g, "").toUpperCase();
+    if (!/^NQ[0-9]{2}[0-9A-Z]{32}$/.test(normalized)) {
+      throw new Error("Invalid address");
+    }
+    return new SimulatedAddress(normalized);
+  }
+
+  static fromSeed(seed) {
+    const digest = simulatedHash(`address:${seed}`);
+    let body = "";
+    for (let i = 0; i < 32; i++) {
+      body += ADDRESS_ALPHABET[parseInt(digest.substr(i * 2, 2), 16) % 32];
+    }
+    const checksum = String(parseInt(digest.substr(0, 4), 16) % 100).padStart(2, "0");
+    return new SimulatedAddress(`NQ${checksum}${body}`);
+  }
+
+  toUserFriendlyAddress() {
+    return this.normalized.match(/.{4}/g).join(" ");
+  }
+
+  equals(other) {
+    return other instanceof SimulatedAddress && other.normalized === this.normalized;
+  }
+
+  toString() {
+    return this.toUserFriendlyAddress();
+  }
+}
+
+/**
+ * Simulated transaction, basic when it carries no data
+ */
+class SimulatedTransaction {
+  constructor(sender, recipient, value, fee, validityStartHeight, data = null) {
+    this.sender = sender;
+    this.recipient = recipient;
+    this.value = value;
+    this.fee = fee;
+    this.validityStartHeight = validityStartHeight;
+    this.data = data;
+    this.proof = null;
+  }
+
+  serializeContent() {
+    return JSON.stringify({
+      sender: this.sender.normalized,
+      recipient: this.recipient.normalized,
+      value: this.value,
+      fee: this.fee,
+      validityStartHeight: this.validityStartHeight,
+      data: this.data ? toHex(this.data) : null,
+    });
+  }
+
+  hash() {
+    return hexHash(simulatedHash(`tx:${this.serializeContent()}`));
+  }
+
+  serialize() {
+    return encodeUtf8(JSON.stringify({ content: this.serializeContent(), proof: this.proof }));
+  }
+
+  static unserialize(buffer) {
+    const { content, proof } = JSON.parse(decodeUtf8(buffer));
+    const fields = JSON.parse(content);
+    const tx = new SimulatedTransaction(
+      new SimulatedAddress(fields.sender),
+      new SimulatedAddress(fields.recipient),
+      fields.value,
+      fields.fee,
+      fields.validityStartHeight,
+      fields.data ? fromHex(fields.data) : null
+    );
+    tx.proof = proof;
+    return tx;
+  }
+}
+
+/**
+ * Minimal observable matching the on/fire pattern of @nimiq/core
+ */
+class SimulatedObservable {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  on(type, callback) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, []);
+    }
+    this.listeners.get(type).push(callback);
+  }
+
+  off(type, callback) {
+    const callbacks = this.listeners.get(type) || [];
+    this.listeners.set(
+      type,
+      callbacks.filter((cb) => cb !== callback)
+    );
+  }
+
+  fire(type, ...args) {
+    for (const callback of this.listeners.get(type) || []) {
+      callback(...args);
+    }
+  }
+}
+
+/**
+ * Deterministic in-memory Nimiq chain
+ */
+class NimiqChainSimulator {
+  /**
+   * @param {Object} [options] Simulator options
+   * @param {number} [options.minFee=0] Minimum fee the mempool accepts
+   * @param {number} [options.peerCount=3] Peers after connecting
+   * @param {number} [options.validityWindow=120] Transaction validity window in blocks
+   */
+  constructor(options = {}) {
+    this.minFee = options.minFee || 0;
+    this.defaultPeerCount = options.peerCount || 3;
+    this.validityWindow = options.validityWindow || 120;
+    this.branch = 0;
+
+    this.balances = new Map();
+    this.blocks = [this.createBlock(0, "0".repeat(64), [])];
+    this.pending = new Map();
+    this.subscriptions = new Set();
+
+    this.consensus = this.createConsensus();
+    this.nimiq = this.createNamespace();
+  }
+
+  /**
+   * Install the simulated namespace as the global `Nimiq`
+   * @returns {Object} The namespace
+   */
+  install() {
+    globalThis.Nimiq = this.nimiq;
+    return this.nimiq;
+  }
+
+  /**
+   * Current chain height
+   * @returns {number}
+   */
+  get height() {
+    return this.blocks.length - 1;
+  }
+
+  /**
+   * Current head block
+   * @returns {Object}
+   */
+  get head() {
+    return this.blocks[this.blocks.length - 1];
+  }
+
+  /**
+   * Create a deterministic wallet that signs with a simulated key
+   * @param {string} seed Wallet seed, e.g. "customer"
+   * @returns {Object} Wallet with address, keyPair and createTransaction
+   */
+  createWallet(seed) {
+    const address = SimulatedAddress.fromSeed(seed);
+    const publicKey = { address: address.normalized };
+    const keyPair = { privateKey: { seed }, publicKey };
+    const nimiq = this.nimiq;
+
+    return {
+      address,
+      keyPair,
+      publicKey,
+      createTransaction(recipient, value, fee, validityStartHeight) {
+        const tx = new SimulatedTransaction(address, recipient, value, fee, validityStartHeight);
+        const signature = nimiq.Signature.create(keyPair.privateKey, publicKey, tx.serializeContent());
+        tx.proof = nimiq.SignatureProof.singleSig(publicKey, signature).serialize();
+        return tx;
+      },
+    };
+  }
+
+  /**
+   * Create a Hub API style signer for a wallet, as accepted by
+   * NimiqNodeService.setSigner
+   * @param {Object} wallet Wallet from createWallet
+   * @returns {Object} Signer with address and signTransaction
+   */
+  createHubSigner(wallet) {
+    const nimiq = this.nimiq;
+    return {
+      address: wallet.address.toUserFriendlyAddress(),
+      signTransaction: async (request) => {
+        const tx = new SimulatedTransaction(
+          SimulatedAddress.fromString(request.sender),
+          SimulatedAddress.fromString(request.recipient),
+          request.value,
+          request.fee,
+          request.validityStartHeight,
+          request.extraData ? encodeUtf8(request.extraData) : null
+        );
+        const { privateKey, publicKey } = wallet.keyPair;
+        const signature = nimiq.Signature.create(privateKey, publicKey, tx.serializeContent());
+        tx.proof = nimiq.SignatureProof.singleSig(publicKey, signature).serialize();
+        return { serializedTx: toHex(tx.serialize()), hash: tx.hash().toHex() };
+      },
+    };
+  }
+
+  /**
+   * Credit an address without a transaction
+   * @param {string|Object} address Address
+   * @param {number} lunas Amount in luna
+   */
+  mint(address, lunas) {
+    const key = this.addressKey(address);
+    this.balances.set(key, (this.balances.get(key) || 0) + lunas);
+  }
+
+  /**
+   * Get the confirmed balance of an address
+   * @param {string|Object} address Address
+   * @returns {number} Balance in luna
+   */
+  getBalance(address) {
+    return this.balances.get(this.addressKey(address)) || 0;
+  }
+
+  /**
+   * Mine a block containing every valid pending transaction
+   * @returns {Object} The new head
+   */
+  mineBlock() {
+    const block = this.appendBlock();
+    this.consensus.blockchain.fire("head-changed", block, false);
+    return block;
+  }
+
+  /**
+   * Mine several blocks
+   * @param {number} count Number of blocks
+   * @returns {Object} The new head
+   */
+  mineBlocks(count) {
+    let block = this.head;
+    for (let i = 0; i < count; i++) {
+      block = this.mineBlock();
+    }
+    return block;
+  }
+
+  /**
+   * Replace the last `depth` blocks with a longer fork
+   * @param {number} [depth=1] Blocks to revert
+   * @param {Object} [options] Reorg options
+   * @param {boolean} [options.dropTransactions=false] Discard reverted
+   *   transactions instead of returning them to the mempool
+   * @param {number} [options.length] Fork length, defaults to depth + 1
+   * @returns {Object} The new head
+   */
+  forceReorg(depth = 1, options = {}) {
+    if (depth < 1 || depth > this.height) {
+      throw new Error(`Cannot reorg ${depth} blocks at height ${this.height}`);
+    }
+
+    const length = options.length || depth + 1;
+    const reverted = this.blocks.splice(this.blocks.length - depth, depth).reverse();
+
+    for (const block of reverted) {
+      for (const tx of block.transactions.slice().reverse()) {
+        this.revertTransaction(tx);
+        if (!options.dropTransactions) {
+          this.pending.set(tx.hash().toHex(), tx);
+        }
+      }
+    }
+
+    this.branch++;
+    for (let i = 0; i < length; i++) {
+      this.appendBlock(options.dropTransactions && i === 0 ? [] : undefined);
+    }
+
+    this.consensus.blockchain.fire("head-changed", this.head, true);
+    return this.head;
+  }
+
+  /**
+   * Disconnect peers; consensus is lost once none are left
+   * @param {number} [count] Peers to drop, all by default
+   */
+  dropPeers(count) {
+    const network = this.consensus.network;
+    network.peerCount = count === undefined ? 0 : Math.max(0, network.peerCount - count);
+    network.fire("peers-changed");
+
+    if (network.peerCount === 0 && this.consensus.established) {
+      this.consensus.established = false;
+      this.consensus.fire("lost");
+    }
+  }
+
+  /**
+   * Reconnect peers and re-establish consensus
+   */
+  restorePeers() {
+    const network = this.consensus.network;
+    network.peerCount = this.defaultPeerCount;
+    network.fire("peers-changed");
+
+    if (!this.consensus.established) {
+      this.consensus.established = true;
+      this.consensus.fire("established");
+    }
+  }
+
+  /**
+   * Build the Nimiq namespace used by NimiqNodeService
+   * @private
+   */
+  createNamespace() {
+    const simulator = this;
+    const networkConfig = (name, id) => ({
+      NETWORK_ID: id,
+      NETWORK_NAME: name,
+      SEED_PEERS: [],
+      GENESIS_BLOCK: this.blocks[0],
+      GENESIS_ACCOUNTS: "",
+    });
+
+    const GenesisConfig = {
+      NETWORK_NAME: null,
+      SEED_PEERS: [],
+      CONFIGS: {
+        main: networkConfig("main", 42),
+        test: networkConfig("test", 1),
+        dev: networkConfig("dev", 2),
+      },
+      init(config) {
+        GenesisConfig.NETWORK_NAME = config.NETWORK_NAME;
+        GenesisConfig.SEED_PEERS = config.SEED_PEERS;
+      },
+      main() {
+        GenesisConfig.init(GenesisConfig.CONFIGS.main);
+      },
+      test() {
+        GenesisConfig.init(GenesisConfig.CONFIGS.test);
+      },
+      dev() {
+        GenesisConfig.init(GenesisConfig.CONFIGS.dev);
+      },
+    };
+
+    const consensusFactory = async () => simulator.consensus;
+    const seed = (protocol) => (host, port, publicKeyHex) => ({ protocol, host, port, publicKeyHex });
+
+    return {
+      GenesisConfig,
+      Consensus: {
+        light: consensusFactory,
+        nano: consensusFactory,
+        pico: consensusFactory,
+      },
+      Address: SimulatedAddress,
+      Policy: {
+        TRANSACTION_VALIDITY_WINDOW: this.validityWindow,
+        LUNAS_PER_COIN,
+        satoshisToCoins: (lunas) => lunas / LUNAS_PER_COIN,
+        coinsToSatoshis: (coins) => Math.round(coins * LUNAS_PER_COIN),
+        lunasToCoins: (lunas) => lunas / LUNAS_PER_COIN,
+        coinsToLunas: (coins) => Math.round(coins * LUNAS_PER_COIN),
+      },
+      Mempool: {
+        ReturnCode: { ...RETURN_CODE },
+      },
+      Account: {
+        Type: { BASIC: 0 },
+      },
+      Transaction: {
+        Flag: { NONE: 0 },
+        unserialize: (buffer) => SimulatedTransaction.unserialize(buffer),
+      },
+      BasicTransaction: class extends SimulatedTransaction {
+        constructor(senderPublicKey, recipient, value, fee, validityStartHeight) {
+          super(
+            new SimulatedAddress(senderPublicKey.address),
+            recipient,
+            value,
+            fee,
+            validityStartHeight
+          );
+        }
+      },
+      ExtendedTransaction: class extends SimulatedTransaction {
+        constructor(
+          sender,
+          _senderType,
+          recipient,
+          _recipientType,
+          value,
+          fee,
+          validityStartHeight,
+          _flags,
+          data
+        ) {
+          super(sender, recipient, value, fee, validityStartHeight, data);
+        }
+      },
+      Signature: {
+        create: (privateKey, publicKey, content) => ({
+          signer: publicKey.address,
+          digest: simulatedHash(`sig:${privateKey.seed}:${content}`),
+        }),
+      },
+      SignatureProof: {
+        singleSig: (publicKey, signature) => ({
+          serialize: () => ({ publicKey: publicKey.address, signature }),
+        }),
+      },
+      BufferUtils: {
+        fromUtf8: encodeUtf8,
+        toUtf8: decodeUtf8,
+        fromHex,
+        toHex,
+      },
+      WssPeerAddress: { seed: seed("wss") },
+      WsPeerAddress: { seed: seed("ws") },
+    };
+  }
+
+  /**
+   * Build consensus, blockchain, accounts, mempool and network
+   * @private
+   */
+  createConsensus() {
+    const simulator = this;
+
+    const accounts = {
+      get: async (address) => ({ balance: simulator.getBalance(address), type: 0 }),
+    };
+
+    const blockchain = new SimulatedObservable();
+    Object.defineProperties(blockchain, {
+      height: { get: () => simulator.height },
+      head: { get: () => simulator.head },
+    });
+    blockchain.accounts = accounts;
+    blockchain.getTransaction = async (hash) => simulator.findTransaction(hash);
+
+    const mempool = {
+      pushTransaction: async (tx) => simulator.pushTransaction(tx),
+      getTransaction: (hash) => simulator.pending.get(simulator.hashKey(hash)),
+      getTransactions: () => Array.from(simulator.pending.values()),
+    };
+
+    const network = new SimulatedObservable();
+    network.peerCount = 0;
+    network.connect = async () => simulator.restorePeers();
+    network.disconnect = async () => simulator.dropPeers();
+
+    const consensus = new SimulatedObservable();
+    consensus.established = false;
+    consensus.blockchain = blockchain;
+    consensus.mempool = mempool;
+    consensus.network = network;
+    consensus.subscribeAccounts = (addresses) => {
+      for (const address of addresses) {
+        simulator.subscriptions.add(simulator.addressKey(address));
+      }
+    };
+
+    return consensus;
+  }
+
+  /**
+   * Validate and add a transaction to the mempool
+   * @private
+   */
+  pushTransaction(tx) {
+    const hash = tx.hash().toHex();
+    if (this.pending.has(hash) || this.findTransaction(hash)) {
+      return RETURN_CODE.KNOWN;
+    }
+    if (!this.isSigned(tx) || !this.isWithinValidityWindow(tx, this.height + 1)) {
+      return RETURN_CODE.INVALID;
+    }
+    if (tx.fee < this.minFee) {
+      return RETURN_CODE.FEE_TOO_LOW;
+    }
+    if (this.getSpendable(tx.sender) < tx.value + tx.fee) {
+      return RETURN_CODE.INVALID;
+    }
+
+    this.pending.set(hash, tx);
+    this.notifySubscribers("transaction-added", tx);
+    return RETURN_CODE.ACCEPTED;
+  }
+
+  /**
+   * Append a block with the given or all includable pending transactions
+   * @private
+   */
+  appendBlock(transactions) {
+    const height = this.height + 1;
+    const included = [];
+
+    const candidates = transactions || Array.from(this.pending.values());
+    if (!transactions) {
+      this.pending.clear();
+    }
+
+    for (const tx of candidates) {
+      this.pending.delete(tx.hash().toHex());
+      if (!this.isWithinValidityWindow(tx, height)) {
+        continue;
+      }
+      if (this.getBalance(tx.sender) < tx.value + tx.fee) {
+        continue;
+      }
+      this.applyTransaction(tx);
+      included.push(tx);
+    }
+
+    const block = this.createBlock(height, this.head.hash().toHex(), included);
+    this.blocks.push(block);
+    for (const tx of included) {
+      this.notifySubscribers("transaction-mined", tx, block);
+    }
+    return block;
+  }
+
+  /**
+   * @private
+   */
+  createBlock(height, prevHashHex, transactions) {
+    const txHashes = transactions.map((tx) => tx.hash().toHex()).join(",");
+    const hashHex = simulatedHash(`block:${this.branch}:${height}:${prevHashHex}:${txHashes}`);
+
+    return {
+      height,
+      timestamp: GENESIS_TIMESTAMP + height * BLOCK_TIME,
+      transactions,
+      prevHash: hexHash(prevHashHex),
+      hash: () => hexHash(hashHex),
+    };
+  }
+
+  /**
+   * Fire a transaction event if it touches a subscribed account
+   * @private
+   */
+  notifySubscribers(type, tx, ...args) {
+    if (
+      this.subscriptions.has(this.addressKey(tx.sender)) ||
+      this.subscriptions.has(this.addressKey(tx.recipient))
+    ) {
+      this.consensus.fire(type, tx, ...args);
+    }
+  }
+
+  /**
+   * Find a mined transaction on the main chain
+   * @private
+   */
+  findTransaction(hash) {
+    const key = this.hashKey(hash);
+    for (const block of this.blocks) {
+      const tx = block.transactions.find((candidate) => candidate.hash().toHex() === key);
+      if (tx) {
+        return {
+          hash: tx.hash(),
+          sender: tx.sender,
+          recipient: tx.recipient,
+          value: tx.value,
+          fee: tx.fee,
+          data: tx.data,
+          height: block.height,
+          blockHash: block.hash(),
+          timestamp: block.timestamp,
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  applyTransaction(tx) {
+    this.mint(tx.sender, -(tx.value + tx.fee));
+    this.mint(tx.recipient, tx.value);
+  }
+
+  /**
+   * @private
+   */
+  revertTransaction(tx) {
+    this.mint(tx.recipient, -tx.value);
+    this.mint(tx.sender, tx.value + tx.fee);
+  }
+
+  /**
+   * Balance minus what pending transactions already spend
+   * @private
+   */
+  getSpendable(address) {
+    let spendable = this.getBalance(address);
+    for (const tx of this.pending.values()) {
+      if (tx.sender.equals(address)) {
+        spendable -= tx.value + tx.fee;
+      }
+    }
+    return spendable;
+  }
+
+  /**
+   * @private
+   */
+  isSigned(tx) {
+    return Boolean(tx.proof && tx.proof.publicKey === tx.sender.normalized);
+  }
+
+  /**
+   * @private
+   */
+  isWithinValidityWindow(tx, height) {
+    return (
+      tx.validityStartHeight <= height && tx.validityStartHeight + this.validityWindow > height
+    );
+  }
+
+  /**
+   * @private
+   */
+  addressKey(address) {
+    return (
+      address instanceof SimulatedAddress ? address : SimulatedAddress.fromString(address)
+    ).normalized;
+  }
+
+  /**
+   * @private
+   */
+  hashKey(hash) {
+    return typeof hash === "string" ? hash : hash.toHex();
+  }
+}
+
+export default NimiqChainSimulator;
@@ -0,0 +1,214 @@
+/* global Nimiq */
+import NimiqChainSimulator from "../NimiqChainSimulator";
+import NimiqNodeService from "../../Services/NimiqNodeService";
+import ConfirmationMonitor from "../../Services/ConfirmationMonitor";
+import { FeeTooLowError, InsufficientBalanceError } from "../../Services/errors";
+
+// Mock localforage
+jest.mock("localforage", () => ({
+  createInstance: jest.fn().mockReturnValue({
+    getItem: jest.fn().mockResolvedValue(null),
+    setItem: jest.fn(),
+    removeItem: jest.fn(),
+  }),
+}));
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("NimiqChainSimulator", () => {
+  let chain;
+  let customer;
+  let merchant;
+
+  beforeEach(() => {
+    chain = new NimiqChainSimulator();
+    chain.install();
+    customer = chain.createWallet("customer");
+    merchant = chain.createWallet("merchant");
+    chain.mint(customer.address, 100000);
+  });
+
+  afterEach(() => {
+    delete global.Nimiq;
+  });
+
+  const send = (value, options = {}) => {
+    const tx = customer.createTransaction(
+      merchant.address,
+      value,
+      options.fee || 0,
+      options.validityStartHeight === undefined ? chain.height : options.validityStartHeight
+    );
+    return chain.consensus.mempool.pushTransaction(tx).then((code) => ({ tx, code }));
+  };
+
+  describe("Chain", () => {
+    it("should derive the same addresses and hashes on every run", () => {
+      const other = new NimiqChainSimulator();
+      expect(other.createWallet("customer").address.toUserFriendlyAddress()).toBe(
+        customer.address.toUserFriendlyAddress()
+      );
+      expect(other.head.hash().toHex()).toBe(chain.head.hash().toHex());
+      expect(customer.address.toUserFriendlyAddress()).toMatch(/^NQ\d{2}( [0-9A-Z]{4}){8}$/);
+    });
+
+    it("should apply pending transactions when mining", async () => {
+      const { tx, code } = await send(25000, { fee: 100 });
+      expect(code).toBe(Nimiq.Mempool.ReturnCode.ACCEPTED);
+      expect(chain.getBalance(merchant.address)).toBe(0);
+
+      chain.mineBlock();
+
+      expect(chain.height).toBe(1);
+      expect(chain.getBalance(customer.address)).toBe(74900);
+      expect(chain.getBalance(merchant.address)).toBe(25000);
+      expect(await chain.consensus.blockchain.getTransaction(tx.hash().toHex())).toEqual(
+        expect.objectContaining({ height: 1, value: 25000 })
+      );
+    });
+
+    it("should reject unsigned, duplicate and overspending transactions", async () => {
+      const unsigned = customer.createTransaction(merchant.address, 1000, 0, 0);
+      unsigned.proof = null;
+      expect(await chain.consensus.mempool.pushTransaction(unsigned)).toBe(
+        Nimiq.Mempool.ReturnCode.INVALID
+      );
+
+      const { tx } = await send(60000);
+      expect(await chain.consensus.mempool.pushTransaction(tx)).toBe(
+        Nimiq.Mempool.ReturnCode.KNOWN
+      );
+      expect((await send(50000)).code).toBe(Nimiq.Mempool.ReturnCode.INVALID);
+    });
+
+    it("should evict transactions whose validity window has closed", async () => {
+      await send(1000);
+      chain.consensus.mempool.getTransactions()[0].validityStartHeight = -120;
+
+      chain.mineBlock();
+
+      expect(chain.getBalance(merchant.address)).toBe(0);
+      expect(chain.consensus.mempool.getTransactions()).toEqual([]);
+    });
+
+    it("should undo and re-mine transactions on a forced reorg", async () => {
+      const { tx } = await send(1000);
+      chain.mineBlocks(3);
+      const headBefore = chain.head.hash().toHex();
+
+      chain.forceReorg(3);
+
+      expect(chain.height).toBe(4);
+      expect(chain.head.hash().toHex()).not.toBe(headBefore);
+      expect(chain.getBalance(merchant.address)).toBe(1000);
+      const mined = await chain.consensus.blockchain.getTransaction(tx.hash().toHex());
+      expect(mined.height).toBe(1);
+      expect(mined.blockHash.toHex()).toBe(chain.blocks[1].hash().toHex());
+    });
+
+    it("should drop reverted transactions when asked to", async () => {
+      const { tx } = await send(1000);
+      chain.mineBlock();
+
+      chain.forceReorg(1, { dropTransactions: true });
+
+      expect(chain.getBalance(merchant.address)).toBe(0);
+      expect(chain.getBalance(customer.address)).toBe(100000);
+      expect(await chain.consensus.blockchain.getTransaction(tx.hash().toHex())).toBeNull();
+    });
+  });
+
+  describe("With NimiqNodeService", () => {
+    let node;
+
+    beforeEach(async () => {
+      node = new NimiqNodeService({ network: "dev", minConfirmations: 2 });
+      await node.initialize();
+      node.setSigner(customer);
+    });
+
+    it("should establish consensus and follow the head", () => {
+      chain.mineBlocks(2);
+
+      expect(node.getState()).toEqual(
+        expect.objectContaining({
+          initialized: true,
+          connected: true,
+          height: 2,
+          headHash: chain.head.hash().toHex(),
+        })
+      );
+    });
+
+    it("should report lost consensus when peers drop", () => {
+      chain.dropPeers();
+      expect(node.getState()).toEqual(expect.objectContaining({ connected: false, syncing: true }));
+
+      chain.restorePeers();
+      expect(node.getState()).toEqual(expect.objectContaining({ connected: true, syncing: false }));
+    });
+
+    it("should process wallet and hub signed transactions", async () => {
+      const recipient = merchant.address.toUserFriendlyAddress();
+
+      const fromWallet = await node.processTransaction({ recipient, value: 1000, extraData: "inv-1" });
+      node.setSigner(chain.createHubSigner(customer));
+      const fromHub = await node.processTransaction({ recipient, value: 2000 });
+      chain.mineBlock();
+
+      expect(fromWallet.status).toBe("accepted");
+      expect(fromHub.status).toBe("accepted");
+      expect(chain.getBalance(merchant.address)).toBe(3000);
+      expect(await node.getTransactionInfo(fromHub.hash)).toEqual(
+        expect.objectContaining({ state: "mined", confirmations: 1 })
+      );
+    });
+
+    it("should surface mempool and balance errors", async () => {
+      const recipient = merchant.address.toUserFriendlyAddress();
+
+      await expect(node.processTransaction({ recipient, value: 200000 })).rejects.toThrow(
+        InsufficientBalanceError
+      );
+
+      chain.minFee = 500;
+      await expect(node.processTransaction({ recipient, value: 1000 })).rejects.toThrow(
+        FeeTooLowError
+      );
+    });
+
+    it("should run a payment through confirmation and a reorg", async () => {
+      const monitor = new ConfirmationMonitor(node);
+      const events = [];
+      const listener = (event) => events.push(event.detail);
+      window.addEventListener("nimipay:monitor", listener);
+
+      const { hash } = await node.processTransaction({
+        recipient: merchant.address.toUserFriendlyAddress(),
+        value: 5000,
+      });
+      const result = monitor.watch(hash, "inv-1", "NIM");
+      await flush();
+
+      chain.mineBlock();
+      await flush();
+      chain.mineBlock();
+      await expect(result).resolves.toEqual(expect.objectContaining({ status: "confirmed" }));
+
+      chain.forceReorg(2, { dropTransactions: true });
+      await flush();
+
+      expect(events.map(({ type }) => type)).toEqual([
+        "monitor:seen",
+        "monitor:confirmation",
+        "monitor:confirmation",
+        "monitor:confirmed",
+        "monitor:reorged",
+      ]);
+      expect(events[4].data).toEqual(expect.objectContaining({ status: "reverted", wasConfirmed: true }));
+
+      window.removeEventListener("nimipay:monitor", listener);
+      monitor.destroy();
+    });
+  });
+});
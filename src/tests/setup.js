@@ -64,15 +64,17 @@ const localStorageMock = {
 
 global.localStorage = localStorageMock;
 
-// Mock window.location for network tests
-delete window.location;
-window.location = {
-    protocol: 'https:',
-    host: 'localhost:9000',
-    hostname: 'localhost',
-    href: 'https://localhost:9000/',
-    origin: 'https://localhost:9000'
-};
+// Mock window.location for network tests; tests of the Node environment have no window
+if (typeof window !== 'undefined') {
+    delete window.location;
+    window.location = {
+        protocol: 'https:',
+        host: 'localhost:9000',
+        hostname: 'localhost',
+        href: 'https://localhost:9000/',
+        origin: 'https://localhost:9000'
+    };
+}
 
 // Suppress console errors during tests
 global.console = {
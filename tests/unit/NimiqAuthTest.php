@@ -0,0 +1,64 @@
+<?php
+
+namespace NimiPay\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+use NimiPay\Services\NimiqAuthService;
+
+class NimiqAuthTest extends TestCase {
+    // Ed25519 key of the seed 0x07 * 32 and a message it signed in the Hub format
+    const PUBLIC_KEY = 'ea4a6c63e29c520abef5507b132ec5f9954776aebebe7b92421eea691446d22c';
+    const ADDRESS = 'NQ27 HLNH Q9G1 4Y3L 8VMJ E4TC BQUC 00VN DE49';
+    const MESSAGE = "Log in to Your Store Name\nNonce: 00112233445566778899aabbccddeeff";
+    const SIGNATURE = 'd12e4e4068a9bb85e93e306b4c44c479bca5879650d4f7b0a7810fac83269cd5'
+        . 'd55d49268da119c322d21f3d877c8c3c24dde9e0f94bd8993d6d62647d4e1a0b';
+
+    private $auth;
+
+    protected function setUp(): void {
+        $this->auth = new NimiqAuthService('Your Store Name', 300);
+    }
+
+    public function testAddressFromPublicKey(): void {
+        $this->assertEquals(self::ADDRESS, $this->auth->addressFromPublicKey(hex2bin(self::PUBLIC_KEY)));
+    }
+
+    public function testAddressValidation(): void {
+        $this->assertTrue($this->auth->isValidAddress(self::ADDRESS));
+        $this->assertTrue($this->auth->isValidAddress('NQ07 0000 0000 0000 0000 0000 0000 0000 0000'));
+        $this->assertFalse($this->auth->isValidAddress('NQ28 HLNH Q9G1 4Y3L 8VMJ E4TC BQUC 00VN DE49'));
+        $this->assertFalse($this->auth->isValidAddress('not an address'));
+    }
+
+    public function testChallenge(): void {
+        $challenge = $this->auth->createChallenge(strtolower(self::ADDRESS));
+
+        $this->assertStringContainsString('Log in to Your Store Name', $challenge['challenge']);
+        $this->assertStringContainsString(self::ADDRESS, $challenge['challenge']);
+        $this->assertStringContainsString($challenge['nonce'], $challenge['challenge']);
+        $this->assertGreaterThan(time(), $challenge['expires_at']);
+
+        $this->expectException(\Exception::class);
+        $this->auth->createChallenge('NQ00 0000');
+    }
+
+    public function testSignedMessageVerification(): void {
+        $this->assertTrue(
+            $this->auth->verifySignedMessage(self::ADDRESS, self::MESSAGE, self::PUBLIC_KEY, self::SIGNATURE)
+        );
+
+        // Another message, or a key that is not the address's
+        $this->assertFalse(
+            $this->auth->verifySignedMessage(self::ADDRESS, self::MESSAGE . '!', self::PUBLIC_KEY, self::SIGNATURE)
+        );
+        $this->assertFalse($this->auth->verifySignedMessage(
+            'NQ07 0000 0000 0000 0000 0000 0000 0000 0000',
+            self::MESSAGE,
+            self::PUBLIC_KEY,
+            self::SIGNATURE
+        ));
+        $this->assertFalse(
+            $this->auth->verifySignedMessage(self::ADDRESS, self::MESSAGE, self::PUBLIC_KEY, 'not hex')
+        );
+    }
+}
@@ -5,15 +5,46 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 export default {
-    entry: './src/services/NimiqNodeService.js',
+    entry: {
+        'nimiq-node': {
+            import: './src/services/NimiqNodeService.js',
+            library: {
+                name: 'NimiqNodeService',
+                type: 'umd',
+                export: 'default'
+            }
+        },
+        // Payment URIs and QR codes for pages without a bundler
+        'payment-request': {
+            import: './src/services/PaymentRequest.js',
+            library: {
+                name: 'NimipayPaymentRequest',
+                type: 'umd',
+                export: 'default'
+            }
+        },
+        // ERC-20 payments through an EIP-1193 browser wallet
+        'erc20-adapter': {
+            import: './src/services/Erc20ChainAdapter.js',
+            library: {
+                name: 'NimipayErc20ChainAdapter',
+                type: 'umd',
+                export: 'default'
+            }
+        },
+        // Per-invoice Bitcoin addresses derived from the merchant xpub
+        'bitcoin-adapter': {
+            import: './src/services/BitcoinChainAdapter.js',
+            library: {
+                name: 'NimipayBitcoinChainAdapter',
+                type: 'umd',
+                export: 'default'
+            }
+        }
+    },
     output: {
         path: path.resolve(__dirname, 'dist'),
-        filename: 'nimiq-node.js',
-        library: {
-            name: 'NimiqNodeService',
-            type: 'umd',
-            export: 'default'
-        }
+        filename: '[name].js'
     },
     module: {
         rules: [